@@ -2,14 +2,35 @@
 // This app allows users to submit tickets (self-service) and admins to manage them.
 // Admins can edit tickets, assign teams, set priorities, and manage SLAs.
 
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 
 // ----- Types and Configuration Setup -----
 // Ticket structure, priorities, and configuration types
 
-type TicketStatus = "Open" | "In Progress" | "On Hold" | "Resolved" | "Closed";
+// Status names come from the admin-defined workflow (see Status Workflow); the defaults are Open,
+// In Progress, On Hold, Resolved and Closed
+type TicketStatus = string;
 type Priority = "P1" | "P2" | "P3" | "P4";
-type Note = { id: string; text: string; author?: string; createdAt: string };
+// Internal notes are staff-only; public ones are shown to the requester in "Check My Ticket"
+type Note = { id: string; text: string; author?: string; createdAt: string; visibility: "public" | "internal"; attachments?: Attachment[] };
+// A file on a ticket or note. Only this metadata travels with the ticket; the bytes are kept by the storage
+// adapter (IndexedDB in local mode, on disk behind the server) under the same ID.
+type Attachment = { id: string; name: string; type: string; size: number };
+// Someone following a ticket; the ticket's own requester is stored inline as name/contactType/contactValue
+type Requester = { name: string; contactType: "email" | "phone"; contactValue: string; requesterId?: string };
+// One outbound requester email (sent or failed), kept on the ticket as its delivery log
+type Delivery = { id: string; event: string; to: string; subject: string; body: string; at: string; ok: boolean; error?: string };
+// Append-only audit trail: who changed what, when (note entries carry the note text in from/to)
+type HistoryEntry = {
+  id: string;
+  at: string;
+  actor: string;
+  // "rule": a routing rule fired (field = rule ID, to = what it did); "escalation" likewise for an SLA escalation step
+  kind: "created" | "change" | "note-added" | "note-deleted" | "rule" | "escalation";
+  field?: string;
+  from?: string;
+  to?: string;
+};
 
 type Ticket = {
   id: string;
@@ -25,10 +46,463 @@ type Ticket = {
   createdAt: string;
   updatedAt: string;
   notes: Note[];
+  // SLA clock: first response / resolution timestamps and time spent "On Hold" (in SLA-clock minutes)
+  firstResponseAt?: string;
+  resolvedAt?: string;
+  pausedMins: number;
+  pausedAt?: string;
+  deliveries: Delivery[];
+  // Required when moving to a done status that asks for them; cleared when the ticket is reopened
+  resolutionCode?: string;
+  resolutionSummary?: string;
+  history: HistoryEntry[];
+  // Account that submitted it through the portal (email tickets match on the address instead)
+  requesterId?: string;
+  // Username of the agent who owns it; must be on the team's roster
+  assignee?: string;
+  // Links: parentId/duplicateOf point at another ticket (children and duplicates are found by scanning);
+  // related IDs are kept on both tickets
+  parentId?: string;
+  duplicateOf?: string;
+  related?: string[];
+  // A major incident's status changes cascade to its child tickets
+  major?: boolean;
+  // Requesters of tickets merged into this one: they can follow it and get its emails too
+  otherRequesters?: Requester[];
+  // Custom field values by field ID (see CustomField); checkboxes are "yes" when ticked
+  fields?: Record<string, string>;
+  // Files added when the ticket was submitted (files added later go on notes)
+  attachments?: Attachment[];
+  // The requester's record in the directory (see Contact); name/contactValue above stay as filed
+  contactId?: string;
+  // Bumped by storage on every save; a save based on an older version is refused (see Live Sync)
+  version?: number;
+};
+
+// allDay = "24x7": the SLA clock ignores the business calendar for this priority
+type PriorityConfig = Record<Priority, { label: string; respondMins: number; resolveMins: number; allDay?: boolean }>;
+// Working hours per weekday (index 0 = Sunday, null = closed) as "HH:MM", holidays as "YYYY-MM-DD"
+type DayHours = { start: string; end: string } | null;
+type BusinessCalendar = { timezone: string; hours: DayHours[]; holidays: string[] };
+// Requester email per status change; subject/body support {{placeholders}} (see renderTemplate)
+type NotificationTemplate = { enabled: boolean; subject: string; body: string };
+// One template per workflow status
+type NotificationConfig = Record<TicketStatus, NotificationTemplate>;
+// Ticket ID format; categoryPrefixes (e.g. Hardware -> INC) replace the prefix for that category
+type NumberingConfig = { prefix: string; datePart: (typeof DATE_PARTS)[number]; padding: number; categoryPrefixes: Record<string, string> };
+type Config = {
+  categories: string[];
+  teams: string[];
+  priorities: PriorityConfig;
+  calendar: BusinessCalendar;
+  notifications: NotificationConfig;
+  resolutionCodes: string[];
+  // Team -> usernames of the agents who work its queue
+  rosters: Record<string, string[]>;
+  numbering: NumberingConfig;
+  views: SavedView[];
+  workflow: Workflow;
+  // Routing rules, in the order they run
+  rules: RoutingRule[];
+  // SLA escalation steps, checked in this order
+  escalations: EscalationStep[];
+  // Extra intake fields, each shown for some (or all) categories
+  customFields: CustomField[];
+  attachments: AttachmentLimits;
+  cannedResponses: CannedResponse[];
+  // Knowledge base suggested to requesters as they fill in the portal form
+  articles: KbArticle[];
+  // New tickets from VIP contacts are raised to at least this priority
+  vipPriority: Priority | "none";
+};
+
+// ----- Status Workflow -----
+// Admins define the statuses. Each one has a kind that drives SLA and filtering: "open" runs the clock,
+// "paused" stops it (like On Hold) and "done" counts as resolved. The first open status is where new
+// and reopened tickets start.
+type StatusKind = "open" | "paused" | "done";
+// Fields a ticket needs before it can move into a status; the resolution fields only apply to done statuses
+type StatusField = "assignee" | "note" | "resolutionCode" | "resolutionSummary";
+// reopenable: requesters can reopen a ticket in this (done) status by replying
+type StatusDef = { name: string; kind: StatusKind; requires: StatusField[]; reopenable?: boolean };
+// transitions: status -> statuses it may move to; a status without an entry may move to any other
+type Workflow = { statuses: StatusDef[]; transitions: Record<TicketStatus, TicketStatus[]> };
+
+const STATUS_KINDS: Record<StatusKind, string> = { open: "Open", paused: "Paused", done: "Done" };
+const STATUS_FIELDS: Record<StatusField, string> = {
+  assignee: "Assignee",
+  note: "Note",
+  resolutionCode: "Resolution code",
+  resolutionSummary: "Resolution summary",
+};
+
+// The built-in workflow: any status may move to any other
+const DEFAULT_WORKFLOW: Workflow = {
+  statuses: [
+    { name: "Open", kind: "open", requires: [] },
+    { name: "In Progress", kind: "open", requires: [] },
+    { name: "On Hold", kind: "paused", requires: [] },
+    { name: "Resolved", kind: "done", requires: ["resolutionCode", "resolutionSummary"], reopenable: true },
+    { name: "Closed", kind: "done", requires: ["resolutionCode", "resolutionSummary"] },
+  ],
+  transitions: {},
+};
+
+// The fields a status of this kind can require
+function statusFields(kind: StatusKind) {
+  return (Object.keys(STATUS_FIELDS) as StatusField[]).filter((f) => kind === "done" || !f.startsWith("resolution"));
+}
+
+function normalizeWorkflow(obj?: Partial<Workflow>): Workflow {
+  const statuses: StatusDef[] = [];
+  for (const s of Array.isArray(obj?.statuses) ? obj!.statuses : []) {
+    const name = typeof s?.name === "string" ? s.name.trim() : "";
+    if (!name || statuses.some((x) => x.name.toLowerCase() === name.toLowerCase())) continue;
+    const kind: StatusKind = s.kind === "paused" || s.kind === "done" ? s.kind : "open";
+    const requires = statusFields(kind).filter((f) => Array.isArray(s.requires) && s.requires.includes(f));
+    statuses.push(kind === "done" ? { name, kind, requires, reopenable: !!s.reopenable } : { name, kind, requires });
+  }
+  // Tickets need somewhere to start and somewhere to finish
+  if (!statuses.some((s) => s.kind === "open") || !statuses.some((s) => s.kind === "done")) {
+    return { statuses: DEFAULT_WORKFLOW.statuses.map((s) => ({ ...s, requires: [...s.requires] })), transitions: {} };
+  }
+  const names = statuses.map((s) => s.name);
+  const transitions: Record<TicketStatus, TicketStatus[]> = {};
+  for (const from of names) {
+    const to = obj?.transitions?.[from];
+    if (Array.isArray(to)) transitions[from] = names.filter((n) => n !== from && to.includes(n));
+  }
+  return { statuses, transitions };
+}
+
+function statusDef(workflow: Workflow, status: TicketStatus) {
+  return workflow.statuses.find((s) => s.name === status);
+}
+
+// Statuses missing from the workflow behave as open until they're reconciled
+function statusKind(status: TicketStatus, workflow: Workflow = DEFAULT_WORKFLOW): StatusKind {
+  return statusDef(workflow, status)?.kind ?? "open";
+}
+
+// Where new and reopened tickets go
+function startStatus(workflow: Workflow) {
+  return workflow.statuses.find((s) => s.kind === "open")!.name;
+}
+
+// Where merged duplicates go: the last done status (Closed by default)
+function finalStatus(workflow: Workflow) {
+  return [...workflow.statuses].reverse().find((s) => s.kind === "done")!.name;
+}
+
+function canTransition(workflow: Workflow, from: TicketStatus, to: TicketStatus) {
+  const allowed = workflow.transitions[from];
+  return from === to || !allowed || allowed.includes(to);
+}
+
+// The current status plus everywhere it may move, in workflow order (for status pickers)
+function nextStatuses(workflow: Workflow, from: TicketStatus): TicketStatus[] {
+  const names = workflow.statuses.map((s) => s.name).filter((n) => canTransition(workflow, from, n));
+  return names.includes(from) ? names : [from, ...names];
+}
+
+// Maps a status that isn't in the workflow (legacy data, imports, a removed status) onto one that is:
+// same name in any case, then a known synonym, then the first status of the same kind
+function reconcileStatus(status: string, workflow: Workflow): TicketStatus {
+  const wanted = String(status || "").trim().toLowerCase();
+  const exact = workflow.statuses.find((s) => s.name.toLowerCase() === wanted);
+  if (exact) return exact.name;
+  const legacy = STATUS_SYNONYMS[wanted.replace(/[^a-z]/g, "")];
+  if (legacy && statusDef(workflow, legacy)) return legacy;
+  const kind = legacy ? statusKind(legacy) : "open";
+  return workflow.statuses.find((s) => s.kind === kind)?.name ?? startStatus(workflow);
+}
+
+// Values collected when moving a ticket: whatever the target status requires
+type TransitionFields = Partial<Record<StatusField, string>>;
+
+// Which required fields are missing or invalid. The note is only asked for on the move itself, the rest
+// must stay filled while the ticket sits in the status.
+function requirementErrors(def: StatusDef | undefined, fields: TransitionFields, codes: string[], moving = true): string[] {
+  const errors: string[] = [];
+  for (const f of def?.requires ?? []) {
+    if (f === "note" && !moving) continue;
+    const v = (fields[f] || "").trim();
+    if (!v) errors.push(`${STATUS_FIELDS[f]} is required for ${def!.name}.`);
+    else if (f === "resolutionCode" && !codes.includes(v)) errors.push(`Unknown resolution code "${v}".`);
+  }
+  return errors;
+}
+
+// Everything that blocks moving a ticket from one status to another
+function transitionErrors(workflow: Workflow, from: TicketStatus, to: TicketStatus, fields: TransitionFields, codes: string[]): string[] {
+  const def = statusDef(workflow, to);
+  if (!def) return [`Unknown status "${to}".`];
+  if (!canTransition(workflow, from, to)) return [`${from} can't move to ${to}.`];
+  return requirementErrors(def, fields, codes, from !== to);
+}
+
+// Whether moving several tickets at once needs a dialog first (an assignee can't be asked for in bulk)
+function needsTransitionDialog(workflow: Workflow, status: TicketStatus) {
+  return !!statusDef(workflow, status)?.requires.some((f) => f !== "assignee");
+}
+
+// The changes for a move: the new status plus the collected fields; the note becomes an internal note
+function transitionChanges(t: Ticket, status: TicketStatus, fields: TransitionFields, actor: string, nowISO: string): Partial<Ticket> {
+  const { note, ...rest } = fields;
+  const changes: Partial<Ticket> = { status };
+  for (const [k, v] of Object.entries(rest)) if (v !== undefined) (changes as any)[k] = v;
+  const text = note?.trim();
+  if (text) changes.notes = [...t.notes, { id: `N-${new Date(nowISO).getTime()}`, text, author: actor, createdAt: nowISO, visibility: "internal" }];
+  return changes;
+}
+
+// ----- Saved Views -----
+// The Filters panel state; a saved view is a named copy of it. Shared views show for every agent,
+// the rest only for their owner.
+type TicketFilters = {
+  q: string;
+  status: string;
+  category: string;
+  team: string;
+  assignee: string;
+  priority: string;
+  sla: string;
+  sort: string;
+  reverse: boolean;
+};
+type SavedView = { id: string; name: string; owner: string; shared: boolean; filters: TicketFilters };
+
+const DEFAULT_FILTERS: TicketFilters = { q: "", status: "All", category: "All", team: "All", assignee: "All", priority: "All", sla: "All", sort: "newest", reverse: false };
+
+function normalizeViews(arr: unknown): SavedView[] {
+  if (!Array.isArray(arr)) return [];
+  return arr
+    .filter((v) => v && typeof v.id === "string" && typeof v.name === "string" && v.name.trim())
+    .map((v) => {
+      const filters = { ...DEFAULT_FILTERS };
+      for (const k of Object.keys(DEFAULT_FILTERS) as (keyof TicketFilters)[]) {
+        if (typeof v.filters?.[k] === typeof DEFAULT_FILTERS[k]) (filters as any)[k] = v.filters[k];
+      }
+      if (!TICKET_SORTS[filters.sort]) filters.sort = DEFAULT_FILTERS.sort;
+      return { id: v.id, name: v.name.trim(), owner: typeof v.owner === "string" ? v.owner : "", shared: !!v.shared, filters };
+    });
+}
+
+// ----- Custom Fields -----
+// Admin-defined questions on the intake form, e.g. the asset tag for Hardware. A field with no categories
+// shows for all of them. key is how the search box refers to it (assettag:LT-1234).
+type CustomFieldType = "text" | "number" | "date" | "select" | "checkbox";
+type CustomField = { id: string; label: string; key: string; type: CustomFieldType; options: string[]; required: boolean; categories: string[] };
+
+const CUSTOM_FIELD_TYPES: Record<CustomFieldType, string> = { text: "Text", number: "Number", date: "Date", select: "Dropdown", checkbox: "Checkbox" };
+
+// A field gets its key when it's first saved and keeps it, so renaming or reordering fields doesn't change what
+// saved searches refer to. New keys are the label's letters and digits; ones that clash with a built-in search
+// field or another field's key get a number.
+function normalizeCustomFields(arr: unknown, categories: string[]): CustomField[] {
+  if (!Array.isArray(arr)) return [];
+  const valid = arr.filter((f) => f && typeof f.id === "string" && typeof f.label === "string" && f.label.trim());
+  const taken = new Set(Object.keys(QUERY_ALIASES));
+  // Kept keys are claimed first, so a field listed above can't take one
+  const kept = valid.map((f) => {
+    if (typeof f.key !== "string" || !/^[a-z][a-z0-9]*$/.test(f.key) || taken.has(f.key)) return "";
+    taken.add(f.key);
+    return f.key;
+  });
+  return valid.map((f, n) => {
+    const type: CustomFieldType = CUSTOM_FIELD_TYPES[f.type as CustomFieldType] ? f.type : "text";
+    let key = kept[n];
+    if (!key) {
+      const base = f.label.toLowerCase().replace(/[^a-z0-9]/g, "").replace(/^[0-9]+/, "") || "field";
+      key = base;
+      for (let i = 2; taken.has(key); i++) key = `${base}${i}`;
+      taken.add(key);
+    }
+    return {
+      id: f.id,
+      label: f.label.trim(),
+      key,
+      type,
+      options: type === "select" && Array.isArray(f.options) ? Array.from(new Set(f.options.map((o: any) => String(o).trim()).filter(Boolean))) : [],
+      required: !!f.required,
+      categories: Array.isArray(f.categories) ? f.categories.filter((c: any) => categories.includes(c)) : [],
+    };
+  });
+}
+
+function fieldsFor(fields: CustomField[], category: string) {
+  return fields.filter((f) => !f.categories.length || f.categories.includes(category));
+}
+
+// previous: the ticket's values before an edit. Agents may then leave a required field empty if it already was
+// (say, on a ticket from before the field existed); the intake form always requires it.
+function customFieldErrors(fields: CustomField[], values: Record<string, string>, previous?: Record<string, string>): string[] {
+  const errs: string[] = [];
+  for (const f of fields) {
+    const v = (values[f.id] || "").trim();
+    if (!v) {
+      if (f.required && (!previous || previous[f.id])) errs.push(`${f.label} is required.`);
+    } else if (f.type === "number" && !Number.isFinite(Number(v))) errs.push(`${f.label} must be a number.`);
+    else if (f.type === "date" && !/^\d{4}-\d{2}-\d{2}$/.test(v)) errs.push(`${f.label} must be a date (YYYY-MM-DD).`);
+    else if (f.type === "select" && !f.options.includes(v)) errs.push(`${f.label} must be one of ${f.options.join(", ")}.`);
+  }
+  return errs;
+}
+
+// Set the given fields' values (dropping empty ones) and keep values of fields that don't apply to the
+// category, so switching a ticket's category back and forth loses nothing
+function withFieldValues(existing: Record<string, string> | undefined, fields: CustomField[], values: Record<string, string>) {
+  const next = { ...existing };
+  for (const f of fields) {
+    const v = (values[f.id] || "").trim();
+    if (v) next[f.id] = v;
+    else delete next[f.id];
+  }
+  return Object.keys(next).length ? next : undefined;
+}
+
+function formatFieldValue(f: CustomField, v?: string) {
+  if (!v) return "";
+  return f.type === "checkbox" ? "Yes" : v;
+}
+
+// ----- Attachments -----
+// Admins cap the size of each file and list the types allowed: ".pdf" matches the file extension,
+// "image/*" a family of MIME types and anything else one exact MIME type. An empty list allows any type.
+type AttachmentLimits = { maxMB: number; types: string[] };
+
+// The server refuses anything bigger whatever the config says
+const MAX_ATTACHMENT_MB = 50;
+const DEFAULT_ATTACHMENT_LIMITS: AttachmentLimits = { maxMB: 10, types: ["image/*", "application/pdf", ".txt", ".log", ".csv", ".zip"] };
+
+function normalizeAttachmentLimits(obj?: Partial<AttachmentLimits>): AttachmentLimits {
+  const maxMB = Number(obj?.maxMB);
+  return {
+    maxMB: maxMB > 0 ? Math.min(maxMB, MAX_ATTACHMENT_MB) : DEFAULT_ATTACHMENT_LIMITS.maxMB,
+    types: Array.isArray(obj?.types) ? Array.from(new Set(obj!.types.map((t) => String(t).trim().toLowerCase()).filter(Boolean))) : DEFAULT_ATTACHMENT_LIMITS.types,
+  };
+}
+
+function attachmentTypeAllowed(file: { name: string; type: string }, types: string[]) {
+  if (!types.length) return true;
+  const name = file.name.toLowerCase();
+  const mime = (file.type || "").toLowerCase();
+  return types.some((t) => (t.startsWith(".") ? name.endsWith(t) : t.endsWith("/*") ? mime.startsWith(t.slice(0, -1)) : mime === t));
+}
+
+function attachmentErrors(file: { name: string; type: string; size: number }, limits: AttachmentLimits): string[] {
+  const errs: string[] = [];
+  if (file.size > limits.maxMB * 1024 * 1024) errs.push(`${file.name} is larger than ${limits.maxMB} MB.`);
+  if (!attachmentTypeAllowed(file, limits.types)) errs.push(`${file.name} isn't an allowed file type (${limits.types.join(", ")}).`);
+  return errs;
+}
+
+function formatBytes(n: number) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${Math.round(n / 1024)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function isImageAttachment(att: Attachment) {
+  return att.type.startsWith("image/");
+}
+
+// Everything attached to a ticket, at submission or on any of its notes
+function ticketAttachments(t: Ticket): Attachment[] {
+  return [...(t.attachments || []), ...t.notes.flatMap((n) => n.attachments || [])];
+}
+
+// Stored files no ticket refers to (an upload whose ticket was never saved, or one on a deleted ticket or note)
+// are marked the first time a sweep finds them and removed once they have stayed that way ORPHAN_HOURS, which
+// leaves time to undo a delete. marks: file ID -> when it was first found unreferenced. Mirrors the server's sweep.
+const ORPHAN_HOURS = 24;
+
+function sweepOrphans(stored: string[], tickets: Ticket[], marks: Record<string, string>, nowMs: number) {
+  const used = new Set(tickets.flatMap(ticketAttachments).map((a) => a.id));
+  const next: Record<string, string> = {};
+  const expired: string[] = [];
+  for (const id of stored.filter((x) => !used.has(x))) {
+    const since = marks[id] || new Date(nowMs).toISOString();
+    if (nowMs - Date.parse(since) >= ORPHAN_HOURS * 3600000) expired.push(id);
+    else next[id] = since;
+  }
+  return { marks: next, expired };
+}
+
+function migrateAttachments(arr: any): Attachment[] | undefined {
+  if (!Array.isArray(arr)) return undefined;
+  const list = arr
+    .filter((a) => a && typeof a.id === "string" && a.id)
+    .map((a) => ({ id: a.id, name: String(a.name || a.id), type: String(a.type || ""), size: Math.max(0, Number(a.size) || 0) }));
+  return list.length ? list : undefined;
+}
+
+// Store each file with the active adapter and return the metadata to keep on the ticket or note
+async function uploadAttachments(files: File[]): Promise<Attachment[]> {
+  const out: Attachment[] = [];
+  for (const f of files) {
+    const att: Attachment = { id: `A-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, name: f.name, type: f.type, size: f.size };
+    await activeStorage.saveAttachment(att, f);
+    out.push(att);
+  }
+  return out;
+}
+
+// A note that is only files says which ones
+function attachedText(attachments: Attachment[]) {
+  return attachments.length ? `Attached ${attachments.map((a) => a.name).join(", ")}` : "";
+}
+
+// Backups carry the file bytes as base64
+async function blobToBase64(blob: Blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+function base64ToBlob(data: string, type: string) {
+  return new Blob([Uint8Array.from(atob(data), (c) => c.charCodeAt(0))], { type });
+}
+
+// ----- Users and Roles -----
+// Requesters use the portal; agents work tickets; team leads can also delete them;
+// only admins change Config, manage users or wipe data.
+type Role = "requester" | "agent" | "lead" | "admin";
+type User = { id: string; username: string; name: string; email: string; role: Role; prefs?: UserPrefs };
+// Per-user display choices, saved with the account
+type UserPrefs = { ticketView?: "grid" | "board"; swimlanes?: "none" | "team" | "priority" };
+type Permission = "workTickets" | "deleteTickets" | "editConfig" | "manageUsers" | "resetData" | "importData";
+
+const ROLE_LABELS: Record<Role, string> = { requester: "Requester", agent: "Agent", lead: "Team Lead", admin: "Admin" };
+const ROLE_PERMISSIONS: Record<Role, Permission[]> = {
+  requester: [],
+  agent: ["workTickets"],
+  lead: ["workTickets", "deleteTickets"],
+  admin: ["workTickets", "deleteTickets", "editConfig", "manageUsers", "resetData", "importData"],
 };
+const PASSWORD_MIN = 8;
+
+function can(user: User | null, perm: Permission) {
+  return !!user && ROLE_PERMISSIONS[user.role].includes(perm);
+}
+
+// Requesters only see tickets submitted from their account, never by matching the unverified account email
+// (mirrors the server)
+function ownsTicket(user: User, t: Ticket) {
+  return ticketRequesters(t).some((r) => !!r.requesterId && r.requesterId === user.id);
+}
 
-type PriorityConfig = Record<Priority, { label: string; respondMins: number; resolveMins: number }>;
-type Config = { categories: string[]; teams: string[]; priorities: PriorityConfig };
+function userErrors(users: User[], user: User, password?: string): string[] {
+  const errs: string[] = [];
+  const username = user.username.trim().toLowerCase();
+  if (!username) errs.push("Username is required.");
+  else if (users.some((u) => u.username === username && u.id !== user.id)) errs.push(`Username ${username} is taken.`);
+  if (user.email && !/.+@.+\..+/.test(user.email)) errs.push("Please enter a valid email address.");
+  if (!users.some((u) => u.id === user.id) && !password) errs.push("Password is required.");
+  if (password && password.length < PASSWORD_MIN) errs.push(`Password must be at least ${PASSWORD_MIN} characters.`);
+  return errs;
+}
 
 // ----- Local Storage Keys and Defaults -----
 const STORAGE_KEY = "nexticket_tickets_v1";
@@ -37,61 +511,212 @@ const FALLBACK_CATEGORY = "Other";
 const FALLBACK_TEAM = "Unassigned";
 
 // ----- Utility Functions -----
-// Generate a formatted ticket ID
-function generateTicketId(seq: number) {
-  const d = new Date();
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, "0");
-  const day = String(d.getDate()).padStart(2, "0");
-  const n = String(seq % 10000).padStart(4, "0");
-  return `NTK-${y}${m}${day}-${n}`;
+// Ticket IDs are "<prefix>-<date>-<number>", e.g. NTK-20250101-0001. Numbers come from a persistent counter per
+// prefix+date stem (see allocateTicketId), so they restart each day/month/year and are never reused.
+const DATE_PARTS = ["YYYYMMDD", "YYYYMM", "YYYY", "none"] as const;
+
+function ticketIdStem(numbering: NumberingConfig, category: string, at: Date) {
+  const y = String(at.getFullYear());
+  const m = String(at.getMonth() + 1).padStart(2, "0");
+  const d = String(at.getDate()).padStart(2, "0");
+  const date = { YYYYMMDD: `${y}${m}${d}`, YYYYMM: `${y}${m}`, YYYY: y, none: "" }[numbering.datePart];
+  return [numbering.categoryPrefixes[category] || numbering.prefix, date].filter(Boolean).join("-") + "-";
+}
+
+function formatTicketId(numbering: NumberingConfig, stem: string, n: number) {
+  return `${stem}${String(n).padStart(numbering.padding, "0")}`;
+}
+
+// Next number for a stem: past the stored counter and past any existing ID with that stem
+function nextTicketNumber(stem: string, counters: Record<string, number>, existingIds: string[]) {
+  let max = counters[stem] || 0;
+  for (const id of existingIds) {
+    if (!id.startsWith(stem)) continue;
+    const n = Number(id.slice(stem.length));
+    if (Number.isInteger(n) && n > max) max = n;
+  }
+  return max + 1;
 }
 
 // Default priority and SLA setup
 function defaultPriorityConfig(): PriorityConfig {
   return {
-    P1: { label: "Critical", respondMins: 60, resolveMins: 1440 },
-    P2: { label: "High", respondMins: 120, resolveMins: 2880 },
-    P3: { label: "Normal", respondMins: 240, resolveMins: 4320 },
-    P4: { label: "Low", respondMins: 720, resolveMins: 10080 },
+    P1: { label: "Critical", respondMins: 60, resolveMins: 1440, allDay: true },
+    P2: { label: "High", respondMins: 120, resolveMins: 2880, allDay: false },
+    P3: { label: "Normal", respondMins: 240, resolveMins: 4320, allDay: false },
+    P4: { label: "Low", respondMins: 720, resolveMins: 10080, allDay: false },
+  };
+}
+
+// Default business calendar: Mon–Fri 09:00–17:00 in the browser's timezone
+function defaultCalendar(): BusinessCalendar {
+  const workday = { start: "09:00", end: "17:00" };
+  return {
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC",
+    hours: [null, workday, workday, workday, workday, workday, null],
+    holidays: [],
+  };
+}
+
+function isValidTimezone(tz: any) {
+  if (typeof tz !== "string" || !tz) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function parseHHMM(v: any): number | null {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(v ?? ""));
+  if (!m) return null;
+  const mins = Number(m[1]) * 60 + Number(m[2]);
+  return Number(m[2]) < 60 && mins <= 1440 ? mins : null;
+}
+
+function normalizeCalendar(obj?: Partial<BusinessCalendar>): BusinessCalendar {
+  const d = defaultCalendar();
+  const rawHours = Array.isArray(obj?.hours) && obj!.hours.length === 7 ? obj!.hours : d.hours;
+  const hours = rawHours.map((h) => {
+    const start = parseHHMM(h?.start);
+    const end = parseHHMM(h?.end);
+    return h && start !== null && end !== null && start < end ? { start: h.start, end: h.end } : null;
+  });
+  const holidays = (Array.isArray(obj?.holidays) ? obj!.holidays : []).filter((x) => /^\d{4}-\d{2}-\d{2}$/.test(String(x)));
+  return {
+    timezone: isValidTimezone(obj?.timezone) ? obj!.timezone! : d.timezone,
+    hours,
+    holidays: Array.from(new Set(holidays)).sort(),
+  };
+}
+
+// Default requester emails: only Resolved and Closed are sent out of the box
+function defaultNotifications(): NotificationConfig {
+  const body = (line: string) =>
+    `Hello {{name}},\n\n${line}\n\nTicket: {{id}} - {{title}}\nStatus: {{status}}\nPriority: {{priority}}\nResolve by: {{resolveBy}}\n\nReply to this email and keep the ticket ID in the subject to add more information.\n\n- NexTicket`;
+  return {
+    Open: { enabled: false, subject: "[{{id}}] Your ticket was reopened", body: body("Your ticket has been reopened.") },
+    "In Progress": { enabled: false, subject: "[{{id}}] We're working on your ticket", body: body("An agent is now working on your ticket.") },
+    "On Hold": { enabled: false, subject: "[{{id}}] Your ticket is on hold", body: body("Your ticket is on hold for now. We'll follow up as soon as we can continue.") },
+    Resolved: { enabled: true, subject: "[{{id}}] Your ticket has been resolved", body: body("Your ticket has been resolved. If the problem is not fixed, just reply to this email.") },
+    Closed: { enabled: true, subject: "[{{id}}] Your ticket has been closed", body: body("Your ticket has been closed.") },
   };
 }
 
+// Statuses added by an admin start with a generic, disabled template
+function customNotification(): NotificationTemplate {
+  return {
+    enabled: false,
+    subject: "[{{id}}] Your ticket is now {{status}}",
+    body: "Hello {{name}},\n\nYour ticket is now {{status}}.\n\nTicket: {{id}} - {{title}}\nPriority: {{priority}}\n\n- NexTicket",
+  };
+}
+
+function normalizeNotifications(obj: Partial<NotificationConfig> | undefined, statuses: TicketStatus[]): NotificationConfig {
+  const d = defaultNotifications();
+  const out = {} as NotificationConfig;
+  for (const status of statuses) {
+    const v = obj?.[status];
+    const fallback = d[status] ?? customNotification();
+    out[status] = {
+      enabled: typeof v?.enabled === "boolean" ? v.enabled : fallback.enabled,
+      subject: typeof v?.subject === "string" ? v.subject : fallback.subject,
+      body: typeof v?.body === "string" ? v.body : fallback.body,
+    };
+  }
+  return out;
+}
+
 // Ensure config is valid and complete
+const DEFAULT_ID_PREFIX = "NTK";
+
+// Prefixes are 1-10 uppercase letters/digits so IDs stay easy to read out and to spot in email subjects
+function cleanIdPrefix(v: any) {
+  return String(v || "").toUpperCase().replace(/[^A-Z0-9]/g, "").slice(0, 10);
+}
+
+function normalizeNumbering(obj: Partial<NumberingConfig> | undefined, categories: string[]): NumberingConfig {
+  const padding = Math.round(Number(obj?.padding));
+  const categoryPrefixes: Record<string, string> = {};
+  for (const c of categories) {
+    const p = cleanIdPrefix(obj?.categoryPrefixes?.[c]);
+    if (p) categoryPrefixes[c] = p;
+  }
+  return {
+    prefix: cleanIdPrefix(obj?.prefix) || DEFAULT_ID_PREFIX,
+    datePart: DATE_PARTS.includes(obj?.datePart as any) ? obj!.datePart! : "YYYYMMDD",
+    padding: padding >= 1 && padding <= 10 ? padding : 4,
+    categoryPrefixes,
+  };
+}
+
 function normalizeConfig(obj?: Partial<Config>): Config {
   const defaultsC = ["Hardware", "Software", "Account/Access", "Networking", "Facilities", "Other"];
   const defaultsT = ["Service Desk", "Desktop Support", "Networking", "Development", "Facilities", "Unassigned"];
+  const defaultsR = ["Fixed", "Workaround", "Duplicate", "User Error", "Won't Fix"];
+  const resolutionCodes = (obj?.resolutionCodes && Array.isArray(obj.resolutionCodes) ? obj.resolutionCodes : defaultsR).filter(Boolean);
   const categories = (obj?.categories && Array.isArray(obj.categories) ? obj.categories : defaultsC).filter(Boolean);
   const teams = (obj?.teams && Array.isArray(obj.teams) ? obj.teams : defaultsT).filter(Boolean);
   const base = (obj && (obj as any).priorities ? (obj as any).priorities : null) as PriorityConfig | null;
   const safe = base ?? defaultPriorityConfig();
+  const withFlag = (p: Priority) => {
+    const d = defaultPriorityConfig()[p];
+    const v = safe?.[p] ?? d;
+    return { ...v, allDay: typeof v.allDay === "boolean" ? v.allDay : d.allDay };
+  };
   const priorities: PriorityConfig = {
-    P1: safe?.P1 ?? defaultPriorityConfig().P1,
-    P2: safe?.P2 ?? defaultPriorityConfig().P2,
-    P3: safe?.P3 ?? defaultPriorityConfig().P3,
-    P4: safe?.P4 ?? defaultPriorityConfig().P4,
+    P1: withFlag("P1"),
+    P2: withFlag("P2"),
+    P3: withFlag("P3"),
+    P4: withFlag("P4"),
   };
+  const finalTeams = teams.length ? teams : defaultsT;
+  const workflow = normalizeWorkflow(obj?.workflow ?? DEFAULT_WORKFLOW);
+  // Rosters follow the team list: renamed or removed teams drop their roster
+  const rosters: Record<string, string[]> = {};
+  for (const team of finalTeams) {
+    const members = obj?.rosters?.[team];
+    if (Array.isArray(members)) rosters[team] = Array.from(new Set(members.filter((m) => typeof m === "string" && m)));
+  }
   return {
     categories: categories.length ? categories : defaultsC,
-    teams: teams.length ? teams : defaultsT,
+    teams: finalTeams,
     priorities,
+    calendar: normalizeCalendar(obj?.calendar),
+    notifications: normalizeNotifications(obj?.notifications, workflow.statuses.map((s) => s.name)),
+    resolutionCodes: resolutionCodes.length ? resolutionCodes : defaultsR,
+    rosters,
+    numbering: normalizeNumbering(obj?.numbering, categories.length ? categories : defaultsC),
+    views: normalizeViews(obj?.views),
+    workflow,
+    rules: normalizeRules(obj?.rules),
+    escalations: normalizeEscalations(obj?.escalations),
+    customFields: normalizeCustomFields(obj?.customFields, categories.length ? categories : defaultsC),
+    attachments: normalizeAttachmentLimits(obj?.attachments),
+    cannedResponses: normalizeCannedResponses(obj?.cannedResponses),
+    articles: normalizeArticles(obj?.articles, categories.length ? categories : defaultsC),
+    vipPriority: isPriority(obj?.vipPriority) || obj?.vipPriority === "none" ? obj!.vipPriority! : "P2",
   };
 }
 
-// Load and save functions for local storage
-function loadConfig(): Config {
-  try {
-    const raw = localStorage.getItem(STORAGE_CONFIG_KEY);
-    if (!raw) return normalizeConfig();
-    const obj = JSON.parse(raw) as Partial<Config>;
-    return normalizeConfig(obj);
-  } catch {
-    return normalizeConfig();
-  }
+// Agents on a team's roster, in roster order (usernames without an account are skipped)
+function teamAgents(rosters: Record<string, string[]>, team: string, users: User[]) {
+  return (rosters[team] || []).map((name) => users.find((u) => u.username === name)).filter((u): u is User => !!u);
+}
+
+// An assignee only stays valid while they're on the ticket's team
+function validAssignee(rosters: Record<string, string[]>, team: string, assignee?: string) {
+  return assignee && (rosters[team] || []).includes(assignee) ? assignee : undefined;
+}
+
+// Load and save functions, backed by the active storage adapter
+async function loadConfig(): Promise<Config> {
+  return activeStorage.loadConfig();
 }
 
-function saveConfig(cfg: Config) {
-  localStorage.setItem(STORAGE_CONFIG_KEY, JSON.stringify(cfg));
+async function saveConfig(cfg: Config) {
+  await activeStorage.saveConfig(cfg);
 }
 
 // ----- Ticket Migration and Safety Checks -----
@@ -104,7 +729,8 @@ function migrateTicket(t: any): Ticket {
   const priority: Priority = isPriority(t?.priority) ? t.priority : "P3";
   const team = t?.team || FALLBACK_TEAM;
   return {
-    id: String(t.id || generateTicketId(0)),
+    // Missing IDs are filled in by repairTicketIds on load
+    id: String(t.id || ""),
     title: String(t.title || "Untitled"),
     description: String(t.description || ""),
     name: String(t.name || ""),
@@ -116,734 +742,6890 @@ function migrateTicket(t: any): Ticket {
     priority,
     createdAt: String(t.createdAt || new Date().toISOString()),
     updatedAt: String(t.updatedAt || new Date().toISOString()),
-    notes: Array.isArray(t?.notes) ? t.notes : [],
+    notes: Array.isArray(t?.notes)
+      ? t.notes.map((n: any) => ({ ...n, visibility: n?.visibility === "public" ? "public" : "internal", attachments: migrateAttachments(n?.attachments) }))
+      : [],
+    ...migrateSla(t),
+    deliveries: Array.isArray(t?.deliveries) ? t.deliveries : [],
+    resolutionCode: t?.resolutionCode ? String(t.resolutionCode) : undefined,
+    resolutionSummary: t?.resolutionSummary ? String(t.resolutionSummary) : undefined,
+    history: Array.isArray(t?.history) ? t.history : [],
+    requesterId: t?.requesterId ? String(t.requesterId) : undefined,
+    assignee: t?.assignee ? String(t.assignee) : undefined,
+    parentId: t?.parentId ? String(t.parentId) : undefined,
+    duplicateOf: t?.duplicateOf ? String(t.duplicateOf) : undefined,
+    related: Array.isArray(t?.related) && t.related.length ? t.related.map(String) : undefined,
+    major: t?.major ? true : undefined,
+    fields: t?.fields && typeof t.fields === "object" && Object.keys(t.fields).length ? Object.fromEntries(Object.entries(t.fields).map(([k, v]) => [k, String(v)])) : undefined,
+    attachments: migrateAttachments(t?.attachments),
+    contactId: t?.contactId ? String(t.contactId) : undefined,
+    version: Number.isInteger(t?.version) && t.version > 0 ? t.version : undefined,
+    otherRequesters:
+      Array.isArray(t?.otherRequesters) && t.otherRequesters.length
+        ? t.otherRequesters
+            .filter((r: any) => r?.contactValue)
+            .map((r: any) => ({
+              name: String(r.name || ""),
+              contactType: r.contactType === "phone" ? "phone" : "email",
+              contactValue: String(r.contactValue),
+              requesterId: r.requesterId ? String(r.requesterId) : undefined,
+            }))
+        : undefined,
+  };
+}
+
+// Legacy tickets predate SLA tracking; best guess is that the last update was the relevant transition.
+// Every ticket saved since carries pausedMins, so the guess is made once and never re-derived: on a current
+// ticket a note (say the requester's own reply) must not count as the first response. Legacy tickets predate
+// custom workflows too, so a status the built-in workflow doesn't know is read as untouched.
+function migrateSla(t: any) {
+  const status = statusDef(DEFAULT_WORKFLOW, t?.status) ? (t.status as TicketStatus) : "Open";
+  const updatedAt = t?.updatedAt ? String(t.updatedAt) : undefined;
+  const legacy = t?.pausedMins === undefined;
+  const guess = (v: any, applies: boolean) => (v ? String(v) : legacy && applies ? updatedAt : undefined);
+  return {
+    firstResponseAt: guess(t?.firstResponseAt, status !== "Open" || (Array.isArray(t?.notes) && t.notes.length > 0)),
+    resolvedAt: guess(t?.resolvedAt, isDoneStatus(status)),
+    pausedMins: Math.max(0, Number(t?.pausedMins) || 0),
+    pausedAt: guess(t?.pausedAt, isPausedStatus(status)),
   };
 }
 
 // ----- Ticket Load/Save -----
-function loadTickets(): Ticket[] {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return [];
-    const arr = JSON.parse(raw) as any[];
-    return (Array.isArray(arr) ? arr : []).map(migrateTicket);
-  } catch {
-    return [];
-  }
+async function loadTickets(): Promise<Ticket[]> {
+  return activeStorage.loadTickets();
 }
 
-function saveTickets(tickets: Ticket[]) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(tickets));
+async function saveTickets(tickets: Ticket[]) {
+  await activeStorage.saveTickets(tickets);
 }
 
-// ----- SLA Computation -----
-function computeDeadlines(priority: Priority | undefined, createdAtISO: string, cfg: Partial<Config>) {
-  const pri: Priority = isPriority(priority) ? priority : "P3";
-  const table = cfg?.priorities ?? defaultPriorityConfig();
-  const p = table[pri] ?? defaultPriorityConfig()[pri];
-  const base = new Date(createdAtISO).getTime();
-  const respondDue = new Date(base + (p.respondMins || 0) * 60 * 1000).toISOString();
-  const resolveDue = new Date(base + (p.resolveMins || 0) * 60 * 1000).toISOString();
-  return { respondDue, resolveDue };
+// Give every ticket whose ID is missing or already taken a fresh one. The oldest ticket keeps a shared ID;
+// the rename is recorded in each repaired ticket's history.
+async function repairTicketIds(tickets: Ticket[], allocate: (t: Ticket) => Promise<string>, actor: string) {
+  const byAge = [...tickets].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  const seen = new Set<string>();
+  const renamed = new Map<Ticket, string>();
+  for (const t of byAge) {
+    if (t.id && !seen.has(t.id)) {
+      seen.add(t.id);
+      continue;
+    }
+    const id = await allocate(t);
+    seen.add(id);
+    renamed.set(t, id);
+  }
+  if (!renamed.size) return { tickets, repaired: 0 };
+  const now = new Date().toISOString();
+  const repaired = tickets.map((t) => {
+    const id = renamed.get(t);
+    if (!id) return t;
+    return { ...t, id, history: [...t.history, historyEntry(actor, now, { kind: "change", field: "id", from: t.id, to: id })] };
+  });
+  return { tickets: repaired, repaired: renamed.size };
 }
 
-// Style for due date highlighting
-function dueClass(iso: string) {
-  const now = Date.now();
-  const t = new Date(iso).getTime();
-  if (t < now) return "text-red-700 bg-red-50 border-red-200";
-  return "text-emerald-700 bg-emerald-50 border-emerald-200";
+// Move tickets whose status isn't in the workflow (legacy data, a restored backup) onto one that is,
+// recording the move in their history
+function repairStatuses(tickets: Ticket[], workflow: Workflow, actor: string) {
+  const now = new Date().toISOString();
+  let repaired = 0;
+  const out = tickets.map((t) => {
+    if (statusDef(workflow, t.status)) return t;
+    repaired++;
+    const status = reconcileStatus(t.status, workflow);
+    return { ...t, status, history: [...t.history, historyEntry(actor, now, { kind: "change", field: "status", from: t.status, to: status })] };
+  });
+  return { tickets: out, repaired };
 }
 
-// ----- UI Reusable Components -----
-function Section({ title, children, actions }: { title: string; children: React.ReactNode; actions?: React.ReactNode }) {
-  return (
-    <div className="bg-white rounded-2xl shadow p-6 border border-gray-100">
-      <div className="flex items-center justify-between mb-4">
-        <h2 className="text-xl font-semibold truncate pr-4 min-w-0">{title}</h2>
-        <div className="shrink-0">{actions}</div>
-      </div>
-      {children}
-    </div>
-  );
+// ----- Live Sync -----
+// Every save is made against the ticket's version. Storage refuses one based on an older version and hands
+// back its own copy, which reaches the UI like any change made in another tab or by another agent; the UI
+// merges it with whatever it hasn't saved yet (applySyncEvent) and saves again on top of it.
+type SyncEvent =
+  // Saved elsewhere; base is this session's last copy, for merging with unsaved edits
+  | { kind: "ticket"; ticket: Ticket; base?: Ticket }
+  // Our own save went through: ticket carries the new version, from the one it was based on
+  | { kind: "saved"; ticket: Ticket; from: number }
+  | { kind: "deleted"; id: string }
+  | { kind: "config" }
+  // The requester directory changed (the server links the tickets it creates); staff sessions only
+  | { kind: "contacts" };
+
+function ticketVersion(t?: Ticket) {
+  return t?.version || 0;
 }
 
-function TextInput({ label, ...props }: React.InputHTMLAttributes<HTMLInputElement> & { label: string }) {
-  return (
-    <label className="block mb-3 min-w-0">
-      <span className="block text-sm font-medium text-gray-700 mb-1 truncate">{label}</span>
-      <input
-        {...props}
-        className={`w-full rounded-xl border border-gray-300 px-3 py-2 outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 ${props.className || ""}`}
-      />
-    </label>
+// JSON with object keys sorted, so copies that went through storage compare equal to ours
+function stableJson(value: unknown) {
+  return JSON.stringify(value, (_key, v) =>
+    v && typeof v === "object" && !Array.isArray(v) ? Object.fromEntries(Object.keys(v).sort().map((k) => [k, v[k]])) : v
   );
 }
 
-function TextArea({ label, ...props }: React.TextareaHTMLAttributes<HTMLTextAreaElement> & { label: string }) {
-  return (
-    <label className="block mb-3 min-w-0">
-      <span className="block text-sm font-medium text-gray-700 mb-1 truncate">{label}</span>
-      <textarea
-        {...props}
-        className={`w-full rounded-xl border border-gray-300 px-3 py-2 outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 ${props.className || ""}`}
-      />
-    </label>
-  );
+// Custom field values as top-level "fields.<id>" keys, so a change to one isn't a change to all of them
+function flattenFields<T extends { fields?: Record<string, string> }>({ fields, ...rest }: T): Record<string, unknown> {
+  return { ...rest, ...Object.fromEntries(Object.entries(fields || {}).map(([k, v]) => [`fields.${k}`, v])) };
 }
 
-function Select({ label, children, ...props }: React.SelectHTMLAttributes<HTMLSelectElement> & { label: string }) {
-  return (
-    <label className="block mb-3 min-w-0">
-      <span className="block text-sm font-medium text-gray-700 mb-1 truncate">{label}</span>
-      <select
-        {...props}
-        className={`w-full rounded-xl border border-gray-300 px-3 py-2 bg-white outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 ${props.className || ""}`}
-      >
-        {children}
-      </select>
-    </label>
-  );
+function unflattenFields(flat: Record<string, unknown>) {
+  const out: Record<string, unknown> = {};
+  const fields: Record<string, string> = {};
+  for (const [k, v] of Object.entries(flat)) {
+    if (!k.startsWith("fields.")) out[k] = v;
+    else if (v !== undefined) fields[k.slice(7)] = String(v);
+  }
+  return { ...out, fields: Object.keys(fields).length ? fields : undefined };
 }
 
-function Badge({ children }: { children: React.ReactNode }) {
-  return <span className="inline-flex items-center rounded-full border px-2 py-0.5 text-xs font-medium break-words">{children}</span>;
+// Three-way merge of flat records: a key only one side changed takes that side's value. Where both sides
+// changed it differently mine is kept and the key is reported as a clash. changed: the keys theirs changed.
+function mergeFields(base: Record<string, unknown>, mine: Record<string, unknown>, theirs: Record<string, unknown>) {
+  const merged: Record<string, unknown> = {};
+  const changed: string[] = [];
+  const clashes: string[] = [];
+  for (const k of new Set([...Object.keys(base), ...Object.keys(mine), ...Object.keys(theirs)])) {
+    const [b, m, t] = [stableJson(base[k]), stableJson(mine[k]), stableJson(theirs[k])];
+    if (t !== b) changed.push(k);
+    if (m === b) merged[k] = theirs[k];
+    else {
+      merged[k] = mine[k];
+      if (t !== b && t !== m) clashes.push(k);
+    }
+  }
+  return { merged, changed, clashes };
 }
 
-function Pill({ children, className = "" }: { children: React.ReactNode; className?: string }) {
-  return <span className={`inline-flex items-center rounded-full px-2.5 py-1 text-xs font-medium ${className}`}>{children}</span>;
+// Append-only lists (notes, history, deliveries): theirs, less what mine removed, plus what mine added
+function mergeById<T extends { id: string }>(base: T[] = [], mine: T[] = [], theirs: T[] = []) {
+  const had = new Set(base.map((x) => x.id));
+  const kept = new Set(mine.map((x) => x.id));
+  const have = new Set(theirs.map((x) => x.id));
+  return [...theirs.filter((x) => !had.has(x.id) || kept.has(x.id)), ...mine.filter((x) => !had.has(x.id) && !have.has(x.id))];
 }
 
-function Divider() {
-  return <div className="h-px bg-gray-200 my-4" />;
+// Edits made here on top of base, replayed onto theirs. A field both sides changed keeps their value: these
+// are saves nobody is looking at, and the one that reached storage first wins.
+function mergeTicket(base: Ticket, mine: Ticket, theirs: Ticket): { ticket: Ticket; clashes: string[] } {
+  const scalars = ({ notes: _n, history: _h, deliveries: _d, attachments: _a, updatedAt: _u, version: _v, ...rest }: Ticket) => flattenFields(rest);
+  const theirScalars = scalars(theirs);
+  const { merged, clashes } = mergeFields(scalars(base), scalars(mine), theirScalars);
+  for (const k of clashes) merged[k] = theirScalars[k];
+  const attachments = mergeById(base.attachments, mine.attachments, theirs.attachments);
+  const ticket = {
+    ...(unflattenFields(merged) as Omit<Ticket, "notes" | "history" | "deliveries" | "updatedAt">),
+    notes: mergeById(base.notes, mine.notes, theirs.notes),
+    history: mergeById(base.history, mine.history, theirs.history),
+    deliveries: mergeById(base.deliveries, mine.deliveries, theirs.deliveries),
+    attachments: attachments.length ? attachments : undefined,
+    updatedAt: mine.updatedAt > theirs.updatedAt ? mine.updatedAt : theirs.updatedAt,
+    version: theirs.version,
+  };
+  return { ticket, clashes };
 }
 
-// ----- Main Application -----
-// Contains the logic for both the self-service portal and admin dashboard.
+function syncFieldLabel(key: string, customFields: CustomField[]) {
+  if (key.startsWith("fields.")) return customFields.find((f) => f.id === key.slice(7))?.label || key.slice(7);
+  return AUDITED_FIELDS[key] || (key === "contactId" ? "Directory contact" : key);
+}
 
-export default function TicketingApp() {
-  // State management for app data, filters, and form handling
-  const [tab, setTab] = useState<"portal" | "admin">("portal");
-  const [tickets, setTickets] = useState<Ticket[]>([]);
-  const [cfg, setCfg] = useState<Config>(loadConfig());
-  const [seq, setSeq] = useState<number>(() => (loadTickets().length % 10000) + 1);
-  const [submitMsg, setSubmitMsg] = useState<string>("");
-  const [filters, setFilters] = useState({ q: "", status: "All", category: "All", team: "All", priority: "All" });
-  const [selectedId, setSelectedId] = useState<string | null>(null);
+// Fold a storage event into the UI's tickets. A ticket with edits not yet saved here is merged with the
+// incoming copy; clashes are the fields where the incoming copy overrode an edit made here.
+function applySyncEvent(list: Ticket[], ev: Exclude<SyncEvent, { kind: "config" | "contacts" }>): { tickets: Ticket[]; clashes: string[] } {
+  if (ev.kind === "deleted") return { tickets: list.filter((t) => t.id !== ev.id), clashes: [] };
+  const mine = list.find((t) => t.id === ev.ticket.id);
+  if (ev.kind === "saved") {
+    // Anything edited since was made on top of what was just saved, so it only needs the new version
+    if (!mine || ticketVersion(mine) !== ev.from) return { tickets: list, clashes: [] };
+    return { tickets: list.map((t) => (t === mine ? { ...t, version: ev.ticket.version } : t)), clashes: [] };
+  }
+  if (!mine) return { tickets: [ev.ticket, ...list], clashes: [] };
+  if (ticketVersion(mine) >= ticketVersion(ev.ticket)) return { tickets: list, clashes: [] };
+  const { ticket, clashes } = !ev.base || stableJson(mine) === stableJson(ev.base) ? { ticket: ev.ticket, clashes: [] } : mergeTicket(ev.base, mine, ev.ticket);
+  return { tickets: list.map((t) => (t === mine ? ticket : t)), clashes };
+}
 
-  // Data persistence
-  useEffect(() => {
-    setTickets(loadTickets());
-  }, []);
-  useEffect(() => {
-    saveTickets(tickets);
-  }, [tickets]);
-  useEffect(() => {
-    const normalized = normalizeConfig(cfg);
-    if (JSON.stringify(normalized) !== JSON.stringify(cfg)) setCfg(normalized);
-    saveConfig(normalized);
-  }, [cfg]);
-  useEffect(() => {
-    runTests();
-  }, []);
+// What a session last knew of each stored ticket, so a save only sends what changed here and copies coming
+// back from storage can be told apart from newer ones
+function syncTracker() {
+  let known = new Map<string, Ticket>();
+  // IDs in the list last saved from the UI: one that drops out of it was deleted here
+  let listed = new Set<string>();
+  return {
+    reset(tickets: Ticket[]) {
+      known = new Map(tickets.map((t) => [t.id, t] as [string, Ticket]));
+      listed = new Set(known.keys());
+    },
+    // Tickets to save and IDs to delete. A ticket older than ours is skipped: the newer copy is on its way
+    // to the UI, which will merge and save again.
+    changes(tickets: Ticket[]) {
+      const ids = new Set(tickets.map((t) => t.id));
+      const deleted = Array.from(listed).filter((id) => !ids.has(id) && known.has(id));
+      listed = ids;
+      const changed = tickets.filter((t) => {
+        const k = known.get(t.id);
+        return !k || (ticketVersion(t) >= ticketVersion(k) && stableJson(t) !== stableJson(k));
+      });
+      return { changed, deleted };
+    },
+    saved(t: Ticket, version: number): Extract<SyncEvent, { kind: "saved" }> {
+      const copy = { ...t, version };
+      known.set(t.id, copy);
+      return { kind: "saved", ticket: copy, from: ticketVersion(t) };
+    },
+    known: (id: string) => known.has(id),
+    forget,
+    receive,
+    // Everything storage holds now: what's new or newer, and what's gone
+    absorb(tickets: Ticket[]): SyncEvent[] {
+      const ids = new Set(tickets.map((t) => t.id));
+      const gone = Array.from(known.keys()).filter((id) => !ids.has(id));
+      return [...tickets.map(receive).filter((e): e is SyncEvent => !!e), ...gone.map(forget)];
+    },
+  };
 
-  // ----- Portal (User Ticket Submission) Logic -----
-  // Handles user form submission, validation, and ticket creation.
+  function forget(id: string): SyncEvent {
+    known.delete(id);
+    return { kind: "deleted", id };
+  }
 
-  function safeDefaults(currentCfg: Config) {
-    const category = currentCfg.categories[0] || FALLBACK_CATEGORY;
-    const team = currentCfg.teams.find((t) => t !== FALLBACK_TEAM) || currentCfg.teams[0] || FALLBACK_TEAM;
-    const priority: Priority = "P3";
-    return { category, team, priority };
+  // A copy from storage; null when we already have it (our own save coming back)
+  function receive(t: Ticket): SyncEvent | null {
+    const base = known.get(t.id);
+    if (base && ticketVersion(t) <= ticketVersion(base)) return null;
+    known.set(t.id, t);
+    return { kind: "ticket", ticket: t, base };
   }
+}
 
-  const [form, setForm] = useState(() => {
-    const d = safeDefaults(cfg);
-    return {
-      title: "",
-      description: "",
-      name: "",
-      contactType: "email" as "email" | "phone",
-      contactValue: "",
-      category: d.category,
+// ----- Storage Adapters -----
+// The UI talks to one adapter: the browser's localStorage (default) or the NexTicket API server
+// (NexTicketServer.mjs) so the whole desk shares one queue. Which one is used is a per-browser setting.
+type StorageSettings = { kind: "local" } | { kind: "api"; baseUrl: string };
+
+// What "Check My Ticket" finds a ticket by
+type TicketLookupKey = { id: string; contact: string };
+
+type StorageAdapter = {
+  settings: StorageSettings;
+  loadTickets(): Promise<Ticket[]>;
+  // Saves what changed since the last load or save; outcomes (new versions, refused saves) come back as SyncEvents
+  saveTickets(tickets: Ticket[]): Promise<void>;
+  // Live updates from other tabs and agents, and the outcome of our own saves; returns an unsubscribe
+  subscribe(listener: (ev: SyncEvent) => void): () => void;
+  loadConfig(): Promise<Config>;
+  saveConfig(cfg: Config): Promise<void>;
+  reset(): Promise<void>;
+  // Email the ticket's requester (server only)
+  // to defaults to the ticket's own requester; it may also be one merged into the ticket.
+  // false when there's nothing to send email with (local mode, or a server without SMTP)
+  notify(ticketId: string, msg: { subject: string; text: string; to?: string }): Promise<boolean>;
+  // Email the alert addresses of a routing rule or escalation step that fired on a ticket (server only);
+  // false when that firing was already alerted (say from another tab)
+  alert(ticketId: string, source: AlertSource): Promise<boolean>;
+  // Accounts: register makes the very first account an admin and everyone after that a requester
+  login(username: string, password: string): Promise<User>;
+  register(user: Omit<User, "id" | "role">, password: string): Promise<User>;
+  restoreSession(): Promise<User | null>;
+  logout(): Promise<void>;
+  loadUsers(): Promise<User[]>;
+  saveUser(user: User, password?: string): Promise<User>;
+  deleteUser(id: string): Promise<void>;
+  // Merge into the signed-in user's preferences
+  savePrefs(prefs: UserPrefs): Promise<void>;
+  // Portal "Check My Ticket": ticket ID + the contact it was filed with, answered without internal notes
+  lookupTicket(id: string, contact: string): Promise<Ticket | null>;
+  replyToTicket(id: string, contact: string, reply: RequesterReply): Promise<Ticket>;
+  // Reserve the next ticket ID; a reserved number is never handed out again, even if the ticket is deleted
+  allocateTicketId(category: string, numbering: NumberingConfig, at?: Date): Promise<string>;
+  // Saved views live in Config but any agent may save their own, so they don't go through saveConfig
+  saveView(view: SavedView): Promise<void>;
+  deleteView(id: string): Promise<void>;
+  // File bytes for an Attachment (the metadata is kept on the ticket or note); limits are checked on save.
+  // lookup: the Check My Ticket ID and contact a requester is viewing the file through
+  saveAttachment(att: Attachment, data: Blob): Promise<void>;
+  loadAttachment(id: string, lookup?: TicketLookupKey): Promise<Blob>;
+  // Any signed-in user records a deflection; staff read them back for the knowledge-base stats
+  recordDeflection(d: Deflection): Promise<void>;
+  loadDeflections(): Promise<Deflection[]>;
+  // Requester directory (staff only); saveContact refuses an address that belongs to another contact
+  loadContacts(): Promise<Contact[]>;
+  saveContact(c: Contact): Promise<Contact>;
+  deleteContact(id: string): Promise<void>;
+};
+
+const STORAGE_SETTINGS_KEY = "nexticket_storage_v1";
+const STORAGE_USERS_KEY = "nexticket_users_v1";
+const STORAGE_SESSION_KEY = "nexticket_session_v1";
+const STORAGE_COUNTERS_KEY = "nexticket_id_counters_v1";
+const STORAGE_DEFLECTIONS_KEY = "nexticket_deflections_v1";
+const STORAGE_CONTACTS_KEY = "nexticket_contacts_v1";
+const STORAGE_ORPHANS_KEY = "nexticket_orphaned_files_v1";
+const DEFAULT_API_URL = "http://localhost:8787";
+
+function loadStorageSettings(): StorageSettings {
+  try {
+    const obj = JSON.parse(localStorage.getItem(STORAGE_SETTINGS_KEY) || "null");
+    if (obj?.kind === "api" && typeof obj.baseUrl === "string" && obj.baseUrl.trim()) return { kind: "api", baseUrl: obj.baseUrl.trim() };
+  } catch {
+    // fall through to local
+  }
+  return { kind: "local" };
+}
+
+function saveStorageSettings(settings: StorageSettings) {
+  localStorage.setItem(STORAGE_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// PBKDF2-SHA256 with the same parameters as the server, hex in and out
+function toHex(bytes: Uint8Array) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function hashPassword(password: string, saltHex: string) {
+  const salt = new Uint8Array((saltHex.match(/../g) || []).map((h) => parseInt(h, 16)));
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations: 100000 }, key, 256);
+  return toHex(new Uint8Array(bits));
+}
+
+// Local mode keeps attachment bytes in IndexedDB (localStorage is too small for files), keyed by attachment ID
+const ATTACHMENT_DB = "nexticket_attachments_v1";
+
+function attachmentDb<T>(mode: IDBTransactionMode, run: (files: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(ATTACHMENT_DB, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore("files");
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const db = open.result;
+      const tx = db.transaction("files", mode);
+      const req = run(tx.objectStore("files"));
+      tx.oncomplete = () => {
+        db.close();
+        resolve(req.result);
+      };
+      tx.onerror = () => {
+        db.close();
+        reject(tx.error);
+      };
     };
   });
+}
 
-  useEffect(() => {
-    setForm((f) => {
-      const d = safeDefaults(cfg);
-      return { ...f, category: cfg.categories.includes(f.category) ? f.category : d.category };
-    });
-  }, [cfg]);
+// Runs on every load in local mode (see sweepOrphans)
+async function sweepLocalAttachments(tickets: Ticket[], nowMs = Date.now()) {
+  let marks: Record<string, string> = {};
+  try {
+    marks = JSON.parse(localStorage.getItem(STORAGE_ORPHANS_KEY) || "{}") || {};
+  } catch {
+    // start counting again
+  }
+  const stored = (await attachmentDb("readonly", (files) => files.getAllKeys())).map(String);
+  const swept = sweepOrphans(stored, tickets, marks, nowMs);
+  localStorage.setItem(STORAGE_ORPHANS_KEY, JSON.stringify(swept.marks));
+  if (swept.expired.length) await attachmentDb("readwrite", (files) => swept.expired.map((id) => files.delete(id))[0]);
+}
 
-  // Validation for required fields
-  function validate(): string[] {
-    const errs: string[] = [];
-    if (!form.title.trim()) errs.push("Title is required.");
-    if (!form.description.trim()) errs.push("Description is required.");
-    if (!form.name.trim()) errs.push("Your name is required.");
-    if (!form.contactValue.trim()) errs.push("Contact info is required.");
-    if (form.contactType === "email") {
-      const ok = /.+@.+\..+/.test(form.contactValue.trim());
-      if (!ok) errs.push("Please enter a valid email address.");
-    } else {
-      const digits = form.contactValue.replace(/\D/g, "");
-      if (digits.length < 10) errs.push("Please enter a valid phone number (10+ digits).");
+// Original behaviour: everything lives in this browser's localStorage.
+// Accounts here only keep honest people out of the admin screens - anyone with devtools can edit localStorage.
+function localStorageAdapter(): StorageAdapter {
+  type StoredUser = User & { salt: string; hash: string };
+  function readUsers(): StoredUser[] {
+    try {
+      const arr = JSON.parse(localStorage.getItem(STORAGE_USERS_KEY) || "[]");
+      return Array.isArray(arr) ? arr : [];
+    } catch {
+      return [];
     }
-    return errs;
   }
+  const publicUser = ({ salt: _salt, hash: _hash, ...u }: StoredUser): User => u;
+  const tracker = syncTracker();
+  const listeners = new Set<(ev: SyncEvent) => void>();
+  const emit = (events: (SyncEvent | null)[]) => events.forEach((ev) => ev && listeners.forEach((fn) => fn(ev)));
+  // Last config loaded or saved, so a copy that came from another tab isn't written straight back
+  let savedConfig = "";
 
-  // Submit handler for new ticket creation
-  function submitTicket() {
-    const errs = validate();
-    if (errs.length) {
-      setSubmitMsg(errs.join(" \n"));
-      return;
+  function readTickets(): Ticket[] {
+    try {
+      const arr = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+      return (Array.isArray(arr) ? arr : []).map(migrateTicket);
+    } catch {
+      return [];
     }
-    const now = new Date().toISOString();
-    const newId = generateTicketId(seq);
-    setSeq((s) => s + 1);
-    const d = safeDefaults(cfg);
-    const t: Ticket = {
-      id: newId,
-      title: form.title.trim(),
-      description: form.description.trim(),
-      name: form.name.trim(),
-      contactType: form.contactType,
-      contactValue: form.contactValue.trim(),
-      category: form.category || d.category,
-      team: FALLBACK_TEAM,
-      status: "Open",
-      priority: d.priority,
-      createdAt: now,
-      updatedAt: now,
-      notes: [],
+  }
+
+  function readConfig(): Config {
+    try {
+      const raw = localStorage.getItem(STORAGE_CONFIG_KEY);
+      return normalizeConfig(raw ? (JSON.parse(raw) as Partial<Config>) : undefined);
+    } catch {
+      return normalizeConfig();
+    }
+  }
+
+  function readContacts(): Contact[] {
+    try {
+      const arr = JSON.parse(localStorage.getItem(STORAGE_CONTACTS_KEY) || "[]");
+      return (Array.isArray(arr) ? arr : []).map(normalizeContact);
+    } catch {
+      return [];
+    }
+  }
+
+  function readDeflections(): Deflection[] {
+    try {
+      const arr = JSON.parse(localStorage.getItem(STORAGE_DEFLECTIONS_KEY) || "[]");
+      return Array.isArray(arr) ? arr : [];
+    } catch {
+      return [];
+    }
+  }
+
+  async function store(user: User, password?: string): Promise<User> {
+    const users = readUsers();
+    const errs = userErrors(users, user, password);
+    if (errs.length) throw new Error(errs.join(" "));
+    const existing = users.find((u) => u.id === user.id);
+    const next: StoredUser = {
+      salt: existing?.salt || "",
+      hash: existing?.hash || "",
+      ...user,
+      username: user.username.trim().toLowerCase(),
+      name: user.name.trim() || user.username.trim(),
+      email: user.email.trim().toLowerCase(),
     };
-    setTickets((prev) => [t, ...prev]);
-    setSubmitMsg(`Thanks! Your ticket was submitted. Save this ID: ${newId}`);
-    const d2 = safeDefaults(cfg);
-    setForm({ title: "", description: "", name: "", contactType: "email", contactValue: "", category: d2.category });
+    if (password) {
+      next.salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+      next.hash = await hashPassword(password, next.salt);
+    }
+    localStorage.setItem(STORAGE_USERS_KEY, JSON.stringify(existing ? users.map((u) => (u.id === next.id ? next : u)) : [...users, next]));
+    return publicUser(next);
   }
 
-  // ----- Admin Side -----
-  // Handles filters, ticket management, priority/SLA editing, and export.
+  return {
+    settings: { kind: "local" },
+    async loadTickets() {
+      const tickets = readTickets();
+      tracker.reset(tickets);
+      // Without IndexedDB (some private windows) there's nothing stored to sweep
+      sweepLocalAttachments(tickets).catch(() => undefined);
+      return tickets;
+    },
+    async saveTickets(tickets) {
+      // Read-merge-write under a Web Lock (where supported), so tickets other tabs saved meanwhile are kept
+      const save = () => {
+        const { changed, deleted } = tracker.changes(tickets);
+        if (!changed.length && !deleted.length) return;
+        const stored = new Map(readTickets().map((t) => [t.id, t] as [string, Ticket]));
+        const events: (SyncEvent | null)[] = [];
+        for (const t of changed) {
+          const current = stored.get(t.id);
+          if (current && ticketVersion(current) !== ticketVersion(t)) {
+            events.push(tracker.receive(current));
+            continue;
+          }
+          const saved = tracker.saved(t, ticketVersion(t) + 1);
+          stored.set(t.id, saved.ticket);
+          events.push(saved);
+        }
+        for (const id of deleted) {
+          stored.delete(id);
+          tracker.forget(id);
+        }
+        // Our order first, then tickets only other tabs know of yet
+        const ours = tickets.map((t) => stored.get(t.id)).filter((t): t is Ticket => !!t);
+        const theirs = Array.from(stored.values()).filter((t) => !tickets.some((x) => x.id === t.id));
+        localStorage.setItem(STORAGE_KEY, JSON.stringify([...theirs, ...ours]));
+        emit(events);
+      };
+      return typeof navigator !== "undefined" && navigator.locks ? navigator.locks.request("nexticket-tickets", save) : save();
+    },
+    subscribe(listener) {
+      // Fired in every other tab of this browser when one of them writes
+      const onStorage = (e: StorageEvent) => {
+        if (e.key === STORAGE_CONFIG_KEY) listener({ kind: "config" });
+        if (e.key === STORAGE_KEY) emit(tracker.absorb(readTickets()));
+      };
+      listeners.add(listener);
+      window.addEventListener("storage", onStorage);
+      return () => {
+        listeners.delete(listener);
+        window.removeEventListener("storage", onStorage);
+      };
+    },
+    async loadConfig() {
+      const cfg = readConfig();
+      savedConfig = stableJson(cfg);
+      return cfg;
+    },
+    async saveConfig(cfg) {
+      if (stableJson(cfg) === savedConfig) return;
+      savedConfig = stableJson(cfg);
+      localStorage.setItem(STORAGE_CONFIG_KEY, JSON.stringify(cfg));
+    },
+    async reset() {
+      localStorage.removeItem(STORAGE_KEY);
+      localStorage.removeItem(STORAGE_CONFIG_KEY);
+      localStorage.removeItem(STORAGE_DEFLECTIONS_KEY);
+      localStorage.removeItem(STORAGE_CONTACTS_KEY);
+      localStorage.removeItem(STORAGE_ORPHANS_KEY);
+      await attachmentDb("readwrite", (files) => files.clear());
+      tracker.reset([]);
+      savedConfig = "";
+    },
+    async notify() {
+      return false;
+    },
+    async alert() {
+      throw new Error("Email needs the NexTicket server (Admin Dashboard → Storage)");
+    },
+    async login(username, password) {
+      const found = readUsers().find((u) => u.username === username.trim().toLowerCase());
+      if (!found || (await hashPassword(password, found.salt)) !== found.hash) throw new Error("Wrong username or password");
+      localStorage.setItem(STORAGE_SESSION_KEY, found.id);
+      return publicUser(found);
+    },
+    async register(user, password) {
+      const role: Role = readUsers().length ? "requester" : "admin";
+      const created = await store({ ...user, id: `U-${Date.now()}`, role }, password);
+      localStorage.setItem(STORAGE_SESSION_KEY, created.id);
+      return created;
+    },
+    async restoreSession() {
+      const found = readUsers().find((u) => u.id === localStorage.getItem(STORAGE_SESSION_KEY));
+      return found ? publicUser(found) : null;
+    },
+    async logout() {
+      localStorage.removeItem(STORAGE_SESSION_KEY);
+    },
+    async loadUsers() {
+      return readUsers().map(publicUser);
+    },
+    saveUser: store,
+    async deleteUser(id) {
+      localStorage.setItem(STORAGE_USERS_KEY, JSON.stringify(readUsers().filter((u) => u.id !== id)));
+    },
+    async savePrefs(prefs) {
+      const id = localStorage.getItem(STORAGE_SESSION_KEY);
+      const users = readUsers().map((u) => (u.id === id ? { ...u, prefs: { ...u.prefs, ...prefs } } : u));
+      localStorage.setItem(STORAGE_USERS_KEY, JSON.stringify(users));
+    },
+    async lookupTicket(id, contact) {
+      const found = readTickets().find((t) => t.id === id.trim() && contactMatches(t, contact));
+      return found ? publicTicket(found, (r) => sameContact(r, contact)) : null;
+    },
+    async replyToTicket(id, contact, reply) {
+      const tickets = readTickets();
+      const found = tickets.find((t) => t.id === id.trim() && contactMatches(t, contact));
+      if (!found) throw new Error("No ticket matches that ID and contact");
+      const me = readUsers().find((u) => u.id === localStorage.getItem(STORAGE_SESSION_KEY));
+      const next = { ...requesterReply(found, me?.name || found.name, reply, new Date().toISOString(), readConfig().workflow), version: ticketVersion(found) + 1 };
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(tickets.map((t) => (t.id === next.id ? next : t))));
+      return publicTicket(next, (r) => sameContact(r, contact));
+    },
+    async allocateTicketId(category, numbering, at = new Date()) {
+      // Read-increment-write under a Web Lock (where supported) so two tabs can't take the same number
+      const take = () => {
+        let counters: Record<string, number> = {};
+        try {
+          counters = JSON.parse(localStorage.getItem(STORAGE_COUNTERS_KEY) || "{}") || {};
+        } catch {
+          // start over; existing ticket IDs still keep numbers unique
+        }
+        const stem = ticketIdStem(numbering, category, at);
+        const n = nextTicketNumber(stem, counters, readTickets().map((t) => t.id));
+        localStorage.setItem(STORAGE_COUNTERS_KEY, JSON.stringify({ ...counters, [stem]: n }));
+        return formatTicketId(numbering, stem, n);
+      };
+      return typeof navigator !== "undefined" && navigator.locks ? navigator.locks.request("nexticket-ticket-ids", take) : take();
+    },
+    async saveView(view) {
+      const cfg = readConfig();
+      const views = cfg.views.some((v) => v.id === view.id) ? cfg.views.map((v) => (v.id === view.id ? view : v)) : [...cfg.views, view];
+      localStorage.setItem(STORAGE_CONFIG_KEY, JSON.stringify({ ...cfg, views }));
+    },
+    async deleteView(id) {
+      const cfg = readConfig();
+      localStorage.setItem(STORAGE_CONFIG_KEY, JSON.stringify({ ...cfg, views: cfg.views.filter((v) => v.id !== id) }));
+    },
+    async saveAttachment(att, data) {
+      const errs = attachmentErrors({ ...att, size: data.size }, readConfig().attachments);
+      if (errs.length) throw new Error(errs.join(" "));
+      await attachmentDb("readwrite", (files) => files.put(data, att.id));
+    },
+    async loadAttachment(id) {
+      const data = await attachmentDb<Blob | undefined>("readonly", (files) => files.get(id));
+      if (!data) throw new Error("That file is no longer stored in this browser");
+      return data;
+    },
+    async recordDeflection(d) {
+      localStorage.setItem(STORAGE_DEFLECTIONS_KEY, JSON.stringify([...readDeflections(), d]));
+    },
+    async loadDeflections() {
+      return readDeflections();
+    },
+    async loadContacts() {
+      return readContacts();
+    },
+    async saveContact(c) {
+      const contacts = readContacts();
+      const next = normalizeContact(c);
+      const errs = contactConflicts(contacts, next);
+      if (errs.length) throw new Error(errs.join(" "));
+      const exists = contacts.some((x) => x.id === next.id);
+      localStorage.setItem(STORAGE_CONTACTS_KEY, JSON.stringify(exists ? contacts.map((x) => (x.id === next.id ? next : x)) : [...contacts, next]));
+      return next;
+    },
+    async deleteContact(id) {
+      localStorage.setItem(STORAGE_CONTACTS_KEY, JSON.stringify(readContacts().filter((c) => c.id !== id)));
+    },
+  };
+}
 
-  const filtered = useMemo(() => {
-    const q = filters.q.toLowerCase();
-    return tickets.filter((t) => {
-      const matchesQ =
-        !q ||
-        t.id.toLowerCase().includes(q) ||
-        t.title.toLowerCase().includes(q) ||
-        t.description.toLowerCase().includes(q) ||
-        t.name.toLowerCase().includes(q) ||
-        t.category.toLowerCase().includes(q) ||
-        t.team.toLowerCase().includes(q);
-      const matchesStatus = filters.status === "All" || t.status === (filters.status as TicketStatus);
-      const matchesCat = filters.category === "All" || t.category === filters.category;
-      const matchesTeam = filters.team === "All" || t.team === filters.team;
-      const matchesPrio = filters.priority === "All" || t.priority === (filters.priority as Priority);
-      return matchesQ && matchesStatus && matchesCat && matchesTeam && matchesPrio;
-    });
-  }, [tickets, filters]);
+// Shared server: tickets are synced one at a time (POST/PUT/DELETE) by diffing against the last synced copy
+function apiStorageAdapter(baseUrl: string): StorageAdapter {
+  const root = baseUrl.replace(/\/+$/, "");
+  const tracker = syncTracker();
+  const listeners = new Set<(ev: SyncEvent) => void>();
+  const emit = (events: (SyncEvent | null)[]) => events.forEach((ev) => ev && listeners.forEach((fn) => fn(ev)));
+  let queue: Promise<void> = Promise.resolve();
+  // Last config loaded or saved, so a copy pushed by the server isn't written straight back
+  let savedConfig = "";
+  // Bearer token from /api/login, kept per server so switching back and forth doesn't sign you out
+  const tokenKey = `${STORAGE_SESSION_KEY}:${root}`;
+  let token = localStorage.getItem(tokenKey) || "";
 
-  function updateTicket(id: string, changes: Partial<Ticket>) {
-    setTickets((prev) => prev.map((t) => (t.id === id ? { ...t, ...changes, updatedAt: new Date().toISOString() } : t)));
+  function setToken(next: string) {
+    token = next;
+    if (next) localStorage.setItem(tokenKey, next);
+    else localStorage.removeItem(tokenKey);
   }
 
-  function deleteTicket(id: string) {
-    if (!confirm("Delete this ticket? This cannot be undone.")) return;
-    setTickets((prev) => prev.filter((t) => t.id !== id));
+  // Signed-in fetch; a failed response becomes an Error carrying the server's message, except for the
+  // statuses the caller handles itself
+  async function call(method: string, path: string, body?: BodyInit, contentType?: string, handled: number[] = []) {
+    const headers: Record<string, string> = {};
+    if (contentType) headers["Content-Type"] = contentType;
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(`${root}${path}`, { method, headers, body });
+    if (!res.ok && !handled.includes(res.status)) {
+      const err = await res.json().catch(() => null);
+      throw new Error(`${method} ${path} failed (${res.status})${err?.error ? `: ${err.error}` : ""}`);
+    }
+    return res;
   }
 
-  function exportCSV() {
-    const headers = [
-      "id",
-      "title",
-      "description",
-      "name",
-      "contactType",
-      "contactValue",
-      "category",
-      "team",
-      "status",
-      "priority",
-      "createdAt",
-      "updatedAt",
-    ];
-    const rows = [headers.join(",")].concat(
-      tickets.map((t) =>
-        [
-          t.id,
-          t.title.replaceAll(",", ";"),
-          t.description.replaceAll(",", ";"),
-          t.name.replaceAll(",", ";"),
-          t.contactType,
-          t.contactValue,
-          t.category,
-          t.team,
-          t.status,
-          t.priority,
-          t.createdAt,
-          t.updatedAt,
-        ].join(",")
-      )
-    );
-    const blob = new Blob([rows.join("\n")], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `tickets_${new Date().toISOString().slice(0, 10)}.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
+  async function request(method: string, path: string, body?: unknown) {
+    const res = body === undefined ? await call(method, path) : await call(method, path, JSON.stringify(body), "application/json");
+    return res.status === 204 ? null : res.json();
   }
 
-  return (
-    <div className="min-h-screen bg-gradient-to-b from-indigo-50 to-white text-gray-900">
-      <div className="max-w-6xl mx-auto px-4 py-8">
-        <header className="mb-6">
-          <div className="flex items-center justify-between min-w-0">
-            <h1 className="text-2xl md:text-3xl font-bold tracking-tight truncate">NexTicket</h1>
-            <div className="flex items-center gap-2 shrink-0">
-              <button
-                onClick={() => setTab("portal")}
-                className={`px-4 py-2 rounded-xl text-sm font-medium border ${tab === "portal" ? "bg-indigo-600 text-white border-indigo-600" : "bg-white hover:bg-gray-50"}`}
-              >
-                Self‑Service Portal
-              </button>
-              <button
-                onClick={() => setTab("admin")}
-                className={`px-4 py-2 rounded-xl text-sm font-medium border ${tab === "admin" ? "bg-indigo-600 text-white border-indigo-600" : "bg-white hover:bg-gray-50"}`}
-              >
-                Admin Dashboard
-              </button>
-            </div>
-          </div>
-          <p className="text-sm text-gray-600 mt-2">All data is saved locally in your browser. To go multi‑user, wire this UI to an API.</p>
-        </header>
+  // One request per changed ticket. A PUT carries the version it was based on: 409 means someone saved
+  // first (the body has their copy), 404 that the ticket was deleted meanwhile.
+  async function push(tickets: Ticket[]) {
+    const { changed, deleted } = tracker.changes(tickets);
+    for (const t of changed) {
+      if (!tracker.known(t.id)) {
+        const created = await request("POST", "/api/tickets", t);
+        emit([tracker.saved(t, ticketVersion(created))]);
+        continue;
+      }
+      const res = await call("PUT", `/api/tickets/${encodeURIComponent(t.id)}`, JSON.stringify(t), "application/json", [404, 409]);
+      if (res.status === 404) emit([tracker.forget(t.id)]);
+      else if (res.status === 409) emit([tracker.receive(migrateTicket((await res.json()).ticket))]);
+      else emit([tracker.saved(t, ticketVersion(await res.json()))]);
+    }
+    for (const id of deleted) {
+      await call("DELETE", `/api/tickets/${encodeURIComponent(id)}`, undefined, undefined, [404]);
+      tracker.forget(id);
+    }
+  }
 
-        {tab === "portal" && (
-          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-            <div className="lg:col-span-2">
-              <Section title="Submit a Ticket">
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  <TextInput label="Title" placeholder="Short summary (e.g., Can't log in)" value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} />
-                  <Select label="Category" value={form.category} onChange={(e) => setForm({ ...form, category: e.target.value })}>
-                    {cfg.categories.map((c) => (
-                      <option key={c} value={c}>{c}</option>
-                    ))}
-                  </Select>
-                  <TextInput label="Your Name" placeholder="Jane Doe" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} />
-                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 md:col-span-2">
-                    <Select label="Preferred Contact Method" value={form.contactType} onChange={(e) => setForm({ ...form, contactType: e.target.value as any })}>
-                      <option value="email">Email</option>
-                      <option value="phone">Phone</option>
-                    </Select>
-                    <TextInput label={form.contactType === "email" ? "Email" : "Phone"} placeholder={form.contactType === "email" ? "you@example.com" : "(555) 123‑4567"} value={form.contactValue} onChange={(e) => setForm({ ...form, contactValue: e.target.value })} />
-                  </div>
-                  <div className="md:col-span-2">
-                    <TextArea label="Description" placeholder="Provide details, steps to reproduce, error messages, etc." rows={6} value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} />
-                  </div>
-                </div>
-                {submitMsg && (
-                  <div className="mt-2 text-sm whitespace-pre-line text-indigo-700 bg-indigo-50 border border-indigo-200 rounded-xl p-3 break-words">{submitMsg}</div>
-                )}
-                <div className="mt-4 flex items-center gap-3">
-                  <button onClick={submitTicket} className="px-4 py-2 rounded-xl bg-indigo-600 text-white font-medium hover:bg-indigo-700">Submit Ticket</button>
-                  <button
-                    onClick={() => {
-                      const d = safeDefaults(cfg);
-                      setForm({ title: "", description: "", name: "", contactType: "email", contactValue: "", category: d.category });
-                    }}
-                    className="px-4 py-2 rounded-xl border hover:bg-gray-50"
-                  >
-                    Reset
-                  </button>
-                </div>
-              </Section>
-            </div>
+  return {
+    settings: { kind: "api", baseUrl: root },
+    async loadTickets() {
+      const arr = await request("GET", "/api/tickets");
+      const tickets = (Array.isArray(arr) ? arr : []).map(migrateTicket);
+      tracker.reset(tickets);
+      return tickets;
+    },
+    saveTickets(tickets) {
+      // Serialize pushes so overlapping saves never create the same ticket twice
+      const run = queue.then(() => push(tickets));
+      queue = run.catch(() => undefined);
+      return run;
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      // Server-sent events (GET /api/events); EventSource can't send headers, so the token goes in the URL
+      const source = token && typeof EventSource !== "undefined" ? new EventSource(`${root}/api/events?token=${encodeURIComponent(token)}`) : null;
+      let dropped = false;
+      if (source) {
+        source.onmessage = (e) => {
+          const ev = JSON.parse(e.data);
+          if (ev.type === "ticket") emit([tracker.receive(migrateTicket(ev.ticket))]);
+          else if (ev.type === "deleted") emit([tracker.forget(String(ev.id))]);
+          else if (ev.type === "cleared") emit(tracker.absorb([]));
+          else if (ev.type === "config") emit([{ kind: "config" }]);
+          else if (ev.type === "contacts") emit([{ kind: "contacts" }]);
+        };
+        // EventSource reconnects by itself; catch up on what was missed once it has
+        source.onerror = () => {
+          dropped = true;
+        };
+        source.onopen = () => {
+          if (!dropped) return;
+          dropped = false;
+          request("GET", "/api/tickets")
+            .then((arr) => emit([...tracker.absorb((Array.isArray(arr) ? arr : []).map(migrateTicket)), { kind: "config" }]))
+            .catch(() => undefined);
+        };
+      }
+      return () => {
+        listeners.delete(listener);
+        source?.close();
+      };
+    },
+    async loadConfig() {
+      const obj = await request("GET", "/api/config");
+      const cfg = normalizeConfig(obj || undefined);
+      savedConfig = stableJson(cfg);
+      return cfg;
+    },
+    async saveConfig(cfg) {
+      if (stableJson(cfg) === savedConfig) return;
+      await request("PUT", "/api/config", cfg);
+      savedConfig = stableJson(cfg);
+    },
+    async reset() {
+      await queue;
+      await request("DELETE", "/api/tickets");
+      await request("DELETE", "/api/config");
+      await request("DELETE", "/api/deflections");
+      await request("DELETE", "/api/contacts");
+      tracker.reset([]);
+      savedConfig = "";
+    },
+    async notify(ticketId, msg) {
+      // The server looks up the requester, so make sure it has our latest copy first
+      await queue;
+      const res = await call("POST", `/api/tickets/${encodeURIComponent(ticketId)}/notify`, JSON.stringify(msg), "application/json", [503]);
+      return res.status !== 503;
+    },
+    async alert(ticketId, source) {
+      // The server checks the rule or step fired on its copy of the ticket, so push ours first
+      await queue;
+      const res = await call("POST", `/api/tickets/${encodeURIComponent(ticketId)}/alert`, JSON.stringify(source), "application/json", [409]);
+      return res.status !== 409;
+    },
+    async login(username, password) {
+      const res = await request("POST", "/api/login", { username, password });
+      setToken(res.token);
+      return res.user;
+    },
+    async register(user, password) {
+      const res = await request("POST", "/api/register", { ...user, password });
+      setToken(res.token);
+      return res.user;
+    },
+    async restoreSession() {
+      if (!token) return null;
+      // An expired token just means signing in again
+      return request("GET", "/api/session").catch(() => null);
+    },
+    async logout() {
+      await request("POST", "/api/logout").catch(() => undefined);
+      setToken("");
+      tracker.reset([]);
+      savedConfig = "";
+    },
+    async loadUsers() {
+      return (await request("GET", "/api/users")) || [];
+    },
+    async saveUser(user, password) {
+      return request("PUT", `/api/users/${encodeURIComponent(user.id)}`, { user, password: password || undefined });
+    },
+    async deleteUser(id) {
+      await request("DELETE", `/api/users/${encodeURIComponent(id)}`);
+    },
+    async savePrefs(prefs) {
+      await request("PUT", "/api/session/prefs", prefs);
+    },
+    async lookupTicket(id, contact) {
+      const found = await request("POST", "/api/lookup", { id: id.trim(), contact });
+      return found ? migrateTicket(found) : null;
+    },
+    async allocateTicketId(category, _numbering, at = new Date()) {
+      // The server numbers from its own copy of the config
+      const res = await request("POST", "/api/ticket-ids", { category, at: at.toISOString() });
+      return res.id;
+    },
+    async replyToTicket(id, contact, reply) {
+      await queue;
+      return migrateTicket(await request("POST", "/api/lookup/reply", { id: id.trim(), contact, ...reply }));
+    },
+    async saveView(view) {
+      await request("PUT", `/api/views/${encodeURIComponent(view.id)}`, view);
+    },
+    async deleteView(id) {
+      await request("DELETE", `/api/views/${encodeURIComponent(id)}`);
+    },
+    async saveAttachment(att, data) {
+      // Raw bytes, so the name and type ride in the query string
+      const q = new URLSearchParams({ name: att.name, type: att.type });
+      await call("PUT", `/api/attachments/${encodeURIComponent(att.id)}?${q}`, data, "application/octet-stream");
+    },
+    async loadAttachment(id, lookup) {
+      if (lookup) return (await call("POST", `/api/lookup/attachments/${encodeURIComponent(id)}`, JSON.stringify(lookup), "application/json")).blob();
+      return (await call("GET", `/api/attachments/${encodeURIComponent(id)}`)).blob();
+    },
+    async recordDeflection(d) {
+      await request("POST", "/api/deflections", d);
+    },
+    async loadDeflections() {
+      return (await request("GET", "/api/deflections")) || [];
+    },
+    async loadContacts() {
+      return ((await request("GET", "/api/contacts")) || []).map(normalizeContact);
+    },
+    async saveContact(c) {
+      return normalizeContact(await request("PUT", `/api/contacts/${encodeURIComponent(c.id)}`, c));
+    },
+    async deleteContact(id) {
+      await request("DELETE", `/api/contacts/${encodeURIComponent(id)}`);
+    },
+  };
+}
 
-            <div className="lg:col-span-1">
-              <Section title="Categories & Teams">
-                <p className="text-sm text-gray-600 mb-3">Customize options. Users cannot choose a team; admins assign it.</p>
-                <div className="mb-4">
-                  <label className="block text-sm font-medium mb-1">Categories</label>
-                  <TagEditor values={cfg.categories} onChange={(vals) => setCfg((c) => ({ ...c, categories: vals.length ? vals : [FALLBACK_CATEGORY] }))} />
-                </div>
-                <div>
-                  <label className="block text-sm text-gray-700 font-medium mb-1">Teams</label>
-                  <TagEditor values={cfg.teams} onChange={(vals) => setCfg((c) => ({ ...c, teams: vals.length ? vals : [FALLBACK_TEAM] }))} />
-                </div>
-              </Section>
-            </div>
-          </div>
-        )}
+function createStorageAdapter(settings: StorageSettings): StorageAdapter {
+  return settings.kind === "api" ? apiStorageAdapter(settings.baseUrl) : localStorageAdapter();
+}
 
-        {tab === "admin" && (
-          <div className="grid grid-cols-1 gap-6">
-            <Section title="Priority & SLA">
-              <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
-                {(Object.keys(cfg.priorities) as Priority[]).map((p) => (
-                  <div key={p} className="border rounded-xl p-3">
-                    <div className="text-sm font-medium mb-2">{p}</div>
-                    <TextInput label="Label" value={cfg.priorities[p].label} onChange={(e) => setCfg({ ...cfg, priorities: { ...cfg.priorities, [p]: { ...cfg.priorities[p], label: e.target.value } } })} />
-                    <TextInput label="Respond (mins)" type="number" value={cfg.priorities[p].respondMins} onChange={(e) => setCfg({ ...cfg, priorities: { ...cfg.priorities, [p]: { ...cfg.priorities[p], respondMins: Number(e.target.value) || 0 } } })} />
-                    <TextInput label="Resolve (mins)" type="number" value={cfg.priorities[p].resolveMins} onChange={(e) => setCfg({ ...cfg, priorities: { ...cfg.priorities, [p]: { ...cfg.priorities[p], resolveMins: Number(e.target.value) || 0 } } })} />
-                  </div>
-                ))}
-              </div>
-            </Section>
+let activeStorage: StorageAdapter = createStorageAdapter(loadStorageSettings());
 
-            <Section
-              title="Filters"
-              actions={
-                <div className="flex items-center gap-2">
-                  <button onClick={exportCSV} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">Export CSV</button>
-                  <button
-                    onClick={() => {
-                      if (!confirm("Reset ALL data (tickets + config)?")) return;
-                      localStorage.removeItem(STORAGE_KEY);
-                      localStorage.removeItem(STORAGE_CONFIG_KEY);
-                      setTickets([]);
-                      setCfg(loadConfig());
-                    }}
-                    className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm"
-                  >
-                    Reset All
-                  </button>
-                </div>
-              }
-            >
-              <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
-                <TextInput label="Search" placeholder="ID, title, requester, etc." value={filters.q} onChange={(e) => setFilters({ ...filters, q: e.target.value })} />
-                <Select label="Status" value={filters.status} onChange={(e) => setFilters({ ...filters, status: e.target.value })}>
-                  {["All", "Open", "In Progress", "On Hold", "Resolved", "Closed"].map((s) => (
-                    <option key={s} value={s}>{s}</option>
-                  ))}
-                </Select>
-                <Select label="Category" value={filters.category} onChange={(e) => setFilters({ ...filters, category: e.target.value })}>
-                  <option value="All">All</option>
-                  {cfg.categories.map((c) => (
-                    <option key={c} value={c}>{c}</option>
-                  ))}
-                </Select>
-                <Select label="Team" value={filters.team} onChange={(e) => setFilters({ ...filters, team: e.target.value })}>
-                  <option value="All">All</option>
-                  {cfg.teams.map((t) => (
-                    <option key={t} value={t}>{t}</option>
-                  ))}
-                </Select>
-                <Select label="Priority" value={filters.priority} onChange={(e) => setFilters({ ...filters, priority: e.target.value })}>
-                  <option value="All">All</option>
-                  {(Object.keys(cfg.priorities) as Priority[]).map((p) => (
-                    <option key={p} value={p}>{p} – {cfg.priorities[p].label}</option>
-                  ))}
-                </Select>
-              </div>
-            </Section>
+function switchStorage(settings: StorageSettings) {
+  saveStorageSettings(settings);
+  activeStorage = createStorageAdapter(settings);
+}
 
-            <Section title={`Tickets (${filtered.length})`}>
-              {filtered.length === 0 ? (
-                <div className="text-sm text-gray-600">No tickets match your filters.</div>
-              ) : (
-                <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
-                  {filtered.map((t) => {
-                    const d = computeDeadlines(t.priority, t.createdAt, cfg);
-                    return (
-                      <article key={t.id} className="border border-gray-200 rounded-2xl p-4 bg-white shadow-sm min-w-0">
-                        <div className="flex items-start justify-between gap-2 min-w-0">
-                          <div className="min-w-0">
-                            <div className="flex items-center gap-2 min-w-0">
-                              <span className="font-semibold truncate max-w-[16rem]" title={t.title}>{t.title}</span>
-                              <Pill className={statusPill(t.status)}>{t.status}</Pill>
-                              <Pill className="bg-purple-100 text-purple-700">{t.priority} • {cfg.priorities[t.priority].label}</Pill>
-                            </div>
-                            <div className="text-xs text-gray-500 mt-0.5 break-words">ID: {t.id}</div>
-                          </div>
-                          <div className="flex items-center gap-2 shrink-0">
-                            <button onClick={() => setSelectedId(t.id)} className="text-indigo-600 hover:text-indigo-800 text-sm" title="Open details">Open</button>
-                            <button onClick={() => deleteTicket(t.id)} className="text-gray-500 hover:text-red-600 text-sm" title="Delete">✕</button>
-                          </div>
-                        </div>
+// ----- Business Calendar Math -----
+// Wall-clock parts of an instant in a timezone, via Intl (no date library needed)
+const zoneFormatters = new Map<string, Intl.DateTimeFormat>();
 
-                        <Divider />
+function zonedParts(ms: number, timeZone: string) {
+  let fmt = zoneFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", { timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit", weekday: "short" });
+    zoneFormatters.set(timeZone, fmt);
+  }
+  const parts: Record<string, string> = {};
+  for (const p of fmt.formatToParts(new Date(ms))) parts[p.type] = p.value;
+  const y = Number(parts.year);
+  const m = Number(parts.month);
+  const d = Number(parts.day);
+  return {
+    y,
+    m,
+    d,
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(parts.weekday),
+    minuteOfDay: Number(parts.hour) * 60 + Number(parts.minute) + Number(parts.second) / 60,
+    dateKey: `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`,
+  };
+}
 
-                        <p className="text-sm whitespace-pre-wrap break-words">{t.description}</p>
+// Instant for a wall-clock date + minute-of-day in a timezone (re-checked once for DST shifts)
+function zonedToUtc(y: number, m: number, d: number, minuteOfDay: number, timeZone: string) {
+  const wall = Date.UTC(y, m - 1, d, 0, 0) + minuteOfDay * 60000;
+  const offsetAt = (ms: number) => {
+    const p = zonedParts(ms, timeZone);
+    return Date.UTC(p.y, p.m - 1, p.d, 0, 0) + Math.round(p.minuteOfDay * 60000) - ms;
+  };
+  let utc = wall - offsetAt(wall);
+  const again = wall - offsetAt(utc);
+  if (again !== utc) utc = again;
+  return utc;
+}
 
-                        <Divider />
+// Add minutes of business time (working hours, minus holidays) to an instant
+function addBusinessMinutes(startMs: number, minutes: number, cal: BusinessCalendar) {
+  if (!cal.hours.some(Boolean)) return startMs + minutes * 60000;
+  let remaining = minutes;
+  let cursor = startMs;
+  // Guard: ten years of days is far beyond any sane SLA
+  for (let i = 0; i < 3660; i++) {
+    const local = zonedParts(cursor, cal.timezone);
+    const hours = cal.holidays.includes(local.dateKey) ? null : cal.hours[local.weekday];
+    if (hours) {
+      const open = parseHHMM(hours.start)!;
+      const close = parseHHMM(hours.end)!;
+      const from = Math.max(local.minuteOfDay, open);
+      if (from < close) {
+        if (remaining <= close - from) return zonedToUtc(local.y, local.m, local.d, from + remaining, cal.timezone);
+        remaining -= close - from;
+      }
+    }
+    cursor = nextLocalMidnight(local, cal.timezone);
+  }
+  return startMs + minutes * 60000;
+}
 
-                        <div className="flex flex-wrap gap-2 text-xs">
-                          <Badge><span className="mr-1">Requester:</span> {t.name}</Badge>
-                          <Badge><span className="mr-1">Contact:</span> {t.contactType === "email" ? "📧" : "📞"} {t.contactValue}</Badge>
-                          <Badge><span className="mr-1">Category:</span> {t.category}</Badge>
-                          <Badge><span className="mr-1">Team:</span> {t.team}</Badge>
+// Minutes of business time between two instants
+function businessMinutesBetween(startMs: number, endMs: number, cal: BusinessCalendar) {
+  if (endMs <= startMs) return 0;
+  if (!cal.hours.some(Boolean)) return (endMs - startMs) / 60000;
+  let total = 0;
+  let cursor = startMs;
+  for (let i = 0; i < 3660 && cursor < endMs; i++) {
+    const local = zonedParts(cursor, cal.timezone);
+    const hours = cal.holidays.includes(local.dateKey) ? null : cal.hours[local.weekday];
+    if (hours) {
+      const from = Math.max(cursor, zonedToUtc(local.y, local.m, local.d, parseHHMM(hours.start)!, cal.timezone));
+      const to = Math.min(endMs, zonedToUtc(local.y, local.m, local.d, parseHHMM(hours.end)!, cal.timezone));
+      if (to > from) total += (to - from) / 60000;
+    }
+    cursor = nextLocalMidnight(local, cal.timezone);
+  }
+  return total;
+}
+
+function nextLocalMidnight(local: { y: number; m: number; d: number }, timeZone: string) {
+  const next = new Date(Date.UTC(local.y, local.m - 1, local.d + 1));
+  return zonedToUtc(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), 0, timeZone);
+}
+
+// ----- SLA Computation -----
+// 24x7 priorities (or configs without a calendar) count wall-clock time; others count business time only.
+// pausedMins (time spent on hold) pushes both deadlines out by the same amount of SLA-clock time.
+function computeDeadlines(priority: Priority | undefined, createdAtISO: string, cfg: Partial<Config>, pausedMins = 0) {
+  const pri: Priority = isPriority(priority) ? priority : "P3";
+  const p = (cfg?.priorities ?? defaultPriorityConfig())[pri] ?? defaultPriorityConfig()[pri];
+  const respondDue = new Date(slaInstant(pri, createdAtISO, cfg, (p.respondMins || 0) + pausedMins)).toISOString();
+  const resolveDue = new Date(slaInstant(pri, createdAtISO, cfg, (p.resolveMins || 0) + pausedMins)).toISOString();
+  return { respondDue, resolveDue };
+}
+
+// The instant a number of SLA-clock minutes after createdAt, for a priority
+function slaInstant(priority: Priority, createdAtISO: string, cfg: Partial<Config>, mins: number) {
+  const p = (cfg?.priorities ?? defaultPriorityConfig())[priority] ?? defaultPriorityConfig()[priority];
+  const base = new Date(createdAtISO).getTime();
+  return p.allDay || !cfg?.calendar ? base + mins * 60 * 1000 : addBusinessMinutes(base, mins, cfg.calendar);
+}
+
+// SLA-clock minutes between two instants for a priority (business time unless 24x7)
+function slaClockMinutes(priority: Priority, fromISO: string, toMs: number, cfg: Partial<Config>) {
+  const p = (cfg?.priorities ?? defaultPriorityConfig())[priority];
+  const fromMs = new Date(fromISO).getTime();
+  if (p?.allDay || !cfg?.calendar) return Math.max(0, (toMs - fromMs) / 60000);
+  return businessMinutesBetween(fromMs, toMs, cfg.calendar);
+}
+
+function isDoneStatus(status: TicketStatus, workflow: Workflow = DEFAULT_WORKFLOW) {
+  return statusKind(status, workflow) === "done";
+}
+
+function isPausedStatus(status: TicketStatus, workflow: Workflow = DEFAULT_WORKFLOW) {
+  return statusKind(status, workflow) === "paused";
+}
+
+// Stamp SLA timestamps for a change: the first move off the start status or first note counts as the
+// response, paused statuses stop the clock, and done statuses freeze it until the ticket is reopened.
+function trackSla(prev: Ticket, next: Ticket, cfg: Partial<Config>, nowISO: string): Ticket {
+  const wf = cfg.workflow ?? DEFAULT_WORKFLOW;
+  const out = { ...next };
+  if (!out.firstResponseAt && (out.status !== startStatus(wf) || out.notes.length > prev.notes.length)) out.firstResponseAt = nowISO;
+  if (!isPausedStatus(prev.status, wf) && isPausedStatus(out.status, wf)) out.pausedAt = nowISO;
+  if (isPausedStatus(prev.status, wf) && !isPausedStatus(out.status, wf) && prev.pausedAt) {
+    out.pausedMins = prev.pausedMins + slaClockMinutes(prev.priority, prev.pausedAt, new Date(nowISO).getTime(), cfg);
+    out.pausedAt = undefined;
+  }
+  if (!isDoneStatus(prev.status, wf) && isDoneStatus(out.status, wf)) out.resolvedAt = nowISO;
+  if (isDoneStatus(prev.status, wf) && !isDoneStatus(out.status, wf)) out.resolvedAt = undefined;
+  return out;
+}
+
+// ----- Requester Self-Service -----
+// The ticket's own requester first, then anyone merged in
+function ticketRequesters(t: Ticket): Requester[] {
+  return [{ name: t.name, contactType: t.contactType, contactValue: t.contactValue, requesterId: t.requesterId }, ...(t.otherRequesters || [])];
+}
+
+// Emails compare case-insensitively, phone numbers on their digits only
+function sameContact(r: Pick<Requester, "contactType" | "contactValue">, contact: string) {
+  if (r.contactType === "phone") {
+    const digits = contact.replace(/\D/g, "");
+    return digits.length >= 10 && digits === r.contactValue.replace(/\D/g, "");
+  }
+  return !!contact.trim() && contact.trim().toLowerCase() === r.contactValue.trim().toLowerCase();
+}
+
+function contactMatches(t: Ticket, contact: string) {
+  return ticketRequesters(t).some((r) => sameContact(r, contact));
+}
+
+// What a requester may see: no internal notes, audit trail, email log or other requesters' contacts. isViewer
+// picks out the requester looking; anyone but the ticket's own requester doesn't get its name and contact either.
+function publicTicket(t: Ticket, isViewer: (r: Requester) => boolean): Ticket {
+  const own = isViewer(ticketRequesters(t)[0]) ? {} : { name: "", contactValue: "", requesterId: undefined };
+  return { ...t, ...own, notes: t.notes.filter((n) => n.visibility === "public"), history: [], deliveries: [], otherRequesters: undefined, contactId: undefined };
+}
+
+// Requesters can reply until the ticket reaches a done status they can't reopen (Closed by default)
+function canRequesterReply(t: Ticket, workflow: Workflow) {
+  return !isDoneStatus(t.status, workflow) || !!statusDef(workflow, t.status)?.reopenable;
+}
+
+// A requester's reply is a public note (attachments are already stored); replying with reopen moves a reopenable
+// ticket back to the start status
+type RequesterReply = { text: string; reopen: boolean; attachments?: Attachment[] };
+
+function requesterReply(t: Ticket, author: string, reply: RequesterReply, nowISO: string, workflow: Workflow = DEFAULT_WORKFLOW): Ticket {
+  const attachments = reply.attachments || [];
+  const text = reply.text.trim() || attachedText(attachments);
+  const reopen = reply.reopen && isDoneStatus(t.status, workflow) && !!statusDef(workflow, t.status)?.reopenable;
+  if (!text && !reopen) return t;
+  const note: Note = { id: `N-${new Date(nowISO).getTime()}`, text, author, createdAt: nowISO, visibility: "public", attachments: attachments.length ? attachments : undefined };
+  const notes: Note[] = text ? [...t.notes, note] : t.notes;
+  const changes: Partial<Ticket> = reopen ? { status: startStatus(workflow), resolutionCode: undefined, resolutionSummary: undefined } : {};
+  // The requester writing in isn't the desk responding, so the first-response clock is left alone
+  const next = { ...trackSla(t, { ...t, ...changes, notes, updatedAt: nowISO }, { workflow }, nowISO), firstResponseAt: t.firstResponseAt };
+  return { ...next, history: [...t.history, ...diffHistory(t, next, author, nowISO)] };
+}
+
+// ----- Requester Directory -----
+// One record per person, linked from tickets by contactId, gathering every address they've used so their
+// tickets can be found together. Tickets keep the name and contact they were filed with.
+type Contact = { id: string; name: string; emails: string[]; phones: string[]; department: string; location: string; vip: boolean };
+
+// Actor for the VIP priority bump made when a ticket is linked
+const CONTACT_ACTOR = "Requester directory";
+
+function normalizeContact(c: any): Contact {
+  const list = (v: any) => (Array.isArray(v) ? v.map((x) => String(x).trim()).filter(Boolean) : []);
+  return {
+    id: String(c?.id || ""),
+    name: String(c?.name || "").trim(),
+    emails: Array.from(new Set(list(c?.emails).map((e) => e.toLowerCase()))),
+    phones: Array.from(new Set(list(c?.phones))),
+    department: String(c?.department || "").trim(),
+    location: String(c?.location || "").trim(),
+    vip: !!c?.vip,
+  };
+}
+
+// The contact an address belongs to, compared the same way as "Check My Ticket" does
+function findContact(contacts: Contact[], contactType: Requester["contactType"], value: string) {
+  return contacts.find((c) => (contactType === "phone" ? c.phones : c.emails).some((v) => sameContact({ contactType, contactValue: v }, value)));
+}
+
+// What storage enforces: contacts made from ticket addresses are saved as they came in, however odd
+function contactConflicts(contacts: Contact[], c: Contact): string[] {
+  const errs: string[] = [];
+  if (!c.name) errs.push("Name is required.");
+  if (!c.emails.length && !c.phones.length) errs.push("Add at least one email or phone number.");
+  const others = contacts.filter((x) => x.id !== c.id);
+  for (const [type, values] of [["email", c.emails], ["phone", c.phones]] as const) {
+    for (const v of values) {
+      const owner = findContact(others, type, v);
+      if (owner) errs.push(`${v} already belongs to ${owner.name}.`);
+    }
+  }
+  return errs;
+}
+
+// The directory editor also checks the addresses look right
+function contactErrors(contacts: Contact[], c: Contact): string[] {
+  const errs = contactConflicts(contacts, c);
+  for (const e of c.emails) if (!/.+@.+\..+/.test(e)) errs.push(`${e} isn't a valid email address.`);
+  for (const p of c.phones) if (p.replace(/\D/g, "").length < 10) errs.push(`${p} isn't a valid phone number (10+ digits).`);
+  return errs;
+}
+
+function contactLabel(c: Contact) {
+  return [c.name, c.emails[0] || c.phones[0]].filter(Boolean).join(" · ");
+}
+
+// Staff search the directory by any part of a name, address or department
+function searchContacts(contacts: Contact[], q: string, limit = 6) {
+  const needle = q.trim().toLowerCase();
+  if (!needle) return [];
+  return contacts.filter((c) => [c.name, ...c.emails, ...c.phones, c.department].some((v) => v.toLowerCase().includes(needle))).slice(0, limit);
+}
+
+// Name words without case, accents or punctuation
+function nameWords(name: string) {
+  return name
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+}
+
+function withinOneEdit(a: string, b: string) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  while (i < a.length && a[i] === b[i]) i++;
+  const rest = (x: string, skip: number) => x.slice(i + skip);
+  return rest(a, 1) === rest(b, 1) || rest(a, 1) === rest(b, 0) || rest(a, 0) === rest(b, 1);
+}
+
+// Names that probably belong to one person: the same once case, accents and punctuation are ignored, one typo
+// apart, or the same surname with the same first initial ("Jane Doe" / "J. Doe")
+function similarNames(a: string, b: string) {
+  const x = nameWords(a);
+  const y = nameWords(b);
+  if (!x.length || !y.length) return false;
+  const jx = x.join("");
+  const jy = y.join("");
+  if (jx === jy || (Math.min(jx.length, jy.length) >= 6 && withinOneEdit(jx, jy))) return true;
+  return x.length > 1 && y.length > 1 && x[x.length - 1] === y[y.length - 1] && x[0][0] === y[0][0];
+}
+
+function possibleDuplicates(contacts: Contact[]): [Contact, Contact][] {
+  const pairs: [Contact, Contact][] = [];
+  contacts.forEach((a, i) => contacts.slice(i + 1).forEach((b) => similarNames(a.name, b.name) && pairs.push([a, b])));
+  return pairs;
+}
+
+// keep absorbs drop: every address, VIP if either is, and drop's details where keep has none
+function mergeContact(keep: Contact, drop: Contact): Contact {
+  return normalizeContact({
+    ...keep,
+    emails: [...keep.emails, ...drop.emails],
+    phones: [...keep.phones, ...drop.phones],
+    department: keep.department || drop.department,
+    location: keep.location || drop.location,
+    vip: keep.vip || drop.vip,
+  });
+}
+
+// Linking isn't audited: the ticket's own requester fields don't change
+function relinkTickets(tickets: Ticket[], fromId: string, toId: string) {
+  return tickets.map((t) => (t.contactId === fromId ? { ...t, contactId: toId } : t));
+}
+
+function contactTickets(tickets: Ticket[], contactId: string) {
+  return tickets.filter((t) => t.contactId === contactId).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Link tickets that have no contact yet (or one that's gone, say merged away in another browser), creating one
+// for each new address. An open ticket linked to a VIP is
+// raised to the VIP priority (never lowered) unless an agent has already set its priority.
+// With the server, which links the tickets it creates, a contact we don't have is one our copy of the
+// directory hasn't caught up with yet, so relinkMissing is off.
+// Returns the same tickets array when nothing changed.
+function linkContacts(tickets: Ticket[], contacts: Contact[], cfg: Config, nowISO: string, relinkMissing = true): { tickets: Ticket[]; created: Contact[] } {
+  const created: Contact[] = [];
+  const known = new Set(contacts.map((c) => c.id));
+  let changed = false;
+  const out = tickets.map((t) => {
+    if ((t.contactId && (known.has(t.contactId) || !relinkMissing)) || !t.contactValue.trim()) return t;
+    let c = findContact([...contacts, ...created], t.contactType, t.contactValue);
+    if (!c) {
+      c = normalizeContact({
+        id: `CT-${new Date(nowISO).getTime()}-${Math.random().toString(36).slice(2, 6)}`,
+        name: t.name || t.contactValue,
+        [t.contactType === "phone" ? "phones" : "emails"]: [t.contactValue],
+      });
+      created.push(c);
+    }
+    changed = true;
+    const vip = cfg.vipPriority;
+    const agentSet = t.history.some((h) => h.kind === "change" && h.field === "priority");
+    if (!t.contactId && c.vip && vip !== "none" && t.priority > vip && !agentSet && !isDoneStatus(t.status, cfg.workflow)) {
+      return applyTicketChanges({ ...t, contactId: c.id }, { priority: vip }, cfg, CONTACT_ACTOR, nowISO);
+    }
+    return { ...t, contactId: c.id };
+  });
+  return { tickets: changed ? out : tickets, created };
+}
+
+// ----- Audit Trail -----
+// Fields whose changes are recorded; SLA bookkeeping, deliveries and updatedAt are derived and skipped
+const AUDITED_FIELDS: Record<string, string> = {
+  title: "Title",
+  description: "Description",
+  name: "Requester Name",
+  contactType: "Contact Type",
+  contactValue: "Contact",
+  category: "Category",
+  id: "Ticket ID",
+  team: "Team",
+  assignee: "Assignee",
+  status: "Status",
+  priority: "Priority",
+  resolutionCode: "Resolution Code",
+  resolutionSummary: "Resolution Summary",
+  parentId: "Parent",
+  duplicateOf: "Duplicate of",
+  related: "Related",
+  major: "Major incident",
+};
+
+function historyEntry(actor: string, at: string, entry: Omit<HistoryEntry, "id" | "at" | "actor">, i = 0): HistoryEntry {
+  return { id: `H-${new Date(at).getTime()}-${i}-${Math.random().toString(36).slice(2, 6)}`, at, actor, ...entry };
+}
+
+function diffHistory(prev: Ticket, next: Ticket, actor: string, at: string): HistoryEntry[] {
+  const entries: Omit<HistoryEntry, "id" | "at" | "actor">[] = [];
+  for (const field of Object.keys(AUDITED_FIELDS)) {
+    const from = (prev as any)[field] ?? "";
+    const to = (next as any)[field] ?? "";
+    if (String(from) !== String(to)) entries.push({ kind: "change", field, from: String(from), to: String(to) });
+  }
+  // Custom fields are recorded as "fields.<id>"
+  for (const id of new Set([...Object.keys(prev.fields || {}), ...Object.keys(next.fields || {})])) {
+    const from = prev.fields?.[id] ?? "";
+    const to = next.fields?.[id] ?? "";
+    if (from !== to) entries.push({ kind: "change", field: `fields.${id}`, from, to });
+  }
+  const prevIds = new Set(prev.notes.map((n) => n.id));
+  const nextIds = new Set(next.notes.map((n) => n.id));
+  for (const n of next.notes) if (!prevIds.has(n.id)) entries.push({ kind: "note-added", field: n.id, to: n.text });
+  for (const n of prev.notes) if (!nextIds.has(n.id)) entries.push({ kind: "note-deleted", field: n.id, from: n.text });
+  return entries.map((e, i) => historyEntry(actor, at, e, i));
+}
+
+// Every staff edit goes through here: reopening clears the resolution, a team change drops an assignee who
+// isn't on the new roster, the SLA clock is stamped and the changed fields are appended to the history
+function applyTicketChanges(t: Ticket, changes: Partial<Ticket>, cfg: Config, actor: string, nowISO: string): Ticket {
+  if (changes.status && isDoneStatus(t.status, cfg.workflow) && !isDoneStatus(changes.status, cfg.workflow)) {
+    changes = { ...changes, resolutionCode: undefined, resolutionSummary: undefined };
+  }
+  if (changes.team || "assignee" in changes) {
+    changes = { ...changes, assignee: validAssignee(cfg.rosters, changes.team || t.team, "assignee" in changes ? changes.assignee : t.assignee) };
+  }
+  // History is append-only: callers can't replace it, every change adds to it
+  const { history: _ignored, ...safeChanges } = changes;
+  const next = trackSla(t, { ...t, ...safeChanges, updatedAt: nowISO }, cfg, nowISO);
+  return { ...next, history: [...t.history, ...diffHistory(t, next, actor, nowISO)] };
+}
+
+// Apply per-ticket changes (a change set) through applyTicketChanges, then run the update rules on each
+// changed ticket; tickets not in the set are untouched
+function applyChangeSet(tickets: Ticket[], changes: Map<string, Partial<Ticket>>, cfg: Config, actor: string, nowISO: string): Ticket[] {
+  return tickets.map((t) => (changes.has(t.id) ? applyRules(applyTicketChanges(t, changes.get(t.id)!, cfg, actor, nowISO), "update", cfg, nowISO, t) : t));
+}
+
+// ----- Routing Rules -----
+// Admin-defined triage, run in order when a ticket is created and/or updated. A rule fires when all of its
+// conditions hold (a rule without conditions always does); its actions set the team or priority, add an
+// internal note or email an alert. On update a rule only fires when the ticket starts matching, so it
+// doesn't undo manual triage on every later edit. "stop" skips the rules after it once it has fired.
+type RuleEvent = "create" | "update";
+type RuleField = "category" | "team" | "priority" | "keywords" | "domain" | "time";
+// values match any of them; "time" is [from, to] as HH:MM in the calendar's timezone and may wrap past midnight
+type RuleCondition = { field: RuleField; values: string[] };
+type RuleActionKind = "team" | "priority" | "note" | "notify";
+// notify: value is a comma-separated list of email addresses
+type RuleAction = { kind: RuleActionKind; value: string };
+type RoutingRule = { id: string; name: string; enabled: boolean; on: RuleEvent | "both"; conditions: RuleCondition[]; actions: RuleAction[]; stop: boolean };
+
+const RULE_FIELDS: Record<RuleField, string> = {
+  category: "Category is",
+  team: "Team is",
+  priority: "Priority is",
+  keywords: "Title or description contains",
+  domain: "Requester email domain is",
+  time: "Time of day is between",
+};
+const RULE_ACTIONS: Record<RuleActionKind, string> = { team: "Set team", priority: "Set priority", note: "Add internal note", notify: "Email alert to" };
+
+function normalizeRules(arr: unknown): RoutingRule[] {
+  if (!Array.isArray(arr)) return [];
+  return arr
+    .filter((r) => r && typeof r.id === "string" && typeof r.name === "string" && r.name.trim())
+    .map((r) => ({
+      id: r.id,
+      name: r.name.trim(),
+      enabled: r.enabled !== false,
+      on: r.on === "update" || r.on === "both" ? r.on : "create",
+      conditions: (Array.isArray(r.conditions) ? r.conditions : [])
+        .filter((c: any) => c && RULE_FIELDS[c.field as RuleField] && Array.isArray(c.values))
+        .map((c: any) => ({ field: c.field, values: c.values.map((v: any) => String(v).trim()).filter(Boolean) })),
+      actions: (Array.isArray(r.actions) ? r.actions : [])
+        .filter((a: any) => a && RULE_ACTIONS[a.kind as RuleActionKind])
+        .map((a: any) => ({ kind: a.kind, value: String(a.value ?? "").trim() })),
+      stop: !!r.stop,
+    }));
+}
+
+function minutesOfDay(hhmm: string) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(hhmm.trim());
+  return m ? Number(m[1]) * 60 + Number(m[2]) : NaN;
+}
+
+function emailDomain(t: Ticket) {
+  return t.contactType === "email" ? (t.contactValue.split("@")[1] || "").trim().toLowerCase() : "";
+}
+
+// atMs is when the ticket is being evaluated (for the time-of-day condition)
+function conditionMatches(c: RuleCondition, t: Ticket, cfg: Config, atMs: number): boolean {
+  switch (c.field) {
+    case "category":
+    case "team":
+    case "priority":
+      return c.values.some((v) => v.toLowerCase() === t[c.field as "category" | "team" | "priority"].toLowerCase());
+    case "keywords": {
+      const text = `${t.title}\n${t.description}`.toLowerCase();
+      return c.values.some((k) => text.includes(k.toLowerCase()));
+    }
+    case "domain": {
+      // A domain also covers its subdomains (example.com matches mail.example.com)
+      const d = emailDomain(t);
+      return !!d && c.values.some((v) => {
+        const want = v.toLowerCase().replace(/^@/, "");
+        return d === want || d.endsWith(`.${want}`);
+      });
+    }
+    case "time": {
+      const [from, to] = c.values.map(minutesOfDay);
+      if (Number.isNaN(from) || Number.isNaN(to)) return false;
+      const now = zonedParts(atMs, cfg.calendar.timezone).minuteOfDay;
+      return from <= to ? now >= from && now < to : now >= from || now < to;
+    }
+  }
+}
+
+function ruleMatches(rule: RoutingRule, t: Ticket, cfg: Config, atMs: number) {
+  return rule.conditions.every((c) => conditionMatches(c, t, cfg, atMs));
+}
+
+// One plain address, as the server's mailer takes it (isMailbox in NexTicketMail.mjs)
+function isMailbox(value: string) {
+  return value.length <= 254 && /^[^\s@<>()[\],;:"\\]+@[^\s@<>()[\],;:"\\]+\.[^\s@<>()[\],;:"\\]+$/.test(value);
+}
+
+function ruleRecipients(rule: RoutingRule) {
+  return rule.actions.filter((a) => a.kind === "notify").flatMap((a) => a.value.split(/[\s,;]+/)).filter(isMailbox);
+}
+
+// Team and priority actions naming something the config doesn't have are ignored
+function ruleChanges(rule: RoutingRule, t: Ticket, cfg: Config, nowISO: string): Partial<Ticket> {
+  const changes: Partial<Ticket> = {};
+  rule.actions.forEach((a, i) => {
+    if (a.kind === "team" && cfg.teams.includes(a.value)) changes.team = a.value;
+    if (a.kind === "priority" && isPriority(a.value)) changes.priority = a.value;
+    if (a.kind === "note" && a.value) {
+      const note: Note = { id: `N-${new Date(nowISO).getTime()}-${rule.id}-${i}`, text: a.value, author: `Rule: ${rule.name}`, createdAt: nowISO, visibility: "internal" };
+      changes.notes = [...(changes.notes || t.notes), note];
+    }
+  });
+  return changes;
+}
+
+function describeRuleActions(rule: RoutingRule) {
+  const parts = rule.actions.map((a) => (a.kind === "note" ? "added a note" : a.kind === "notify" ? `alerted ${a.value}` : `set ${a.kind} to ${a.value}`));
+  return parts.join(", ") || "no actions";
+}
+
+// Runs the rules for an event. Each firing goes through applyTicketChanges under the rule's name and is
+// recorded as a "rule" history entry; before is the ticket as it was ahead of an update.
+function applyRules(t: Ticket, event: RuleEvent, cfg: Config, nowISO: string, before?: Ticket): Ticket {
+  const nowMs = new Date(nowISO).getTime();
+  let out = t;
+  for (const rule of cfg.rules || []) {
+    if (!rule.enabled || (rule.on !== "both" && rule.on !== event) || !ruleMatches(rule, out, cfg, nowMs)) continue;
+    if (before && ruleMatches(rule, before, cfg, nowMs)) continue;
+    const actor = `Rule: ${rule.name}`;
+    // A rule's note isn't the desk responding, so the first-response clock is left alone
+    const next = { ...applyTicketChanges(out, ruleChanges(rule, out, cfg, nowISO), cfg, actor, nowISO), firstResponseAt: out.firstResponseAt };
+    out = { ...next, history: [...next.history, historyEntry(actor, nowISO, { kind: "rule", field: rule.id, to: describeRuleActions(rule) })] };
+    if (rule.stop) break;
+  }
+  return out;
+}
+
+// Rules with alert addresses that fired between two versions of a ticket (before is undefined for a new one)
+function firedAlerts(before: Ticket | undefined, after: Ticket, rules: RoutingRule[]) {
+  const seen = new Set((before?.history || []).map((h) => h.id));
+  const fired = after.history.filter((h) => h.kind === "rule" && !seen.has(h.id)).map((h) => h.field);
+  return rules.filter((r) => fired.includes(r.id) && ruleRecipients(r).length);
+}
+
+// The alert email; the server builds the same message (see ruleAlertMessage there)
+function ruleAlertMessage(rule: RoutingRule, t: Ticket) {
+  return {
+    subject: `[${t.id}] ${rule.name}: ${t.title}`,
+    text: `Rule "${rule.name}" fired on ticket ${t.id}.\n\nTitle: ${t.title}\nRequester: ${t.name} (${t.contactValue})\nCategory: ${t.category}\nTeam: ${t.team}\nPriority: ${t.priority}\n\n${t.description}\n\n- NexTicket`,
+  };
+}
+
+// Dry run over existing tickets: which ones the rule matches (create rules as of when each ticket was
+// created, update rules as of now) and what it would change on them. Nothing is saved.
+function previewRule(rule: RoutingRule, tickets: Ticket[], cfg: Config, nowMs = Date.now()) {
+  return tickets
+    .filter((t) => ruleMatches(rule, t, cfg, rule.on === "create" ? new Date(t.createdAt).getTime() : nowMs))
+    .map((t) => {
+      const changes = ruleChanges(rule, t, cfg, new Date(nowMs).toISOString());
+      const effects = [
+        changes.team && changes.team !== t.team ? `team ${t.team} → ${changes.team}` : "",
+        changes.priority && changes.priority !== t.priority ? `priority ${t.priority} → ${changes.priority}` : "",
+        changes.notes ? "adds a note" : "",
+        ruleRecipients(rule).length ? `alerts ${ruleRecipients(rule).join(", ")}` : "",
+      ].filter(Boolean);
+      return { ticket: t, effects };
+    });
+}
+
+// ----- Ticket Links -----
+// parent/child and related are plain links; "duplicate" merges this ticket into the other one
+type LinkKind = "parent" | "child" | "related" | "duplicate";
+const LINK_KINDS: Record<LinkKind, string> = {
+  parent: "Parent of this ticket",
+  child: "Child of this ticket",
+  related: "Related ticket",
+  duplicate: "Duplicate of (merge into)",
+};
+
+function ticketLinks(t: Ticket, tickets: Ticket[]) {
+  return {
+    parent: tickets.find((x) => x.id === t.parentId),
+    children: tickets.filter((x) => x.parentId === t.id),
+    duplicateOf: tickets.find((x) => x.id === t.duplicateOf),
+    duplicates: tickets.filter((x) => x.duplicateOf === t.id),
+    related: tickets.filter((x) => t.related?.includes(x.id)),
+  };
+}
+
+// IDs from a ticket up through its parents (stops on a loop rather than hanging)
+function ancestorIds(tickets: Ticket[], id: string) {
+  const seen: string[] = [];
+  let cur = tickets.find((t) => t.id === id)?.parentId;
+  while (cur && !seen.includes(cur)) {
+    seen.push(cur);
+    cur = tickets.find((t) => t.id === cur)?.parentId;
+  }
+  return seen;
+}
+
+function linkErrors(tickets: Ticket[], id: string, kind: LinkKind, otherId: string): string[] {
+  const other = tickets.find((t) => t.id === otherId);
+  if (!other) return [`No ticket ${otherId || "with that ID"}.`];
+  if (otherId === id) return ["A ticket can't be linked to itself."];
+  if (kind === "parent" && ancestorIds(tickets, otherId).includes(id)) return [`${otherId} is already below this ticket.`];
+  if (kind === "child" && ancestorIds(tickets, id).includes(otherId)) return [`${otherId} is already above this ticket.`];
+  if (kind === "duplicate" && other.duplicateOf) return [`${otherId} is itself a duplicate of ${other.duplicateOf}; merge into that one.`];
+  if (kind === "duplicate" && tickets.find((t) => t.id === id)?.major) return ["A major incident can't be merged away."];
+  return [];
+}
+
+// Merging: the others' notes are copied onto the survivor as internal notes (each requester keeps seeing only
+// their own conversation), their requesters (and anyone merged into them) follow it, and they are closed as
+// duplicates pointing at it
+function mergeChanges(survivor: Ticket, dupes: Ticket[], tickets: Ticket[], cfg: Config, actor: string, nowISO: string): Map<string, Partial<Ticket>> {
+  const stamp = new Date(nowISO).getTime();
+  const code = cfg.resolutionCodes.find((c) => /duplicate/i.test(c)) || "Duplicate";
+  const copied: Note[] = dupes.flatMap((d, i) => d.notes.map((n, j) => ({ ...n, id: `N-${stamp}-${i}-${j}`, text: `[from ${d.id}] ${n.text}`, visibility: "internal" as const })));
+  const followers = [...(survivor.otherRequesters || [])];
+  for (const r of dupes.flatMap(ticketRequesters)) {
+    if (!r.contactValue || [survivor, ...followers].some((x) => x.contactType === r.contactType && sameContact(x, r.contactValue))) continue;
+    followers.push(r);
+  }
+  const summary: Note = {
+    id: `N-${stamp}-m`,
+    text: `Merged ${dupes.map((d) => `${d.id} (${d.name}, ${d.contactValue})`).join("; ")} into this ticket.`,
+    author: actor,
+    createdAt: nowISO,
+    visibility: "internal",
+  };
+  const changes = new Map<string, Partial<Ticket>>([[survivor.id, { notes: [...survivor.notes, ...copied, summary], otherRequesters: followers.length ? followers : undefined }]]);
+  const dupeIds = dupes.map((d) => d.id);
+  for (const d of dupes) {
+    const notice: Note = { id: `N-${stamp}-d`, text: `This ticket was merged into ${survivor.id}.`, author: actor, createdAt: nowISO, visibility: "public" };
+    changes.set(d.id, { status: finalStatus(cfg.workflow), resolutionCode: code, resolutionSummary: `Duplicate of ${survivor.id}`, duplicateOf: survivor.id, notes: [...d.notes, notice] });
+  }
+  // Earlier duplicates of the merged tickets now point straight at the survivor
+  for (const t of tickets) if (t.duplicateOf && dupeIds.includes(t.duplicateOf) && !changes.has(t.id)) changes.set(t.id, { duplicateOf: survivor.id });
+  return changes;
+}
+
+function linkChanges(tickets: Ticket[], id: string, kind: LinkKind, otherId: string, cfg: Config, actor: string, nowISO: string): Map<string, Partial<Ticket>> {
+  const t = tickets.find((x) => x.id === id)!;
+  const other = tickets.find((x) => x.id === otherId)!;
+  switch (kind) {
+    case "parent":
+      return new Map([[id, { parentId: otherId }]]);
+    case "child":
+      return new Map([[otherId, { parentId: id }]]);
+    case "related":
+      return new Map([
+        [id, { related: Array.from(new Set([...(t.related || []), otherId])) }],
+        [otherId, { related: Array.from(new Set([...(other.related || []), id])) }],
+      ]);
+    case "duplicate":
+      return mergeChanges(other, [t], tickets, cfg, actor, nowISO);
+  }
+}
+
+// Removing a duplicate link doesn't reopen the ticket or take its requester back off the survivor
+function unlinkChanges(tickets: Ticket[], id: string, kind: LinkKind, otherId: string): Map<string, Partial<Ticket>> {
+  const without = (list: string[] | undefined, x: string) => {
+    const next = (list || []).filter((v) => v !== x);
+    return next.length ? next : undefined;
+  };
+  switch (kind) {
+    case "parent":
+      return new Map([[id, { parentId: undefined }]]);
+    case "child":
+      return new Map([[otherId, { parentId: undefined }]]);
+    case "related":
+      return new Map([
+        [id, { related: without(tickets.find((x) => x.id === id)?.related, otherId) }],
+        [otherId, { related: without(tickets.find((x) => x.id === otherId)?.related, id) }],
+      ]);
+    case "duplicate":
+      return new Map([[id, { duplicateOf: undefined }]]);
+  }
+}
+
+// A major incident's status change carries to its children: the open ones, plus (on reopen) those that were
+// resolved along with it. Closing carries the resolution code and summary too. Children whose own status
+// can't move there under the workflow are left alone.
+function cascadeChanges(tickets: Ticket[], parent: Ticket, changes: Partial<Ticket>, workflow: Workflow = DEFAULT_WORKFLOW): Map<string, Partial<Ticket>> {
+  const out = new Map<string, Partial<Ticket>>();
+  const status = changes.status;
+  if (!parent.major || !status || status === parent.status) return out;
+  const done = isDoneStatus(status, workflow);
+  const resolution = { resolutionCode: changes.resolutionCode ?? parent.resolutionCode, resolutionSummary: changes.resolutionSummary ?? parent.resolutionSummary };
+  for (const child of tickets) {
+    if (child.parentId !== parent.id || child.duplicateOf || child.status === status) continue;
+    if (isDoneStatus(child.status, workflow) && child.status !== parent.status) continue;
+    if (!canTransition(workflow, child.status, status)) continue;
+    out.set(child.id, done ? { status, ...resolution } : { status });
+  }
+  return out;
+}
+
+// ----- Bulk Actions -----
+// One action over the selected tickets, applied through applyTicketChanges so each ticket gets its own
+// history entries. A batch keeps the tickets as they were so the whole thing can be undone in one go.
+type BulkAction =
+  | { kind: "status"; status: TicketStatus; resolutionCode?: string; resolutionSummary?: string; note?: string }
+  | { kind: "team"; team: string }
+  | { kind: "category"; category: string }
+  | { kind: "priority"; priority: Priority }
+  | { kind: "note"; text: string; visibility: Note["visibility"] }
+  | { kind: "merge" }
+  | { kind: "delete" };
+// after: updatedAt each ticket was left with (null = deleted); undo skips tickets edited since
+type BulkBatch = { label: string; before: Ticket[]; after: Record<string, string | null> };
+
+function describeBulk(action: BulkAction, count: number) {
+  const n = `${count} ticket${count === 1 ? "" : "s"}`;
+  switch (action.kind) {
+    case "status":
+      return `Set status to ${action.status} on ${n}`;
+    case "team":
+      return `Move ${n} to ${action.team}`;
+    case "category":
+      return `Set category to ${action.category} on ${n}`;
+    case "priority":
+      return `Set priority to ${action.priority} on ${n}`;
+    case "note":
+      return `Add a${action.visibility === "public" ? " public" : "n internal"} note to ${n}`;
+    case "merge":
+      return `Merge ${n} into the oldest one`;
+    case "delete":
+      return `Delete ${n}`;
+  }
+}
+
+// A status change skips tickets the workflow won't let make the move (or that lack a required assignee);
+// skipped lists them
+function applyBulk(tickets: Ticket[], ids: string[], action: BulkAction, cfg: Config, actor: string, nowISO: string): { tickets: Ticket[]; batch: BulkBatch; skipped: string[] } {
+  const skipped: string[] = [];
+  if (action.kind === "status") {
+    const fields = (t: Ticket): TransitionFields => ({ ...action, assignee: t.assignee });
+    for (const t of tickets) if (ids.includes(t.id) && transitionErrors(cfg.workflow, t.status, action.status, fields(t), cfg.resolutionCodes).length) skipped.push(t.id);
+    ids = ids.filter((id) => !skipped.includes(id));
+  }
+  const picked = tickets.filter((t) => ids.includes(t.id));
+  const batch: BulkBatch = { label: describeBulk(action, picked.length), before: picked, after: {} };
+  if (action.kind === "delete") {
+    for (const t of picked) batch.after[t.id] = null;
+    return { tickets: tickets.filter((t) => !ids.includes(t.id)), batch, skipped };
+  }
+  let changes: Map<string, Partial<Ticket>>;
+  if (action.kind === "merge") {
+    const [survivor, ...dupes] = [...picked].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    changes = survivor ? mergeChanges(survivor, dupes, tickets, cfg, actor, nowISO) : new Map();
+  } else if (action.kind === "note") {
+    const note: Note = { id: `N-${new Date(nowISO).getTime()}`, text: action.text, author: actor, createdAt: nowISO, visibility: action.visibility };
+    changes = new Map(picked.map((t) => [t.id, { notes: [...t.notes, note] }] as [string, Partial<Ticket>]));
+  } else if (action.kind === "status") {
+    const { status, resolutionCode, resolutionSummary, note } = action;
+    changes = new Map(picked.map((t) => [t.id, transitionChanges(t, status, { resolutionCode, resolutionSummary, note }, actor, nowISO)] as [string, Partial<Ticket>]));
+  } else {
+    const { kind: _kind, ...fields } = action;
+    changes = new Map(picked.map((t) => [t.id, fields as Partial<Ticket>] as [string, Partial<Ticket>]));
+  }
+  // Tickets the merge re-points are part of the batch too, so undo can point them back
+  batch.before = tickets.filter((t) => changes.has(t.id) || ids.includes(t.id));
+  const next = applyChangeSet(tickets, changes, cfg, actor, nowISO);
+  for (const t of next) if (changes.has(t.id)) batch.after[t.id] = t.updatedAt;
+  return { tickets: next, batch, skipped };
+}
+
+// Put the batch's tickets back the way they were (as new history entries, not by rewriting it);
+// deleted tickets come back whole. Tickets someone edited after the batch are left alone.
+function undoBulk(tickets: Ticket[], batch: BulkBatch, cfg: Config, actor: string, nowISO: string): { tickets: Ticket[]; restored: number; skipped: number } {
+  let restored = 0;
+  let skipped = 0;
+  const byId = new Map(batch.before.map((t) => [t.id, t] as [string, Ticket]));
+  const next = tickets.map((t) => {
+    const before = byId.get(t.id);
+    if (!before) return t;
+    if (batch.after[t.id] !== t.updatedAt) {
+      skipped++;
+      return t;
+    }
+    restored++;
+    const { status, team, category, priority, assignee, notes, resolutionCode, resolutionSummary, duplicateOf, otherRequesters } = before;
+    return applyTicketChanges(t, { status, team, category, priority, assignee, notes, resolutionCode, resolutionSummary, duplicateOf, otherRequesters }, cfg, actor, nowISO);
+  });
+  const present = new Set(tickets.map((t) => t.id));
+  // A deleted ID that is back already (re-created or imported) was counted as skipped above
+  for (const t of batch.before) {
+    if (batch.after[t.id] !== null || present.has(t.id)) continue;
+    next.push(t);
+    restored++;
+  }
+  return { tickets: next, restored, skipped };
+}
+
+// ----- SLA State -----
+// Per target: on-track / at-risk (less than a quarter of the target left) / met / breached
+type SlaState = "on-track" | "at-risk" | "met" | "breached";
+type SlaStatus = { respondDue: string; resolveDue: string; respond: SlaState; resolve: SlaState };
+
+const SLA_STATES: SlaState[] = ["breached", "at-risk", "on-track", "met"];
+const SLA_AT_RISK_REMAINING = 0.25;
+
+function computeSla(t: Ticket, cfg: Partial<Config>, nowMs = Date.now()): SlaStatus {
+  const pending = t.pausedAt ? slaClockMinutes(t.priority, t.pausedAt, nowMs, cfg) : 0;
+  const d = computeDeadlines(t.priority, t.createdAt, cfg, t.pausedMins + pending);
+  const p = (cfg?.priorities ?? defaultPriorityConfig())[t.priority] ?? defaultPriorityConfig().P3;
+  const state = (dueISO: string, doneAt: string | undefined, targetMins: number): SlaState => {
+    const due = new Date(dueISO).getTime();
+    if (doneAt) return new Date(doneAt).getTime() <= due ? "met" : "breached";
+    if (nowMs > due) return "breached";
+    // Measured on the SLA clock; while on hold the due time moves out as fast as now does, so this stays put
+    const remaining = slaClockMinutes(t.priority, new Date(nowMs).toISOString(), due, cfg);
+    return remaining < targetMins * SLA_AT_RISK_REMAINING ? "at-risk" : "on-track";
+  };
+  return {
+    ...d,
+    respond: state(d.respondDue, t.firstResponseAt, p.respondMins || 0),
+    resolve: state(d.resolveDue, t.resolvedAt, p.resolveMins || 0),
+  };
+}
+
+function slaLabel(state: SlaState) {
+  return { "on-track": "On track", "at-risk": "At risk", met: "Met", breached: "Breached" }[state];
+}
+
+// Style for due date highlighting
+function dueClass(state: SlaState) {
+  switch (state) {
+    case "breached":
+      return "text-red-700 bg-red-50 border-red-200";
+    case "at-risk":
+      return "text-amber-700 bg-amber-50 border-amber-200";
+    case "met":
+      return "text-slate-600 bg-slate-50 border-slate-200";
+    default:
+      return "text-emerald-700 bg-emerald-50 border-emerald-200";
+  }
+}
+
+// ----- SLA Escalations -----
+// Steps fire once per ticket when its SLA clock reaches percent of the respond or resolve target plus
+// afterMins of SLA-clock time (100% + 60 = an hour past the breach), as long as that target hasn't been met.
+// The "escalation" history entry a firing leaves is also what keeps it from firing again.
+type EscalationStep = {
+  id: string;
+  name: string;
+  enabled: boolean;
+  clock: "respond" | "resolve";
+  percent: number;
+  afterMins: number;
+  // Actions: raise the priority one level, assign the team's lead, add an internal note,
+  // show an in-app/browser notification, email these addresses (comma-separated)
+  bumpPriority: boolean;
+  assignLead: boolean;
+  note: string;
+  notify: boolean;
+  email: string;
+};
+type AlertSource = { ruleId: string } | { escalationId: string };
+
+const ESCALATION_ACTOR = "SLA escalation";
+
+function normalizeEscalations(arr: unknown): EscalationStep[] {
+  if (!Array.isArray(arr)) return [];
+  return arr
+    .filter((e) => e && typeof e.id === "string" && typeof e.name === "string" && e.name.trim())
+    .map((e) => ({
+      id: e.id,
+      name: e.name.trim(),
+      enabled: e.enabled !== false,
+      clock: e.clock === "respond" ? "respond" : "resolve",
+      percent: Math.min(1000, Math.max(1, Math.round(Number(e.percent)) || 100)),
+      afterMins: Math.max(0, Math.round(Number(e.afterMins)) || 0),
+      bumpPriority: !!e.bumpPriority,
+      assignLead: !!e.assignLead,
+      note: typeof e.note === "string" ? e.note.trim() : "",
+      notify: !!e.notify,
+      email: typeof e.email === "string" ? e.email.trim() : "",
+    }));
+}
+
+function escalationLabel(step: EscalationStep) {
+  const at = step.percent === 100 ? `${step.clock} breach` : `${step.percent}% of ${step.clock} time`;
+  return step.afterMins ? `${at} + ${formatDuration(step.afterMins)}` : at;
+}
+
+function escalationRecipients(step: EscalationStep) {
+  return step.email.split(/[\s,;]+/).filter(isMailbox);
+}
+
+// When the step is due for a ticket; time on hold (including a hold still running) pushes it out like the deadlines
+function escalationDue(t: Ticket, step: EscalationStep, cfg: Partial<Config>, nowMs: number) {
+  const p = (cfg?.priorities ?? defaultPriorityConfig())[t.priority] ?? defaultPriorityConfig().P3;
+  const pending = t.pausedAt ? slaClockMinutes(t.priority, t.pausedAt, nowMs, cfg) : 0;
+  const target = step.clock === "respond" ? p.respondMins || 0 : p.resolveMins || 0;
+  return slaInstant(t.priority, t.createdAt, cfg, (target * step.percent) / 100 + step.afterMins + t.pausedMins + pending);
+}
+
+// The first of the team's roster who has the lead role; leads are usernames
+function teamLead(rosters: Record<string, string[]>, team: string, leads: string[]) {
+  return (rosters[team] || []).find((u) => leads.includes(u));
+}
+
+function escalationChanges(step: EscalationStep, t: Ticket, cfg: Config, leads: string[], nowISO: string): Partial<Ticket> {
+  const changes: Partial<Ticket> = {};
+  const order: Priority[] = ["P4", "P3", "P2", "P1"];
+  if (step.bumpPriority && t.priority !== "P1") changes.priority = order[order.indexOf(t.priority) + 1];
+  const lead = step.assignLead ? teamLead(cfg.rosters, t.team, leads) : undefined;
+  if (lead) changes.assignee = lead;
+  if (step.note) {
+    changes.notes = [...t.notes, { id: `N-${new Date(nowISO).getTime()}-${step.id}`, text: step.note, author: ESCALATION_ACTOR, createdAt: nowISO, visibility: "internal" }];
+  }
+  return changes;
+}
+
+function describeEscalation(step: EscalationStep, changes: Partial<Ticket>) {
+  const parts = [
+    changes.priority ? `raised priority to ${changes.priority}` : "",
+    changes.assignee ? `assigned ${changes.assignee}` : "",
+    changes.notes ? "added a note" : "",
+    escalationRecipients(step).length ? `alerted ${escalationRecipients(step).join(", ")}` : "",
+  ].filter(Boolean);
+  return `${step.name} (${escalationLabel(step)})${parts.length ? ` – ${parts.join(", ")}` : ""}`;
+}
+
+// Fire every step that has come due on a ticket that isn't done. Changes go through applyTicketChanges
+// (and then the update rules) like any other edit; the first-response clock is left alone.
+function escalateTicket(t: Ticket, cfg: Config, leads: string[], nowMs: number): Ticket {
+  if (isDoneStatus(t.status, cfg.workflow)) return t;
+  const nowISO = new Date(nowMs).toISOString();
+  let out = t;
+  for (const step of cfg.escalations || []) {
+    if (!step.enabled || out.history.some((h) => h.kind === "escalation" && h.field === step.id)) continue;
+    if ((step.clock === "respond" ? out.firstResponseAt : out.resolvedAt) || nowMs < escalationDue(out, step, cfg, nowMs)) continue;
+    const changes = escalationChanges(step, out, cfg, leads, nowISO);
+    const next = { ...applyTicketChanges(out, changes, cfg, ESCALATION_ACTOR, nowISO), firstResponseAt: out.firstResponseAt };
+    out = { ...next, history: [...next.history, historyEntry(ESCALATION_ACTOR, nowISO, { kind: "escalation", field: step.id, to: describeEscalation(step, changes) })] };
+  }
+  return out === t ? t : applyRules(out, "update", cfg, nowISO, t);
+}
+
+// Steps that fired between two versions of a ticket
+function firedEscalations(before: Ticket | undefined, after: Ticket, steps: EscalationStep[]) {
+  const seen = new Set((before?.history || []).map((h) => h.id));
+  const fired = after.history.filter((h) => h.kind === "escalation" && !seen.has(h.id)).map((h) => h.field);
+  return steps.filter((s) => fired.includes(s.id));
+}
+
+// The alert email; the server builds the same message (see escalationAlertMessage there)
+function escalationAlertMessage(step: EscalationStep, t: Ticket) {
+  return {
+    subject: `[${t.id}] SLA escalation – ${step.name}: ${t.title}`,
+    text: `Ticket ${t.id} reached ${escalationLabel(step)}.\n\nTitle: ${t.title}\nRequester: ${t.name} (${t.contactValue})\nTeam: ${t.team}\nAssignee: ${t.assignee || "Unassigned"}\nPriority: ${t.priority}\nStatus: ${t.status}\n\n- NexTicket`,
+  };
+}
+
+// ----- Requester Notifications -----
+const TEMPLATE_PLACEHOLDERS = ["id", "title", "status", "priority", "priorityLabel", "resolveBy", "name", "team", "category"];
+
+// Replace {{placeholder}}s; unknown ones are left as typed so mistakes are visible in the sent mail
+function renderTemplate(tpl: string, vars: Record<string, string>) {
+  return tpl.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => (key in vars ? vars[key] : m));
+}
+
+function templateVars(t: Ticket, cfg: Partial<Config> & Pick<Config, "priorities">): Record<string, string> {
+  const label = cfg.priorities[t.priority]?.label || "";
+  return {
+    id: t.id,
+    title: t.title,
+    status: t.status,
+    priority: `${t.priority} – ${label}`,
+    priorityLabel: label,
+    resolveBy: new Date(computeSla(t, cfg).resolveDue).toLocaleString(),
+    name: t.name,
+    team: t.team,
+    category: t.category,
+  };
+}
+
+// ----- Canned Responses and Knowledge Base -----
+// Canned responses are note text agents insert instead of retyping it; they take the notification
+// placeholders plus {{agent}}, filled in from the ticket when inserted.
+type CannedResponse = { id: string; name: string; text: string };
+// Articles with no categories are suggested for all of them; keywords weigh more than words in the title or body
+type KbArticle = { id: string; title: string; body: string; keywords: string[]; categories: string[] };
+// A requester read a suggested article and said it solved their problem, so no ticket was submitted.
+// query is what they had typed as the title (or the start of the description).
+type Deflection = { id: string; articleId: string; at: string; query: string; requester?: string };
+
+const CANNED_PLACEHOLDERS = [...TEMPLATE_PLACEHOLDERS, "agent"];
+
+function normalizeCannedResponses(arr: unknown): CannedResponse[] {
+  if (!Array.isArray(arr)) return [];
+  return arr
+    .filter((c) => c && typeof c.id === "string" && typeof c.name === "string" && c.name.trim())
+    .map((c) => ({ id: c.id, name: c.name.trim(), text: String(c.text || "") }));
+}
+
+function normalizeArticles(arr: unknown, categories: string[]): KbArticle[] {
+  if (!Array.isArray(arr)) return [];
+  return arr
+    .filter((a) => a && typeof a.id === "string" && typeof a.title === "string" && a.title.trim())
+    .map((a) => ({
+      id: a.id,
+      title: a.title.trim(),
+      body: String(a.body || ""),
+      keywords: Array.isArray(a.keywords) ? Array.from(new Set(a.keywords.map((k: any) => String(k).trim().toLowerCase()).filter(Boolean))) : [],
+      categories: Array.isArray(a.categories) ? a.categories.filter((c: any) => categories.includes(c)) : [],
+    }));
+}
+
+function cannedText(c: CannedResponse, t: Ticket, cfg: Partial<Config> & Pick<Config, "priorities">, agent: string) {
+  return renderTemplate(c.text, { ...templateVars(t, cfg), agent });
+}
+
+// Words too common to say anything about which article fits
+const KB_STOPWORDS = new Set("the and for with not can cant won't wont does doesnt dont have has was are from this that when what how why my our your its it's into out get got any all".split(" "));
+
+function kbWords(text: string) {
+  return new Set(text.toLowerCase().split(/[^a-z0-9]+/).filter((w) => w.length >= 3 && !KB_STOPWORDS.has(w)));
+}
+
+// Articles for what the requester has typed so far, best first: each word scores 3 for a keyword,
+// 2 for the title and 1 for the body. A lone body word isn't enough to suggest an article.
+function suggestArticles(articles: KbArticle[], text: string, category: string, limit = 3): KbArticle[] {
+  const words = kbWords(text);
+  if (!words.size) return [];
+  return articles
+    .filter((a) => !a.categories.length || a.categories.includes(category))
+    .map((a) => {
+      const title = kbWords(a.title);
+      const body = kbWords(a.body);
+      let score = 0;
+      for (const w of words) {
+        if (a.keywords.some((k) => k === w || k.split(/\s+/).includes(w))) score += 3;
+        else if (title.has(w)) score += 2;
+        else if (body.has(w)) score += 1;
+      }
+      return { a, score };
+    })
+    .filter((x) => x.score >= 2)
+    .sort((x, y) => y.score - x.score)
+    .slice(0, limit)
+    .map((x) => x.a);
+}
+
+function deflectionCounts(deflections: Deflection[]) {
+  const counts = new Map<string, number>();
+  for (const d of deflections) counts.set(d.articleId, (counts.get(d.articleId) || 0) + 1);
+  return counts;
+}
+
+// ----- Ticket Sorting -----
+const TICKET_SORTS: Record<string, string> = {
+  newest: "Newest first",
+  oldest: "Oldest first",
+  updated: "Recently updated",
+  respondDue: "Respond by (soonest)",
+  resolveDue: "Resolve by (soonest)",
+  slaRisk: "SLA risk (worst first)",
+  priority: "Priority (P1 first)",
+  status: "Status",
+  title: "Title",
+  category: "Category",
+  team: "Team",
+  assignee: "Assignee",
+  requester: "Requester",
+};
+
+// reverse flips whichever order is picked; statuses sort in workflow order
+function ticketSorter(sort: string, slaById: Map<string, SlaStatus>, reverse = false, workflow: Workflow = DEFAULT_WORKFLOW) {
+  const statusOrder = workflow.statuses.map((s) => s.name);
+  const worst = (t: Ticket) => {
+    const sla = slaById.get(t.id)!;
+    return Math.min(SLA_STATES.indexOf(sla.respond), SLA_STATES.indexOf(sla.resolve));
+  };
+  const due = (t: Ticket, key: "respondDue" | "resolveDue") => new Date(slaById.get(t.id)![key]).getTime();
+  const text = (a = "", b = "") => a.localeCompare(b, undefined, { sensitivity: "base" });
+  const compare = (a: Ticket, b: Ticket) => {
+    switch (sort) {
+      case "oldest":
+        return a.createdAt.localeCompare(b.createdAt);
+      case "updated":
+        return b.updatedAt.localeCompare(a.updatedAt);
+      case "respondDue":
+      case "resolveDue":
+        return due(a, sort) - due(b, sort);
+      case "slaRisk":
+        return worst(a) - worst(b) || due(a, "resolveDue") - due(b, "resolveDue");
+      case "priority":
+        return a.priority.localeCompare(b.priority) || due(a, "resolveDue") - due(b, "resolveDue");
+      case "status":
+        return statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status);
+      case "title":
+        return text(a.title, b.title);
+      case "category":
+        return text(a.category, b.category);
+      case "team":
+        return text(a.team, b.team);
+      case "assignee":
+        // Unassigned last
+        return Number(!a.assignee) - Number(!b.assignee) || text(a.assignee, b.assignee);
+      case "requester":
+        return text(a.name, b.name);
+      default:
+        return b.createdAt.localeCompare(a.createdAt);
+    }
+  };
+  return (a: Ticket, b: Ticket) => (reverse ? -compare(a, b) : compare(a, b)) || a.id.localeCompare(b.id);
+}
+
+// ----- Ticket Query Language -----
+// Search box syntax, all terms ANDed:
+//   free text            substring of ID, title, description, requester, contact, category, team or assignee
+//   field:a,b            any of the values; "quote values" with spaces
+//   field:!a / -field:a  negated
+//   created:>-7d         dates take <, <=, >, >= and YYYY-MM-DD, today, or offsets like -7d, +12h, -30m, -2w
+//   breached:resolve     respond | resolve | any;  sla:at-risk;  assignee:me / assignee:none;  is:open | done | unassigned | paused
+//   assettag:LT-1        custom fields by key; numbers and dates compare like dates do (>5, <2025-01-01), checkboxes take yes/no
+type QueryTerm = { field: string; negate: boolean; values: string[] };
+
+const QUERY_ALIASES: Record<string, string> = {
+  id: "id",
+  title: "title",
+  description: "description",
+  desc: "description",
+  requester: "name",
+  name: "name",
+  contact: "contactValue",
+  category: "category",
+  team: "team",
+  assignee: "assignee",
+  status: "status",
+  priority: "priority",
+  code: "resolutionCode",
+  created: "createdAt",
+  updated: "updatedAt",
+  resolved: "resolvedAt",
+  responded: "firstResponseAt",
+  due: "resolveDue",
+  respondby: "respondDue",
+  breached: "breached",
+  sla: "sla",
+  is: "is",
+};
+const QUERY_DATE_FIELDS = ["createdAt", "updatedAt", "resolvedAt", "firstResponseAt", "resolveDue", "respondDue"];
+const QUERY_UNITS: Record<string, number> = { m: 60000, h: 3600000, d: 86400000, w: 7 * 86400000 };
+
+function tokenizeQuery(q: string) {
+  const tokens: string[] = [];
+  let cur = "";
+  let quoted = false;
+  for (const ch of q) {
+    if (ch === '"') quoted = !quoted;
+    if (/\s/.test(ch) && !quoted) {
+      if (cur) tokens.push(cur);
+      cur = "";
+    } else cur += ch;
+  }
+  if (cur) tokens.push(cur);
+  return tokens;
+}
+
+function splitQueryValues(v: string) {
+  return (v.match(/"[^"]*"?|[^,]+/g) || []).map((x) => x.replace(/"/g, "").trim()).filter(Boolean);
+}
+
+// Custom fields' terms use the field "fields.<id>"
+function parseQuery(q: string, customFields: CustomField[] = []): { terms: QueryTerm[]; errors: string[] } {
+  const terms: QueryTerm[] = [];
+  const errors: string[] = [];
+  for (const token of tokenizeQuery(q)) {
+    const m = /^(-?)([a-z][a-z0-9]*):(.*)$/i.exec(token);
+    if (!m) {
+      const text = token.replace(/"/g, "");
+      if (text) terms.push({ field: "text", negate: false, values: [text] });
+      continue;
+    }
+    const custom = customFields.find((f) => f.key === m[2].toLowerCase());
+    const field = custom ? `fields.${custom.id}` : QUERY_ALIASES[m[2].toLowerCase()];
+    if (!field) {
+      errors.push(`Unknown field "${m[2]}"`);
+      continue;
+    }
+    let rest = m[3];
+    let negate = m[1] === "-";
+    if (rest.startsWith("!")) {
+      negate = !negate;
+      rest = rest.slice(1);
+    }
+    const values = splitQueryValues(rest);
+    if (!values.length) {
+      errors.push(`"${token}" needs a value`);
+      continue;
+    }
+    const badDate = QUERY_DATE_FIELDS.includes(field) && values.find((v) => !parseDateBound(v, Date.now()));
+    if (badDate) {
+      errors.push(`"${badDate}" is not a date`);
+      continue;
+    }
+    terms.push({ field, negate, values });
+  }
+  return { terms, errors };
+}
+
+// "<-7d" -> { from/to } window in ms; bare days (2025-01-01, today) cover that whole local day
+function parseDateBound(v: string, nowMs: number): { from: number; to: number } | null {
+  const m = /^(<=|>=|<|>)?(.+)$/.exec(v.trim());
+  if (!m) return null;
+  const [, op, target] = m;
+  let start: number;
+  let span = 0;
+  const rel = /^([+-]\d+)([mhdw])$/i.exec(target);
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(target);
+  if (rel) start = nowMs + Number(rel[1]) * QUERY_UNITS[rel[2].toLowerCase()];
+  else if (target.toLowerCase() === "today") {
+    const d = new Date(nowMs);
+    start = new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+    span = 86400000;
+  } else if (day) {
+    start = new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3])).getTime();
+    span = 86400000;
+  } else {
+    start = Date.parse(target);
+    if (Number.isNaN(start)) return null;
+  }
+  switch (op) {
+    case "<":
+      return { from: -Infinity, to: start };
+    case "<=":
+      return { from: -Infinity, to: start + span };
+    case ">":
+      return { from: start + span, to: Infinity };
+    case ">=":
+      return { from: start, to: Infinity };
+    default:
+      // A bare offset means "since" (-7d) or "until" (+1d)
+      if (rel) return start < nowMs ? { from: start, to: Infinity } : { from: -Infinity, to: start };
+      return span ? { from: start, to: start + span } : { from: start, to: start + 1 };
+  }
+}
+
+type QueryContext = { sla: SlaStatus; me?: string; nowMs: number; priorities?: PriorityConfig; workflow?: Workflow; customFields?: CustomField[] };
+
+function customFieldMatches(f: CustomField, value: string | undefined, v: string, nowMs: number) {
+  switch (f.type) {
+    case "checkbox":
+      return /^(yes|true|1)$/i.test(v) ? !!value : /^(no|false|0)$/i.test(v) && !value;
+    case "number": {
+      const m = /^(<=|>=|<|>)?(.+)$/.exec(v)!;
+      const [x, y] = [Number(value), Number(m[2])];
+      if (!value || Number.isNaN(x) || Number.isNaN(y)) return false;
+      return { "<": x < y, "<=": x <= y, ">": x > y, ">=": x >= y }[m[1]] ?? x === y;
+    }
+    case "date": {
+      const bound = parseDateBound(v, nowMs);
+      const day = value && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+      if (!bound || !day) return false;
+      const ms = new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3])).getTime();
+      return ms >= bound.from && ms < bound.to;
+    }
+    case "select":
+      return (value || "").toLowerCase() === v.toLowerCase();
+    default:
+      return (value || "").toLowerCase().includes(v.toLowerCase());
+  }
+}
+
+function termMatches(t: Ticket, term: QueryTerm, ctx: QueryContext): boolean {
+  const norm = (v = "") => v.toLowerCase().replace(/\s+/g, "");
+  const has = (v: string | undefined, x: string) => (v || "").toLowerCase().includes(x.toLowerCase());
+  return term.values.some((v) => {
+    switch (term.field) {
+      case "text":
+        return [t.id, t.title, t.description, t.name, t.contactValue, t.category, t.team, t.assignee, ...Object.values(t.fields || {})].some((f) => has(f, v));
+      case "status":
+      case "category":
+      case "team":
+        return norm(t[term.field]) === norm(v);
+      case "priority":
+        return norm(t.priority) === norm(v) || norm(ctx.priorities?.[t.priority]?.label) === norm(v);
+      case "assignee":
+        if (v === "me") return !!ctx.me && t.assignee === ctx.me;
+        if (v === "none") return !t.assignee;
+        return norm(t.assignee) === norm(v);
+      case "breached":
+        if (v === "respond" || v === "resolve") return ctx.sla[v] === "breached";
+        return v === "any" && (ctx.sla.respond === "breached" || ctx.sla.resolve === "breached");
+      case "sla":
+        return ctx.sla.respond === v || ctx.sla.resolve === v;
+      case "is":
+        if (v === "open") return !isDoneStatus(t.status, ctx.workflow);
+        if (v === "done") return isDoneStatus(t.status, ctx.workflow);
+        if (v === "unassigned") return !t.assignee;
+        if (v === "paused") return isPausedStatus(t.status, ctx.workflow);
+        return false;
+      case "resolveDue":
+      case "respondDue":
+      case "createdAt":
+      case "updatedAt":
+      case "resolvedAt":
+      case "firstResponseAt": {
+        const iso = term.field === "resolveDue" || term.field === "respondDue" ? ctx.sla[term.field] : t[term.field];
+        const bound = parseDateBound(v, ctx.nowMs);
+        if (!iso || !bound) return false;
+        const ms = new Date(iso).getTime();
+        return ms >= bound.from && ms < bound.to;
+      }
+      default: {
+        const custom = term.field.startsWith("fields.") && ctx.customFields?.find((f) => `fields.${f.id}` === term.field);
+        if (custom) return customFieldMatches(custom, t.fields?.[custom.id], v, ctx.nowMs);
+        return has((t as any)[term.field], v);
+      }
+    }
+  });
+}
+
+function matchesQuery(t: Ticket, terms: QueryTerm[], ctx: QueryContext) {
+  return terms.every((term) => termMatches(t, term, ctx) !== term.negate);
+}
+
+// ----- Reports -----
+// Aggregates over the tickets the Filters panel shows, for a range of whole local days.
+// Volume, response and resolution figures count what happened inside the range; the backlog is as of now.
+// Tickets closed as duplicates of another are left out of resolution figures (nobody worked them).
+type ReportBucket = "day" | "week" | "month";
+type ReportRow = { label: string; count: number };
+type Report = {
+  bucket: ReportBucket;
+  volume: { label: string; created: number; resolved: number }[];
+  backlog: { team: ReportRow[]; category: ReportRow[]; priority: ReportRow[] };
+  respond: { count: number; meanMins: number | null };
+  resolve: { count: number; meanMins: number | null };
+  sla: { priority: Priority; respondMet: number; respondTotal: number; resolveMet: number; resolveTotal: number }[];
+  agents: { assignee: string; resolved: number; open: number; meanResolveMins: number | null }[];
+};
+
+const DAY_MS = 86400000;
+
+function localDay(ms: number) {
+  const d = new Date(ms);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+}
+
+function dayKey(ms: number) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+// "YYYY-MM-DD" -> local midnight (NaN when malformed)
+function parseDayKey(key: string) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key);
+  return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])).getTime() : NaN;
+}
+
+// Days for a month, weeks (starting Monday) for half a year, months beyond that
+function reportBucket(fromMs: number, toMs: number): ReportBucket {
+  const days = (toMs - fromMs) / DAY_MS;
+  return days <= 31 ? "day" : days <= 183 ? "week" : "month";
+}
+
+function bucketStart(ms: number, bucket: ReportBucket) {
+  const d = new Date(localDay(ms));
+  if (bucket === "week") d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  if (bucket === "month") d.setDate(1);
+  return d.getTime();
+}
+
+function nextBucket(ms: number, bucket: ReportBucket) {
+  const d = new Date(ms);
+  if (bucket === "month") d.setMonth(d.getMonth() + 1);
+  else d.setDate(d.getDate() + (bucket === "week" ? 7 : 1));
+  return d.getTime();
+}
+
+const mean = (values: number[]) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+const minutesBetween = (from: string, to: string) => (new Date(to).getTime() - new Date(from).getTime()) / 60000;
+
+// from/to are "YYYY-MM-DD", both days included
+function computeReport(tickets: Ticket[], slaById: Map<string, SlaStatus>, range: { from: string; to: string }, workflow: Workflow = DEFAULT_WORKFLOW): Report {
+  const fromMs = parseDayKey(range.from);
+  const toMs = nextBucket(parseDayKey(range.to), "day");
+  const inRange = (iso?: string) => !!iso && new Date(iso).getTime() >= fromMs && new Date(iso).getTime() < toMs;
+  const bucket = reportBucket(fromMs, toMs);
+
+  const volume = new Map<number, { label: string; created: number; resolved: number }>();
+  for (let b = bucketStart(fromMs, bucket); b < toMs; b = nextBucket(b, bucket)) {
+    volume.set(b, { label: bucket === "month" ? dayKey(b).slice(0, 7) : dayKey(b), created: 0, resolved: 0 });
+  }
+  const bump = (iso: string, key: "created" | "resolved") => {
+    const row = volume.get(bucketStart(new Date(iso).getTime(), bucket));
+    if (row) row[key]++;
+  };
+
+  const created = tickets.filter((t) => inRange(t.createdAt));
+  const resolved = tickets.filter((t) => !t.duplicateOf && isDoneStatus(t.status, workflow) && inRange(t.resolvedAt));
+  for (const t of created) bump(t.createdAt, "created");
+  for (const t of resolved) bump(t.resolvedAt!, "resolved");
+
+  const open = tickets.filter((t) => !isDoneStatus(t.status, workflow));
+  const countBy = (key: (t: Ticket) => string): ReportRow[] => {
+    const counts = new Map<string, number>();
+    for (const t of open) counts.set(key(t), (counts.get(key(t)) || 0) + 1);
+    return Array.from(counts, ([label, count]) => ({ label, count })).sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+  };
+
+  const responded = created.filter((t) => t.firstResponseAt);
+  const sla = (["P1", "P2", "P3", "P4"] as Priority[]).map((priority) => {
+    const respondStates = created.filter((t) => t.priority === priority).map((t) => slaById.get(t.id)?.respond).filter((s) => s === "met" || s === "breached");
+    const resolveStates = resolved.filter((t) => t.priority === priority).map((t) => slaById.get(t.id)?.resolve);
+    return {
+      priority,
+      respondMet: respondStates.filter((s) => s === "met").length,
+      respondTotal: respondStates.length,
+      resolveMet: resolveStates.filter((s) => s === "met").length,
+      resolveTotal: resolveStates.length,
+    };
+  });
+
+  const assignees = Array.from(new Set([...resolved, ...open].map((t) => t.assignee || ""))).sort((a, b) => (a ? (b ? a.localeCompare(b) : -1) : 1));
+  const agents = assignees.map((assignee) => {
+    const mine = resolved.filter((t) => (t.assignee || "") === assignee);
+    return {
+      assignee,
+      resolved: mine.length,
+      open: open.filter((t) => (t.assignee || "") === assignee).length,
+      meanResolveMins: mean(mine.map((t) => minutesBetween(t.createdAt, t.resolvedAt!))),
+    };
+  });
+
+  return {
+    bucket,
+    volume: Array.from(volume.values()),
+    backlog: { team: countBy((t) => t.team), category: countBy((t) => t.category), priority: countBy((t) => t.priority) },
+    respond: { count: responded.length, meanMins: mean(responded.map((t) => minutesBetween(t.createdAt, t.firstResponseAt!))) },
+    resolve: { count: resolved.length, meanMins: mean(resolved.map((t) => minutesBetween(t.createdAt, t.resolvedAt!))) },
+    sla,
+    agents,
+  };
+}
+
+// "3d 4h", "2h 5m", "12m"
+function formatDuration(mins: number | null) {
+  if (mins === null) return "—";
+  const m = Math.round(mins);
+  if (m >= 1440) return `${Math.floor(m / 1440)}d ${Math.floor((m % 1440) / 60)}h`;
+  if (m >= 60) return `${Math.floor(m / 60)}h ${m % 60}m`;
+  return `${m}m`;
+}
+
+const percent = (met: number, total: number) => (total ? `${Math.round((met / total) * 100)}%` : "—");
+
+// Long format (one number per row) so a spreadsheet can pivot it any way the manager likes
+function reportToCsv(report: Report, range: { from: string; to: string }) {
+  const rows: (string | number)[][] = [["section", "group", "metric", "value"]];
+  rows.push(["range", "", "from", range.from], ["range", "", "to", range.to]);
+  for (const v of report.volume) rows.push(["volume", v.label, "created", v.created], ["volume", v.label, "resolved", v.resolved]);
+  for (const [by, list] of Object.entries(report.backlog)) for (const r of list) rows.push([`backlog by ${by}`, r.label, "open", r.count]);
+  rows.push(["response", "", "tickets", report.respond.count], ["response", "", "mean minutes", report.respond.meanMins === null ? "" : Math.round(report.respond.meanMins)]);
+  rows.push(["resolution", "", "tickets", report.resolve.count], ["resolution", "", "mean minutes", report.resolve.meanMins === null ? "" : Math.round(report.resolve.meanMins)]);
+  for (const s of report.sla) {
+    rows.push(["sla", s.priority, "respond met", s.respondMet], ["sla", s.priority, "respond total", s.respondTotal]);
+    rows.push(["sla", s.priority, "resolve met", s.resolveMet], ["sla", s.priority, "resolve total", s.resolveTotal]);
+  }
+  for (const a of report.agents) {
+    const who = a.assignee || "(unassigned)";
+    rows.push(["agents", who, "resolved", a.resolved], ["agents", who, "open", a.open]);
+    rows.push(["agents", who, "mean resolve minutes", a.meanResolveMins === null ? "" : Math.round(a.meanResolveMins)]);
+  }
+  return toCsv(rows.map((r) => r.map(String)));
+}
+
+// ----- Import / Export -----
+// RFC 4180 CSV: fields containing quotes, commas or line breaks are quoted, quotes are doubled. A value a
+// spreadsheet would run as a formula (=, +, -, @) gets a leading ' that parseCsv takes off again.
+function csvField(v: string) {
+  const safe = /^[=+\-@\t\r]/.test(v) ? `'${v}` : v;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function toCsv(rows: string[][]) {
+  return rows.map((r) => r.map(csvField).join(",")).join("\r\n");
+}
+
+function parseCsv(text: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = "";
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim())).map((r) => r.map((f) => (/^'[=+\-@\t\r]/.test(f) ? f.slice(1) : f)));
+}
+
+// Columns in our own CSV export; notes and history travel as JSON, so an export re-imports with its
+// conversation, timeline and SLA clock
+const CSV_FIELDS = [
+  "id",
+  "title",
+  "description",
+  "name",
+  "contactType",
+  "contactValue",
+  "category",
+  "team",
+  "assignee",
+  "status",
+  "priority",
+  "createdAt",
+  "updatedAt",
+  "firstResponseAt",
+  "resolvedAt",
+  "resolutionCode",
+  "resolutionSummary",
+  "pausedMins",
+  "pausedAt",
+  "notes",
+  "history",
+] as const;
+type CsvField = (typeof CSV_FIELDS)[number];
+
+// Custom fields follow as one column each, headed by their label
+function ticketsToCsv(tickets: Ticket[], customFields: CustomField[] = []) {
+  return toCsv([
+    [...CSV_FIELDS, ...customFields.map((f) => f.label)],
+    ...tickets.map((t) => [...CSV_FIELDS.map((f) => (f === "notes" || f === "history" ? (t[f].length ? JSON.stringify(t[f]) : "") : String(t[f] ?? ""))), ...customFields.map((f) => t.fields?.[f.id] ?? "")]),
+  ]);
+}
+
+// Full-fidelity backup: everything but user accounts (which hold password hashes). attachments holds the
+// file bytes (base64) by attachment ID; files that couldn't be read at export time are left out.
+type Backup = {
+  format: "nexticket-backup";
+  version: 1;
+  exportedAt: string;
+  tickets: Ticket[];
+  config: Config;
+  attachments?: Record<string, { type: string; data: string }>;
+};
+
+function parseBackup(text: string): Backup | null {
+  try {
+    const obj = JSON.parse(text);
+    if (obj?.format !== "nexticket-backup" || !Array.isArray(obj.tickets)) return null;
+    const attachments = obj.attachments && typeof obj.attachments === "object" ? obj.attachments : undefined;
+    return { ...obj, tickets: obj.tickets.map(migrateTicket), config: normalizeConfig(obj.config), attachments };
+  } catch {
+    return null;
+  }
+}
+
+// Header names other helpdesks use for our fields (lowercased, non-letters stripped)
+const CSV_SYNONYMS: Record<CsvField, string[]> = {
+  id: ["id", "ticketid", "ticket", "ticketnumber", "number", "key", "reference"],
+  title: ["title", "subject", "summary", "shortdescription"],
+  description: ["description", "details", "body", "comment", "issue"],
+  name: ["name", "requester", "requestername", "reporter", "caller", "customer", "contact"],
+  contactType: ["contacttype"],
+  contactValue: ["contactvalue", "email", "requesteremail", "emailaddress", "phone", "phonenumber"],
+  category: ["category", "type", "issuetype"],
+  team: ["team", "group", "assignmentgroup", "queue"],
+  assignee: ["assignee", "assignedto", "agent", "owner"],
+  status: ["status", "state"],
+  priority: ["priority", "urgency", "severity"],
+  createdAt: ["createdat", "created", "opened", "createddate", "datecreated", "openedat"],
+  updatedAt: ["updatedat", "updated", "modified", "lastupdated", "lastmodified"],
+  firstResponseAt: ["firstresponseat", "firstresponse", "respondedat"],
+  resolvedAt: ["resolvedat", "resolved", "closed", "closedat", "resolveddate"],
+  resolutionCode: ["resolutioncode", "closecode", "resolution"],
+  resolutionSummary: ["resolutionsummary", "closenotes", "resolutionnotes"],
+  pausedMins: ["pausedmins"],
+  pausedAt: ["pausedat"],
+  notes: ["notes", "comments", "worknotes"],
+  history: ["history", "audittrail"],
+};
+
+// Custom fields map as "fields.<id>"
+type ColumnMapping = Partial<Record<CsvField | `fields.${string}`, number>>;
+
+function guessMapping(headers: string[], customFields: CustomField[] = []): ColumnMapping {
+  const keys = headers.map((h) => h.toLowerCase().replace(/[^a-z]/g, ""));
+  const mapping: ColumnMapping = {};
+  for (const f of CSV_FIELDS) {
+    const i = keys.findIndex((k, idx) => CSV_SYNONYMS[f].includes(k) && !Object.values(mapping).includes(idx));
+    if (i >= 0) mapping[f] = i;
+  }
+  // Custom fields by label or search key
+  const loose = headers.map((h) => h.toLowerCase().replace(/[^a-z0-9]/g, ""));
+  for (const f of customFields) {
+    const i = loose.findIndex((k, idx) => (k === f.key || k === f.label.toLowerCase().replace(/[^a-z0-9]/g, "")) && !Object.values(mapping).includes(idx));
+    if (i >= 0) mapping[`fields.${f.id}`] = i;
+  }
+  return mapping;
+}
+
+const STATUS_SYNONYMS: Record<string, TicketStatus> = {
+  open: "Open",
+  new: "Open",
+  inprogress: "In Progress",
+  active: "In Progress",
+  assigned: "In Progress",
+  onhold: "On Hold",
+  pending: "On Hold",
+  waiting: "On Hold",
+  resolved: "Resolved",
+  solved: "Resolved",
+  closed: "Closed",
+  cancelled: "Closed",
+  canceled: "Closed",
+};
+
+const PRIORITY_SYNONYMS: Record<string, Priority> = { critical: "P1", urgent: "P1", high: "P2", medium: "P3", normal: "P3", moderate: "P3", low: "P4", planning: "P4" };
+
+function parsePriority(v: string, priorities: PriorityConfig): Priority | null {
+  const key = v.toLowerCase().replace(/[^a-z0-9]/g, "");
+  const digit = /^p?([1-4])/.exec(key)?.[1];
+  if (digit) return `P${digit}` as Priority;
+  const byLabel = (Object.keys(priorities) as Priority[]).find((p) => priorities[p].label.toLowerCase() === v.trim().toLowerCase());
+  return byLabel || PRIORITY_SYNONYMS[key] || null;
+}
+
+// One CSV row -> a ticket (through migrateTicket) plus everything that was wrong with it
+function rowToTicket(row: string[], mapping: ColumnMapping, cfg: Config): { ticket: Ticket; errors: string[] } {
+  const errors: string[] = [];
+  const get = (f: CsvField) => (mapping[f] === undefined ? "" : (row[mapping[f]!] || "").trim());
+  const date = (f: CsvField, fallback?: string) => {
+    const v = get(f);
+    if (!v) return fallback;
+    const ms = Date.parse(v);
+    if (Number.isNaN(ms)) {
+      errors.push(`${f} "${v}" is not a date`);
+      return fallback;
+    }
+    return new Date(ms).toISOString();
+  };
+  const raw: any = {};
+  for (const f of ["id", "title", "description", "name", "category", "team", "assignee", "resolutionCode", "resolutionSummary"] as const) raw[f] = get(f) || undefined;
+  if (!raw.title) errors.push("title is missing");
+  const contact = get("contactValue");
+  raw.contactValue = contact;
+  raw.contactType = get("contactType").toLowerCase() === "phone" || (contact && !contact.includes("@") && /\d{7}/.test(contact.replace(/\D/g, ""))) ? "phone" : "email";
+  const status = get("status");
+  // Workflow names and the usual synonyms are accepted; anything else starts at the workflow's first status
+  const knownStatus = !status || cfg.workflow.statuses.some((s) => s.name.toLowerCase() === status.toLowerCase()) || !!STATUS_SYNONYMS[status.toLowerCase().replace(/[^a-z]/g, "")];
+  if (!knownStatus) errors.push(`unknown status "${status}"`);
+  raw.status = status && knownStatus ? reconcileStatus(status, cfg.workflow) : startStatus(cfg.workflow);
+  const priority = get("priority");
+  raw.priority = priority ? parsePriority(priority, cfg.priorities) : "P3";
+  if (!raw.priority) errors.push(`unknown priority "${priority}"`);
+  raw.createdAt = date("createdAt", new Date().toISOString());
+  raw.updatedAt = date("updatedAt", raw.createdAt);
+  raw.firstResponseAt = date("firstResponseAt");
+  raw.resolvedAt = date("resolvedAt");
+  raw.pausedAt = date("pausedAt");
+  // Left out (undefined) for other helpdesks' files, so migrateTicket makes its one-off SLA guess
+  const paused = get("pausedMins");
+  if (paused && !(Number(paused) >= 0)) errors.push(`pausedMins "${paused}" is not a number`);
+  raw.pausedMins = paused && Number(paused) >= 0 ? Number(paused) : undefined;
+  const history = get("history");
+  if (history) {
+    try {
+      raw.history = JSON.parse(history);
+      if (!Array.isArray(raw.history)) throw new Error();
+    } catch {
+      errors.push("history is not a NexTicket export's");
+    }
+  }
+  const notes = get("notes");
+  if (notes) {
+    try {
+      raw.notes = JSON.parse(notes);
+      if (!Array.isArray(raw.notes)) throw new Error();
+    } catch {
+      raw.notes = [{ id: `N-import-${raw.id || Math.random().toString(36).slice(2, 8)}`, text: notes, author: "Import", createdAt: raw.updatedAt }];
+    }
+  }
+  if (raw.category && !cfg.categories.includes(raw.category)) raw.category = FALLBACK_CATEGORY;
+  if (raw.team && !cfg.teams.includes(raw.team)) raw.team = FALLBACK_TEAM;
+  // Custom fields: checkboxes take yes/true/1/x; other values must be valid, but required ones may be missing
+  const values: Record<string, string> = {};
+  for (const f of cfg.customFields) {
+    const i = mapping[`fields.${f.id}`];
+    const v = i === undefined ? "" : (row[i] || "").trim();
+    values[f.id] = f.type === "checkbox" ? (/^(yes|true|1|x)$/i.test(v) ? "yes" : "") : v;
+  }
+  errors.push(...customFieldErrors(cfg.customFields, values, {}).map((e) => e.replace(/\.$/, "")));
+  raw.fields = withFieldValues(undefined, cfg.customFields, values);
+  return { ticket: migrateTicket(raw), errors };
+}
+
+// Merge keeps existing tickets and adds (or, with overwrite, replaces) incoming ones; replace starts from scratch.
+// An overwritten ticket keeps its stored history, plus any entries the incoming copy has that it doesn't.
+type ImportMode = "merge-skip" | "merge-overwrite" | "replace";
+
+function planImport(existing: Ticket[], incoming: Ticket[], mode: ImportMode) {
+  const byId = new Map(existing.map((t) => [t.id, t] as [string, Ticket]));
+  // An imported copy deliberately replaces what's stored, so it takes the stored ticket's version (see Live Sync)
+  const stamped = incoming.map((t) => ({ ...t, version: byId.get(t.id)?.version }));
+  if (mode === "replace") return { tickets: stamped, added: stamped.length, updated: 0, skipped: 0 };
+  let added = 0;
+  let updated = 0;
+  let skipped = 0;
+  for (const t of stamped) {
+    const stored = byId.get(t.id);
+    if (!stored) {
+      added++;
+      byId.set(t.id, t);
+    } else if (mode === "merge-overwrite") {
+      updated++;
+      const known = new Set(stored.history.map((h) => h.id));
+      byId.set(t.id, { ...t, history: [...stored.history, ...t.history.filter((h) => !known.has(h.id) && h.kind !== "created")] });
+    } else skipped++;
+  }
+  return { tickets: Array.from(byId.values()), added, updated, skipped };
+}
+
+function downloadFile(filename: string, text: string, type: string) {
+  downloadBlob(filename, new Blob([text], { type }));
+}
+
+function downloadBlob(filename: string, blob: Blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ----- UI Reusable Components -----
+function Section({ title, children, actions }: { title: string; children: React.ReactNode; actions?: React.ReactNode }) {
+  return (
+    <div className="bg-white rounded-2xl shadow p-6 border border-gray-100">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold truncate pr-4 min-w-0">{title}</h2>
+        <div className="shrink-0">{actions}</div>
+      </div>
+      {children}
+    </div>
+  );
+}
+
+function TextInput({ label, ...props }: React.InputHTMLAttributes<HTMLInputElement> & { label: string }) {
+  return (
+    <label className="block mb-3 min-w-0">
+      <span className="block text-sm font-medium text-gray-700 mb-1 truncate">{label}</span>
+      <input
+        {...props}
+        className={`w-full rounded-xl border border-gray-300 px-3 py-2 outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 ${props.className || ""}`}
+      />
+    </label>
+  );
+}
+
+function TextArea({ label, ...props }: React.TextareaHTMLAttributes<HTMLTextAreaElement> & { label: string }) {
+  return (
+    <label className="block mb-3 min-w-0">
+      <span className="block text-sm font-medium text-gray-700 mb-1 truncate">{label}</span>
+      <textarea
+        {...props}
+        className={`w-full rounded-xl border border-gray-300 px-3 py-2 outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 ${props.className || ""}`}
+      />
+    </label>
+  );
+}
+
+function Select({ label, children, ...props }: React.SelectHTMLAttributes<HTMLSelectElement> & { label: string }) {
+  return (
+    <label className="block mb-3 min-w-0">
+      <span className="block text-sm font-medium text-gray-700 mb-1 truncate">{label}</span>
+      <select
+        {...props}
+        className={`w-full rounded-xl border border-gray-300 px-3 py-2 bg-white outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 ${props.className || ""}`}
+      >
+        {children}
+      </select>
+    </label>
+  );
+}
+
+// One input per custom field, as grid cells; required fields are starred
+function CustomFieldInputs({ fields, values, onChange }: { fields: CustomField[]; values: Record<string, string>; onChange: (values: Record<string, string>) => void }) {
+  const set = (id: string, v: string) => onChange({ ...values, [id]: v });
+  return (
+    <>
+      {fields.map((f) => {
+        const label = `${f.label}${f.required ? " *" : ""}`;
+        const v = values[f.id] || "";
+        switch (f.type) {
+          case "select":
+            return (
+              <Select key={f.id} label={label} value={v} onChange={(e) => set(f.id, e.target.value)}>
+                <option value="">Select…</option>
+                {f.options.map((o) => (
+                  <option key={o} value={o}>{o}</option>
+                ))}
+              </Select>
+            );
+          case "checkbox":
+            return (
+              <label key={f.id} className="flex items-center gap-2 text-sm text-gray-700 mb-3 md:mt-7">
+                <input type="checkbox" checked={!!v} onChange={(e) => set(f.id, e.target.checked ? "yes" : "")} />
+                {label}
+              </label>
+            );
+          default:
+            return <TextInput key={f.id} label={label} type={f.type} step={f.type === "number" ? "any" : undefined} value={v} onChange={(e) => set(f.id, e.target.value)} />;
+        }
+      })}
+    </>
+  );
+}
+
+// File input plus the files picked so far, each with any limit it breaks; nothing is uploaded until the form is sent
+function AttachmentPicker({ files, limits, onChange }: { files: File[]; limits: AttachmentLimits; onChange: (files: File[]) => void }) {
+  return (
+    <div className="mb-3 min-w-0">
+      <span className="block text-sm font-medium text-gray-700 mb-1">Attachments</span>
+      <input
+        type="file"
+        multiple
+        accept={limits.types.join(",") || undefined}
+        className="text-sm"
+        onChange={(e) => {
+          onChange([...files, ...Array.from(e.target.files || [])]);
+          e.target.value = "";
+        }}
+      />
+      <div className="text-xs text-gray-500 mt-1">Up to {limits.maxMB} MB each{limits.types.length ? ` • ${limits.types.join(", ")}` : ""}</div>
+      {files.map((f, i) => {
+        const errs = attachmentErrors(f, limits);
+        return (
+          <div key={i} className="flex items-center gap-2 text-sm mt-1">
+            <span className={`break-all ${errs.length ? "text-red-700" : ""}`}>{f.name} ({formatBytes(f.size)}){errs.length ? ` – ${errs.join(" ")}` : ""}</span>
+            <button className="text-gray-400 hover:text-red-600 text-xs" onClick={() => onChange(files.filter((x) => x !== f))}>Remove</button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Attached files with download links; images also get a preview. Bytes are fetched from the active adapter.
+// lookup: set when the ticket was found through Check My Ticket rather than by signing in as its requester
+function AttachmentList({ attachments, lookup }: { attachments?: Attachment[]; lookup?: TicketLookupKey }) {
+  if (!attachments?.length) return null;
+  return (
+    <div className="flex flex-wrap gap-2 mt-2">
+      {attachments.map((a) => (
+        <AttachmentItem key={a.id} att={a} lookup={lookup} />
+      ))}
+    </div>
+  );
+}
+
+function AttachmentItem({ att, lookup }: { att: Attachment; lookup?: TicketLookupKey }) {
+  const [preview, setPreview] = useState("");
+  const [error, setError] = useState("");
+  useEffect(() => {
+    if (!isImageAttachment(att)) return;
+    let url = "";
+    let cancelled = false;
+    activeStorage
+      .loadAttachment(att.id, lookup)
+      .then((blob) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setPreview(url);
+      })
+      .catch((e) => !cancelled && setError(e instanceof Error ? e.message : String(e)));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [att.id]);
+
+  async function download() {
+    setError("");
+    try {
+      downloadBlob(att.name, await activeStorage.loadAttachment(att.id, lookup));
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    }
+  }
+
+  return (
+    <div className="border rounded-xl p-2 text-xs max-w-[12rem] bg-white">
+      {preview && <img src={preview} alt={att.name} className="max-h-32 rounded-lg mb-1 cursor-pointer" onClick={download} />}
+      <button className="text-indigo-700 hover:underline break-all text-left" onClick={download} title="Download">{att.name}</button>
+      <div className="text-gray-500">{formatBytes(att.size)}</div>
+      {error && <div className="text-red-700 break-words">{error}</div>}
+    </div>
+  );
+}
+
+function Badge({ children }: { children: React.ReactNode }) {
+  return <span className="inline-flex items-center rounded-full border px-2 py-0.5 text-xs font-medium break-words">{children}</span>;
+}
+
+function Pill({ children, className = "" }: { children: React.ReactNode; className?: string }) {
+  return <span className={`inline-flex items-center rounded-full px-2.5 py-1 text-xs font-medium ${className}`}>{children}</span>;
+}
+
+function Divider() {
+  return <div className="h-px bg-gray-200 my-4" />;
+}
+
+// ----- Main Application -----
+// Contains the logic for both the self-service portal and admin dashboard.
+
+export default function TicketingApp() {
+  // State management for app data, filters, and form handling
+  const [tab, setTab] = useState<"portal" | "admin">("portal");
+  const [tickets, setTickets] = useState<Ticket[]>([]);
+  const [cfg, setCfg] = useState<Config>(() => normalizeConfig());
+  // The current tickets and config for callbacks that outlive a render (the live sync subscription)
+  const ticketsRef = useRef(tickets);
+  ticketsRef.current = tickets;
+  // Ticket lists before and after each change still to be announced (see commitTickets)
+  const pendingChanges = useRef(new Map<Ticket[], Ticket[]>());
+  // IDs of tickets whose requester is owed a status email (see notifyRequester)
+  const statusNotices = useRef<string[]>([]);
+  const cfgRef = useRef(cfg);
+  cfgRef.current = cfg;
+  const [submitMsg, setSubmitMsg] = useState<string>("");
+  const [filters, setFilters] = useState<TicketFilters>(DEFAULT_FILTERS);
+  const [now, setNow] = useState(() => Date.now());
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [resolving, setResolving] = useState<{ id: string; status: TicketStatus } | null>(null);
+  // Bulk actions: checked ticket IDs, the status awaiting a resolution for the whole selection, and the last batch (for undo)
+  const [selection, setSelection] = useState<string[]>([]);
+  const [bulkResolving, setBulkResolving] = useState<TicketStatus | null>(null);
+  const [lastBatch, setLastBatch] = useState<BulkBatch | null>(null);
+  const [bulkMessage, setBulkMessage] = useState("");
+  // Reports: hidden until asked for; the range is whole local days, last 30 by default
+  const [showReports, setShowReports] = useState(false);
+  const [reportRange, setReportRange] = useState(() => ({ from: dayKey(Date.now() - 29 * DAY_MS), to: dayKey(Date.now()) }));
+  const [storage, setStorage] = useState<StorageSettings>(() => activeStorage.settings);
+  const [ready, setReady] = useState(false);
+  const [storageError, setStorageError] = useState("");
+  const [loadNotice, setLoadNotice] = useState("");
+  // In-app notices for escalation steps that asked for one
+  const [escalationNotices, setEscalationNotices] = useState<{ key: string; ticketId: string; text: string }[]>([]);
+  // Edits made here that lost out to a save made elsewhere at the same time (field keys, see syncFieldLabel)
+  const [syncNotices, setSyncNotices] = useState<{ key: string; ticketId: string; fields: string[] }[]>([]);
+  const [user, setUser] = useState<User | null>(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [users, setUsers] = useState<User[]>([]);
+  const [lookup, setLookup] = useState<{ id: string; contact: string } | null>(null);
+  const [importing, setImporting] = useState(false);
+  // Knowledge-base deflections, for the article stats admins see
+  const [deflections, setDeflections] = useState<Deflection[]>([]);
+  // Requester directory (staff); null until loaded so tickets aren't linked against an empty list
+  const [contacts, setContacts] = useState<Contact[] | null>(null);
+
+  // Pick up an existing session whenever the storage backend changes
+  useEffect(() => {
+    let cancelled = false;
+    setAuthChecked(false);
+    setUser(null);
+    activeStorage.restoreSession().then((u) => {
+      if (cancelled) return;
+      setUser(u);
+      setAuthChecked(true);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [storage]);
+
+  // Data persistence (nothing is loaded before sign-in, nor written back until the active adapter has loaded)
+  useEffect(() => {
+    let cancelled = false;
+    setReady(false);
+    setStorageError("");
+    setLoadNotice("");
+    if (!user) return;
+    Promise.all([loadTickets(), loadConfig()])
+      .then(async ([loadedTickets, loadedCfg]) => {
+        const allocate = (t: Ticket) => activeStorage.allocateTicketId(t.category, loadedCfg.numbering, new Date(t.createdAt));
+        // The server repairs its own data file when it starts; a copy posted from here would leave its duplicate behind
+        const { tickets: renumbered, repaired: count } =
+          activeStorage.settings.kind === "local" ? await repairTicketIds(loadedTickets, allocate, user.name) : { tickets: loadedTickets, repaired: 0 };
+        const { tickets: repaired, repaired: moved } = repairStatuses(renumbered, loadedCfg.workflow, user.name);
+        if (cancelled) return;
+        setTickets(repaired);
+        setCfg(loadedCfg);
+        const notices = [
+          count ? `Gave ${count} ticket${count === 1 ? "" : "s"} with a missing or duplicate ID a new ID.` : "",
+          moved ? `Moved ${moved} ticket${moved === 1 ? "" : "s"} whose status is no longer in the workflow to the closest one.` : "",
+        ].filter(Boolean);
+        if (notices.length) setLoadNotice(`${notices.join(" ")} See each ticket's timeline.`);
+        setReady(true);
+      })
+      .catch((e) => {
+        if (!cancelled) setStorageError(`Could not load data: ${e instanceof Error ? e.message : String(e)}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [storage, user?.id]);
+  // Staff need the user list for rosters and assignee pickers
+  useEffect(() => {
+    if (!ready || !can(user, "workTickets")) {
+      setUsers([]);
+      return;
+    }
+    activeStorage
+      .loadUsers()
+      .then(setUsers)
+      .catch((e) => setStorageError(`Could not load users: ${e instanceof Error ? e.message : String(e)}`));
+  }, [ready, user?.id]);
+  useEffect(() => {
+    if (!ready || !can(user, "editConfig")) {
+      setDeflections([]);
+      return;
+    }
+    activeStorage
+      .loadDeflections()
+      .then(setDeflections)
+      .catch((e) => setStorageError(`Could not load knowledge-base stats: ${e instanceof Error ? e.message : String(e)}`));
+  }, [ready, user?.id]);
+  useEffect(() => {
+    setContacts(null);
+    if (!ready || !can(user, "workTickets")) return;
+    reloadContacts();
+  }, [ready, user?.id]);
+
+  function reloadContacts() {
+    activeStorage
+      .loadContacts()
+      .then(setContacts)
+      .catch((e) => setStorageError(`Could not load the requester directory: ${e instanceof Error ? e.message : String(e)}`));
+  }
+
+  // Staff sessions link tickets to the directory (new ones in local mode, edited addresses either way), adding
+  // contacts for addresses it hasn't seen
+  useEffect(() => {
+    if (!ready || !contacts) return;
+    const linked = linkContacts(tickets, contacts, cfg, new Date().toISOString(), storage.kind === "local");
+    if (linked.tickets === tickets) return;
+    setTickets(linked.tickets);
+    if (!linked.created.length) return;
+    setContacts([...contacts, ...linked.created]);
+    (async () => {
+      for (const c of linked.created) await activeStorage.saveContact(c);
+    })().catch((e) => {
+      // Most likely another session added the same address first: take its copy and link to that instead
+      setStorageError(`Could not save a new contact: ${e instanceof Error ? e.message : String(e)}`);
+      reloadContacts();
+    });
+  }, [tickets, contacts, ready]);
+
+  async function saveContact(c: Contact) {
+    const saved = await activeStorage.saveContact(c);
+    setContacts((list) => (list || []).some((x) => x.id === saved.id) ? (list || []).map((x) => (x.id === saved.id ? saved : x)) : [...(list || []), saved]);
+  }
+
+  async function deleteContact(id: string) {
+    await activeStorage.deleteContact(id);
+    setContacts((list) => (list || []).filter((c) => c.id !== id));
+  }
+
+  // drop's addresses must be free before keep can take them, so it goes first
+  async function mergeContacts(keep: Contact, drop: Contact) {
+    try {
+      await activeStorage.deleteContact(drop.id);
+      const merged = await activeStorage.saveContact(mergeContact(keep, drop));
+      setContacts((list) => (list || []).filter((c) => c.id !== drop.id).map((c) => (c.id === keep.id ? merged : c)));
+      setTickets((list) => relinkTickets(list, drop.id, keep.id));
+    } catch (e) {
+      setStorageError(`Could not merge contacts: ${e instanceof Error ? e.message : String(e)}`);
+      reloadContacts();
+    }
+  }
+
+  const agents = useMemo(() => users.filter((u) => u.role !== "requester"), [users]);
+  const userName = (username?: string) => users.find((u) => u.username === username)?.name || username || "Unassigned";
+
+  useEffect(() => {
+    if (!ready) return;
+    saveTickets(tickets).catch((e) => setStorageError(`Could not save tickets: ${e instanceof Error ? e.message : String(e)}`));
+  }, [tickets, ready]);
+  // Status emails and alerts wait for the change to be committed and its save queued (the effect above), so
+  // they go to the ticket's current contact and the server has that copy when it's asked to send
+  useEffect(() => {
+    const changes = [...pendingChanges.current];
+    pendingChanges.current.clear();
+    for (const [before, after] of changes) announceChanges(before, after);
+    for (const id of new Set(statusNotices.current.splice(0))) {
+      const t = tickets.find((x) => x.id === id);
+      if (t) notifyRequester(t);
+    }
+  }, [tickets]);
+
+  // Live sync: saves from other tabs and agents, and how our own went, arrive as they happen
+  useEffect(() => {
+    if (!ready) return;
+    return activeStorage.subscribe((ev) => {
+      if (ev.kind === "config") {
+        loadConfig()
+          .then(setCfg)
+          .catch((e) => setStorageError(`Could not load config: ${e instanceof Error ? e.message : String(e)}`));
+        return;
+      }
+      if (ev.kind === "contacts") {
+        reloadContacts();
+        return;
+      }
+      if (ev.kind === "ticket" && ev.base) showEscalations(ev.base, ev.ticket);
+      if (ev.kind === "ticket") {
+        // Worked out from the tickets as last rendered, so the notice isn't raised from inside a state updater
+        const { clashes } = applySyncEvent(ticketsRef.current, ev);
+        const key = `${ev.ticket.id}-${ticketVersion(ev.ticket)}`;
+        if (clashes.length) setSyncNotices((notices) => (notices.some((n) => n.key === key) ? notices : [...notices, { key, ticketId: ev.ticket.id, fields: clashes }]));
+      }
+      setTickets((list) => applySyncEvent(list, ev).tickets);
+    });
+  }, [ready, storage]);
+  useEffect(() => {
+    const normalized = normalizeConfig(cfg);
+    if (JSON.stringify(normalized) !== JSON.stringify(cfg)) setCfg(normalized);
+    if (!ready || !can(user, "editConfig")) return;
+    saveConfig(normalized).catch((e) => setStorageError(`Could not save config: ${e instanceof Error ? e.message : String(e)}`));
+  }, [cfg, ready]);
+
+  function changeStorage(next: StorageSettings) {
+    switchStorage(next);
+    setStorage(activeStorage.settings);
+  }
+
+  // Requester replies are written by the adapter, so pick them up from storage afterwards
+  function reloadTickets() {
+    loadTickets()
+      .then(setTickets)
+      .catch((e) => setStorageError(`Could not load data: ${e instanceof Error ? e.message : String(e)}`));
+  }
+
+  function signIn(u: User) {
+    setUser(u);
+    setTab(can(u, "workTickets") ? "admin" : "portal");
+  }
+
+  function signOut() {
+    setReady(false);
+    setEscalationNotices([]);
+    setSyncNotices([]);
+    activeStorage.logout().finally(() => {
+      setUser(null);
+      setTickets([]);
+      setSelectedId(null);
+      setTab("portal");
+    });
+  }
+  useEffect(() => {
+    runTests();
+  }, []);
+  // Re-evaluate SLA states once a minute
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+  // SLA escalations: with the server in use it fires them (see startEscalations there). In local mode one staff
+  // tab per browser does, the one holding the escalation lock, so two open tabs don't both fire a step.
+  const [escalating, setEscalating] = useState(false);
+  useEffect(() => {
+    if (storage.kind !== "local" || !can(user, "workTickets")) return;
+    if (typeof navigator === "undefined" || !navigator.locks) {
+      setEscalating(true);
+      return () => setEscalating(false);
+    }
+    const abort = new AbortController();
+    let release = () => {};
+    navigator.locks
+      .request("nexticket-escalations", { signal: abort.signal }, () => {
+        setEscalating(true);
+        return new Promise<void>((resolve) => (release = resolve));
+      })
+      .catch(() => undefined);
+    return () => {
+      abort.abort();
+      release();
+      setEscalating(false);
+    };
+  }, [storage, user]);
+  // The lock holder fires the steps that have come due on each tick (once the users are loaded, so a step
+  // can find the team's lead)
+  useEffect(() => {
+    if (!escalating || !ready || !users.length || !cfg.escalations.some((s) => s.enabled)) return;
+    const leads = users.filter((u) => u.role === "lead").map((u) => u.username);
+    const nowMs = Date.now();
+    if (tickets.every((t) => escalateTicket(t, cfg, leads, nowMs) === t)) return;
+    commitTickets((list) => list.map((t) => escalateTicket(t, cfg, leads, nowMs)));
+  }, [now, ready, users, escalating]);
+
+  // ----- Portal (User Ticket Submission) Logic -----
+  // Handles user form submission, validation, and ticket creation.
+
+  function safeDefaults(currentCfg: Config) {
+    const category = currentCfg.categories[0] || FALLBACK_CATEGORY;
+    const team = currentCfg.teams.find((t) => t !== FALLBACK_TEAM) || currentCfg.teams[0] || FALLBACK_TEAM;
+    const priority: Priority = "P3";
+    return { category, team, priority };
+  }
+
+  const [form, setForm] = useState(() => {
+    const d = safeDefaults(cfg);
+    return {
+      title: "",
+      description: "",
+      name: "",
+      contactType: "email" as "email" | "phone",
+      contactValue: "",
+      category: d.category,
+      fields: {} as Record<string, string>,
+      files: [] as File[],
+    };
+  });
+
+  useEffect(() => {
+    setForm((f) => {
+      const d = safeDefaults(cfg);
+      return { ...f, category: cfg.categories.includes(f.category) ? f.category : d.category };
+    });
+  }, [cfg]);
+
+  // Prefill the requester's own details
+  function blankForm() {
+    const d = safeDefaults(cfg);
+    return {
+      title: "",
+      description: "",
+      name: user?.name || "",
+      contactType: "email" as "email" | "phone",
+      contactValue: user?.email || "",
+      category: d.category,
+      fields: {} as Record<string, string>,
+      files: [] as File[],
+    };
+  }
+  useEffect(() => {
+    if (user) setForm(blankForm());
+  }, [user?.id]);
+
+  // Validation for required fields
+  function validate(): string[] {
+    const errs: string[] = [];
+    if (!form.title.trim()) errs.push("Title is required.");
+    if (!form.description.trim()) errs.push("Description is required.");
+    if (!form.name.trim()) errs.push("Your name is required.");
+    if (!form.contactValue.trim()) errs.push("Contact info is required.");
+    if (form.contactType === "email") {
+      if (!isMailbox(form.contactValue.trim())) errs.push("Please enter a valid email address.");
+    } else {
+      const digits = form.contactValue.replace(/\D/g, "");
+      if (digits.length < 10) errs.push("Please enter a valid phone number (10+ digits).");
+    }
+    errs.push(...customFieldErrors(fieldsFor(cfg.customFields, form.category), form.fields));
+    errs.push(...form.files.flatMap((f) => attachmentErrors(f, cfg.attachments)));
+    return errs;
+  }
+
+  // Knowledge-base articles for what has been typed so far
+  const suggestions = useMemo(
+    () => suggestArticles(cfg.articles, `${form.title} ${form.description}`, form.category),
+    [cfg.articles, form.title, form.description, form.category]
+  );
+
+  // The requester solved it with an article: record the deflection and skip the ticket
+  async function deflect(a: KbArticle) {
+    const d: Deflection = {
+      id: `K-${Date.now()}`,
+      articleId: a.id,
+      at: new Date().toISOString(),
+      query: (form.title.trim() || form.description.trim()).slice(0, 200),
+      requester: user?.username,
+    };
+    try {
+      await activeStorage.recordDeflection(d);
+      setDeflections((list) => [...list, d]);
+    } catch {
+      // The stat is best-effort; the requester has their answer either way
+    }
+    setForm(blankForm());
+    setSubmitMsg(`Glad "${a.title}" helped – no ticket needed. If the problem comes back, submit a ticket here any time.`);
+  }
+
+  // Submit handler for new ticket creation
+  async function submitTicket() {
+    const errs = validate();
+    if (errs.length) {
+      setSubmitMsg(errs.join(" \n"));
+      return;
+    }
+    const d = safeDefaults(cfg);
+    let newId: string;
+    let attachments: Attachment[];
+    try {
+      // Files go up first so a rejected upload doesn't leave a ticket missing its attachments
+      attachments = await uploadAttachments(form.files);
+      newId = await activeStorage.allocateTicketId(form.category || d.category, cfg.numbering);
+    } catch (e) {
+      setSubmitMsg(`Could not submit your ticket: ${e instanceof Error ? e.message : String(e)}`);
+      return;
+    }
+    const now = new Date().toISOString();
+    const submitted: Ticket = {
+      id: newId,
+      title: form.title.trim(),
+      description: form.description.trim(),
+      name: form.name.trim(),
+      contactType: form.contactType,
+      contactValue: form.contactValue.trim(),
+      category: form.category || d.category,
+      team: FALLBACK_TEAM,
+      status: startStatus(cfg.workflow),
+      priority: d.priority,
+      createdAt: now,
+      updatedAt: now,
+      notes: [],
+      pausedMins: 0,
+      deliveries: [],
+      history: [historyEntry(user?.name || form.name.trim(), now, { kind: "created" })],
+      requesterId: user?.id,
+      fields: withFieldValues(undefined, fieldsFor(cfg.customFields, form.category || d.category), form.fields),
+      attachments: attachments.length ? attachments : undefined,
+    };
+    const t = applyRules(submitted, "create", cfg, now);
+    setTickets((prev) => [t, ...prev]);
+    sendAlerts(undefined, t);
+    setSubmitMsg(`Thanks! Your ticket was submitted. Save this ID: ${newId} – you can follow it under "Check My Ticket".`);
+    setForm(blankForm());
+  }
+
+  // ----- Admin Side -----
+  // Handles filters, ticket management, priority/SLA editing, and export.
+
+  const slaById = useMemo(() => new Map(tickets.map((t) => [t.id, computeSla(t, cfg, now)] as [string, SlaStatus])), [tickets, cfg, now]);
+
+  const query = useMemo(() => parseQuery(filters.q, cfg.customFields), [filters.q, cfg.customFields]);
+
+  const filtered = useMemo(() => {
+    const list = tickets.filter((t) => {
+      const sla = slaById.get(t.id)!;
+      const matchesQ = matchesQuery(t, query.terms, { sla, me: user?.username, nowMs: now, priorities: cfg.priorities, workflow: cfg.workflow, customFields: cfg.customFields });
+      // "kind:open" etc. match every status of that kind
+      const matchesStatus = filters.status === "All" || t.status === filters.status || filters.status === `kind:${statusKind(t.status, cfg.workflow)}`;
+      const matchesCat = filters.category === "All" || t.category === filters.category;
+      const matchesTeam = filters.team === "All" || t.team === filters.team;
+      const matchesAssignee =
+        filters.assignee === "All" ||
+        (filters.assignee === "mine" && t.assignee === user?.username) ||
+        (filters.assignee === "unassigned" && !t.assignee) ||
+        filters.assignee === `@${t.assignee}`;
+      const matchesPrio = filters.priority === "All" || t.priority === (filters.priority as Priority);
+      const matchesSla = filters.sla === "All" || sla.respond === filters.sla || sla.resolve === filters.sla;
+      return matchesQ && matchesStatus && matchesCat && matchesTeam && matchesAssignee && matchesPrio && matchesSla;
+    });
+    return list.sort(ticketSorter(filters.sort, slaById, filters.reverse, cfg.workflow));
+  }, [tickets, filters, query, slaById, user, cfg.priorities, cfg.workflow, now]);
+
+  // Shared views plus the agent's own
+  const views = useMemo(() => cfg.views.filter((v) => v.shared || v.owner === user?.username), [cfg.views, user]);
+
+  function saveView(name: string, shared: boolean) {
+    if (!user) return;
+    const view: SavedView = { id: `V-${Date.now()}`, name: name.trim(), owner: user.username, shared, filters };
+    setCfg((c) => ({ ...c, views: [...c.views, view] }));
+    activeStorage.saveView(view).catch((e) => setStorageError(`Could not save view: ${e instanceof Error ? e.message : String(e)}`));
+  }
+
+  function deleteView(view: SavedView) {
+    if (!confirm(`Delete the view "${view.name}"?`)) return;
+    setCfg((c) => ({ ...c, views: c.views.filter((v) => v.id !== view.id) }));
+    activeStorage.deleteView(view.id).catch((e) => setStorageError(`Could not delete view: ${e instanceof Error ? e.message : String(e)}`));
+  }
+
+  // Tickets not yet done per assignee; "" counts the unassigned ones
+  const workload = useMemo(() => {
+    const counts = new Map<string, number>();
+    for (const t of tickets) if (!isDoneStatus(t.status, cfg.workflow)) counts.set(t.assignee || "", (counts.get(t.assignee || "") || 0) + 1);
+    return counts;
+  }, [tickets, cfg.workflow]);
+
+  // Done tickets per resolution code, most used first
+  const resolutionCounts = useMemo(() => {
+    const counts = new Map<string, number>();
+    for (const t of tickets) if (isDoneStatus(t.status, cfg.workflow) && t.resolutionCode) counts.set(t.resolutionCode, (counts.get(t.resolutionCode) || 0) + 1);
+    return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+  }, [tickets, cfg.workflow]);
+
+  // Tickets per status, so the workflow editor can refuse to remove a status that is still in use
+  const statusCounts = useMemo(() => {
+    const counts: Record<string, number> = {};
+    for (const t of tickets) counts[t.status] = (counts[t.status] || 0) + 1;
+    return counts;
+  }, [tickets]);
+
+  function updateTicket(id: string, changes: Partial<Ticket>, actor = user?.name || "") {
+    const now = new Date().toISOString();
+    commitTickets((list) => {
+      const t = list.find((x) => x.id === id);
+      return t ? applyChangeSet(list, new Map([[id, changes], ...cascadeChanges(list, t, changes, cfg.workflow)]), cfg, actor, now) : list;
+    });
+  }
+
+  // Apply a change plan and send the emails it calls for (so a major incident's children hear about it too).
+  // Keyed by the list it started from, so an updater React runs twice is still announced once.
+  function commitTickets(plan: (list: Ticket[]) => Ticket[]) {
+    setTickets((prev) => {
+      const next = plan(prev);
+      if (next !== prev) pendingChanges.current.set(prev, next);
+      return next;
+    });
+  }
+
+  // Email requesters of tickets whose status changed, and the alert addresses of rules and escalation steps that fired
+  function announceChanges(before: Ticket[], after: Ticket[]) {
+    const prev = new Map(before.map((t) => [t.id, t] as [string, Ticket]));
+    for (const t of after) {
+      const was = prev.get(t.id);
+      if (was === t) continue;
+      if (was && was.status !== t.status) statusNotices.current.push(t.id);
+      showEscalations(was, t);
+      sendAlerts(was, t);
+    }
+  }
+
+  // Escalation steps with "notify" show up in the header, and as a browser notification once allowed; that
+  // includes steps fired elsewhere (the server, or the tab running escalations)
+  function showEscalations(before: Ticket | undefined, t: Ticket) {
+    for (const step of firedEscalations(before, t, cfgRef.current.escalations).filter((s) => s.notify)) {
+      const text = `${t.id} reached ${escalationLabel(step)} (${step.name}): ${t.title}`;
+      setEscalationNotices((list) => [...list, { key: `${t.id}-${step.id}`, ticketId: t.id, text }]);
+      if (typeof Notification !== "undefined" && Notification.permission === "granted") new Notification(`SLA escalation: ${t.id}`, { body: text, tag: `${t.id}-${step.id}` });
+    }
+  }
+
+  // Alerts go out through the server, which only sends to the addresses on a rule or step that fired on the ticket
+  async function sendAlerts(before: Ticket | undefined, t: Ticket) {
+    const alerts = [
+      ...firedAlerts(before, t, cfg.rules).map((rule) => ({ source: { ruleId: rule.id }, event: `Rule: ${rule.name}`, to: ruleRecipients(rule), msg: ruleAlertMessage(rule, t) })),
+      ...firedEscalations(before, t, cfg.escalations)
+        .filter((step) => escalationRecipients(step).length)
+        .map((step) => ({ source: { escalationId: step.id }, event: `Escalation: ${step.name}`, to: escalationRecipients(step), msg: escalationAlertMessage(step, t) })),
+    ];
+    if (!alerts.length) return;
+    const deliveries = await Promise.all(
+      alerts.map(async ({ source, event, to, msg }, i) => {
+        const delivery: Delivery = {
+          id: `D-${Date.now()}-r${i}`,
+          event,
+          to: to.join(", "),
+          subject: msg.subject,
+          body: msg.text,
+          at: new Date().toISOString(),
+          ok: true,
+        };
+        try {
+          if (!(await activeStorage.alert(t.id, source))) return null;
+        } catch (e) {
+          delivery.ok = false;
+          delivery.error = e instanceof Error ? e.message : String(e);
+        }
+        return delivery;
+      })
+    );
+    const logged = deliveries.filter((d): d is Delivery => !!d);
+    if (logged.length) setTickets((prev) => prev.map((x) => (x.id === t.id ? { ...x, deliveries: [...x.deliveries, ...logged] } : x)));
+  }
+
+  // Status select and board drag both land here. Moves the workflow doesn't allow are ignored; a status
+  // that needs more than the ticket has (a resolution, a note, an assignee) asks for it first.
+  function changeStatus(id: string, status: TicketStatus) {
+    const t = tickets.find((x) => x.id === id);
+    if (!t || !canTransition(cfg.workflow, t.status, status)) return;
+    if (requirementErrors(statusDef(cfg.workflow, status), { ...t, note: "" }, cfg.resolutionCodes).length) setResolving({ id, status });
+    else updateTicket(id, { status });
+  }
+
+  function linkTicket(id: string, kind: LinkKind, otherId: string): string[] {
+    const errs = linkErrors(tickets, id, kind, otherId);
+    if (errs.length) return errs;
+    const now = new Date().toISOString();
+    commitTickets((list) => applyChangeSet(list, linkChanges(list, id, kind, otherId, cfg, user?.name || "", now), cfg, user?.name || "", now));
+    return [];
+  }
+
+  function unlinkTicket(id: string, kind: LinkKind, otherId: string) {
+    const now = new Date().toISOString();
+    setTickets((prev) => applyChangeSet(prev, unlinkChanges(prev, id, kind, otherId), cfg, user?.name || "", now));
+  }
+
+  // Email the requester about a status change (if that event is switched on) and log the outcome
+  // Requesters merged in from duplicates are emailed too (phone-only ones are skipped). Nothing is logged
+  // when there's no way to send email at all.
+  async function notifyRequester(t: Ticket) {
+    const tpl = cfg.notifications[t.status];
+    if (!tpl?.enabled) return;
+    const [primary, ...others] = ticketRequesters(t);
+    const deliveries = await Promise.all(
+      [primary, ...others.filter((r) => r.contactType === "email")].map(async (r, i) => {
+        const vars = templateVars({ ...t, name: r.name }, cfg);
+        const delivery: Delivery = {
+          id: `D-${Date.now()}${i ? `-${i}` : ""}`,
+          event: t.status,
+          to: r.contactValue,
+          subject: renderTemplate(tpl.subject, vars),
+          body: renderTemplate(tpl.body, vars),
+          at: new Date().toISOString(),
+          ok: true,
+        };
+        try {
+          // A phone-only requester is refused by the server ("Requester has no email address") and logged as failed
+          if (!(await activeStorage.notify(t.id, { subject: delivery.subject, text: delivery.body, to: i ? r.contactValue : undefined }))) return null;
+        } catch (e) {
+          delivery.ok = false;
+          delivery.error = e instanceof Error ? e.message : String(e);
+        }
+        return delivery;
+      })
+    );
+    const logged = deliveries.filter((d): d is Delivery => !!d);
+    if (logged.length) setTickets((prev) => prev.map((x) => (x.id === t.id ? { ...x, deliveries: [...x.deliveries, ...logged] } : x)));
+  }
+
+  // The portal's "My Tickets": what this account submitted (or was emailed in from its address)
+  const myTickets = useMemo(() => (user ? tickets.filter((t) => ownsTicket(user, t)).sort(ticketSorter("newest", slaById)) : []), [tickets, user, slaById]);
+
+  const report = useMemo(
+    () => (showReports && !Number.isNaN(parseDayKey(reportRange.from)) && reportRange.from <= reportRange.to ? computeReport(filtered, slaById, reportRange, cfg.workflow) : null),
+    [showReports, filtered, slaById, reportRange, cfg.workflow]
+  );
+
+  function exportReport() {
+    if (!report) return;
+    downloadFile(`nexticket_report_${reportRange.from}_${reportRange.to}.csv`, reportToCsv(report, reportRange), "text/csv;charset=utf-8;");
+  }
+
+  const ticketView = user?.prefs?.ticketView || "grid";
+  const swimlanes = user?.prefs?.swimlanes || "none";
+
+  function savePrefs(prefs: UserPrefs) {
+    setUser((u) => (u ? { ...u, prefs: { ...u.prefs, ...prefs } } : u));
+    activeStorage.savePrefs(prefs).catch((e) => setStorageError(`Could not save preferences: ${e instanceof Error ? e.message : String(e)}`));
+  }
+
+  // Only selected tickets the filters still show are acted on
+  const selectedIds = useMemo(() => filtered.filter((t) => selection.includes(t.id)).map((t) => t.id), [filtered, selection]);
+
+  function runBulk(action: BulkAction, confirmed = false) {
+    if (!selectedIds.length) return;
+    if (!confirmed && !confirm(`${describeBulk(action, selectedIds.length)}?`)) return;
+    const result = applyBulk(tickets, selectedIds, action, cfg, user?.name || "", new Date().toISOString());
+    setTickets(result.tickets);
+    setLastBatch(result.batch);
+    const skipped = result.skipped.length ? ` Skipped ${result.skipped.join(", ")}: the workflow doesn't allow that move for them.` : "";
+    setBulkMessage(`${result.batch.label}: done.${skipped}`);
+    setSelection([]);
+    pendingChanges.current.set(tickets, result.tickets);
+  }
+
+  function undoLastBatch() {
+    if (!lastBatch) return;
+    const result = undoBulk(tickets, lastBatch, cfg, user?.name || "", new Date().toISOString());
+    setTickets(result.tickets);
+    setLastBatch(null);
+    setBulkMessage(`Undid "${lastBatch.label}" on ${result.restored} ticket(s)${result.skipped ? `; ${result.skipped} changed since then and were left as they are` : ""}.`);
+  }
+
+  function deleteTicket(id: string) {
+    if (!confirm("Delete this ticket? This cannot be undone.")) return;
+    setTickets((prev) => prev.filter((t) => t.id !== id));
+  }
+
+  function exportCSV() {
+    downloadFile(`tickets_${new Date().toISOString().slice(0, 10)}.csv`, ticketsToCsv(tickets, cfg.customFields), "text/csv;charset=utf-8;");
+  }
+
+  async function exportBackup() {
+    const attachments: Backup["attachments"] = {};
+    let missing = 0;
+    for (const att of tickets.flatMap(ticketAttachments)) {
+      try {
+        const blob = await activeStorage.loadAttachment(att.id);
+        attachments[att.id] = { type: att.type, data: await blobToBase64(blob) };
+      } catch {
+        missing++;
+      }
+    }
+    if (missing) setLoadNotice(`Backup saved without ${missing} attachment${missing === 1 ? "" : "s"} that could not be read.`);
+    const backup: Backup = { format: "nexticket-backup", version: 1, exportedAt: new Date().toISOString(), tickets, config: cfg, attachments };
+    downloadFile(`nexticket_backup_${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(backup, null, 2), "application/json");
+  }
+
+  if (!user) {
+    return <LoginScreen storage={storage} checking={!authChecked} onStorageChange={changeStorage} onSignedIn={signIn} />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-indigo-50 to-white text-gray-900">
+      <div className="max-w-6xl mx-auto px-4 py-8">
+        <header className="mb-6">
+          <div className="flex items-center justify-between min-w-0">
+            <h1 className="text-2xl md:text-3xl font-bold tracking-tight truncate">NexTicket</h1>
+            <div className="flex items-center gap-2 shrink-0">
+              <button
+                onClick={() => setTab("portal")}
+                className={`px-4 py-2 rounded-xl text-sm font-medium border ${tab === "portal" ? "bg-indigo-600 text-white border-indigo-600" : "bg-white hover:bg-gray-50"}`}
+              >
+                Self‑Service Portal
+              </button>
+              {can(user, "workTickets") && (
+                <button
+                  onClick={() => setTab("admin")}
+                  className={`px-4 py-2 rounded-xl text-sm font-medium border ${tab === "admin" ? "bg-indigo-600 text-white border-indigo-600" : "bg-white hover:bg-gray-50"}`}
+                >
+                  Admin Dashboard
+                </button>
+              )}
+              <span className="text-sm text-gray-600 ml-2 hidden sm:inline" title={user.username}>{user.name} · {ROLE_LABELS[user.role]}</span>
+              <button onClick={signOut} className="px-3 py-2 rounded-xl text-sm border bg-white hover:bg-gray-50">Sign out</button>
+            </div>
+          </div>
+          <p className="text-sm text-gray-600 mt-2">
+            {storage.kind === "api" ? `All data is shared through the NexTicket server at ${storage.baseUrl}.` : "All data is saved locally in your browser. To go multi‑user, connect to a NexTicket server from the sign-in screen or the Admin Dashboard."}
+          </p>
+          {storageError && <p className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-xl p-2 mt-2 break-words">{storageError}</p>}
+          {loadNotice && <p className="text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-xl p-2 mt-2 break-words">{loadNotice}</p>}
+          {syncNotices.map((n) => (
+            <div key={n.key} className="text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-xl p-2 mt-2 flex items-center gap-3">
+              <span className="min-w-0 break-words">
+                {n.ticketId} was saved elsewhere at the same time. Your change to {n.fields.map((k) => syncFieldLabel(k, cfg.customFields)).join(", ")} was replaced by theirs.
+              </span>
+              <button
+                onClick={() => {
+                  setTab("admin");
+                  setSelectedId(n.ticketId);
+                }}
+                className="ml-auto font-medium text-amber-700 hover:text-amber-900 shrink-0"
+              >
+                Open
+              </button>
+              <button onClick={() => setSyncNotices((list) => list.filter((x) => x.key !== n.key))} className="text-gray-500 hover:text-gray-800" aria-label="Dismiss">
+                ✕
+              </button>
+            </div>
+          ))}
+          {escalationNotices.map((n) => (
+            <div key={n.key} className="text-sm text-red-800 bg-red-50 border border-red-200 rounded-xl p-2 mt-2 flex items-center gap-3">
+              <span className="min-w-0 break-words">{n.text}</span>
+              <button
+                onClick={() => {
+                  setTab("admin");
+                  setSelectedId(n.ticketId);
+                }}
+                className="ml-auto font-medium text-red-700 hover:text-red-900 shrink-0"
+              >
+                Open
+              </button>
+              <button onClick={() => setEscalationNotices((list) => list.filter((x) => x.key !== n.key))} className="text-gray-500 hover:text-gray-800" aria-label="Dismiss">
+                ✕
+              </button>
+            </div>
+          ))}
+        </header>
+
+        {tab === "portal" && (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2">
+              <Section title="Submit a Ticket">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <TextInput label="Title" placeholder="Short summary (e.g., Can't log in)" value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} />
+                  <Select label="Category" value={form.category} onChange={(e) => setForm({ ...form, category: e.target.value })}>
+                    {cfg.categories.map((c) => (
+                      <option key={c} value={c}>{c}</option>
+                    ))}
+                  </Select>
+                  <TextInput label="Your Name" placeholder="Jane Doe" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} />
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 md:col-span-2">
+                    <Select label="Preferred Contact Method" value={form.contactType} onChange={(e) => setForm({ ...form, contactType: e.target.value as any })}>
+                      <option value="email">Email</option>
+                      <option value="phone">Phone</option>
+                    </Select>
+                    <TextInput label={form.contactType === "email" ? "Email" : "Phone"} placeholder={form.contactType === "email" ? "you@example.com" : "(555) 123‑4567"} value={form.contactValue} onChange={(e) => setForm({ ...form, contactValue: e.target.value })} />
+                  </div>
+                  <div className="md:col-span-2">
+                    <TextArea label="Description" placeholder="Provide details, steps to reproduce, error messages, etc." rows={6} value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} />
+                  </div>
+                  <CustomFieldInputs fields={fieldsFor(cfg.customFields, form.category)} values={form.fields} onChange={(fields) => setForm({ ...form, fields })} />
+                  <div className="md:col-span-2">
+                    <AttachmentPicker files={form.files} limits={cfg.attachments} onChange={(files) => setForm({ ...form, files })} />
+                  </div>
+                </div>
+                <ArticleSuggestions key={suggestions.map((a) => a.id).join()} articles={suggestions} onSolved={deflect} />
+                {submitMsg && (
+                  <div className="mt-2 text-sm whitespace-pre-line text-indigo-700 bg-indigo-50 border border-indigo-200 rounded-xl p-3 break-words">{submitMsg}</div>
+                )}
+                <div className="mt-4 flex items-center gap-3">
+                  <button onClick={submitTicket} className="px-4 py-2 rounded-xl bg-indigo-600 text-white font-medium hover:bg-indigo-700">Submit Ticket</button>
+                  <button onClick={() => setForm(blankForm())} className="px-4 py-2 rounded-xl border hover:bg-gray-50">
+                    Reset
+                  </button>
+                </div>
+              </Section>
+
+              <div className="mt-6">
+                <Section title="Check My Ticket">
+                  <TicketLookup key={lookup?.id || ""} initial={lookup} cfg={cfg} onChanged={reloadTickets} />
+                </Section>
+              </div>
+            </div>
+
+            <div className="lg:col-span-1 space-y-6">
+              <Section title={`My Tickets (${myTickets.length})`}>
+                {myTickets.length === 0 && <div className="text-sm text-gray-600">You haven't submitted any tickets yet.</div>}
+                <div className="space-y-2">
+                  {myTickets.map((t) => (
+                    <button key={t.id} onClick={() => setLookup({ id: t.id, contact: t.contactValue })} className="block w-full text-left border rounded-xl p-2 min-w-0 hover:bg-gray-50">
+                      <div className="flex items-center justify-between gap-2 min-w-0">
+                        <span className="text-sm font-medium truncate" title={t.title}>{t.title}</span>
+                        <Pill className={statusPill(t.status, cfg.workflow)}>{t.status}</Pill>
+                      </div>
+                      <div className="text-[11px] text-gray-500 mt-0.5">{t.id} · Updated {new Date(t.updatedAt).toLocaleString()}</div>
+                    </button>
+                  ))}
+                </div>
+              </Section>
+              {can(user, "editConfig") && (
+                <Section title="Categories & Teams">
+                  <p className="text-sm text-gray-600 mb-3">Customize options. Users cannot choose a team; admins assign it.</p>
+                  <div className="mb-4">
+                    <label className="block text-sm font-medium mb-1">Categories</label>
+                    <TagEditor values={cfg.categories} onChange={(vals) => setCfg((c) => ({ ...c, categories: vals.length ? vals : [FALLBACK_CATEGORY] }))} />
+                  </div>
+                  <div>
+                    <label className="block text-sm text-gray-700 font-medium mb-1">Teams</label>
+                    <TagEditor values={cfg.teams} onChange={(vals) => setCfg((c) => ({ ...c, teams: vals.length ? vals : [FALLBACK_TEAM] }))} />
+                  </div>
+                </Section>
+              )}
+            </div>
+          </div>
+        )}
+
+        {tab === "admin" && can(user, "workTickets") && (
+          <div className="grid grid-cols-1 gap-6">
+            {can(user, "editConfig") && (
+              <>
+                <Section title="Priority & SLA">
+                  <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                    {(Object.keys(cfg.priorities) as Priority[]).map((p) => (
+                      <div key={p} className="border rounded-xl p-3">
+                        <div className="text-sm font-medium mb-2">{p}</div>
+                        <TextInput label="Label" value={cfg.priorities[p].label} onChange={(e) => setCfg({ ...cfg, priorities: { ...cfg.priorities, [p]: { ...cfg.priorities[p], label: e.target.value } } })} />
+                        <TextInput label="Respond (mins)" type="number" value={cfg.priorities[p].respondMins} onChange={(e) => setCfg({ ...cfg, priorities: { ...cfg.priorities, [p]: { ...cfg.priorities[p], respondMins: Number(e.target.value) || 0 } } })} />
+                        <TextInput label="Resolve (mins)" type="number" value={cfg.priorities[p].resolveMins} onChange={(e) => setCfg({ ...cfg, priorities: { ...cfg.priorities, [p]: { ...cfg.priorities[p], resolveMins: Number(e.target.value) || 0 } } })} />
+                        <label className="flex items-center gap-2 text-sm text-gray-700">
+                          <input type="checkbox" checked={!!cfg.priorities[p].allDay} onChange={(e) => setCfg({ ...cfg, priorities: { ...cfg.priorities, [p]: { ...cfg.priorities[p], allDay: e.target.checked } } })} />
+                          24x7 (ignore business hours)
+                        </label>
+                      </div>
+                    ))}
+                  </div>
+                  <Divider />
+                  <CalendarEditor value={cfg.calendar} onChange={(calendar) => setCfg((c) => ({ ...c, calendar }))} />
+                </Section>
+
+                <Section title="SLA Escalations">
+                  <EscalationEditor value={cfg.escalations} onChange={(escalations) => setCfg((c) => ({ ...c, escalations }))} />
+                </Section>
+
+                <Section title="Resolution Codes">
+                  <p className="text-sm text-gray-600 mb-3">Agents must pick one of these (plus a summary) when resolving or closing a ticket.</p>
+                  <TagEditor values={cfg.resolutionCodes} onChange={(vals) => setCfg((c) => ({ ...c, resolutionCodes: vals }))} />
+                  <Divider />
+                  <div className="flex flex-wrap gap-2 text-xs">
+                    {resolutionCounts.map(([code, n]) => (
+                      <Badge key={code}><span className="mr-1">{code}:</span> {n}</Badge>
+                    ))}
+                    {!resolutionCounts.length && <span className="text-gray-500">No resolved tickets yet.</span>}
+                  </div>
+                </Section>
+
+                <Section title="Ticket Numbering">
+                  <NumberingEditor value={cfg.numbering} categories={cfg.categories} onChange={(numbering) => setCfg((c) => ({ ...c, numbering }))} />
+                </Section>
+
+                <Section title="Attachments">
+                  <p className="text-sm text-gray-600 mb-3">
+                    Limits for files on new tickets and notes. Types are extensions (.pdf), MIME families (image/*) or exact MIME types; leave the list empty to allow any type.
+                  </p>
+                  <div className="max-w-xs">
+                    <TextInput
+                      label={`Max size per file (MB, up to ${MAX_ATTACHMENT_MB})`}
+                      type="number"
+                      min={1}
+                      max={MAX_ATTACHMENT_MB}
+                      value={cfg.attachments.maxMB}
+                      onChange={(e) => setCfg((c) => ({ ...c, attachments: normalizeAttachmentLimits({ ...c.attachments, maxMB: Number(e.target.value) }) }))}
+                    />
+                  </div>
+                  <TagEditor values={cfg.attachments.types} onChange={(types) => setCfg((c) => ({ ...c, attachments: normalizeAttachmentLimits({ ...c.attachments, types }) }))} />
+                </Section>
+
+                <Section title="Custom Fields">
+                  <CustomFieldEditor value={cfg.customFields} categories={cfg.categories} onChange={(customFields) => setCfg((c) => ({ ...c, customFields }))} />
+                </Section>
+
+                <Section title="Status Workflow">
+                  <WorkflowEditor
+                    value={cfg.workflow}
+                    inUse={statusCounts}
+                    onChange={(workflow) => setCfg((c) => ({ ...c, workflow, notifications: normalizeNotifications(c.notifications, workflow.statuses.map((s) => s.name)) }))}
+                  />
+                </Section>
+
+                <Section title="Routing Rules">
+                  <RulesEditor value={cfg.rules} cfg={cfg} tickets={tickets} onChange={(rules) => setCfg((c) => ({ ...c, rules }))} />
+                </Section>
+
+                <Section title="Requester Notifications">
+                  <NotificationEditor value={cfg.notifications} onChange={(notifications) => setCfg((c) => ({ ...c, notifications }))} />
+                </Section>
+
+                <Section title="Canned Responses">
+                  <CannedResponseEditor value={cfg.cannedResponses} onChange={(cannedResponses) => setCfg((c) => ({ ...c, cannedResponses }))} />
+                </Section>
+
+                <Section title="Knowledge Base">
+                  <ArticleEditor value={cfg.articles} categories={cfg.categories} deflections={deflections} onChange={(articles) => setCfg((c) => ({ ...c, articles }))} />
+                </Section>
+
+                <Section title="Storage">
+                  <StorageSettingsEditor value={storage} onChange={changeStorage} />
+                </Section>
+
+                <Section title="Team Rosters">
+                  <RosterEditor teams={cfg.teams} rosters={cfg.rosters} agents={agents} onChange={(rosters) => setCfg((c) => ({ ...c, rosters }))} />
+                </Section>
+              </>
+            )}
+
+            <Section title="Requester Directory">
+              {can(user, "editConfig") && (
+                <div className="max-w-xs">
+                  <Select label="New tickets from VIPs start at" value={cfg.vipPriority} onChange={(e) => setCfg((c) => ({ ...c, vipPriority: e.target.value as Config["vipPriority"] }))}>
+                    <option value="none">Their normal priority</option>
+                    {(Object.keys(cfg.priorities) as Priority[]).map((p) => (
+                      <option key={p} value={p}>{p} – {cfg.priorities[p].label} or higher</option>
+                    ))}
+                  </Select>
+                </div>
+              )}
+              {contacts ? (
+                <ContactDirectory contacts={contacts} tickets={tickets} workflow={cfg.workflow} onSave={saveContact} onDelete={deleteContact} onMerge={mergeContacts} onOpenTicket={setSelectedId} />
+              ) : (
+                <div className="text-sm text-gray-500">Loading…</div>
+              )}
+            </Section>
+
+            {can(user, "manageUsers") && (
+              <Section title="Users">
+                <UserManager currentUser={user} onChange={setUsers} />
+              </Section>
+            )}
+
+            <Section title="Workload">
+              <p className="text-sm text-gray-600 mb-3">Open tickets per agent. Click a name to filter the list.</p>
+              <div className="flex flex-wrap gap-2 text-xs">
+                {agents.map((a) => (
+                  <button key={a.id} onClick={() => setFilters({ ...filters, assignee: `@${a.username}` })} className="rounded-full border px-3 py-1 bg-white hover:bg-gray-50">
+                    {a.name}: <span className="font-semibold">{workload.get(a.username) || 0}</span>
+                  </button>
+                ))}
+                <button onClick={() => setFilters({ ...filters, assignee: "unassigned" })} className="rounded-full border px-3 py-1 bg-white hover:bg-gray-50">
+                  Unassigned: <span className="font-semibold">{workload.get("") || 0}</span>
+                </button>
+              </div>
+            </Section>
+
+            <Section
+              title="Filters"
+              actions={
+                <div className="flex items-center gap-2">
+                  <button onClick={exportCSV} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">Export CSV</button>
+                  {can(user, "importData") && (
+                    <>
+                      <button onClick={exportBackup} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">Backup JSON</button>
+                      <button onClick={() => setImporting(true)} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">Import…</button>
+                    </>
+                  )}
+                  {can(user, "resetData") && (
+                    <button
+                      onClick={() => {
+                        if (!confirm("Reset ALL data (tickets + config)?")) return;
+                        setReady(false);
+                        activeStorage
+                          .reset()
+                          .then(() => loadConfig())
+                          .then((fresh) => {
+                            setTickets([]);
+                            setCfg(fresh);
+                            setReady(true);
+                          })
+                          .catch((e) => setStorageError(`Could not reset data: ${e instanceof Error ? e.message : String(e)}`));
+                      }}
+                      className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm"
+                    >
+                      Reset All
+                    </button>
+                  )}
+                </div>
+              }
+            >
+              <SavedViews views={views} filters={filters} currentUser={user} onApply={(v) => setFilters(v.filters)} onSave={saveView} onDelete={deleteView} />
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                <div className="md:col-span-2">
+                  <TextInput
+                    label="Search"
+                    placeholder='e.g. priority:P1,P2 status:!Closed team:"Desktop Support" created:>-7d breached:resolve'
+                    value={filters.q}
+                    onChange={(e) => setFilters({ ...filters, q: e.target.value })}
+                    title={`Free text, or field:value terms — id, title, desc, requester, contact, category, team, assignee (me/none), status, priority, code, created, updated, resolved, responded, due, respondby, breached (respond/resolve/any), sla, is (open/done/unassigned/paused)${cfg.customFields.length ? `, ${cfg.customFields.map((f) => f.key).join(", ")}` : ""}. Prefix ! or - to negate; dates take < > <= >= with YYYY-MM-DD, today or -7d/+12h.`}
+                  />
+                  {query.errors.length > 0 && <div className="-mt-2 mb-3 text-xs text-red-600">{query.errors.join(" · ")}</div>}
+                </div>
+                <Select label="Status" value={filters.status} onChange={(e) => setFilters({ ...filters, status: e.target.value })}>
+                  <option value="All">All</option>
+                  <optgroup label="By kind">
+                    {(Object.keys(STATUS_KINDS) as StatusKind[]).map((k) => (
+                      <option key={k} value={`kind:${k}`}>All {STATUS_KINDS[k].toLowerCase()}</option>
+                    ))}
+                  </optgroup>
+                  <optgroup label="Status">
+                    {cfg.workflow.statuses.map((s) => (
+                      <option key={s.name} value={s.name}>{s.name}</option>
+                    ))}
+                  </optgroup>
+                </Select>
+                <Select label="Category" value={filters.category} onChange={(e) => setFilters({ ...filters, category: e.target.value })}>
+                  <option value="All">All</option>
+                  {cfg.categories.map((c) => (
+                    <option key={c} value={c}>{c}</option>
+                  ))}
+                </Select>
+                <Select label="Team" value={filters.team} onChange={(e) => setFilters({ ...filters, team: e.target.value })}>
+                  <option value="All">All</option>
+                  {cfg.teams.map((t) => (
+                    <option key={t} value={t}>{t}</option>
+                  ))}
+                </Select>
+                <Select label="Assignee" value={filters.assignee} onChange={(e) => setFilters({ ...filters, assignee: e.target.value })}>
+                  <option value="All">All</option>
+                  <option value="mine">My tickets</option>
+                  <option value="unassigned">Unassigned</option>
+                  {agents.map((a) => (
+                    <option key={a.id} value={`@${a.username}`}>{a.name}</option>
+                  ))}
+                </Select>
+                <Select label="Priority" value={filters.priority} onChange={(e) => setFilters({ ...filters, priority: e.target.value })}>
+                  <option value="All">All</option>
+                  {(Object.keys(cfg.priorities) as Priority[]).map((p) => (
+                    <option key={p} value={p}>{p} – {cfg.priorities[p].label}</option>
+                  ))}
+                </Select>
+                <Select label="SLA" value={filters.sla} onChange={(e) => setFilters({ ...filters, sla: e.target.value })}>
+                  <option value="All">All</option>
+                  {SLA_STATES.map((st) => (
+                    <option key={st} value={st}>{slaLabel(st)}</option>
+                  ))}
+                </Select>
+                <div className="flex items-end gap-2">
+                  <div className="flex-1 min-w-0">
+                    <Select label="Sort" value={filters.sort} onChange={(e) => setFilters({ ...filters, sort: e.target.value })}>
+                      {Object.entries(TICKET_SORTS).map(([k, label]) => (
+                        <option key={k} value={k}>{label}</option>
+                      ))}
+                    </Select>
+                  </div>
+                  <button
+                    onClick={() => setFilters({ ...filters, reverse: !filters.reverse })}
+                    title={filters.reverse ? "Reversed order" : "Normal order"}
+                    className={`mb-3 px-3 py-2 rounded-xl border text-sm ${filters.reverse ? "bg-indigo-50 border-indigo-300" : "hover:bg-gray-50"}`}
+                  >
+                    {filters.reverse ? "↑" : "↓"}
+                  </button>
+                </div>
+              </div>
+            </Section>
+
+            <Section
+              title="Reports"
+              actions={
+                <div className="flex items-center gap-2">
+                  {report && <button onClick={exportReport} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">Export numbers</button>}
+                  <button onClick={() => setShowReports(!showReports)} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">{showReports ? "Hide" : "Show"}</button>
+                </div>
+              }
+            >
+              {showReports ? (
+                <ReportsPanel report={report} range={reportRange} ticketCount={filtered.length} onRangeChange={setReportRange} />
+              ) : (
+                <p className="text-sm text-gray-600">Volume, backlog, response and resolution times, SLA compliance and agent throughput for the tickets matching the filters above.</p>
+              )}
+            </Section>
+
+            <Section
+              title={`Tickets (${filtered.length})`}
+              actions={
+                <div className="flex items-center gap-3">
+                  {ticketView === "grid" && filtered.length > 0 && (
+                    <label className="flex items-center gap-2 text-sm text-gray-600">
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.length === filtered.length}
+                        onChange={(e) => setSelection(e.target.checked ? filtered.map((t) => t.id) : [])}
+                      />
+                      Select all
+                    </label>
+                  )}
+                  {ticketView === "board" && (
+                    <select
+                      value={swimlanes}
+                      onChange={(e) => savePrefs({ swimlanes: e.target.value as UserPrefs["swimlanes"] })}
+                      className="rounded-xl border border-gray-300 px-2 py-1 text-sm bg-white"
+                      aria-label="Swimlanes"
+                    >
+                      <option value="none">No swimlanes</option>
+                      <option value="team">Lanes by team</option>
+                      <option value="priority">Lanes by priority</option>
+                    </select>
+                  )}
+                  <div className="flex rounded-xl border overflow-hidden text-sm">
+                    {(["grid", "board"] as const).map((v) => (
+                      <button key={v} onClick={() => savePrefs({ ticketView: v })} className={`px-3 py-1 ${ticketView === v ? "bg-indigo-600 text-white" : "bg-white hover:bg-gray-50"}`}>
+                        {v === "grid" ? "Cards" : "Board"}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              }
+            >
+              {bulkMessage && (
+                <div className="mb-4 flex items-center gap-3 text-sm rounded-xl border border-indigo-200 bg-indigo-50 px-3 py-2">
+                  <span className="min-w-0 break-words">{bulkMessage}</span>
+                  {lastBatch && (
+                    <button onClick={undoLastBatch} className="font-medium text-indigo-700 hover:text-indigo-900">Undo</button>
+                  )}
+                  <button
+                    onClick={() => {
+                      setBulkMessage("");
+                      setLastBatch(null);
+                    }}
+                    className="ml-auto text-gray-500 hover:text-gray-800"
+                    aria-label="Dismiss"
+                  >
+                    ✕
+                  </button>
+                </div>
+              )}
+              {ticketView === "grid" && selectedIds.length > 0 && (
+                <BulkActionBar
+                  count={selectedIds.length}
+                  cfg={cfg}
+                  canDelete={can(user, "deleteTickets")}
+                  onAction={(action) => (action.kind === "status" && needsTransitionDialog(cfg.workflow, action.status) ? setBulkResolving(action.status) : runBulk(action))}
+                  onClear={() => setSelection([])}
+                />
+              )}
+              {filtered.length === 0 ? (
+                <div className="text-sm text-gray-600">No tickets match your filters.</div>
+              ) : ticketView === "board" ? (
+                <TicketBoard tickets={filtered} slaById={slaById} cfg={cfg} swimlanes={swimlanes} userName={userName} onMove={changeStatus} onOpen={setSelectedId} />
+              ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+                  {filtered.map((t) => {
+                    const d = slaById.get(t.id)!;
+                    return (
+                      <article key={t.id} className={`border rounded-2xl p-4 bg-white shadow-sm min-w-0 ${selectedIds.includes(t.id) ? "border-indigo-400 ring-2 ring-indigo-200" : "border-gray-200"}`}>
+                        <div className="flex items-start justify-between gap-2 min-w-0">
+                          <div className="min-w-0">
+                            <div className="flex items-center gap-2 min-w-0">
+                              <input
+                                type="checkbox"
+                                checked={selectedIds.includes(t.id)}
+                                onChange={(e) => setSelection((prev) => (e.target.checked ? [...prev, t.id] : prev.filter((x) => x !== t.id)))}
+                                aria-label={`Select ${t.id}`}
+                              />
+                              <span className="font-semibold truncate max-w-[16rem]" title={t.title}>{t.title}</span>
+                              <Pill className={statusPill(t.status, cfg.workflow)}>{t.status}</Pill>
+                              <Pill className="bg-purple-100 text-purple-700">{t.priority} • {cfg.priorities[t.priority].label}</Pill>
+                              {t.major && <Pill className="bg-red-100 text-red-700">Major incident</Pill>}
+                            </div>
+                            <div className="text-xs text-gray-500 mt-0.5 break-words">ID: {t.id}</div>
+                          </div>
+                          <div className="flex items-center gap-2 shrink-0">
+                            <button onClick={() => setSelectedId(t.id)} className="text-indigo-600 hover:text-indigo-800 text-sm" title="Open details">Open</button>
+                            {can(user, "deleteTickets") && (
+                              <button onClick={() => deleteTicket(t.id)} className="text-gray-500 hover:text-red-600 text-sm" title="Delete">✕</button>
+                            )}
+                          </div>
+                        </div>
+
+                        <Divider />
+
+                        <p className="text-sm whitespace-pre-wrap break-words">{t.description}</p>
+
+                        <Divider />
+
+                        <div className="flex flex-wrap gap-2 text-xs">
+                          <Badge><span className="mr-1">Requester:</span> {t.name}</Badge>
+                          <Badge><span className="mr-1">Contact:</span> {t.contactType === "email" ? "📧" : "📞"} {t.contactValue}</Badge>
+                          <Badge><span className="mr-1">Category:</span> {t.category}</Badge>
+                          <Badge><span className="mr-1">Team:</span> {t.team}</Badge>
+                          {t.resolutionCode && <Badge><span className="mr-1">Resolution:</span> {t.resolutionCode}</Badge>}
+                          {t.parentId && <Badge><span className="mr-1">Parent:</span> {t.parentId}</Badge>}
+                          {t.duplicateOf && <Badge><span className="mr-1">Duplicate of:</span> {t.duplicateOf}</Badge>}
                           <Badge className="border">
                             <span className="mr-1">Respond by:</span>
-                            <span className={`ml-1 rounded-full border px-2 ${dueClass(d.respondDue)}`}>{new Date(d.respondDue).toLocaleString()}</span>
+                            <span className={`ml-1 rounded-full border px-2 ${dueClass(d.respond)}`}>{new Date(d.respondDue).toLocaleString()} · {slaLabel(d.respond)}</span>
                           </Badge>
                           <Badge className="border">
                             <span className="mr-1">Resolve by:</span>
-                            <span className={`ml-1 rounded-full border px-2 ${dueClass(d.resolveDue)}`}>{new Date(d.resolveDue).toLocaleString()}</span>
+                            <span className={`ml-1 rounded-full border px-2 ${dueClass(d.resolve)}`}>{new Date(d.resolveDue).toLocaleString()} · {slaLabel(d.resolve)}</span>
                           </Badge>
                         </div>
 
-                        <div className="mt-4 grid grid-cols-1 sm:grid-cols-4 gap-2">
-                          <Select label="Status" value={t.status} onChange={(e) => updateTicket(t.id, { status: e.target.value as TicketStatus })}>
-                            {["Open", "In Progress", "On Hold", "Resolved", "Closed"].map((s) => (
-                              <option key={s} value={s}>{s}</option>
-                            ))}
-                          </Select>
-                          <Select label="Assign Team" value={t.team} onChange={(e) => updateTicket(t.id, { team: e.target.value })}>
-                            {cfg.teams.map((tm) => (
-                              <option key={tm} value={tm}>{tm}</option>
-                            ))}
-                          </Select>
-                          <Select label="Category" value={t.category} onChange={(e) => updateTicket(t.id, { category: e.target.value })}>
-                            {cfg.categories.map((c) => (
-                              <option key={c} value={c}>{c}</option>
-                            ))}
-                          </Select>
-                          <Select label="Priority" value={t.priority} onChange={(e) => updateTicket(t.id, { priority: e.target.value as Priority })}>
-                            {(Object.keys(cfg.priorities) as Priority[]).map((p) => (
-                              <option key={p} value={p}>{p} – {cfg.priorities[p].label}</option>
-                            ))}
-                          </Select>
-                        </div>
+                        <div className="mt-4 grid grid-cols-1 sm:grid-cols-3 gap-2">
+                          <Select
+                            label="Status"
+                            value={t.status}
+                            onChange={(e) => changeStatus(t.id, e.target.value as TicketStatus)}
+                          >
+                            {nextStatuses(cfg.workflow, t.status).map((s) => (
+                              <option key={s} value={s}>{s}</option>
+                            ))}
+                          </Select>
+                          <Select label="Assign Team" value={t.team} onChange={(e) => updateTicket(t.id, { team: e.target.value })}>
+                            {cfg.teams.map((tm) => (
+                              <option key={tm} value={tm}>{tm}</option>
+                            ))}
+                          </Select>
+                          <Select label="Assignee" value={t.assignee || ""} onChange={(e) => updateTicket(t.id, { assignee: e.target.value || undefined })}>
+                            <option value="">Unassigned</option>
+                            {teamAgents(cfg.rosters, t.team, agents).map((a) => (
+                              <option key={a.id} value={a.username}>{a.name}</option>
+                            ))}
+                          </Select>
+                          <Select label="Category" value={t.category} onChange={(e) => updateTicket(t.id, { category: e.target.value })}>
+                            {cfg.categories.map((c) => (
+                              <option key={c} value={c}>{c}</option>
+                            ))}
+                          </Select>
+                          <Select label="Priority" value={t.priority} onChange={(e) => updateTicket(t.id, { priority: e.target.value as Priority })}>
+                            {(Object.keys(cfg.priorities) as Priority[]).map((p) => (
+                              <option key={p} value={p}>{p} – {cfg.priorities[p].label}</option>
+                            ))}
+                          </Select>
+                        </div>
+
+                        <div className="mt-3 text-[11px] text-gray-500 flex flex-wrap gap-3">
+                          <span>Created: {new Date(t.createdAt).toLocaleString()}</span>
+                          <span>Updated: {new Date(t.updatedAt).toLocaleString()}</span>
+                        </div>
+                      </article>
+                    );
+                  })}
+                </div>
+              )}
+            </Section>
+          </div>
+        )}
+      </div>
+
+      {importing && (
+        <ImportWizard
+          cfg={cfg}
+          existing={tickets}
+          actor={user.name}
+          onClose={() => setImporting(false)}
+          onImport={(next, summary, config) => {
+            setTickets(next);
+            if (config) setCfg(config);
+            setLoadNotice(summary);
+            setImporting(false);
+          }}
+        />
+      )}
+
+      {bulkResolving && statusDef(cfg.workflow, bulkResolving) && (
+        <TransitionDialog
+          target={`${selectedIds.length} selected ticket${selectedIds.length === 1 ? "" : "s"}`}
+          status={statusDef(cfg.workflow, bulkResolving)!}
+          codes={cfg.resolutionCodes}
+          onCancel={() => setBulkResolving(null)}
+          onConfirm={(fields) => {
+            runBulk({ kind: "status", status: bulkResolving, resolutionCode: fields.resolutionCode, resolutionSummary: fields.resolutionSummary, note: fields.note }, true);
+            setBulkResolving(null);
+          }}
+        />
+      )}
+
+      {resolving && tickets.some((x) => x.id === resolving.id) && statusDef(cfg.workflow, resolving.status) && (
+        <TransitionDialog
+          target={resolving.id}
+          initial={tickets.find((x) => x.id === resolving.id)!}
+          status={statusDef(cfg.workflow, resolving.status)!}
+          codes={cfg.resolutionCodes}
+          assignees={teamAgents(cfg.rosters, tickets.find((x) => x.id === resolving.id)!.team, agents)}
+          onCancel={() => setResolving(null)}
+          onConfirm={(fields) => {
+            const t = tickets.find((x) => x.id === resolving.id)!;
+            updateTicket(resolving.id, transitionChanges(t, resolving.status, fields, user.name, new Date().toISOString()));
+            setResolving(null);
+          }}
+        />
+      )}
+
+      {selectedId && (
+        <DetailModal
+          key={selectedId}
+          ticket={tickets.find((x) => x.id === selectedId)!}
+          tickets={tickets}
+          author={user.name}
+          teams={cfg.teams}
+          rosters={cfg.rosters}
+          agents={agents}
+          categories={cfg.categories}
+          priorities={cfg.priorities}
+          calendar={cfg.calendar}
+          resolutionCodes={cfg.resolutionCodes}
+          workflow={cfg.workflow}
+          customFields={cfg.customFields}
+          attachmentLimits={cfg.attachments}
+          cannedResponses={cfg.cannedResponses}
+          contacts={contacts || []}
+          onClose={() => setSelectedId(null)}
+          onSave={(changes) => updateTicket(selectedId, changes)}
+          onLink={(kind, otherId) => linkTicket(selectedId, kind, otherId)}
+          onUnlink={(kind, otherId) => unlinkTicket(selectedId, kind, otherId)}
+          onOpen={setSelectedId}
+          onAddNote={(text, visibility, attachments) => {
+            const t = tickets.find((x) => x.id === selectedId);
+            if (!t) return;
+            const newNote: Note = {
+              id: `N-${Date.now()}`,
+              text,
+              author: user.name,
+              createdAt: new Date().toISOString(),
+              visibility,
+              attachments: attachments.length ? attachments : undefined,
+            };
+            updateTicket(selectedId, { notes: [...t.notes, newNote] });
+          }}
+          onDeleteNote={(noteId) => {
+            const t = tickets.find((x) => x.id === selectedId);
+            if (!t) return;
+            updateTicket(selectedId, { notes: t.notes.filter((n) => n.id !== noteId) });
+          }}
+        />)
+      }
+    </div>
+  );
+}
+
+// ----- Detail Modal (Admin Ticket Editor) -----
+function DetailModal({ ticket, tickets, author, teams, rosters, agents, categories, priorities, calendar, resolutionCodes, workflow, customFields, attachmentLimits, cannedResponses, contacts, onClose, onSave, onLink, onUnlink, onOpen, onAddNote, onDeleteNote }:{
+  ticket: Ticket;
+  tickets: Ticket[];
+  author: string;
+  teams: string[];
+  rosters: Record<string, string[]>;
+  agents: User[];
+  categories: string[];
+  priorities: PriorityConfig;
+  calendar: BusinessCalendar;
+  resolutionCodes: string[];
+  workflow: Workflow;
+  customFields: CustomField[];
+  attachmentLimits: AttachmentLimits;
+  cannedResponses: CannedResponse[];
+  contacts: Contact[];
+  onClose: () => void;
+  onSave: (changes: Partial<Ticket>) => void;
+  // Returns why the link couldn't be made (empty when it was)
+  onLink: (kind: LinkKind, otherId: string) => string[];
+  onUnlink: (kind: LinkKind, otherId: string) => void;
+  onOpen: (id: string) => void;
+  // attachments are already stored by the time this is called
+  onAddNote: (text: string, visibility: Note["visibility"], attachments: Attachment[]) => void;
+  onDeleteNote: (noteId: string) => void;
+}) {
+  // transitionNote: asked for when the new status requires a note
+  const [draft, setDraft] = useState({ ...detailDraft(ticket), transitionNote: "" });
+  // The copy of the ticket the draft is in step with. When someone else saves the ticket meanwhile, fields
+  // left alone here follow along; fields changed on both sides are conflicts to settle before saving.
+  const [base, setBase] = useState(ticket);
+  const [updatedElsewhere, setUpdatedElsewhere] = useState<{ fields: string[]; by: string[] } | null>(null);
+  const [conflicts, setConflicts] = useState<string[]>([]);
+  const [linkKind, setLinkKind] = useState<LinkKind>("related");
+  const [linkId, setLinkId] = useState("");
+  const [linkErrs, setLinkErrs] = useState<string[]>([]);
+  const links = useMemo(() => ticketLinks(ticket, tickets), [ticket, tickets]);
+  const [noteText, setNoteText] = useState("");
+  const [notePublic, setNotePublic] = useState(false);
+  const [noteFiles, setNoteFiles] = useState<File[]>([]);
+  const [noteError, setNoteError] = useState("");
+  const [posting, setPosting] = useState(false);
+  const [saveErrors, setSaveErrors] = useState<string[]>([]);
+  const [view, setView] = useState<"details" | "timeline">("details");
+
+  const deadlines = useMemo(() => computeSla({ ...ticket, priority: draft.priority }, { priorities, calendar }), [ticket, draft.priority, priorities, calendar]);
+
+  const target = statusDef(workflow, draft.status);
+  const moving = draft.status !== ticket.status;
+
+  const shownFields = fieldsFor(customFields, draft.category);
+
+  useEffect(() => {
+    if (ticket === base) return;
+    const { transitionNote, ...mine } = draft;
+    const { merged, changed, clashes } = mergeFields(flattenFields(detailDraft(base)), flattenFields(mine), flattenFields(detailDraft(ticket)));
+    setBase(ticket);
+    // Notes and links added here change the ticket too, but not the draft
+    if (!changed.length) return;
+    const seen = new Set(base.history.map((h) => h.id));
+    const by = ticket.history.filter((h) => !seen.has(h.id)).map((h) => h.actor);
+    setDraft({ ...draftFromFlat(merged), transitionNote });
+    setUpdatedElsewhere((u) => ({ fields: Array.from(new Set([...(u?.fields || []), ...changed])), by: Array.from(new Set([...(u?.by || []), ...by])) }));
+    setConflicts((list) => Array.from(new Set([...list, ...clashes])));
+  }, [ticket]);
+
+  function settleConflict(key: string, take: "mine" | "theirs") {
+    if (take === "theirs") {
+      const { transitionNote, ...mine } = draft;
+      setDraft({ ...draftFromFlat({ ...flattenFields(mine), [key]: flattenFields(detailDraft(ticket))[key] }), transitionNote });
+    }
+    setConflicts((list) => list.filter((k) => k !== key));
+  }
+
+  function conflictValue(key: string, value: unknown) {
+    if (value === undefined || value === "") return "(empty)";
+    if (typeof value === "boolean") return value ? "Yes" : "No";
+    if (key === "assignee") return agents.find((a) => a.username === value)?.name || String(value);
+    if (key === "contactId") return contacts.find((c) => c.id === value)?.name || String(value);
+    return String(value);
+  }
+
+  // Files are uploaded before the note is added; a note may be just files
+  async function addNote() {
+    const text = noteText.trim();
+    if (!text && !noteFiles.length) return;
+    const errs = noteFiles.flatMap((f) => attachmentErrors(f, attachmentLimits));
+    if (errs.length) return setNoteError(errs.join(" "));
+    setNoteError("");
+    setPosting(true);
+    try {
+      const attachments = await uploadAttachments(noteFiles);
+      onAddNote(text || attachedText(attachments), notePublic ? "public" : "internal", attachments);
+      setNoteText("");
+      setNotePublic(false);
+      setNoteFiles([]);
+    } catch (e) {
+      setNoteError(`Could not attach the files: ${e instanceof Error ? e.message : String(e)}`);
+    } finally {
+      setPosting(false);
+    }
+  }
+
+  function handleSave(){
+    if (conflicts.length) {
+      setSaveErrors(["Someone else changed some of the same fields. Choose which value to keep for each one first."]);
+      return;
+    }
+    const errs = [
+      ...transitionErrors(workflow, ticket.status, draft.status, { ...draft, note: draft.transitionNote }, resolutionCodes),
+      ...customFieldErrors(shownFields, draft.fields, ticket.fields || {}),
+      ...(draft.contactType === "email" && (draft.contactType !== ticket.contactType || draft.contactValue !== ticket.contactValue) && !isMailbox(draft.contactValue.trim())
+        ? ["Please enter a valid email address."]
+        : []),
+    ];
+    if (errs.length) {
+      setSaveErrors(errs);
+      return;
+    }
+    const done = isDoneStatus(draft.status, workflow);
+    const { transitionNote, fields: values, ...fields } = draft;
+    onSave({
+      ...fields,
+      fields: withFieldValues(ticket.fields, shownFields, values),
+      ...transitionChanges(ticket, draft.status, { note: moving ? transitionNote : "" }, author, new Date().toISOString()),
+      assignee: draft.assignee || undefined,
+      // Editing the address without picking a contact drops the link (the address may be someone else's);
+      // linkContacts relinks it by address
+      contactId: draft.contactId || undefined,
+      major: draft.major || undefined,
+      resolutionCode: done ? draft.resolutionCode : undefined,
+      resolutionSummary: done ? draft.resolutionSummary.trim() : undefined,
+    });
+    onClose();
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center p-4 md:p-6">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-2xl w-full max-w-3xl p-4 md:p-5 border border-gray-100 max-h-[85vh] overflow-auto">
+        <div className="flex items-start justify-between sticky top-0 bg-white z-10 pb-2 border-b border-gray-100">
+          <h3 className="text-xl font-semibold">Edit Ticket — {ticket.id}</h3>
+          <div className="flex items-center gap-2 shrink-0">
+            {(["details", "timeline"] as const).map((v) => (
+              <button key={v} onClick={() => setView(v)} className={`px-3 py-1 rounded-xl text-sm border ${view === v ? "bg-indigo-600 text-white border-indigo-600" : "bg-white hover:bg-gray-50"}`}>
+                {v === "details" ? "Details" : "Timeline"}
+              </button>
+            ))}
+            <button onClick={onClose} className="text-gray-500 hover:text-gray-800">✕</button>
+          </div>
+        </div>
+        {updatedElsewhere && !conflicts.length && (
+          <div className="mt-3 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-xl p-2 flex items-center gap-3">
+            <span className="min-w-0 break-words">
+              {updatedElsewhere.by.length ? updatedElsewhere.by.join(", ") : "Someone else"} updated this ticket while you had it open:{" "}
+              {updatedElsewhere.fields.map((k) => syncFieldLabel(k, customFields)).join(", ")}. The form shows their changes along with yours.
+            </span>
+            <button onClick={() => setUpdatedElsewhere(null)} className="ml-auto text-gray-500 hover:text-gray-800" aria-label="Dismiss">
+              ✕
+            </button>
+          </div>
+        )}
+        {conflicts.length > 0 && (
+          <div className="mt-3 text-sm text-red-800 bg-red-50 border border-red-200 rounded-xl p-3">
+            <div className="font-medium mb-2">
+              {updatedElsewhere?.by.length ? updatedElsewhere.by.join(", ") : "Someone else"} changed these fields while you were editing them. Choose which value to keep:
+            </div>
+            <div className="space-y-2">
+              {conflicts.map((k) => {
+                const mine = flattenFields(draft)[k];
+                const theirs = flattenFields(detailDraft(ticket))[k];
+                return (
+                  <div key={k} className="flex flex-wrap items-center gap-2">
+                    <span className="font-medium w-40 shrink-0">{syncFieldLabel(k, customFields)}</span>
+                    <button onClick={() => settleConflict(k, "mine")} className="px-2 py-1 rounded-lg border bg-white hover:bg-gray-50 text-left break-words min-w-0">
+                      Keep mine: {conflictValue(k, mine)}
+                    </button>
+                    <button onClick={() => settleConflict(k, "theirs")} className="px-2 py-1 rounded-lg border bg-white hover:bg-gray-50 text-left break-words min-w-0">
+                      Use theirs: {conflictValue(k, theirs)}
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+        {view === "timeline" && <Timeline ticket={ticket} customFields={customFields} />}
+        {view === "details" && (
+          <>
+            <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3">
+              <TextInput label="Title" value={draft.title} onChange={(e) => setDraft({ ...draft, title: e.target.value })} />
+              <Select label="Status" value={draft.status} onChange={(e) => setDraft({ ...draft, status: e.target.value as TicketStatus })}>
+                {nextStatuses(workflow, ticket.status).map((s) => (
+                  <option key={s} value={s}>{s}</option>
+                ))}
+              </Select>
+              <ContactPicker
+                label="Requester Name"
+                value={draft.name}
+                contacts={contacts}
+                onChange={(name) => setDraft({ ...draft, name })}
+                onPick={(c) =>
+                  setDraft({ ...draft, name: c.name, contactId: c.id, contactType: c.emails.length ? "email" : "phone", contactValue: c.emails[0] || c.phones[0] || "" })
+                }
+              />
+              <Select label="Category" value={draft.category} onChange={(e) => setDraft({ ...draft, category: e.target.value })}>
+                {categories.map((c) => (
+                  <option key={c} value={c}>{c}</option>
+                ))}
+              </Select>
+              <Select label="Assign Team" value={draft.team} onChange={(e) => setDraft({ ...draft, team: e.target.value, assignee: validAssignee(rosters, e.target.value, draft.assignee) || "" })}>
+                {teams.map((t) => (
+                  <option key={t} value={t}>{t}</option>
+                ))}
+              </Select>
+              <Select label="Assignee" value={draft.assignee} onChange={(e) => setDraft({ ...draft, assignee: e.target.value })}>
+                <option value="">Unassigned</option>
+                {teamAgents(rosters, draft.team, agents).map((a) => (
+                  <option key={a.id} value={a.username}>{a.name}</option>
+                ))}
+              </Select>
+              <Select label="Priority" value={draft.priority} onChange={(e) => setDraft({ ...draft, priority: e.target.value as Priority })}>
+                {(Object.keys(priorities) as Priority[]).map((p) => (
+                  <option key={p} value={p}>{p} – {priorities[p].label}</option>
+                ))}
+              </Select>
+              <Select label="Contact Type" value={draft.contactType} onChange={(e) => setDraft({ ...draft, contactType: e.target.value as any, contactId: "" })}>
+                <option value="email">Email</option>
+                <option value="phone">Phone</option>
+              </Select>
+              <TextInput label={draft.contactType === "email" ? "Email" : "Phone"} value={draft.contactValue} onChange={(e) => setDraft({ ...draft, contactValue: e.target.value, contactId: "" })} />
+              <div className="md:col-span-2">
+                <TextArea label="Description" rows={5} value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} />
+              </div>
+              <CustomFieldInputs fields={shownFields} values={draft.fields} onChange={(fields) => setDraft({ ...draft, fields })} />
+              {moving && target?.requires.includes("note") && (
+                <div className="md:col-span-2">
+                  <TextArea label={`Note for moving to ${draft.status} (internal)`} rows={2} value={draft.transitionNote} onChange={(e) => setDraft({ ...draft, transitionNote: e.target.value })} />
+                </div>
+              )}
+              {isDoneStatus(draft.status, workflow) && (
+                <>
+                  <Select label="Resolution Code" value={draft.resolutionCode} onChange={(e) => setDraft({ ...draft, resolutionCode: e.target.value })}>
+                    <option value="">Select…</option>
+                    {resolutionCodes.map((c) => (
+                      <option key={c} value={c}>{c}</option>
+                    ))}
+                  </Select>
+                  <div className="md:col-span-2">
+                    <TextArea label="Resolution Summary" rows={3} placeholder="What was done to resolve this ticket?" value={draft.resolutionSummary} onChange={(e) => setDraft({ ...draft, resolutionSummary: e.target.value })} />
+                  </div>
+                </>
+              )}
+            </div>
+
+            <Divider />
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <div className={`text-sm rounded-xl border p-3 ${dueClass(deadlines.respond)}`}>
+                <div className="font-medium">Respond by · {slaLabel(deadlines.respond)}</div>
+                <div>{new Date(deadlines.respondDue).toLocaleString()}</div>
+                {ticket.firstResponseAt && <div className="text-xs mt-1">Responded {new Date(ticket.firstResponseAt).toLocaleString()}</div>}
+              </div>
+              <div className={`text-sm rounded-xl border p-3 ${dueClass(deadlines.resolve)}`}>
+                <div className="font-medium">Resolve by · {slaLabel(deadlines.resolve)}</div>
+                <div>{new Date(deadlines.resolveDue).toLocaleString()}</div>
+                {ticket.resolvedAt && <div className="text-xs mt-1">Resolved {new Date(ticket.resolvedAt).toLocaleString()}</div>}
+                {ticket.pausedAt && <div className="text-xs mt-1">Clock paused since {new Date(ticket.pausedAt).toLocaleString()}</div>}
+              </div>
+            </div>
+
+            <Divider />
+
+            <RequesterPanel contact={contacts.find((c) => c.id === draft.contactId)} tickets={tickets} current={ticket.id} workflow={workflow} onOpen={onOpen} />
+
+            <Divider />
+
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="text-sm font-semibold">Links</h4>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input type="checkbox" checked={draft.major} onChange={(e) => setDraft({ ...draft, major: e.target.checked })} />
+                Major incident
+              </label>
+            </div>
+            {draft.major && (
+              <div className="text-xs text-gray-600 mb-2">
+                Status changes saved here also apply to {links.children.length} child ticket{links.children.length === 1 ? "" : "s"}, and their requesters are emailed.
+              </div>
+            )}
+            <div className="space-y-1 mb-3">
+              {([
+                ...(links.parent ? [["Parent", "parent", links.parent]] : []),
+                ...(links.duplicateOf ? [["Duplicate of", "duplicate", links.duplicateOf]] : []),
+                ...links.children.map((x) => ["Child", "child", x]),
+                ...links.duplicates.map((x) => ["Duplicate", null, x]),
+                ...links.related.map((x) => ["Related", "related", x]),
+              ] as [string, LinkKind | null, Ticket][]).map(([label, kind, x]) => (
+                <div key={`${label}-${x.id}`} className="flex items-center gap-2 text-sm bg-gray-50 rounded-xl px-2 py-1 min-w-0">
+                  <span className="text-xs text-gray-500 w-20 shrink-0">{label}</span>
+                  <button onClick={() => onOpen(x.id)} className="text-indigo-600 hover:text-indigo-800 shrink-0">{x.id}</button>
+                  <span className="truncate min-w-0">{x.title}</span>
+                  <Pill className={statusPill(x.status, workflow)}>{x.status}</Pill>
+                  {kind && (
+                    <button onClick={() => onUnlink(kind, x.id)} className="ml-auto text-gray-400 hover:text-red-600 text-xs shrink-0">Remove</button>
+                  )}
+                </div>
+              ))}
+              {!links.parent && !links.duplicateOf && !links.children.length && !links.duplicates.length && !links.related.length && (
+                <div className="text-sm text-gray-500">Not linked to other tickets.</div>
+              )}
+              {(ticket.otherRequesters || []).length > 0 && (
+                <div className="text-xs text-gray-600 pt-1 break-words">
+                  Also following: {ticket.otherRequesters!.map((r) => `${r.name || "?"} (${r.contactValue})`).join(", ")}
+                </div>
+              )}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-2 items-end">
+              <Select label="Link as" value={linkKind} onChange={(e) => setLinkKind(e.target.value as LinkKind)}>
+                {(Object.keys(LINK_KINDS) as LinkKind[]).map((k) => (
+                  <option key={k} value={k}>{LINK_KINDS[k]}</option>
+                ))}
+              </Select>
+              <TextInput label="Ticket ID" value={linkId} onChange={(e) => setLinkId(e.target.value)} />
+              <button
+                className="mb-3 px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm"
+                onClick={() => {
+                  const otherId = linkId.trim().toUpperCase();
+                  if (linkKind === "duplicate" && !confirm(`Merge ${ticket.id} into ${otherId}? This ticket will be closed as a duplicate.`)) return;
+                  const errs = onLink(linkKind, otherId);
+                  setLinkErrs(errs);
+                  if (errs.length) return;
+                  setLinkId("");
+                  // This ticket's draft is stale once it's closed as a duplicate, so move on to the survivor
+                  if (linkKind === "duplicate") onOpen(otherId);
+                }}
+              >
+                {linkKind === "duplicate" ? "Merge" : "Link"}
+              </button>
+            </div>
+            {linkErrs.length > 0 && <div className="text-sm text-red-700 mb-2">{linkErrs.join(" ")}</div>}
+
+            <Divider />
+
+            <h4 className="text-sm font-semibold mb-2">Email Log</h4>
+            <div className="space-y-2 max-h-40 overflow-auto mb-3 pr-1">
+              {ticket.deliveries.length === 0 && <div className="text-sm text-gray-500">No emails sent yet.</div>}
+              {ticket.deliveries.map((d) => (
+                <details key={d.id} className={`rounded-xl border p-2 text-sm ${d.ok ? "bg-gray-50 border-gray-200" : "bg-red-50 border-red-200"}`}>
+                  <summary className="cursor-pointer break-words">
+                    {d.ok ? "Sent" : "Failed"} · {d.event} · {d.subject}
+                    <span className="text-[11px] text-gray-500 ml-2">to {d.to || "—"} • {new Date(d.at).toLocaleString()}</span>
+                  </summary>
+                  {d.error && <div className="text-xs text-red-700 mt-1">{d.error}</div>}
+                  <div className="text-xs whitespace-pre-wrap break-words mt-1">{d.body}</div>
+                </details>
+              ))}
+            </div>
+
+            <Divider />
+
+            {ticket.attachments?.length ? (
+              <>
+                <h4 className="text-sm font-semibold">Submitted Files</h4>
+                <AttachmentList attachments={ticket.attachments} />
+                <Divider />
+              </>
+            ) : null}
+
+            <h4 className="text-sm font-semibold mb-2">Notes</h4>
+            <div className="space-y-2 max-h-60 overflow-auto mb-3 pr-1">
+              {ticket.notes.length === 0 && <div className="text-sm text-gray-500">No notes yet.</div>}
+              {ticket.notes.map((n) => (
+                <div key={n.id} className="flex items-start justify-between gap-3 bg-gray-50 rounded-xl p-2">
+                  <div className="min-w-0">
+                    <div className="text-sm whitespace-pre-wrap break-words">{n.text}</div>
+                    <AttachmentList attachments={n.attachments} />
+                    <div className="text-[11px] text-gray-500 mt-1">
+                      {n.visibility === "public" ? "Public" : "Internal"} • {n.author ? `${n.author} • ` : ""}{new Date(n.createdAt).toLocaleString()}
+                    </div>
+                  </div>
+                  <button className="text-gray-400 hover:text-red-600 text-xs" onClick={() => onDeleteNote(n.id)}>Delete</button>
+                </div>
+              ))}
+            </div>
+            {cannedResponses.length > 0 && (
+              <div className="max-w-xs">
+                <Select
+                  label="Insert canned response"
+                  value=""
+                  onChange={(e) => {
+                    const c = cannedResponses.find((x) => x.id === e.target.value);
+                    if (c) setNoteText((text) => `${text.trim() ? `${text.trimEnd()}\n\n` : ""}${cannedText(c, ticket, { priorities, calendar }, author)}`);
+                  }}
+                >
+                  <option value="">Choose…</option>
+                  {cannedResponses.map((c) => (
+                    <option key={c.id} value={c.id}>{c.name}</option>
+                  ))}
+                </Select>
+              </div>
+            )}
+            <TextArea label="Add a note" rows={3} value={noteText} onChange={(e) => setNoteText(e.target.value)} />
+            <AttachmentPicker files={noteFiles} limits={attachmentLimits} onChange={setNoteFiles} />
+            {noteError && <div className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-xl p-3 break-words">{noteError}</div>}
+            <div className="mt-2 flex items-center gap-2">
+              <button className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm disabled:opacity-50" disabled={posting} onClick={addNote}>
+                {posting ? "Uploading…" : "Add Note"}
+              </button>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input type="checkbox" checked={notePublic} onChange={(e) => setNotePublic(e.target.checked)} />
+                Visible to requester
+              </label>
+              <span className="text-xs text-gray-500">Posting as {author}</span>
+            </div>
+          </>
+        )}
+
+        {saveErrors.length > 0 && (
+          <div className="mt-4 text-sm whitespace-pre-line text-red-700 bg-red-50 border border-red-200 rounded-xl p-3 break-words">{saveErrors.join("\n")}</div>
+        )}
+        <div className="mt-4 flex items-center justify-end gap-2">
+          <button className="px-4 py-2 rounded-xl border hover:bg-gray-50" onClick={onClose}>Cancel</button>
+          <button className="px-4 py-2 rounded-xl bg-indigo-600 text-white font-medium hover:bg-indigo-700" onClick={handleSave}>Save Changes</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ----- Ticket Editor Draft -----
+// The fields DetailModal edits, as form values
+function detailDraft(t: Ticket) {
+  return {
+    title: t.title,
+    description: t.description,
+    name: t.name,
+    contactType: t.contactType,
+    contactValue: t.contactValue,
+    category: t.category,
+    team: t.team,
+    assignee: t.assignee || "",
+    status: t.status,
+    priority: t.priority,
+    resolutionCode: t.resolutionCode || "",
+    resolutionSummary: t.resolutionSummary || "",
+    major: !!t.major,
+    fields: { ...t.fields },
+    contactId: t.contactId || "",
+  };
+}
+
+// Back from flattenFields, where a draft with no custom field values has none at all
+function draftFromFlat(flat: Record<string, unknown>): ReturnType<typeof detailDraft> {
+  const d = unflattenFields(flat) as ReturnType<typeof detailDraft>;
+  return { ...d, fields: d.fields || {} };
+}
+
+// ----- Requester Directory (Ticket Editor) -----
+// Name field that suggests directory contacts; picking one links the ticket and fills in its address
+function ContactPicker({ label, value, contacts, onChange, onPick }: {
+  label: string;
+  value: string;
+  contacts: Contact[];
+  onChange: (name: string) => void;
+  onPick: (c: Contact) => void;
+}) {
+  const [open, setOpen] = useState(false);
+  const matches = open ? searchContacts(contacts, value) : [];
+  return (
+    <div className="relative min-w-0">
+      <TextInput
+        label={label}
+        value={value}
+        autoComplete="off"
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+        }}
+      />
+      {matches.length > 0 && (
+        <div className="absolute z-20 left-0 right-0 -mt-2 bg-white border rounded-xl shadow-lg overflow-hidden">
+          {matches.map((c) => (
+            <button
+              key={c.id}
+              type="button"
+              // mousedown, so the input's blur doesn't close the list first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                onPick(c);
+                setOpen(false);
+              }}
+              className="block w-full text-left px-3 py-2 text-sm hover:bg-indigo-50 truncate"
+            >
+              {c.name}
+              {c.vip && <span className="ml-1 text-amber-600">★ VIP</span>}
+              <span className="text-xs text-gray-500 ml-2">{[c.emails[0] || c.phones[0], c.department].filter(Boolean).join(" · ")}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// The linked contact's details and their other tickets
+function RequesterPanel({ contact, tickets, current, workflow, onOpen }: { contact?: Contact; tickets: Ticket[]; current: string; workflow: Workflow; onOpen: (id: string) => void }) {
+  if (!contact) return <div className="text-sm text-gray-500">Not linked to the requester directory yet.</div>;
+  const previous = contactTickets(tickets, contact.id).filter((t) => t.id !== current);
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-1">
+        <h4 className="text-sm font-semibold">Requester: {contact.name}</h4>
+        {contact.vip && <Pill className="bg-amber-100 text-amber-800">VIP</Pill>}
+        <span className="text-xs text-gray-600 break-words">{[contact.department, contact.location, ...contact.emails, ...contact.phones].filter(Boolean).join(" · ")}</span>
+      </div>
+      <div className="text-xs text-gray-600 mb-1">{previous.length ? `Previous tickets (${previous.length}):` : "No previous tickets."}</div>
+      <div className="space-y-1 max-h-32 overflow-auto">
+        {previous.slice(0, 20).map((t) => (
+          <button key={t.id} onClick={() => onOpen(t.id)} className="flex items-center gap-2 text-sm w-full text-left hover:bg-gray-50 rounded-lg px-1 min-w-0">
+            <span className="font-mono text-xs shrink-0">{t.id}</span>
+            <span className="truncate min-w-0">{t.title}</span>
+            <Pill className={statusPill(t.status, workflow)}>{t.status}</Pill>
+            <span className="ml-auto text-xs text-gray-500 shrink-0">{new Date(t.createdAt).toLocaleDateString()}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ----- Ticket Timeline -----
+// History entries and notes in one chronological list; deleted notes stay visible through their history entry
+function Timeline({ ticket, customFields = [] }: { ticket: Ticket; customFields?: CustomField[] }) {
+  type Item = { at: string; key: string; node: React.ReactNode };
+  const items: Item[] = [
+    ...ticket.notes.map((n) => ({
+      at: n.createdAt,
+      key: n.id,
+      node: (
+        <div className="bg-gray-50 rounded-xl p-2">
+          <div className="text-sm whitespace-pre-wrap break-words">{n.text}</div>
+          <AttachmentList attachments={n.attachments} />
+          <div className="text-[11px] text-gray-500 mt-1">Note{n.author ? ` by ${n.author}` : ""} • {new Date(n.createdAt).toLocaleString()}</div>
+        </div>
+      ),
+    })),
+    ...ticket.history
+      .filter((h) => h.kind !== "note-added")
+      .map((h) => ({
+        at: h.at,
+        key: h.id,
+        node: (
+          <div className="text-sm px-2 break-words">
+            <span className="font-medium">{h.actor || "Unknown"}</span> {describeHistory(h, customFields)}
+            <div className="text-[11px] text-gray-500">{new Date(h.at).toLocaleString()}</div>
+          </div>
+        ),
+      })),
+  ].sort((a, b) => a.at.localeCompare(b.at));
+
+  return (
+    <div className="mt-4 space-y-2">
+      {items.length === 0 && <div className="text-sm text-gray-500">No activity recorded yet.</div>}
+      {items.map((i) => (
+        <div key={i.key} className="border-l-2 border-indigo-200 pl-3">{i.node}</div>
+      ))}
+    </div>
+  );
+}
+
+function describeHistory(h: HistoryEntry, customFields: CustomField[] = []) {
+  const clip = (v?: string) => (v && v.length > 80 ? `${v.slice(0, 80)}…` : v || "—");
+  switch (h.kind) {
+    case "created":
+      return "created the ticket";
+    case "note-added":
+      return `added a note: “${clip(h.to)}”`;
+    case "note-deleted":
+      return `deleted a note: “${clip(h.from)}”`;
+    case "rule":
+      return `fired: ${h.to}`;
+    case "escalation":
+      return `escalated: ${h.to}`;
+    default:
+      // A custom field that has since been deleted shows as "a custom field"
+      const label = h.field?.startsWith("fields.") ? customFields.find((f) => `fields.${f.id}` === h.field)?.label || "a custom field" : AUDITED_FIELDS[h.field || ""] || h.field;
+      return `changed ${label} from “${clip(h.from)}” to “${clip(h.to)}”`;
+  }
+}
+
+// ----- Transition Dialog -----
+// Asks for whatever the target status requires (resolution, note, assignee) before a ticket moves there.
+// target names what is being moved (a ticket ID, or "12 selected tickets" for a bulk change); without
+// assignees (bulk) the assignee isn't asked for and tickets lacking one are skipped instead.
+function TransitionDialog({ target, initial, status, codes, assignees, onCancel, onConfirm }: {
+  target: string;
+  initial?: Pick<Ticket, "resolutionCode" | "resolutionSummary" | "assignee">;
+  status: StatusDef;
+  codes: string[];
+  assignees?: User[];
+  onCancel: () => void;
+  onConfirm: (fields: TransitionFields) => void;
+}) {
+  const asked = status.requires.filter((f) => f !== "assignee" || assignees);
+  const [fields, setFields] = useState<TransitionFields>({
+    resolutionCode: initial?.resolutionCode || "",
+    resolutionSummary: initial?.resolutionSummary || "",
+    assignee: initial?.assignee || "",
+    note: "",
+  });
+  const [errors, setErrors] = useState<string[]>([]);
+  const set = (f: StatusField, v: string) => setFields({ ...fields, [f]: v });
+
+  function confirmMove() {
+    const errs = requirementErrors({ ...status, requires: asked }, fields, codes);
+    if (errs.length) {
+      setErrors(errs);
+      return;
+    }
+    const out: TransitionFields = {};
+    for (const f of asked) out[f] = (fields[f] || "").trim();
+    onConfirm(out);
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center p-4 md:p-6">
+      <div className="absolute inset-0 bg-black/30" onClick={onCancel} />
+      <div className="relative bg-white rounded-2xl shadow-2xl w-full max-w-lg p-4 md:p-5 border border-gray-100">
+        <div className="flex items-start justify-between pb-2 border-b border-gray-100 mb-4">
+          <h3 className="text-xl font-semibold min-w-0 break-words">{status.name} — {target}</h3>
+          <button onClick={onCancel} className="text-gray-500 hover:text-gray-800">✕</button>
+        </div>
+        {asked.includes("assignee") && (
+          <Select label="Assignee" value={fields.assignee} onChange={(e) => set("assignee", e.target.value)}>
+            <option value="">Select…</option>
+            {assignees!.map((a) => (
+              <option key={a.id} value={a.username}>{a.name}</option>
+            ))}
+          </Select>
+        )}
+        {asked.includes("resolutionCode") && (
+          <Select label="Resolution Code" value={fields.resolutionCode} onChange={(e) => set("resolutionCode", e.target.value)}>
+            <option value="">Select…</option>
+            {codes.map((c) => (
+              <option key={c} value={c}>{c}</option>
+            ))}
+          </Select>
+        )}
+        {asked.includes("resolutionSummary") && (
+          <TextArea label="Resolution Summary" rows={4} placeholder="What was done to resolve this ticket?" value={fields.resolutionSummary} onChange={(e) => set("resolutionSummary", e.target.value)} />
+        )}
+        {asked.includes("note") && (
+          <TextArea label="Note (internal)" rows={3} placeholder={`Why is this moving to ${status.name}?`} value={fields.note} onChange={(e) => set("note", e.target.value)} />
+        )}
+        {errors.length > 0 && <div className="text-sm whitespace-pre-line text-red-700 bg-red-50 border border-red-200 rounded-xl p-3 break-words">{errors.join("\n")}</div>}
+        <div className="mt-4 flex items-center justify-end gap-2">
+          <button className="px-4 py-2 rounded-xl border hover:bg-gray-50" onClick={onCancel}>Cancel</button>
+          <button className="px-4 py-2 rounded-xl bg-indigo-600 text-white font-medium hover:bg-indigo-700" onClick={confirmMove}>Mark {status.name}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ----- Kanban Board (Admin) -----
+// One column per workflow status, optionally split into swimlanes. Dropping a card on a column goes through
+// onMove, the same path as the status select (so required fields are still asked for); columns the dragged
+// card can't move to don't accept the drop.
+function TicketBoard({ tickets, slaById, cfg, swimlanes, userName, onMove, onOpen }: {
+  tickets: Ticket[];
+  slaById: Map<string, SlaStatus>;
+  cfg: Config;
+  swimlanes: "none" | "team" | "priority";
+  userName: (username?: string) => string;
+  onMove: (id: string, status: TicketStatus) => void;
+  onOpen: (id: string) => void;
+}) {
+  const [dragId, setDragId] = useState<string | null>(null);
+  const [over, setOver] = useState("");
+  const statuses = cfg.workflow.statuses.map((s) => s.name);
+  const columns = { gridTemplateColumns: `repeat(${statuses.length}, minmax(11rem, 1fr))` };
+  const dragged = tickets.find((t) => t.id === dragId);
+  const accepts = (status: TicketStatus) => !!dragged && dragged.status !== status && canTransition(cfg.workflow, dragged.status, status);
+  const lanes =
+    swimlanes === "team"
+      ? cfg.teams.filter((tm) => tickets.some((t) => t.team === tm)).concat(Array.from(new Set(tickets.map((t) => t.team).filter((tm) => !cfg.teams.includes(tm)))))
+      : swimlanes === "priority"
+        ? (Object.keys(cfg.priorities) as Priority[]).filter((p) => tickets.some((t) => t.priority === p))
+        : [""];
+  const inLane = (t: Ticket, lane: string) => swimlanes === "none" || (swimlanes === "team" ? t.team : t.priority) === lane;
+  // The worse of the two SLA clocks colours the card
+  const worst = (t: Ticket) => {
+    const sla = slaById.get(t.id)!;
+    return SLA_STATES[Math.min(SLA_STATES.indexOf(sla.respond), SLA_STATES.indexOf(sla.resolve))];
+  };
+
+  return (
+    <div className="overflow-x-auto">
+      <div className="grid gap-3" style={columns}>
+        {statuses.map((status) => (
+          <div key={status} className="flex items-center justify-between px-2">
+            <Pill className={statusPill(status, cfg.workflow)}>{status}</Pill>
+            <span className="text-xs text-gray-500" title="Tickets in this column">{tickets.filter((t) => t.status === status).length}</span>
+          </div>
+        ))}
+      </div>
+      {lanes.map((lane) => (
+        <div key={lane}>
+          {swimlanes !== "none" && (
+            <div className="mt-4 mb-1 text-sm font-semibold text-gray-700">
+              {swimlanes === "priority" ? `${lane} – ${cfg.priorities[lane as Priority].label}` : lane}
+              <span className="ml-2 text-xs font-normal text-gray-500">{tickets.filter((t) => inLane(t, lane)).length}</span>
+            </div>
+          )}
+          <div className="grid gap-3 mt-2" style={columns}>
+            {statuses.map((status) => {
+              const key = `${lane}|${status}`;
+              const cards = tickets.filter((t) => t.status === status && inLane(t, lane));
+              return (
+                <div
+                  key={key}
+                  onDragOver={(e) => {
+                    if (!accepts(status)) return;
+                    e.preventDefault();
+                    setOver(key);
+                  }}
+                  onDragLeave={() => setOver("")}
+                  onDrop={(e) => {
+                    e.preventDefault();
+                    const id = e.dataTransfer.getData("text/plain") || dragId;
+                    setOver("");
+                    setDragId(null);
+                    const t = tickets.find((x) => x.id === id);
+                    if (t && t.status !== status && canTransition(cfg.workflow, t.status, status)) onMove(t.id, status);
+                  }}
+                  className={`min-h-[6rem] rounded-xl p-2 space-y-2 ${over === key ? "bg-indigo-50 ring-2 ring-indigo-200" : "bg-gray-50"} ${dragged && dragged.status !== status && !accepts(status) ? "opacity-40" : ""}`}
+                >
+                  {cards.map((t) => {
+                    const sla = slaById.get(t.id)!;
+                    return (
+                      <div
+                        key={t.id}
+                        draggable
+                        onDragStart={(e) => {
+                          e.dataTransfer.setData("text/plain", t.id);
+                          setDragId(t.id);
+                        }}
+                        onDragEnd={() => setDragId(null)}
+                        onClick={() => onOpen(t.id)}
+                        className={`rounded-xl border p-2 text-xs bg-white cursor-grab shadow-sm ${dueClass(worst(t))} ${dragId === t.id ? "opacity-50" : ""}`}
+                      >
+                        <div className="font-medium text-sm text-gray-900 break-words">{t.title}</div>
+                        <div className="mt-1 flex flex-wrap items-center gap-1">
+                          <span className="text-gray-500">{t.id}</span>
+                          <Pill className="bg-purple-100 text-purple-700">{t.priority}</Pill>
+                          {t.major && <Pill className="bg-red-100 text-red-700">Major</Pill>}
+                        </div>
+                        <div className="mt-1 text-gray-600 truncate">{userName(t.assignee)}</div>
+                        {!isDoneStatus(t.status, cfg.workflow) && (
+                          <div className="mt-1">Resolve by {new Date(sla.resolveDue).toLocaleString()} · {slaLabel(sla.resolve)}</div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ----- Reports Panel (Admin) -----
+// Plain div/SVG charts; no charting library needed for bars
+function ReportsPanel({ report, range, ticketCount, onRangeChange }: {
+  report: Report | null;
+  range: { from: string; to: string };
+  ticketCount: number;
+  onRangeChange: (range: { from: string; to: string }) => void;
+}) {
+  const preset = (days: number) => onRangeChange({ from: dayKey(Date.now() - (days - 1) * DAY_MS), to: dayKey(Date.now()) });
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end gap-3 mb-4">
+        <TextInput label="From" type="date" value={range.from} onChange={(e) => onRangeChange({ ...range, from: e.target.value })} />
+        <TextInput label="To" type="date" value={range.to} onChange={(e) => onRangeChange({ ...range, to: e.target.value })} />
+        <div className="flex gap-2 mb-3">
+          {[7, 30, 90, 365].map((d) => (
+            <button key={d} onClick={() => preset(d)} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">Last {d}d</button>
+          ))}
+        </div>
+        <span className="text-xs text-gray-500 mb-4">Based on the {ticketCount} ticket{ticketCount === 1 ? "" : "s"} matching the filters</span>
+      </div>
+      {!report ? (
+        <div className="text-sm text-red-700">Pick a valid date range (From on or before To).</div>
+      ) : (
+        <div className="space-y-6">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {[
+              ["Created", String(report.volume.reduce((n, v) => n + v.created, 0))],
+              ["Resolved", String(report.resolve.count)],
+              ["Mean time to respond", formatDuration(report.respond.meanMins)],
+              ["Mean time to resolve", formatDuration(report.resolve.meanMins)],
+            ].map(([label, value]) => (
+              <div key={label} className="rounded-xl border border-gray-200 p-3">
+                <div className="text-xs text-gray-500">{label}</div>
+                <div className="text-2xl font-semibold">{value}</div>
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold mb-2">
+              Volume per {report.bucket}
+              <span className="ml-3 text-xs font-normal text-gray-500">
+                <span className="inline-block w-2 h-2 rounded-sm bg-indigo-500 mr-1" />created
+                <span className="inline-block w-2 h-2 rounded-sm bg-emerald-500 ml-3 mr-1" />resolved
+              </span>
+            </h4>
+            <VolumeChart data={report.volume} />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {(["team", "category", "priority"] as const).map((by) => (
+              <div key={by}>
+                <h4 className="text-sm font-semibold mb-2">Open backlog by {by}</h4>
+                <BarList rows={report.backlog[by]} />
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <h4 className="text-sm font-semibold mb-2">SLA compliance</h4>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500">
+                    <th className="py-1">Priority</th>
+                    <th>Respond</th>
+                    <th>Resolve</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.sla.map((r) => (
+                    <tr key={r.priority} className="border-t border-gray-100">
+                      <td className="py-1">{r.priority}</td>
+                      <td>{percent(r.respondMet, r.respondTotal)} <span className="text-xs text-gray-500">({r.respondMet}/{r.respondTotal})</span></td>
+                      <td>{percent(r.resolveMet, r.resolveTotal)} <span className="text-xs text-gray-500">({r.resolveMet}/{r.resolveTotal})</span></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div>
+              <h4 className="text-sm font-semibold mb-2">Agent throughput</h4>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500">
+                    <th className="py-1">Assignee</th>
+                    <th>Resolved</th>
+                    <th>Open now</th>
+                    <th>Mean resolve</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.agents.map((a) => (
+                    <tr key={a.assignee} className="border-t border-gray-100">
+                      <td className="py-1">{a.assignee || <span className="text-gray-500">Unassigned</span>}</td>
+                      <td>{a.resolved}</td>
+                      <td>{a.open}</td>
+                      <td>{formatDuration(a.meanResolveMins)}</td>
+                    </tr>
+                  ))}
+                  {report.agents.length === 0 && (
+                    <tr>
+                      <td colSpan={4} className="py-1 text-gray-500">No tickets.</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function BarList({ rows }: { rows: ReportRow[] }) {
+  const max = Math.max(1, ...rows.map((r) => r.count));
+  if (!rows.length) return <div className="text-sm text-gray-500">Nothing open.</div>;
+  return (
+    <div className="space-y-1">
+      {rows.map((r) => (
+        <div key={r.label} className="flex items-center gap-2 text-xs">
+          <span className="w-28 truncate" title={r.label}>{r.label}</span>
+          <div className="flex-1 bg-gray-100 rounded">
+            <div className="h-3 rounded bg-indigo-500" style={{ width: `${(r.count / max) * 100}%` }} />
+          </div>
+          <span className="w-8 text-right font-medium">{r.count}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Paired columns per bucket, scaled to the busiest bucket
+function VolumeChart({ data }: { data: Report["volume"] }) {
+  const max = Math.max(1, ...data.map((d) => Math.max(d.created, d.resolved)));
+  const h = 120;
+  const w = Math.max(data.length * 18, 200);
+  return (
+    <div className="overflow-x-auto">
+      <svg width={w} height={h + 16} className="block" role="img" aria-label="Tickets created and resolved over time">
+        {data.map((d, i) => (
+          <g key={d.label}>
+            <title>{`${d.label}: ${d.created} created, ${d.resolved} resolved`}</title>
+            <rect x={i * 18 + 2} y={h - (d.created / max) * h} width={6} height={(d.created / max) * h} className="fill-indigo-500" />
+            <rect x={i * 18 + 9} y={h - (d.resolved / max) * h} width={6} height={(d.resolved / max) * h} className="fill-emerald-500" />
+          </g>
+        ))}
+        <line x1={0} y1={h} x2={w} y2={h} className="stroke-gray-300" />
+        {data.length > 0 && (
+          <>
+            <text x={0} y={h + 12} className="fill-gray-500 text-[10px]">{data[0].label}</text>
+            <text x={w} y={h + 12} textAnchor="end" className="fill-gray-500 text-[10px]">{data[data.length - 1].label}</text>
+          </>
+        )}
+      </svg>
+    </div>
+  );
+}
+
+// ----- Bulk Action Bar -----
+// Each control fires once for the whole selection; the app confirms and keeps the batch for undo
+function BulkActionBar({ count, cfg, canDelete, onAction, onClear }: {
+  count: number;
+  cfg: Config;
+  canDelete: boolean;
+  onAction: (action: BulkAction) => void;
+  onClear: () => void;
+}) {
+  const [note, setNote] = useState("");
+  const [notePublic, setNotePublic] = useState(false);
+  const pick = (e: React.ChangeEvent<HTMLSelectElement>, make: (v: string) => BulkAction) => {
+    const v = e.target.value;
+    e.target.value = "";
+    if (v) onAction(make(v));
+  };
+
+  return (
+    <div className="mb-4 rounded-xl border border-indigo-200 bg-indigo-50/50 p-3">
+      <div className="flex items-center justify-between mb-2 text-sm">
+        <span className="font-medium">{count} selected</span>
+        <button onClick={onClear} className="text-gray-600 hover:text-gray-900">Clear selection</button>
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        <Select label="Set status" defaultValue="" onChange={(e) => pick(e, (v) => ({ kind: "status", status: v as TicketStatus }))}>
+          <option value="">Choose…</option>
+          {cfg.workflow.statuses.map((s) => (
+            <option key={s.name} value={s.name}>{s.name}</option>
+          ))}
+        </Select>
+        <Select label="Move to team" defaultValue="" onChange={(e) => pick(e, (v) => ({ kind: "team", team: v }))}>
+          <option value="">Choose…</option>
+          {cfg.teams.map((t) => (
+            <option key={t} value={t}>{t}</option>
+          ))}
+        </Select>
+        <Select label="Set category" defaultValue="" onChange={(e) => pick(e, (v) => ({ kind: "category", category: v }))}>
+          <option value="">Choose…</option>
+          {cfg.categories.map((c) => (
+            <option key={c} value={c}>{c}</option>
+          ))}
+        </Select>
+        <Select label="Set priority" defaultValue="" onChange={(e) => pick(e, (v) => ({ kind: "priority", priority: v as Priority }))}>
+          <option value="">Choose…</option>
+          {(Object.keys(cfg.priorities) as Priority[]).map((p) => (
+            <option key={p} value={p}>{p} – {cfg.priorities[p].label}</option>
+          ))}
+        </Select>
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <input
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Note to add to every selected ticket"
+          className="flex-1 min-w-[12rem] rounded-xl border border-gray-300 px-3 py-2 outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+        <label className="flex items-center gap-1 text-gray-600">
+          <input type="checkbox" checked={notePublic} onChange={(e) => setNotePublic(e.target.checked)} />
+          Visible to requester
+        </label>
+        <button
+          disabled={!note.trim()}
+          onClick={() => {
+            onAction({ kind: "note", text: note.trim(), visibility: notePublic ? "public" : "internal" });
+            setNote("");
+          }}
+          className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          Add note
+        </button>
+        <button
+          disabled={count < 2}
+          title="Keep the oldest ticket, copy the others' notes onto it and close them as duplicates"
+          onClick={() => onAction({ kind: "merge" })}
+          className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          Merge
+        </button>
+        {canDelete && (
+          <button onClick={() => onAction({ kind: "delete" })} className="px-3 py-2 rounded-xl border bg-white text-red-700 hover:bg-red-50">
+            Delete
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ----- Status Badge Helper -----
+// The built-in statuses keep their colours; custom ones are coloured by kind
+function statusPill(status: TicketStatus, workflow: Workflow = DEFAULT_WORKFLOW) {
+  switch (status) {
+    case "Open":
+      return "bg-indigo-100 text-indigo-700";
+    case "In Progress":
+      return "bg-yellow-100 text-yellow-800";
+    case "On Hold":
+      return "bg-gray-100 text-gray-700";
+    case "Resolved":
+      return "bg-emerald-100 text-emerald-700";
+    case "Closed":
+      return "bg-slate-200 text-slate-700";
+  }
+  switch (statusKind(status, workflow)) {
+    case "paused":
+      return "bg-orange-100 text-orange-800";
+    case "done":
+      return "bg-teal-100 text-teal-700";
+    default:
+      return "bg-sky-100 text-sky-700";
+  }
+}
+
+// ----- Simple Tag Editor (Admin Config) -----
+function TagEditor({ values, onChange }: { values: string[]; onChange: (vals: string[]) => void }) {
+  const [input, setInput] = useState("");
+
+  function addTag() {
+    const v = input.trim();
+    if (!v) return;
+    if (values.includes(v)) return;
+    onChange([...values, v]);
+    setInput("");
+  }
+
+  function removeTag(v: string) {
+    onChange(values.filter((x) => x !== v));
+  }
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-2">
+        <input
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={(e) => { if (e.key === "Enter") addTag(); }}
+          placeholder="Add and press Enter"
+          className="flex-1 rounded-xl border border-gray-300 px-3 py-2 outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <button onClick={addTag} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">Add</button>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {values.map((v) => (
+          <span key={v} className="inline-flex items-center gap-1 rounded-full bg-gray-100 px-2.5 py-1 text-xs">
+            {v}
+            <button onClick={() => removeTag(v)} className="text-gray-500 hover:text-red-600">×</button>
+          </span>
+        ))}
+        {!values.length && <span className="text-xs text-gray-500">No items yet</span>}
+      </div>
+    </div>
+  );
+}
+
+// ----- Business Calendar Editor (Admin Config) -----
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+function CalendarEditor({ value, onChange }: { value: BusinessCalendar; onChange: (cal: BusinessCalendar) => void }) {
+  const [tz, setTz] = useState(value.timezone);
+  const [holiday, setHoliday] = useState("");
+
+  useEffect(() => setTz(value.timezone), [value.timezone]);
+
+  function setDay(i: number, h: DayHours) {
+    onChange({ ...value, hours: value.hours.map((x, j) => (j === i ? h : x)) });
+  }
+
+  function addHoliday() {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(holiday) || value.holidays.includes(holiday)) return;
+    onChange({ ...value, holidays: [...value.holidays, holiday].sort() });
+    setHoliday("");
+  }
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold mb-1">Business Hours</h3>
+      <p className="text-sm text-gray-600 mb-3">SLA clocks only run during these hours, except for priorities marked 24x7.</p>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <TextInput label="Timezone (IANA)" placeholder="America/New_York" value={tz} onChange={(e) => setTz(e.target.value)} onBlur={() => (isValidTimezone(tz.trim()) ? onChange({ ...value, timezone: tz.trim() }) : setTz(value.timezone))} />
+          <label className="block text-sm font-medium text-gray-700 mb-1">Holidays</label>
+          <div className="flex items-center gap-2 mb-2">
+            <input type="date" value={holiday} onChange={(e) => setHoliday(e.target.value)} className="flex-1 rounded-xl border border-gray-300 px-3 py-2 outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500" />
+            <button onClick={addHoliday} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">Add</button>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {value.holidays.map((h) => (
+              <span key={h} className="inline-flex items-center gap-1 rounded-full bg-gray-100 px-2.5 py-1 text-xs">
+                {h}
+                <button onClick={() => onChange({ ...value, holidays: value.holidays.filter((x) => x !== h) })} className="text-gray-500 hover:text-red-600">×</button>
+              </span>
+            ))}
+            {!value.holidays.length && <span className="text-xs text-gray-500">No holidays yet</span>}
+          </div>
+        </div>
+        <div className="md:col-span-2 space-y-1">
+          {WEEKDAYS.map((day, i) => {
+            const h = value.hours[i];
+            return (
+              <div key={day} className="flex flex-wrap items-center gap-2 text-sm">
+                <label className="flex items-center gap-2 w-32">
+                  <input type="checkbox" checked={!!h} onChange={(e) => setDay(i, e.target.checked ? { start: "09:00", end: "17:00" } : null)} />
+                  {day}
+                </label>
+                {h ? (
+                  <>
+                    <input type="time" value={h.start} onChange={(e) => parseHHMM(e.target.value)! < parseHHMM(h.end)! && setDay(i, { ...h, start: e.target.value })} className="rounded-xl border border-gray-300 px-2 py-1" />
+                    <span>–</span>
+                    <input type="time" value={h.end} onChange={(e) => parseHHMM(e.target.value)! > parseHHMM(h.start)! && setDay(i, { ...h, end: e.target.value })} className="rounded-xl border border-gray-300 px-2 py-1" />
+                  </>
+                ) : (
+                  <span className="text-gray-500">Closed</span>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ----- Status Workflow (Admin Config) -----
+// Names are fixed once a status exists (remove and re-add to rename), and a status can only be removed
+// while no ticket is in it, so tickets, templates and saved views keep pointing at real statuses
+function WorkflowEditor({ value, inUse, onChange }: { value: Workflow; inUse: Record<string, number>; onChange: (w: Workflow) => void }) {
+  const [name, setName] = useState("");
+  const [kind, setKind] = useState<StatusKind>("open");
+  const [error, setError] = useState("");
+  const names = value.statuses.map((s) => s.name);
+
+  // A change that would leave no open or no done status is refused
+  function commit(statuses: StatusDef[], transitions = value.transitions) {
+    if (!statuses.some((s) => s.kind === "open") || !statuses.some((s) => s.kind === "done")) {
+      setError("The workflow needs at least one open and one done status.");
+      return;
+    }
+    setError("");
+    onChange(normalizeWorkflow({ statuses, transitions }));
+  }
+
+  const update = (i: number, changes: Partial<StatusDef>) => commit(value.statuses.map((s, j) => (j === i ? { ...s, ...changes } : s)));
+
+  function move(i: number, by: number) {
+    const next = [...value.statuses];
+    next.splice(i + by, 0, ...next.splice(i, 1));
+    commit(next);
+  }
+
+  function remove(i: number) {
+    const s = value.statuses[i];
+    if (inUse[s.name]) {
+      setError(`${inUse[s.name]} ticket${inUse[s.name] === 1 ? " is" : "s are"} ${s.name}; move ${inUse[s.name] === 1 ? "it" : "them"} to another status first.`);
+      return;
+    }
+    const { [s.name]: _dropped, ...transitions } = value.transitions;
+    commit(value.statuses.filter((_, j) => j !== i), transitions);
+  }
+
+  function add() {
+    const n = name.trim();
+    if (!n) return;
+    if (names.some((x) => x.toLowerCase() === n.toLowerCase())) {
+      setError(`There is already a status called ${n}.`);
+      return;
+    }
+    commit([...value.statuses, { name: n, kind, requires: [] }]);
+    setName("");
+  }
+
+  // null = may move to any status
+  function setAllowed(from: TicketStatus, to: TicketStatus[] | null) {
+    const { [from]: _old, ...rest } = value.transitions;
+    commit(value.statuses, to ? { ...rest, [from]: to } : rest);
+  }
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-3">
+        The kind decides how a status behaves: open statuses run the SLA clock, paused ones stop it (like On Hold) and done ones count as resolved. New and reopened tickets start in the first open status.
+      </p>
+      <div className="space-y-2">
+        {value.statuses.map((s, i) => (
+          <div key={s.name} className="border rounded-xl p-3 grid grid-cols-1 md:grid-cols-12 gap-3 items-start">
+            <div className="md:col-span-3 flex items-center gap-2 min-w-0">
+              <Pill className={statusPill(s.name, value)}>{s.name}</Pill>
+              <span className="text-xs text-gray-500 shrink-0">{inUse[s.name] || 0} tickets</span>
+            </div>
+            <div className="md:col-span-2">
+              <select
+                className="w-full rounded-xl border border-gray-300 px-3 py-2 bg-white text-sm outline-none focus:ring-2 focus:ring-indigo-500"
+                value={s.kind}
+                onChange={(e) => update(i, { kind: e.target.value as StatusKind })}
+              >
+                {(Object.keys(STATUS_KINDS) as StatusKind[]).map((k) => (
+                  <option key={k} value={k}>{STATUS_KINDS[k]}</option>
+                ))}
+              </select>
+            </div>
+            <div className="md:col-span-5 flex flex-wrap gap-x-3 gap-y-1 text-sm">
+              <span className="text-gray-500">Requires:</span>
+              {statusFields(s.kind).map((f) => (
+                <label key={f} className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={s.requires.includes(f)}
+                    onChange={(e) => update(i, { requires: e.target.checked ? [...s.requires, f] : s.requires.filter((x) => x !== f) })}
+                  />
+                  {STATUS_FIELDS[f]}
+                </label>
+              ))}
+              {s.kind === "done" && (
+                <label className="flex items-center gap-1" title="Requesters can reopen the ticket from Check My Ticket">
+                  <input type="checkbox" checked={!!s.reopenable} onChange={(e) => update(i, { reopenable: e.target.checked })} />
+                  Requester can reopen
+                </label>
+              )}
+            </div>
+            <div className="md:col-span-2 flex items-center justify-end gap-1 text-sm">
+              <button disabled={i === 0} onClick={() => move(i, -1)} className="px-2 py-1 rounded-lg border hover:bg-gray-50 disabled:opacity-40" title="Move up">↑</button>
+              <button disabled={i === value.statuses.length - 1} onClick={() => move(i, 1)} className="px-2 py-1 rounded-lg border hover:bg-gray-50 disabled:opacity-40" title="Move down">↓</button>
+              <button onClick={() => remove(i)} className="px-2 py-1 rounded-lg border hover:bg-red-50 text-red-600" title="Remove">✕</button>
+            </div>
+            <div className="md:col-span-12 flex flex-wrap items-center gap-x-3 gap-y-1 text-sm">
+              <span className="text-gray-500">Can move to:</span>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={!value.transitions[s.name]} onChange={(e) => setAllowed(s.name, e.target.checked ? null : names.filter((n) => n !== s.name))} />
+                Any status
+              </label>
+              {value.transitions[s.name] &&
+                names
+                  .filter((n) => n !== s.name)
+                  .map((n) => (
+                    <label key={n} className="flex items-center gap-1">
+                      <input
+                        type="checkbox"
+                        checked={value.transitions[s.name].includes(n)}
+                        onChange={(e) => setAllowed(s.name, e.target.checked ? [...value.transitions[s.name], n] : value.transitions[s.name].filter((x) => x !== n))}
+                      />
+                      {n}
+                    </label>
+                  ))}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => { if (e.key === "Enter") add(); }}
+          placeholder="New status, e.g. Waiting on Vendor"
+          className="flex-1 min-w-[12rem] rounded-xl border border-gray-300 px-3 py-2 outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <select
+          className="rounded-xl border border-gray-300 px-3 py-2 bg-white text-sm outline-none focus:ring-2 focus:ring-indigo-500"
+          value={kind}
+          onChange={(e) => setKind(e.target.value as StatusKind)}
+        >
+          {(Object.keys(STATUS_KINDS) as StatusKind[]).map((k) => (
+            <option key={k} value={k}>{STATUS_KINDS[k]}</option>
+          ))}
+        </select>
+        <button onClick={add} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">Add status</button>
+      </div>
+      {error && <div className="mt-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded-xl p-3 break-words">{error}</div>}
+    </div>
+  );
+}
+
+// ----- Custom Fields (Admin Config) -----
+function CustomFieldEditor({ value, categories, onChange }: { value: CustomField[]; categories: string[]; onChange: (fields: CustomField[]) => void }) {
+  // options are edited as comma-separated text
+  const [draft, setDraft] = useState<(CustomField & { optionText: string }) | null>(null);
+
+  function saveDraft() {
+    if (!draft || !draft.label.trim()) return;
+    const { optionText, ...field } = draft;
+    const next = value.some((f) => f.id === field.id) ? value.map((f) => (f.id === field.id ? field : f)) : [...value, field];
+    onChange(normalizeCustomFields(next.map((f) => (f.id === field.id ? { ...f, options: optionText.split(",") } : f)), categories));
+    setDraft(null);
+  }
+
+  function move(i: number, by: number) {
+    const next = [...value];
+    next.splice(i + by, 0, ...next.splice(i, 1));
+    onChange(next);
+  }
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-3">
+        Extra questions on the Submit a Ticket form and in the ticket editor, shown for the categories you pick (or all of them). Values are saved on the ticket, exported as CSV columns and searchable by key, e.g. assettag:LT-1234.
+        Required fields must be filled in when a ticket is submitted; agents can't clear one once it has a value.
+      </p>
+      <div className="space-y-2">
+        {value.length === 0 && <div className="text-sm text-gray-500">No custom fields yet.</div>}
+        {value.map((f, i) => (
+          <div key={f.id} className="border rounded-xl p-3 flex flex-wrap items-center gap-2">
+            <span className="font-medium text-sm">{f.label}</span>
+            <Pill className="bg-gray-100 text-gray-700">{CUSTOM_FIELD_TYPES[f.type]}</Pill>
+            {f.required && <Pill className="bg-amber-100 text-amber-800">required</Pill>}
+            <span className="text-xs text-gray-600 flex-1 min-w-[12rem] break-words">
+              {f.categories.length ? f.categories.join(", ") : "All categories"} · search as {f.key}:
+              {f.type === "select" ? ` · ${f.options.join(", ")}` : ""}
+            </span>
+            <button disabled={i === 0} onClick={() => move(i, -1)} className="px-2 py-1 rounded-lg border hover:bg-gray-50 text-sm disabled:opacity-40" title="Move up">↑</button>
+            <button disabled={i === value.length - 1} onClick={() => move(i, 1)} className="px-2 py-1 rounded-lg border hover:bg-gray-50 text-sm disabled:opacity-40" title="Move down">↓</button>
+            <button onClick={() => setDraft({ ...f, optionText: f.options.join(", ") })} className="px-2 py-1 rounded-lg border hover:bg-gray-50 text-sm">Edit</button>
+            <button
+              onClick={() => confirm(`Delete the field "${f.label}"? Values already saved on tickets are kept but no longer shown.`) && onChange(value.filter((x) => x.id !== f.id))}
+              className="px-2 py-1 rounded-lg border hover:bg-red-50 text-red-600 text-sm"
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+      {!draft && (
+        <button
+          onClick={() => setDraft({ id: `F-${Date.now()}`, label: "", key: "", type: "text", options: [], required: false, categories: [], optionText: "" })}
+          className="mt-3 px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm"
+        >
+          Add field
+        </button>
+      )}
+      {draft && (
+        <div className="mt-3 border border-indigo-200 bg-indigo-50/40 rounded-xl p-3">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <TextInput label="Label" placeholder="e.g. Asset tag" value={draft.label} onChange={(e) => setDraft({ ...draft, label: e.target.value })} />
+            <Select label="Type" value={draft.type} onChange={(e) => setDraft({ ...draft, type: e.target.value as CustomFieldType })}>
+              {(Object.keys(CUSTOM_FIELD_TYPES) as CustomFieldType[]).map((t) => (
+                <option key={t} value={t}>{CUSTOM_FIELD_TYPES[t]}</option>
+              ))}
+            </Select>
+            <label className="flex items-center gap-2 text-sm md:mt-6">
+              <input type="checkbox" checked={draft.required} onChange={(e) => setDraft({ ...draft, required: e.target.checked })} />
+              Required
+            </label>
+          </div>
+          {draft.type === "select" && (
+            <TextInput label="Options (comma-separated)" placeholder="SAP, Salesforce, Workday" value={draft.optionText} onChange={(e) => setDraft({ ...draft, optionText: e.target.value })} />
+          )}
+          <div className="text-sm font-medium mb-1">Categories (none ticked = all)</div>
+          <div className="flex flex-wrap gap-3 text-sm text-gray-700">
+            {categories.map((c) => (
+              <label key={c} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={draft.categories.includes(c)}
+                  onChange={(e) => setDraft({ ...draft, categories: e.target.checked ? [...draft.categories, c] : draft.categories.filter((x) => x !== c) })}
+                />
+                {c}
+              </label>
+            ))}
+          </div>
+          <div className="mt-3 flex justify-end gap-2">
+            <button onClick={() => setDraft(null)} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">Cancel</button>
+            <button
+              onClick={saveDraft}
+              disabled={!draft.label.trim() || (draft.type === "select" && !draft.optionText.split(",").some((o) => o.trim()))}
+              className="px-3 py-2 rounded-xl bg-indigo-600 text-white text-sm font-medium hover:bg-indigo-700 disabled:opacity-50"
+            >
+              Save field
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ----- SLA Escalations (Admin Config) -----
+function EscalationEditor({ value, onChange }: { value: EscalationStep[]; onChange: (steps: EscalationStep[]) => void }) {
+  const [draft, setDraft] = useState<EscalationStep | null>(null);
+  const [permission, setPermission] = useState(() => (typeof Notification === "undefined" ? "unsupported" : Notification.permission));
+
+  function saveDraft() {
+    if (!draft || !draft.name.trim()) return;
+    const [clean] = normalizeEscalations([draft]);
+    onChange(value.some((s) => s.id === clean.id) ? value.map((s) => (s.id === clean.id ? clean : s)) : [...value, clean]);
+    setDraft(null);
+  }
+
+  function move(i: number, by: number) {
+    const next = [...value];
+    next.splice(i + by, 0, ...next.splice(i, 1));
+    onChange(next);
+  }
+
+  const actions = (s: EscalationStep) =>
+    [s.bumpPriority && "raise priority", s.assignLead && "assign team lead", s.note && "add note", s.notify && "notify in app", s.email && `email ${s.email}`].filter(Boolean).join(", ") || "record only";
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-3">
+        While the NexTicket page is open for an agent, lead or admin, every open ticket is checked once a minute. A step fires once per ticket when its clock reaches the threshold, measured in SLA-clock time like the deadlines (so
+        business hours and time on hold count the same way), and only while that target is still unmet. Firings are recorded in the ticket's timeline. "Assign team lead" picks the first Lead on the team's roster.
+      </p>
+      <div className="space-y-2">
+        {value.length === 0 && <div className="text-sm text-gray-500">No escalation steps yet.</div>}
+        {value.map((s, i) => (
+          <div key={s.id} className={`border rounded-xl p-3 flex flex-wrap items-center gap-2 ${s.enabled ? "" : "opacity-60"}`}>
+            <input type="checkbox" title="Enabled" checked={s.enabled} onChange={(e) => onChange(value.map((x) => (x.id === s.id ? { ...x, enabled: e.target.checked } : x)))} />
+            <span className="font-medium text-sm">{s.name}</span>
+            <Pill className="bg-red-50 text-red-700">{escalationLabel(s)}</Pill>
+            <span className="text-xs text-gray-600 flex-1 min-w-[12rem] break-words">{actions(s)}</span>
+            <button disabled={i === 0} onClick={() => move(i, -1)} className="px-2 py-1 rounded-lg border hover:bg-gray-50 text-sm disabled:opacity-40" title="Move up">↑</button>
+            <button disabled={i === value.length - 1} onClick={() => move(i, 1)} className="px-2 py-1 rounded-lg border hover:bg-gray-50 text-sm disabled:opacity-40" title="Move down">↓</button>
+            <button onClick={() => setDraft({ ...s })} className="px-2 py-1 rounded-lg border hover:bg-gray-50 text-sm">Edit</button>
+            <button onClick={() => confirm(`Delete the step "${s.name}"?`) && onChange(value.filter((x) => x.id !== s.id))} className="px-2 py-1 rounded-lg border hover:bg-red-50 text-red-600 text-sm">✕</button>
+          </div>
+        ))}
+      </div>
+      {!draft && (
+        <div className="mt-3 flex flex-wrap items-center gap-3">
+          <button
+            onClick={() => setDraft({ id: `E-${Date.now()}`, name: "", enabled: true, clock: "resolve", percent: 100, afterMins: 0, bumpPriority: false, assignLead: false, note: "", notify: true, email: "" })}
+            className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm"
+          >
+            Add step
+          </button>
+          {permission === "default" && (
+            <button onClick={() => Notification.requestPermission().then(setPermission)} className="text-sm text-indigo-700 hover:underline">
+              Allow browser notifications on this computer
+            </button>
+          )}
+          {permission === "denied" && <span className="text-xs text-gray-500">Browser notifications are blocked for this site; escalations still show at the top of the page.</span>}
+        </div>
+      )}
+      {draft && (
+        <div className="mt-3 border border-indigo-200 bg-indigo-50/40 rounded-xl p-3">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <TextInput label="Step name" placeholder="e.g. Breach + 1h" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+            <Select label="Clock" value={draft.clock} onChange={(e) => setDraft({ ...draft, clock: e.target.value as EscalationStep["clock"] })}>
+              <option value="respond">Respond</option>
+              <option value="resolve">Resolve</option>
+            </Select>
+            <TextInput label="% of target elapsed (100 = breach)" type="number" min={1} value={draft.percent} onChange={(e) => setDraft({ ...draft, percent: Number(e.target.value) || 0 })} />
+            <TextInput label="Plus (mins)" type="number" min={0} value={draft.afterMins} onChange={(e) => setDraft({ ...draft, afterMins: Number(e.target.value) || 0 })} />
+          </div>
+          <div className="flex flex-wrap gap-4 text-sm text-gray-700 my-2">
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={draft.bumpPriority} onChange={(e) => setDraft({ ...draft, bumpPriority: e.target.checked })} />
+              Raise priority one level
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={draft.assignLead} onChange={(e) => setDraft({ ...draft, assignLead: e.target.checked })} />
+              Assign to the team lead
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={draft.notify} onChange={(e) => setDraft({ ...draft, notify: e.target.checked })} />
+              Notify in app and browser
+            </label>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <TextInput label="Internal note (optional)" value={draft.note} onChange={(e) => setDraft({ ...draft, note: e.target.value })} />
+            <TextInput label="Email (optional, needs the server)" placeholder="oncall@example.com" value={draft.email} onChange={(e) => setDraft({ ...draft, email: e.target.value })} />
+          </div>
+          <div className="mt-2 flex justify-end gap-2">
+            <button onClick={() => setDraft(null)} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">Cancel</button>
+            <button onClick={saveDraft} disabled={!draft.name.trim()} className="px-3 py-2 rounded-xl bg-indigo-600 text-white text-sm font-medium hover:bg-indigo-700 disabled:opacity-50">Save step</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ----- Routing Rules (Admin Config) -----
+// Rules are edited one at a time as a draft; "Preview" dry-runs the draft against the existing tickets
+function RulesEditor({ value, cfg, tickets, onChange }: { value: RoutingRule[]; cfg: Config; tickets: Ticket[]; onChange: (rules: RoutingRule[]) => void }) {
+  const [draft, setDraft] = useState<RoutingRule | null>(null);
+  const [preview, setPreview] = useState<ReturnType<typeof previewRule> | null>(null);
+  const fieldClass = "rounded-xl border border-gray-300 px-3 py-2 bg-white text-sm outline-none focus:ring-2 focus:ring-indigo-500";
 
-                        <div className="mt-3 text-[11px] text-gray-500 flex flex-wrap gap-3">
-                          <span>Created: {new Date(t.createdAt).toLocaleString()}</span>
-                          <span>Updated: {new Date(t.updatedAt).toLocaleString()}</span>
-                        </div>
-                      </article>
-                    );
-                  })}
-                </div>
+  function edit(rule: RoutingRule | null) {
+    setDraft(rule && structuredClone(rule));
+    setPreview(null);
+  }
+
+  function saveDraft() {
+    if (!draft || !draft.name.trim()) return;
+    const [clean] = normalizeRules([draft]);
+    onChange(value.some((r) => r.id === clean.id) ? value.map((r) => (r.id === clean.id ? clean : r)) : [...value, clean]);
+    edit(null);
+  }
+
+  function move(i: number, by: number) {
+    const next = [...value];
+    next.splice(i + by, 0, ...next.splice(i, 1));
+    onChange(next);
+  }
+
+  const setCondition = (i: number, c: RuleCondition) => setDraft(draft && { ...draft, conditions: draft.conditions.map((x, j) => (j === i ? c : x)) });
+  const setAction = (i: number, a: RuleAction) => setDraft(draft && { ...draft, actions: draft.actions.map((x, j) => (j === i ? a : x)) });
+  const summary = (r: RoutingRule) =>
+    `${r.conditions.map((c) => `${RULE_FIELDS[c.field].toLowerCase()} ${c.field === "time" ? c.values.join("–") : c.values.join(" or ")}`).join(" and ") || "every ticket"} → ${r.actions.map((a) => `${RULE_ACTIONS[a.kind].toLowerCase()} ${a.kind === "note" ? "" : a.value}`.trim()).join(", ") || "nothing"}`;
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-3">
+        Rules run top to bottom when a ticket is created or updated; the ones whose conditions all match fire, and their actions are recorded in the ticket's timeline. An update rule only fires when the ticket starts matching. Times are in the business calendar's timezone ({cfg.calendar.timezone}); email alerts need the NexTicket server.
+      </p>
+      <div className="space-y-2">
+        {value.length === 0 && <div className="text-sm text-gray-500">No rules yet. New tickets go to {FALLBACK_TEAM} at the default priority.</div>}
+        {value.map((r, i) => (
+          <div key={r.id} className={`border rounded-xl p-3 flex flex-wrap items-center gap-2 ${r.enabled ? "" : "opacity-60"}`}>
+            <input type="checkbox" title="Enabled" checked={r.enabled} onChange={(e) => onChange(value.map((x) => (x.id === r.id ? { ...x, enabled: e.target.checked } : x)))} />
+            <span className="font-medium text-sm">{r.name}</span>
+            <Pill className="bg-gray-100 text-gray-700">{r.on === "both" ? "create + update" : r.on}</Pill>
+            {r.stop && <Pill className="bg-amber-100 text-amber-800">stops</Pill>}
+            <span className="text-xs text-gray-600 flex-1 min-w-[12rem] break-words">{summary(r)}</span>
+            <button disabled={i === 0} onClick={() => move(i, -1)} className="px-2 py-1 rounded-lg border hover:bg-gray-50 text-sm disabled:opacity-40" title="Move up">↑</button>
+            <button disabled={i === value.length - 1} onClick={() => move(i, 1)} className="px-2 py-1 rounded-lg border hover:bg-gray-50 text-sm disabled:opacity-40" title="Move down">↓</button>
+            <button onClick={() => edit(r)} className="px-2 py-1 rounded-lg border hover:bg-gray-50 text-sm">Edit</button>
+            <button onClick={() => confirm(`Delete the rule "${r.name}"?`) && onChange(value.filter((x) => x.id !== r.id))} className="px-2 py-1 rounded-lg border hover:bg-red-50 text-red-600 text-sm">✕</button>
+          </div>
+        ))}
+      </div>
+      {!draft && (
+        <button
+          onClick={() => edit({ id: `R-${Date.now()}`, name: "", enabled: true, on: "create", conditions: [{ field: "keywords", values: [] }], actions: [{ kind: "team", value: cfg.teams[0] }], stop: false })}
+          className="mt-3 px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm"
+        >
+          Add rule
+        </button>
+      )}
+      {draft && (
+        <div className="mt-3 border border-indigo-200 bg-indigo-50/40 rounded-xl p-3">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <TextInput label="Rule name" placeholder="e.g. VPN to Networking" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+            <Select label="Runs on" value={draft.on} onChange={(e) => setDraft({ ...draft, on: e.target.value as RoutingRule["on"] })}>
+              <option value="create">New tickets</option>
+              <option value="update">Updates</option>
+              <option value="both">New tickets and updates</option>
+            </Select>
+            <label className="flex items-center gap-2 text-sm md:mt-6">
+              <input type="checkbox" checked={draft.stop} onChange={(e) => setDraft({ ...draft, stop: e.target.checked })} />
+              Skip later rules when this one fires
+            </label>
+          </div>
+          <div className="text-sm font-medium mt-2 mb-1">When all of these match</div>
+          {draft.conditions.map((c, i) => (
+            <div key={i} className="flex flex-wrap items-center gap-2 mb-2">
+              <select className={fieldClass} value={c.field} onChange={(e) => setCondition(i, { field: e.target.value as RuleField, values: [] })}>
+                {(Object.keys(RULE_FIELDS) as RuleField[]).map((f) => (
+                  <option key={f} value={f}>{RULE_FIELDS[f]}</option>
+                ))}
+              </select>
+              {c.field === "time" ? (
+                <>
+                  <input type="time" className={fieldClass} value={c.values[0] || ""} onChange={(e) => setCondition(i, { ...c, values: [e.target.value, c.values[1] || ""] })} />
+                  <span className="text-sm">and</span>
+                  <input type="time" className={fieldClass} value={c.values[1] || ""} onChange={(e) => setCondition(i, { ...c, values: [c.values[0] || "", e.target.value] })} />
+                </>
+              ) : (
+                <input
+                  className={`${fieldClass} flex-1 min-w-[12rem]`}
+                  placeholder={{ category: cfg.categories.join(", "), team: cfg.teams.join(", "), priority: "P1, P2", keywords: "vpn, remote access", domain: "example.com", time: "" }[c.field]}
+                  value={c.values.join(", ")}
+                  onChange={(e) => setCondition(i, { ...c, values: e.target.value.split(",").map((v) => v.trimStart()) })}
+                />
               )}
-            </Section>
+              <button onClick={() => setDraft({ ...draft, conditions: draft.conditions.filter((_, j) => j !== i) })} className="text-gray-500 hover:text-red-600">✕</button>
+            </div>
+          ))}
+          <button onClick={() => setDraft({ ...draft, conditions: [...draft.conditions, { field: "category", values: [] }] })} className="text-sm text-indigo-700 hover:underline">+ Condition</button>
+          <div className="text-sm font-medium mt-3 mb-1">Then</div>
+          {draft.actions.map((a, i) => (
+            <div key={i} className="flex flex-wrap items-center gap-2 mb-2">
+              <select className={fieldClass} value={a.kind} onChange={(e) => setAction(i, { kind: e.target.value as RuleActionKind, value: "" })}>
+                {(Object.keys(RULE_ACTIONS) as RuleActionKind[]).map((k) => (
+                  <option key={k} value={k}>{RULE_ACTIONS[k]}</option>
+                ))}
+              </select>
+              {a.kind === "team" || a.kind === "priority" ? (
+                <select className={fieldClass} value={a.value} onChange={(e) => setAction(i, { ...a, value: e.target.value })}>
+                  <option value="">Select…</option>
+                  {a.kind === "team"
+                    ? cfg.teams.map((t) => <option key={t} value={t}>{t}</option>)
+                    : (Object.keys(cfg.priorities) as Priority[]).map((p) => <option key={p} value={p}>{p} – {cfg.priorities[p].label}</option>)}
+                </select>
+              ) : (
+                <input
+                  className={`${fieldClass} flex-1 min-w-[12rem]`}
+                  placeholder={a.kind === "note" ? "Note text" : "oncall@example.com, lead@example.com"}
+                  value={a.value}
+                  onChange={(e) => setAction(i, { ...a, value: e.target.value })}
+                />
+              )}
+              <button onClick={() => setDraft({ ...draft, actions: draft.actions.filter((_, j) => j !== i) })} className="text-gray-500 hover:text-red-600">✕</button>
+            </div>
+          ))}
+          <button onClick={() => setDraft({ ...draft, actions: [...draft.actions, { kind: "priority", value: "" }] })} className="text-sm text-indigo-700 hover:underline">+ Action</button>
+          <div className="mt-3 flex flex-wrap items-center gap-2">
+            <button onClick={() => setPreview(previewRule(normalizeRules([{ ...draft, name: draft.name || "Draft" }])[0], tickets, cfg))} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">Preview</button>
+            <div className="flex-1" />
+            <button onClick={() => edit(null)} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">Cancel</button>
+            <button onClick={saveDraft} disabled={!draft.name.trim()} className="px-3 py-2 rounded-xl bg-indigo-600 text-white text-sm font-medium hover:bg-indigo-700 disabled:opacity-50">Save rule</button>
+          </div>
+          {preview && (
+            <div className="mt-3 text-sm">
+              <div className="font-medium mb-1">Would fire on {preview.length} of {tickets.length} existing tickets{draft.on === "create" ? " (time of day as of when each was created)" : ""}. Nothing has been changed.</div>
+              <div className="max-h-48 overflow-auto space-y-1">
+                {preview.slice(0, 50).map(({ ticket, effects }) => (
+                  <div key={ticket.id} className="flex gap-2 min-w-0">
+                    <span className="text-gray-500 shrink-0">{ticket.id}</span>
+                    <span className="truncate" title={ticket.title}>{ticket.title}</span>
+                    <span className="text-gray-600 shrink-0">{effects.join("; ") || "no change"}</span>
+                  </div>
+                ))}
+                {preview.length > 50 && <div className="text-gray-500">…and {preview.length - 50} more</div>}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ----- Canned Responses (Admin Config) -----
+function CannedResponseEditor({ value, onChange }: { value: CannedResponse[]; onChange: (list: CannedResponse[]) => void }) {
+  const [draft, setDraft] = useState<CannedResponse | null>(null);
+
+  function saveDraft() {
+    if (!draft || !draft.name.trim()) return;
+    const next = value.some((c) => c.id === draft.id) ? value.map((c) => (c.id === draft.id ? draft : c)) : [...value, draft];
+    onChange(normalizeCannedResponses(next));
+    setDraft(null);
+  }
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-3">
+        Text agents can insert into a note from the ticket editor. Placeholders are filled in from the ticket: {CANNED_PLACEHOLDERS.map((k) => `{{${k}}}`).join(", ")}
+      </p>
+      <div className="space-y-2">
+        {value.length === 0 && <div className="text-sm text-gray-500">No canned responses yet.</div>}
+        {value.map((c) => (
+          <div key={c.id} className="border rounded-xl p-3 flex flex-wrap items-center gap-2">
+            <span className="font-medium text-sm">{c.name}</span>
+            <span className="text-xs text-gray-600 flex-1 min-w-[12rem] truncate">{c.text.split("\n")[0]}</span>
+            <button onClick={() => setDraft(c)} className="px-2 py-1 rounded-lg border hover:bg-gray-50 text-sm">Edit</button>
+            <button onClick={() => confirm(`Delete the canned response "${c.name}"?`) && onChange(value.filter((x) => x.id !== c.id))} className="px-2 py-1 rounded-lg border hover:bg-red-50 text-red-600 text-sm">
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+      {!draft && (
+        <button onClick={() => setDraft({ id: `C-${Date.now()}`, name: "", text: "" })} className="mt-3 px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">
+          Add canned response
+        </button>
+      )}
+      {draft && (
+        <div className="mt-3 border border-indigo-200 bg-indigo-50/40 rounded-xl p-3">
+          <TextInput label="Name" placeholder="e.g. Restart and reconnect VPN" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+          <TextArea
+            label="Text"
+            rows={5}
+            placeholder="Hi {{name}}, please restart your laptop and reconnect to the VPN, then reply on {{id}} if it still fails."
+            value={draft.text}
+            onChange={(e) => setDraft({ ...draft, text: e.target.value })}
+          />
+          <div className="mt-3 flex justify-end gap-2">
+            <button onClick={() => setDraft(null)} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">Cancel</button>
+            <button onClick={saveDraft} disabled={!draft.name.trim() || !draft.text.trim()} className="px-3 py-2 rounded-xl bg-indigo-600 text-white text-sm font-medium hover:bg-indigo-700 disabled:opacity-50">
+              Save response
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ----- Knowledge Base (Admin Config) -----
+function ArticleEditor({ value, categories, deflections, onChange }: { value: KbArticle[]; categories: string[]; deflections: Deflection[]; onChange: (list: KbArticle[]) => void }) {
+  // keywords are edited as comma-separated text
+  const [draft, setDraft] = useState<(KbArticle & { keywordText: string }) | null>(null);
+  const counts = useMemo(() => deflectionCounts(deflections), [deflections]);
+  const recent = deflections.filter((d) => Date.parse(d.at) >= Date.now() - 30 * DAY_MS).length;
+
+  function saveDraft() {
+    if (!draft || !draft.title.trim()) return;
+    const { keywordText, ...article } = draft;
+    const saved = { ...article, keywords: keywordText.split(",") };
+    const next = value.some((a) => a.id === saved.id) ? value.map((a) => (a.id === saved.id ? saved : a)) : [...value, saved];
+    onChange(normalizeArticles(next, categories));
+    setDraft(null);
+  }
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-3">
+        Articles suggested on the Submit a Ticket form as the requester types a title and description. When one answers the question they can say so instead of submitting, which counts as a deflection.
+        Keywords count most, then words in the title, then the body.
+      </p>
+      <div className="text-sm text-gray-700 mb-3">
+        Deflections in the last 30 days: <span className="font-semibold">{recent}</span> ({deflections.length} in total)
+      </div>
+      <div className="space-y-2">
+        {value.length === 0 && <div className="text-sm text-gray-500">No articles yet.</div>}
+        {value.map((a) => (
+          <div key={a.id} className="border rounded-xl p-3 flex flex-wrap items-center gap-2">
+            <span className="font-medium text-sm">{a.title}</span>
+            <Pill className="bg-emerald-100 text-emerald-800">helped {counts.get(a.id) || 0}×</Pill>
+            <span className="text-xs text-gray-600 flex-1 min-w-[12rem] break-words">
+              {a.categories.length ? a.categories.join(", ") : "All categories"}
+              {a.keywords.length ? ` · ${a.keywords.join(", ")}` : ""}
+            </span>
+            <button onClick={() => setDraft({ ...a, keywordText: a.keywords.join(", ") })} className="px-2 py-1 rounded-lg border hover:bg-gray-50 text-sm">Edit</button>
+            <button onClick={() => confirm(`Delete the article "${a.title}"?`) && onChange(value.filter((x) => x.id !== a.id))} className="px-2 py-1 rounded-lg border hover:bg-red-50 text-red-600 text-sm">
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+      {!draft && (
+        <button
+          onClick={() => setDraft({ id: `KB-${Date.now()}`, title: "", body: "", keywords: [], categories: [], keywordText: "" })}
+          className="mt-3 px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm"
+        >
+          Add article
+        </button>
+      )}
+      {draft && (
+        <div className="mt-3 border border-indigo-200 bg-indigo-50/40 rounded-xl p-3">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <TextInput label="Title" placeholder="e.g. VPN keeps disconnecting" value={draft.title} onChange={(e) => setDraft({ ...draft, title: e.target.value })} />
+            <TextInput label="Keywords (comma-separated)" placeholder="vpn, remote access, anyconnect" value={draft.keywordText} onChange={(e) => setDraft({ ...draft, keywordText: e.target.value })} />
+          </div>
+          <TextArea label="Article" rows={6} value={draft.body} onChange={(e) => setDraft({ ...draft, body: e.target.value })} />
+          <div className="text-sm font-medium mb-1">Categories (none ticked = all)</div>
+          <div className="flex flex-wrap gap-3 text-sm text-gray-700">
+            {categories.map((c) => (
+              <label key={c} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={draft.categories.includes(c)}
+                  onChange={(e) => setDraft({ ...draft, categories: e.target.checked ? [...draft.categories, c] : draft.categories.filter((x) => x !== c) })}
+                />
+                {c}
+              </label>
+            ))}
+          </div>
+          <div className="mt-3 flex justify-end gap-2">
+            <button onClick={() => setDraft(null)} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">Cancel</button>
+            <button onClick={saveDraft} disabled={!draft.title.trim() || !draft.body.trim()} className="px-3 py-2 rounded-xl bg-indigo-600 text-white text-sm font-medium hover:bg-indigo-700 disabled:opacity-50">
+              Save article
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ----- Notification Templates (Admin Config) -----
+function NotificationEditor({ value, onChange }: { value: NotificationConfig; onChange: (n: NotificationConfig) => void }) {
+  const [picked, setStatus] = useState<TicketStatus>("Resolved");
+  // Falls back to the first status when the picked one has been removed from the workflow
+  const status = value[picked] ? picked : Object.keys(value)[0];
+  const tpl = value[status];
+  const set = (changes: Partial<NotificationTemplate>) => onChange({ ...value, [status]: { ...tpl, ...changes } });
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-3">
+        Email the requester when their ticket changes status (needs the NexTicket server with SMTP configured). Placeholders:{" "}
+        {TEMPLATE_PLACEHOLDERS.map((k) => `{{${k}}}`).join(", ")}
+      </p>
+      <div className="flex flex-wrap gap-3 mb-3 text-sm">
+        {(Object.keys(value) as TicketStatus[]).map((st) => (
+          <label key={st} className="flex items-center gap-2">
+            <input type="checkbox" checked={value[st].enabled} onChange={(e) => onChange({ ...value, [st]: { ...value[st], enabled: e.target.checked } })} />
+            {st}
+          </label>
+        ))}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+        <Select label="Edit template" value={status} onChange={(e) => setStatus(e.target.value as TicketStatus)}>
+          {(Object.keys(value) as TicketStatus[]).map((st) => (
+            <option key={st} value={st}>{st}</option>
+          ))}
+        </Select>
+        <div className="md:col-span-3">
+          <TextInput label="Subject" value={tpl.subject} onChange={(e) => set({ subject: e.target.value })} />
+          <TextArea label="Body" rows={6} value={tpl.body} onChange={(e) => set({ body: e.target.value })} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ----- Storage Settings (Admin Config) -----
+function StorageSettingsEditor({ value, onChange }: { value: StorageSettings; onChange: (s: StorageSettings) => void }) {
+  const [kind, setKind] = useState<StorageSettings["kind"]>(value.kind);
+  const [baseUrl, setBaseUrl] = useState(value.kind === "api" ? value.baseUrl : DEFAULT_API_URL);
+
+  function apply() {
+    if (kind === "api" && !baseUrl.trim()) return;
+    if (!confirm("Switch storage? The ticket list will reload from the selected backend.")) return;
+    onChange(kind === "api" ? { kind: "api", baseUrl: baseUrl.trim() } : { kind: "local" });
+  }
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-3">Choose where this browser reads and writes tickets. Run <code>node NexTicketServer.mjs</code> to share one queue across the desk.</p>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+        <Select label="Backend" value={kind} onChange={(e) => setKind(e.target.value as StorageSettings["kind"])}>
+          <option value="local">This browser (localStorage)</option>
+          <option value="api">NexTicket server</option>
+        </Select>
+        {kind === "api" && <TextInput label="Server URL" placeholder={DEFAULT_API_URL} value={baseUrl} onChange={(e) => setBaseUrl(e.target.value)} />}
+        <div className="mb-3">
+          <button onClick={apply} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">Apply</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ----- Import Wizard (Admin) -----
+// File -> column mapping (CSV only) -> preview with errors/duplicates -> merge or replace
+function ImportWizard({ cfg, existing, actor, onClose, onImport }: {
+  cfg: Config;
+  existing: Ticket[];
+  actor: string;
+  onClose: () => void;
+  onImport: (tickets: Ticket[], summary: string, config?: Config) => void;
+}) {
+  const [step, setStep] = useState<"file" | "map" | "preview">("file");
+  const [fileName, setFileName] = useState("");
+  const [rows, setRows] = useState<string[][]>([]);
+  const [backup, setBackup] = useState<Backup | null>(null);
+  const [mapping, setMapping] = useState<ColumnMapping>({});
+  const [mode, setMode] = useState<ImportMode>("merge-skip");
+  const [restoreConfig, setRestoreConfig] = useState(false);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function pickFile(file: File) {
+    setError("");
+    setFileName(file.name);
+    const text = await file.text();
+    if (/\.json$/i.test(file.name) || text.trim().startsWith("{")) {
+      const parsed = parseBackup(text);
+      if (!parsed) return setError("That JSON file isn't a NexTicket backup.");
+      setBackup(parsed);
+      setStep("preview");
+      return;
+    }
+    const parsed = parseCsv(text);
+    if (parsed.length < 2) return setError("That CSV has no data rows.");
+    setBackup(null);
+    setRows(parsed);
+    setMapping(guessMapping(parsed[0], cfg.customFields));
+    setStep("map");
+  }
+
+  // Every incoming row with its problems; rows with errors are skipped
+  const parsed = useMemo(() => {
+    const list = backup
+      ? backup.tickets.map((ticket, i) => ({ line: i + 1, ticket, errors: [] as string[] }))
+      : rows.slice(1).map((r, i) => ({ line: i + 2, ...rowToTicket(r, mapping, cfg) }));
+    const existingIds = new Set(existing.map((t) => t.id));
+    const firstLine = new Map<string, number>();
+    return list.map((p) => {
+      const errors = [...p.errors];
+      const id = p.ticket.id;
+      if (id && firstLine.has(id)) errors.push(`duplicate of row ${firstLine.get(id)} in this file`);
+      else if (id) firstLine.set(id, p.line);
+      return { ...p, errors, exists: !!id && existingIds.has(id) };
+    });
+  }, [backup, rows, mapping, cfg, existing]);
+  const valid = parsed.filter((p) => !p.errors.length);
+  const invalid = parsed.filter((p) => p.errors.length);
+  const conflicts = valid.filter((p) => p.exists).length;
+
+  async function runImport() {
+    setBusy(true);
+    setError("");
+    try {
+      const incoming: Ticket[] = [];
+      for (const { ticket } of valid) {
+        const id = ticket.id || (await activeStorage.allocateTicketId(ticket.category, cfg.numbering, new Date(ticket.createdAt)));
+        const history = ticket.history.length ? ticket.history : [historyEntry(`${actor} (import)`, ticket.createdAt, { kind: "created" })];
+        incoming.push({ ...ticket, id, history });
+      }
+      const plan = planImport(existing, incoming, mode);
+      // Put back the files of the tickets coming in from a backup; one that no longer fits the limits is reported, not fatal
+      const failedFiles: string[] = [];
+      for (const att of incoming.flatMap(ticketAttachments)) {
+        const file = backup?.attachments?.[att.id];
+        if (!file) continue;
+        try {
+          await activeStorage.saveAttachment(att, base64ToBlob(file.data, file.type));
+        } catch {
+          failedFiles.push(att.name);
+        }
+      }
+      const summary =
+        `Imported ${fileName}: ${plan.added} added, ${plan.updated} updated, ${plan.skipped} skipped as duplicates, ${invalid.length} rows with errors left out.` +
+        (failedFiles.length ? ` Could not restore ${failedFiles.length} attachment${failedFiles.length === 1 ? "" : "s"}: ${failedFiles.join(", ")}.` : "");
+      onImport(plan.tickets, summary, backup && restoreConfig ? backup.config : undefined);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center p-4 md:p-6">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-2xl w-full max-w-3xl p-4 md:p-5 border border-gray-100 max-h-[85vh] overflow-auto">
+        <div className="flex items-start justify-between pb-2 border-b border-gray-100 mb-4">
+          <h3 className="text-xl font-semibold">Import Tickets{fileName ? ` — ${fileName}` : ""}</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800">✕</button>
+        </div>
+
+        {step === "file" && (
+          <div>
+            <p className="text-sm text-gray-600 mb-3">Pick a CSV export from NexTicket or another helpdesk, or a NexTicket JSON backup.</p>
+            <input type="file" accept=".csv,.json,text/csv,application/json" onChange={(e) => e.target.files?.[0] && pickFile(e.target.files[0])} />
+          </div>
+        )}
+
+        {step === "map" && (
+          <div>
+            <p className="text-sm text-gray-600 mb-3">Match the file's columns to NexTicket fields. Unmatched fields get their defaults.</p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-x-3">
+              {CSV_FIELDS.map((f) => (
+                <Select
+                  key={f}
+                  label={f}
+                  value={mapping[f] === undefined ? "" : String(mapping[f])}
+                  onChange={(e) => setMapping({ ...mapping, [f]: e.target.value === "" ? undefined : Number(e.target.value) })}
+                >
+                  <option value="">— not imported —</option>
+                  {rows[0].map((h, i) => (
+                    <option key={i} value={i}>{h || `Column ${i + 1}`}</option>
+                  ))}
+                </Select>
+              ))}
+              {cfg.customFields.map((f) => (
+                <Select
+                  key={f.id}
+                  label={f.label}
+                  value={mapping[`fields.${f.id}`] === undefined ? "" : String(mapping[`fields.${f.id}`])}
+                  onChange={(e) => setMapping({ ...mapping, [`fields.${f.id}`]: e.target.value === "" ? undefined : Number(e.target.value) })}
+                >
+                  <option value="">— not imported —</option>
+                  {rows[0].map((h, i) => (
+                    <option key={i} value={i}>{h || `Column ${i + 1}`}</option>
+                  ))}
+                </Select>
+              ))}
+            </div>
+            <div className="flex justify-end gap-2 mt-2">
+              <button className="px-4 py-2 rounded-xl border hover:bg-gray-50" onClick={() => setStep("file")}>Back</button>
+              <button className="px-4 py-2 rounded-xl bg-indigo-600 text-white font-medium hover:bg-indigo-700" onClick={() => setStep("preview")}>Preview</button>
+            </div>
+          </div>
+        )}
+
+        {step === "preview" && (
+          <div>
+            <div className="flex flex-wrap gap-2 text-xs mb-3">
+              <Badge>{valid.length} ready</Badge>
+              <Badge>{conflicts} already exist</Badge>
+              <Badge>{invalid.length} with errors</Badge>
+            </div>
+            {invalid.length > 0 && (
+              <div className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-xl p-3 mb-3 max-h-40 overflow-auto">
+                {invalid.slice(0, 100).map((p) => (
+                  <div key={p.line}>Row {p.line}: {p.errors.join("; ")}</div>
+                ))}
+                {invalid.length > 100 && <div>…and {invalid.length - 100} more</div>}
+              </div>
+            )}
+            <div className="overflow-auto mb-3">
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="p-1">Row</th>
+                    <th className="p-1">ID</th>
+                    <th className="p-1">Title</th>
+                    <th className="p-1">Status</th>
+                    <th className="p-1">Priority</th>
+                    <th className="p-1">Created</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {valid.slice(0, 10).map((p) => (
+                    <tr key={p.line} className={`border-t ${p.exists ? "bg-amber-50" : ""}`}>
+                      <td className="p-1">{p.line}</td>
+                      <td className="p-1">{p.ticket.id || "(new)"}</td>
+                      <td className="p-1 break-words">{p.ticket.title}</td>
+                      <td className="p-1">{p.ticket.status}</td>
+                      <td className="p-1">{p.ticket.priority}</td>
+                      <td className="p-1">{new Date(p.ticket.createdAt).toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {valid.length > 10 && <div className="text-xs text-gray-500 mt-1">…and {valid.length - 10} more</div>}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 items-end">
+              <Select label="Mode" value={mode} onChange={(e) => setMode(e.target.value as ImportMode)}>
+                <option value="merge-skip">Merge – keep existing tickets with the same ID</option>
+                <option value="merge-overwrite">Merge – overwrite existing tickets with the same ID</option>
+                <option value="replace">Replace – delete all current tickets first</option>
+              </Select>
+              {backup && (
+                <label className="flex items-center gap-2 text-sm text-gray-700 mb-3">
+                  <input type="checkbox" checked={restoreConfig} onChange={(e) => setRestoreConfig(e.target.checked)} />
+                  Also restore configuration from the backup
+                </label>
+              )}
+            </div>
+            <div className="flex justify-end gap-2">
+              <button className="px-4 py-2 rounded-xl border hover:bg-gray-50" onClick={() => setStep(backup ? "file" : "map")}>Back</button>
+              <button
+                disabled={busy || !valid.length}
+                className="px-4 py-2 rounded-xl bg-indigo-600 text-white font-medium hover:bg-indigo-700 disabled:opacity-50"
+                onClick={() => {
+                  if (mode === "replace" && !confirm(`Replace all ${existing.length} current tickets?`)) return;
+                  runImport();
+                }}
+              >
+                Import {valid.length} Tickets
+              </button>
+            </div>
           </div>
         )}
+
+        {error && <div className="mt-3 text-sm text-red-700 bg-red-50 border border-red-200 rounded-xl p-3 break-words">{error}</div>}
       </div>
+    </div>
+  );
+}
 
-      {selectedId && (
-        <DetailModal
-          ticket={tickets.find((x) => x.id === selectedId)!}
-          teams={cfg.teams}
-          categories={cfg.categories}
-          priorities={cfg.priorities}
-          onClose={() => setSelectedId(null)}
-          onSave={(changes) => updateTicket(selectedId, changes)}
-          onAddNote={(text, author) => {
-            const t = tickets.find((x) => x.id === selectedId);
-            if (!t) return;
-            const newNote = { id: `N-${Date.now()}`, text, author, createdAt: new Date().toISOString() } as Note;
-            updateTicket(selectedId, { notes: [...t.notes, newNote] });
+// ----- Knowledge Base Suggestions (Portal) -----
+// Articles matching what the requester is typing; "This solved my problem" records a deflection instead of a ticket
+function ArticleSuggestions({ articles, onSolved }: { articles: KbArticle[]; onSolved: (a: KbArticle) => void }) {
+  const [open, setOpen] = useState<string | null>(null);
+  if (!articles.length) return null;
+  return (
+    <div className="mt-2 border border-emerald-200 bg-emerald-50/60 rounded-xl p-3">
+      <div className="text-sm font-medium mb-2">These articles might solve it right away</div>
+      <div className="space-y-2">
+        {articles.map((a) => (
+          <div key={a.id} className="bg-white rounded-xl border p-2">
+            <button className="text-sm font-medium text-emerald-800 hover:underline text-left break-words" onClick={() => setOpen(open === a.id ? null : a.id)}>
+              {a.title}
+            </button>
+            {open === a.id && (
+              <>
+                <div className="text-sm whitespace-pre-wrap break-words mt-2">{a.body}</div>
+                <button className="mt-2 px-3 py-1.5 rounded-xl bg-emerald-600 text-white text-sm font-medium hover:bg-emerald-700" onClick={() => onSolved(a)}>
+                  This solved my problem
+                </button>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ----- Check My Ticket (Portal) -----
+function TicketLookup({ initial, cfg, onChanged }: { initial: TicketLookupKey | null; cfg: Config; onChanged: () => void }) {
+  const [query, setQuery] = useState(initial || { id: "", contact: "" });
+  const [found, setFound] = useState<Ticket | null>(null);
+  const [reply, setReply] = useState("");
+  const [files, setFiles] = useState<File[]>([]);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState("");
+
+  async function find(q = query) {
+    setError("");
+    try {
+      const t = await activeStorage.lookupTicket(q.id, q.contact);
+      setFound(t);
+      if (!t) setError("No ticket matches that ID and contact. Check both and try again.");
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    }
+  }
+  useEffect(() => {
+    if (initial) find(initial);
+  }, []);
+
+  // Files are uploaded before the reply is sent, as for a desk note
+  async function send(reopen: boolean) {
+    if (!found) return;
+    const errs = files.flatMap((f) => attachmentErrors(f, cfg.attachments));
+    if (errs.length) return setError(errs.join(" "));
+    setError("");
+    setSending(true);
+    try {
+      const attachments = await uploadAttachments(files);
+      setFound(await activeStorage.replyToTicket(found.id, query.contact, { text: reply, reopen, attachments }));
+      setReply("");
+      setFiles([]);
+      onChanged();
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setSending(false);
+    }
+  }
+
+  const sla = found && computeSla(found, cfg);
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+        <TextInput label="Ticket ID" placeholder="NTK-20250101-0001" value={query.id} onChange={(e) => setQuery({ ...query, id: e.target.value })} />
+        <TextInput label="Email or Phone" placeholder="Used when you submitted it" value={query.contact} onChange={(e) => setQuery({ ...query, contact: e.target.value })} />
+        <div className="mb-3">
+          <button onClick={() => find()} className="px-4 py-2 rounded-xl border hover:bg-gray-50">Look Up</button>
+        </div>
+      </div>
+      {error && <div className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-xl p-3 break-words">{error}</div>}
+      {found && sla && (
+        <div className="mt-2">
+          <div className="flex items-center gap-2 min-w-0">
+            <span className="font-semibold truncate" title={found.title}>{found.title}</span>
+            <Pill className={statusPill(found.status, cfg.workflow)}>{found.status}</Pill>
+            <Pill className="bg-purple-100 text-purple-700">{cfg.priorities[found.priority].label}</Pill>
+          </div>
+          <div className="text-sm text-gray-600 mt-1">
+            {isDoneStatus(found.status, cfg.workflow)
+              ? `${found.status} ${found.resolvedAt ? new Date(found.resolvedAt).toLocaleString() : ""}${found.resolutionSummary ? ` – ${found.resolutionSummary}` : ""}`
+              : `Expected resolution by ${new Date(sla.resolveDue).toLocaleString()}`}
+          </div>
+          <AttachmentList attachments={found.attachments} lookup={{ id: found.id, contact: query.contact }} />
+          <Divider />
+          <h4 className="text-sm font-semibold mb-2">Updates</h4>
+          <div className="space-y-2 max-h-60 overflow-auto mb-3 pr-1">
+            {found.notes.length === 0 && <div className="text-sm text-gray-500">No updates yet.</div>}
+            {found.notes.map((n) => (
+              <div key={n.id} className="bg-gray-50 rounded-xl p-2">
+                <div className="text-sm whitespace-pre-wrap break-words">{n.text}</div>
+                <AttachmentList attachments={n.attachments} lookup={{ id: found.id, contact: query.contact }} />
+                <div className="text-[11px] text-gray-500 mt-1">{n.author ? `${n.author} • ` : ""}{new Date(n.createdAt).toLocaleString()}</div>
+              </div>
+            ))}
+          </div>
+          {canRequesterReply(found, cfg.workflow) && (
+            <>
+              <TextArea label="Reply" rows={3} value={reply} onChange={(e) => setReply(e.target.value)} />
+              <AttachmentPicker files={files} limits={cfg.attachments} onChange={setFiles} />
+              <div className="flex items-center gap-3 mt-2">
+                <button onClick={() => send(false)} disabled={sending || (!reply.trim() && !files.length)} className="px-4 py-2 rounded-xl bg-indigo-600 text-white font-medium hover:bg-indigo-700 disabled:opacity-50">
+                  {sending ? "Uploading…" : "Send Reply"}
+                </button>
+                {isDoneStatus(found.status, cfg.workflow) && (
+                  <button onClick={() => send(true)} disabled={sending} className="px-4 py-2 rounded-xl border hover:bg-gray-50 disabled:opacity-50">Reopen Ticket</button>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ----- Ticket Numbering (Admin Config) -----
+function NumberingEditor({ value, categories, onChange }: { value: NumberingConfig; categories: string[]; onChange: (n: NumberingConfig) => void }) {
+  // The prefix can't be empty, so it's only applied once the field loses focus
+  const [prefix, setPrefix] = useState(value.prefix);
+  const example = (category: string) => formatTicketId(value, ticketIdStem(value, category, new Date()), 1);
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-3">Applies to new tickets only; existing IDs never change. Numbers restart with each new date part and are never reused.</p>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+        <TextInput
+          label="Prefix"
+          value={prefix}
+          onChange={(e) => setPrefix(cleanIdPrefix(e.target.value))}
+          onBlur={() => {
+            const next = prefix || value.prefix;
+            setPrefix(next);
+            onChange({ ...value, prefix: next });
           }}
-          onDeleteNote={(noteId) => {
-            const t = tickets.find((x) => x.id === selectedId);
-            if (!t) return;
-            updateTicket(selectedId, { notes: t.notes.filter((n) => n.id !== noteId) });
+        />
+        <Select label="Date Part" value={value.datePart} onChange={(e) => onChange({ ...value, datePart: e.target.value as NumberingConfig["datePart"] })}>
+          {DATE_PARTS.map((d) => (
+            <option key={d} value={d}>{d === "none" ? "None" : d}</option>
+          ))}
+        </Select>
+        <TextInput label="Digits" type="number" min={1} max={10} value={value.padding} onChange={(e) => onChange({ ...value, padding: Number(e.target.value) || 1 })} />
+        <div className="mb-3 text-sm text-gray-600">Next: <span className="font-mono">{example("")}</span></div>
+      </div>
+      <Divider />
+      <div className="text-sm font-medium mb-2">Category Prefixes</div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        {categories.map((c) => (
+          <TextInput
+            key={c}
+            label={c}
+            placeholder={value.prefix}
+            value={value.categoryPrefixes[c] || ""}
+            onChange={(e) => onChange({ ...value, categoryPrefixes: { ...value.categoryPrefixes, [c]: cleanIdPrefix(e.target.value) } })}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ----- Team Rosters (Admin Config) -----
+function RosterEditor({ teams, rosters, agents, onChange }: {
+  teams: string[];
+  rosters: Record<string, string[]>;
+  agents: User[];
+  onChange: (rosters: Record<string, string[]>) => void;
+}) {
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-3">Tickets can only be assigned to agents on their team's roster.</p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {teams.map((team) => {
+          const members = teamAgents(rosters, team, agents);
+          return (
+            <div key={team} className="border rounded-xl p-3 min-w-0">
+              <div className="text-sm font-medium mb-2">{team}</div>
+              <div className="flex flex-wrap gap-2 mb-2">
+                {members.length === 0 && <span className="text-xs text-gray-500">No agents yet.</span>}
+                {members.map((a) => (
+                  <span key={a.id} className="inline-flex items-center gap-2 text-xs bg-gray-100 rounded-full px-2 py-1">
+                    {a.name}
+                    <button className="text-gray-500 hover:text-red-600" onClick={() => onChange({ ...rosters, [team]: (rosters[team] || []).filter((m) => m !== a.username) })}>✕</button>
+                  </span>
+                ))}
+              </div>
+              <select
+                className="w-full rounded-xl border border-gray-300 px-3 py-2 bg-white text-sm outline-none focus:ring-2 focus:ring-indigo-500"
+                value=""
+                onChange={(e) => e.target.value && onChange({ ...rosters, [team]: [...(rosters[team] || []), e.target.value] })}
+              >
+                <option value="">Add agent…</option>
+                {agents
+                  .filter((a) => !members.some((m) => m.id === a.id))
+                  .map((a) => (
+                    <option key={a.id} value={a.username}>{a.name}</option>
+                  ))}
+              </select>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// ----- Saved Views (Agent Dashboard) -----
+// One-click filter presets above the Filters panel. Any agent can save one; each sees the shared views and
+// their own. Owners (and admins) can delete them.
+function SavedViews({
+  views,
+  filters,
+  currentUser,
+  onApply,
+  onSave,
+  onDelete,
+}: {
+  views: SavedView[];
+  filters: TicketFilters;
+  currentUser: User | null;
+  onApply: (view: SavedView) => void;
+  onSave: (name: string, shared: boolean) => void;
+  onDelete: (view: SavedView) => void;
+}) {
+  const [name, setName] = useState("");
+  const [shared, setShared] = useState(false);
+  const isActive = (v: SavedView) => JSON.stringify(v.filters) === JSON.stringify(filters);
+  const taken = views.some((v) => v.owner === currentUser?.username && v.name.toLowerCase() === name.trim().toLowerCase());
+
+  return (
+    <div className="mb-4 flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-gray-600">Views:</span>
+      {views.length === 0 && <span className="text-gray-500">none saved yet</span>}
+      {views.map((v) => (
+        <span key={v.id} className={`inline-flex items-center rounded-full border ${isActive(v) ? "bg-indigo-50 border-indigo-300" : "bg-white"}`}>
+          <button onClick={() => onApply(v)} className="px-3 py-1 rounded-full hover:bg-gray-50" title={v.filters.q || undefined}>
+            {v.name}
+            {v.shared && <span className="ml-1 text-xs text-gray-500">(shared)</span>}
+          </button>
+          {(v.owner === currentUser?.username || currentUser?.role === "admin") && (
+            <button onClick={() => onDelete(v)} className="pr-2 text-gray-400 hover:text-red-600" aria-label={`Delete ${v.name}`}>
+              ✕
+            </button>
+          )}
+        </span>
+      ))}
+      <span className="ml-auto flex items-center gap-2">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Save current filters as…"
+          className="rounded-xl border border-gray-300 px-3 py-1 outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+        <label className="flex items-center gap-1 text-gray-600">
+          <input type="checkbox" checked={shared} onChange={(e) => setShared(e.target.checked)} />
+          Shared
+        </label>
+        <button
+          disabled={!name.trim() || taken}
+          title={taken ? "You already have a view with that name" : undefined}
+          onClick={() => {
+            onSave(name, shared);
+            setName("");
+            setShared(false);
           }}
-        />)
-      }
+          className="px-3 py-1 rounded-xl border hover:bg-gray-50 disabled:opacity-50"
+        >
+          Save view
+        </button>
+      </span>
+    </div>
+  );
+}
+
+// ----- Sign In / Register -----
+function LoginScreen({ storage, checking, onStorageChange, onSignedIn }: {
+  storage: StorageSettings;
+  checking: boolean;
+  onStorageChange: (s: StorageSettings) => void;
+  onSignedIn: (u: User) => void;
+}) {
+  const [mode, setMode] = useState<"login" | "register">("login");
+  const [form, setForm] = useState({ username: "", password: "", name: "", email: "" });
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function submit() {
+    setError("");
+    if (mode === "register") {
+      const errs = userErrors([], { id: "", role: "requester", ...form }, form.password);
+      if (errs.length) return setError(errs.join("\n"));
+    }
+    setBusy(true);
+    try {
+      const { username, password, name, email } = form;
+      onSignedIn(mode === "login" ? await activeStorage.login(username, password) : await activeStorage.register({ username, name, email }, password));
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-indigo-50 to-white text-gray-900">
+      <div className="max-w-md mx-auto px-4 py-12 space-y-6">
+        <h1 className="text-2xl md:text-3xl font-bold tracking-tight">NexTicket</h1>
+        <Section title={mode === "login" ? "Sign In" : "Create Account"}>
+          {checking ? (
+            <div className="text-sm text-gray-600">Checking your session…</div>
+          ) : (
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                submit();
+              }}
+            >
+              <TextInput label="Username" autoComplete="username" value={form.username} onChange={(e) => setForm({ ...form, username: e.target.value })} />
+              {mode === "register" && (
+                <>
+                  <TextInput label="Full Name" placeholder="Jane Doe" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} />
+                  <TextInput label="Email" placeholder="you@example.com" value={form.email} onChange={(e) => setForm({ ...form, email: e.target.value })} />
+                </>
+              )}
+              <TextInput label="Password" type="password" autoComplete={mode === "login" ? "current-password" : "new-password"} value={form.password} onChange={(e) => setForm({ ...form, password: e.target.value })} />
+              {error && <div className="mb-3 text-sm whitespace-pre-line text-red-700 bg-red-50 border border-red-200 rounded-xl p-3 break-words">{error}</div>}
+              <div className="flex items-center gap-3">
+                <button type="submit" disabled={busy} className="px-4 py-2 rounded-xl bg-indigo-600 text-white font-medium hover:bg-indigo-700 disabled:opacity-50">
+                  {mode === "login" ? "Sign In" : "Create Account"}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setMode(mode === "login" ? "register" : "login");
+                    setError("");
+                  }}
+                  className="text-sm text-indigo-600 hover:text-indigo-800"
+                >
+                  {mode === "login" ? "New here? Create an account" : "Have an account? Sign in"}
+                </button>
+              </div>
+              {mode === "register" && <p className="text-xs text-gray-500 mt-3">The first account on a new desk becomes its admin; everyone after that signs up as a requester.</p>}
+            </form>
+          )}
+        </Section>
+        <Section title="Storage">
+          <StorageSettingsEditor value={storage} onChange={onStorageChange} />
+        </Section>
+      </div>
     </div>
   );
 }
 
-// ----- Detail Modal (Admin Ticket Editor) -----
-function DetailModal({ ticket, teams, categories, priorities, onClose, onSave, onAddNote, onDeleteNote }:{
-  ticket: Ticket;
-  teams: string[];
-  categories: string[];
-  priorities: PriorityConfig;
-  onClose: () => void;
-  onSave: (changes: Partial<Ticket>) => void;
-  onAddNote: (text: string, author?: string) => void;
-  onDeleteNote: (noteId: string) => void;
+// ----- Requester Directory (Admin) -----
+function ContactDirectory({ contacts, tickets, workflow, onSave, onDelete, onMerge, onOpenTicket }: {
+  contacts: Contact[];
+  tickets: Ticket[];
+  workflow: Workflow;
+  onSave: (c: Contact) => Promise<void>;
+  onDelete: (id: string) => Promise<void>;
+  onMerge: (keep: Contact, drop: Contact) => Promise<void>;
+  onOpenTicket: (id: string) => void;
 }) {
-  const [draft, setDraft] = useState({
-    title: ticket.title,
-    description: ticket.description,
-    name: ticket.name,
-    contactType: ticket.contactType,
-    contactValue: ticket.contactValue,
-    category: ticket.category,
-    team: ticket.team,
-    status: ticket.status,
-    priority: ticket.priority,
-  });
-  const [noteText, setNoteText] = useState("");
-  const [noteAuthor, setNoteAuthor] = useState("");
+  const [q, setQ] = useState("");
+  // addresses are edited as comma-separated text
+  const [draft, setDraft] = useState<(Contact & { emailText: string; phoneText: string }) | null>(null);
+  const [errors, setErrors] = useState<string[]>([]);
+  const [expanded, setExpanded] = useState<string | null>(null);
+  const [mergeFrom, setMergeFrom] = useState("");
+  const counts = useMemo(() => {
+    const m = new Map<string, number>();
+    for (const t of tickets) if (t.contactId) m.set(t.contactId, (m.get(t.contactId) || 0) + 1);
+    return m;
+  }, [tickets]);
+  const duplicates = useMemo(() => possibleDuplicates(contacts), [contacts]);
+  const shown = q.trim() ? searchContacts(contacts, q, 50) : [...contacts].sort((a, b) => a.name.localeCompare(b.name)).slice(0, 50);
 
-  const deadlines = useMemo(() => computeDeadlines(draft.priority as Priority | undefined, ticket.createdAt, { categories: [], teams: [], priorities } as Partial<Config>), [draft.priority, ticket.createdAt, priorities]);
+  function edit(c: Contact) {
+    setErrors([]);
+    setMergeFrom("");
+    setDraft({ ...c, emailText: c.emails.join(", "), phoneText: c.phones.join(", ") });
+  }
 
-  function handleSave(){
-    onSave({ ...draft });
-    onClose();
+  async function saveDraft() {
+    if (!draft) return;
+    const { emailText, phoneText, ...rest } = draft;
+    const next = normalizeContact({ ...rest, emails: emailText.split(","), phones: phoneText.split(",") });
+    const errs = contactErrors(contacts, next);
+    if (errs.length) return setErrors(errs);
+    try {
+      await onSave(next);
+      setDraft(null);
+      setErrors([]);
+    } catch (e) {
+      setErrors([e instanceof Error ? e.message : String(e)]);
+    }
   }
 
   return (
-    <div className="fixed inset-0 z-50 flex items-start justify-center p-4 md:p-6">
-      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
-      <div className="relative bg-white rounded-2xl shadow-2xl w-full max-w-3xl p-4 md:p-5 border border-gray-100 max-h-[85vh] overflow-auto">
-        <div className="flex items-start justify-between sticky top-0 bg-white z-10 pb-2 border-b border-gray-100">
-          <h3 className="text-xl font-semibold">Edit Ticket — {ticket.id}</h3>
-          <button onClick={onClose} className="text-gray-500 hover:text-gray-800">✕</button>
-        </div>
-        <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3">
-          <TextInput label="Title" value={draft.title} onChange={(e) => setDraft({ ...draft, title: e.target.value })} />
-          <Select label="Status" value={draft.status} onChange={(e) => setDraft({ ...draft, status: e.target.value as TicketStatus })}>
-            {["Open", "In Progress", "On Hold", "Resolved", "Closed"].map((s) => (
-              <option key={s} value={s}>{s}</option>
-            ))}
-          </Select>
-          <TextInput label="Requester Name" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
-          <Select label="Category" value={draft.category} onChange={(e) => setDraft({ ...draft, category: e.target.value })}>
-            {categories.map((c) => (
-              <option key={c} value={c}>{c}</option>
-            ))}
-          </Select>
-          <Select label="Assign Team" value={draft.team} onChange={(e) => setDraft({ ...draft, team: e.target.value })}>
-            {teams.map((t) => (
-              <option key={t} value={t}>{t}</option>
-            ))}
-          </Select>
-          <Select label="Priority" value={draft.priority} onChange={(e) => setDraft({ ...draft, priority: e.target.value as Priority })}>
-            {(Object.keys(priorities) as Priority[]).map((p) => (
-              <option key={p} value={p}>{p} – {priorities[p].label}</option>
+    <div>
+      <p className="text-sm text-gray-600 mb-3">
+        Everyone who has raised a ticket, matched on their email address or phone number. New addresses get a contact of their own; merge contacts that turn out to be the same person.
+      </p>
+      {duplicates.length > 0 && (
+        <div className="mb-3 border border-amber-200 bg-amber-50 rounded-xl p-3">
+          <div className="text-sm font-medium mb-2">Possible duplicates</div>
+          <div className="space-y-2">
+            {duplicates.slice(0, 10).map(([a, b]) => (
+              <div key={`${a.id}-${b.id}`} className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="break-words">{contactLabel(a)} ({counts.get(a.id) || 0})</span>
+                <span className="text-gray-500">and</span>
+                <span className="break-words">{contactLabel(b)} ({counts.get(b.id) || 0})</span>
+                <button onClick={() => onMerge(a, b)} className="px-2 py-1 rounded-lg border bg-white hover:bg-gray-50 text-xs">Keep {a.name}</button>
+                <button onClick={() => onMerge(b, a)} className="px-2 py-1 rounded-lg border bg-white hover:bg-gray-50 text-xs">Keep {b.name}</button>
+              </div>
             ))}
-          </Select>
-          <Select label="Contact Type" value={draft.contactType} onChange={(e) => setDraft({ ...draft, contactType: e.target.value as any })}>
-            <option value="email">Email</option>
-            <option value="phone">Phone</option>
-          </Select>
-          <TextInput label={draft.contactType === "email" ? "Email" : "Phone"} value={draft.contactValue} onChange={(e) => setDraft({ ...draft, contactValue: e.target.value })} />
-          <div className="md:col-span-2">
-            <TextArea label="Description" rows={5} value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} />
           </div>
         </div>
-
-        <Divider />
-
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-          <div className={`text-sm rounded-xl border p-3 ${dueClass(deadlines.respondDue)}`}>
-            <div className="font-medium">Respond by</div>
-            <div>{new Date(deadlines.respondDue).toLocaleString()}</div>
+      )}
+      <div className="max-w-sm">
+        <TextInput label="Search" placeholder="Name, email, phone or department" value={q} onChange={(e) => setQ(e.target.value)} />
+      </div>
+      <div className="space-y-2">
+        {shown.length === 0 && <div className="text-sm text-gray-500">{contacts.length ? "No contacts match." : "No contacts yet; they're added as tickets come in."}</div>}
+        {shown.map((c) => (
+          <div key={c.id} className="border rounded-xl p-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="font-medium text-sm">{c.name}</span>
+              {c.vip && <Pill className="bg-amber-100 text-amber-800">VIP</Pill>}
+              <span className="text-xs text-gray-600 flex-1 min-w-[12rem] break-words">{[...c.emails, ...c.phones, c.department, c.location].filter(Boolean).join(" · ")}</span>
+              <button onClick={() => setExpanded(expanded === c.id ? null : c.id)} className="px-2 py-1 rounded-lg border hover:bg-gray-50 text-sm">
+                {counts.get(c.id) || 0} ticket{counts.get(c.id) === 1 ? "" : "s"}
+              </button>
+              <button onClick={() => edit(c)} className="px-2 py-1 rounded-lg border hover:bg-gray-50 text-sm">Edit</button>
+              <button
+                disabled={!!counts.get(c.id)}
+                title={counts.get(c.id) ? "Merge it into another contact instead" : "Delete"}
+                onClick={() => confirm(`Delete the contact "${c.name}"?`) && onDelete(c.id).catch((e) => alert(e instanceof Error ? e.message : String(e)))}
+                className="px-2 py-1 rounded-lg border hover:bg-red-50 text-red-600 text-sm disabled:opacity-40"
+              >
+                ✕
+              </button>
+            </div>
+            {expanded === c.id && (
+              <div className="mt-2 space-y-1">
+                {contactTickets(tickets, c.id).map((t) => (
+                  <button key={t.id} onClick={() => onOpenTicket(t.id)} className="flex items-center gap-2 text-sm w-full text-left hover:bg-gray-50 rounded-lg px-1 min-w-0">
+                    <span className="font-mono text-xs shrink-0">{t.id}</span>
+                    <span className="truncate min-w-0">{t.title}</span>
+                    <Pill className={statusPill(t.status, workflow)}>{t.status}</Pill>
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
-          <div className={`text-sm rounded-xl border p-3 ${dueClass(deadlines.resolveDue)}`}>
-            <div className="font-medium">Resolve by</div>
-            <div>{new Date(deadlines.resolveDue).toLocaleString()}</div>
+        ))}
+        {!q.trim() && contacts.length > shown.length && <div className="text-xs text-gray-500">Showing {shown.length} of {contacts.length}; search to find the rest.</div>}
+      </div>
+      {draft && (
+        <div className="mt-3 border border-indigo-200 bg-indigo-50/40 rounded-xl p-3">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <TextInput label="Name" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+            <label className="flex items-center gap-2 text-sm md:mt-6">
+              <input type="checkbox" checked={draft.vip} onChange={(e) => setDraft({ ...draft, vip: e.target.checked })} />
+              VIP
+            </label>
+            <TextInput label="Emails (comma-separated)" value={draft.emailText} onChange={(e) => setDraft({ ...draft, emailText: e.target.value })} />
+            <TextInput label="Phones (comma-separated)" value={draft.phoneText} onChange={(e) => setDraft({ ...draft, phoneText: e.target.value })} />
+            <TextInput label="Department" value={draft.department} onChange={(e) => setDraft({ ...draft, department: e.target.value })} />
+            <TextInput label="Location" value={draft.location} onChange={(e) => setDraft({ ...draft, location: e.target.value })} />
           </div>
-        </div>
-
-        <Divider />
-
-        <h4 className="text-sm font-semibold mb-2">Notes</h4>
-        <div className="space-y-2 max-h-40 overflow-auto mb-3 pr-1">
-          {ticket.notes.length === 0 && <div className="text-sm text-gray-500">No notes yet.</div>}
-          {ticket.notes.map((n) => (
-            <div key={n.id} className="flex items-start justify-between gap-3 bg-gray-50 rounded-xl p-2">
-              <div>
-                <div className="text-sm whitespace-pre-wrap break-words">{n.text}</div>
-                <div className="text-[11px] text-gray-500 mt-1">{n.author ? `${n.author} • ` : ""}{new Date(n.createdAt).toLocaleString()}</div>
-              </div>
-              <button className="text-gray-400 hover:text-red-600 text-xs" onClick={() => onDeleteNote(n.id)}>Delete</button>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+            <div className="md:col-span-2">
+              <Select label="Merge another contact into this one" value={mergeFrom} onChange={(e) => setMergeFrom(e.target.value)}>
+                <option value="">Select…</option>
+                {contacts
+                  .filter((c) => c.id !== draft.id)
+                  .map((c) => (
+                    <option key={c.id} value={c.id}>{contactLabel(c)}</option>
+                  ))}
+              </Select>
+            </div>
+            <div className="mb-3">
+              <button
+                disabled={!mergeFrom}
+                onClick={() => {
+                  const keep = contacts.find((c) => c.id === draft.id);
+                  const drop = contacts.find((c) => c.id === mergeFrom);
+                  if (!keep || !drop || !confirm(`Merge ${drop.name} into ${keep.name}? Their tickets move over and ${drop.name}'s record is removed.`)) return;
+                  onMerge(keep, drop);
+                  setDraft(null);
+                }}
+                className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm disabled:opacity-50"
+              >
+                Merge
+              </button>
             </div>
-          ))}
-        </div>
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
-          <TextInput label="Author (optional)" value={noteAuthor} onChange={(e) => setNoteAuthor(e.target.value)} />
-          <div className="md:col-span-3">
-            <TextArea label="Add a note" rows={3} value={noteText} onChange={(e) => setNoteText(e.target.value)} />
+          </div>
+          {errors.length > 0 && <div className="text-sm whitespace-pre-line text-red-700 bg-red-50 border border-red-200 rounded-xl p-3 break-words">{errors.join("\n")}</div>}
+          <div className="mt-3 flex justify-end gap-2">
+            <button onClick={() => setDraft(null)} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">Cancel</button>
+            <button onClick={saveDraft} className="px-3 py-2 rounded-xl bg-indigo-600 text-white text-sm font-medium hover:bg-indigo-700">Save contact</button>
           </div>
         </div>
-        <div className="mt-2 flex items-center gap-2">
-          <button
-            className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm"
-            onClick={() => {
-              if (!noteText.trim()) return;
-              onAddNote(noteText.trim(), noteAuthor.trim() || undefined);
-              setNoteText("");
-              setNoteAuthor("");
-            }}
-          >
-            Add Note
-          </button>
-        </div>
-
-        <div className="mt-4 flex items-center justify-end gap-2">
-          <button className="px-4 py-2 rounded-xl border hover:bg-gray-50" onClick={onClose}>Cancel</button>
-          <button className="px-4 py-2 rounded-xl bg-indigo-600 text-white font-medium hover:bg-indigo-700" onClick={handleSave}>Save Changes</button>
-        </div>
-      </div>
+      )}
     </div>
   );
 }
 
-// ----- Status Badge Helper -----
-function statusPill(status: TicketStatus) {
-  switch (status) {
-    case "Open":
-      return "bg-indigo-100 text-indigo-700";
-    case "In Progress":
-      return "bg-yellow-100 text-yellow-800";
-    case "On Hold":
-      return "bg-gray-100 text-gray-700";
-    case "Resolved":
-      return "bg-emerald-100 text-emerald-700";
-    case "Closed":
-      return "bg-slate-200 text-slate-700";
-  }
-}
+// ----- User Management (Admin Config) -----
+function UserManager({ currentUser, onChange }: { currentUser: User; onChange: (users: User[]) => void }) {
+  const [users, setUsers] = useState<User[]>([]);
+  const [draft, setDraft] = useState({ username: "", name: "", email: "", role: "agent" as Role, password: "" });
+  const [error, setError] = useState("");
 
-// ----- Simple Tag Editor (Admin Config) -----
-function TagEditor({ values, onChange }: { values: string[]; onChange: (vals: string[]) => void }) {
-  const [input, setInput] = useState("");
+  function refresh() {
+    activeStorage
+      .loadUsers()
+      .then((list) => {
+        setUsers(list);
+        onChange(list);
+      })
+      .catch((e) => setError(`Could not load users: ${e instanceof Error ? e.message : String(e)}`));
+  }
+  useEffect(refresh, []);
 
-  function addTag() {
-    const v = input.trim();
-    if (!v) return;
-    if (values.includes(v)) return;
-    onChange([...values, v]);
-    setInput("");
+  async function save(user: User, password?: string) {
+    setError("");
+    const errs = userErrors(users, user, password);
+    if (errs.length) {
+      setError(errs.join("\n"));
+      return false;
+    }
+    try {
+      await activeStorage.saveUser(user, password);
+      refresh();
+      return true;
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+      return false;
+    }
   }
 
-  function removeTag(v: string) {
-    onChange(values.filter((x) => x !== v));
+  async function remove(u: User) {
+    if (!confirm(`Remove ${u.name} (${u.username})? Their tickets stay.`)) return;
+    try {
+      await activeStorage.deleteUser(u.id);
+      refresh();
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    }
   }
 
   return (
     <div>
-      <div className="flex items-center gap-2 mb-2">
-        <input
-          value={input}
-          onChange={(e) => setInput(e.target.value)}
-          onKeyDown={(e) => { if (e.key === "Enter") addTag(); }}
-          placeholder="Add and press Enter"
-          className="flex-1 rounded-xl border border-gray-300 px-3 py-2 outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-        />
-        <button onClick={addTag} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">Add</button>
-      </div>
-      <div className="flex flex-wrap gap-2">
-        {values.map((v) => (
-          <span key={v} className="inline-flex items-center gap-1 rounded-full bg-gray-100 px-2.5 py-1 text-xs">
-            {v}
-            <button onClick={() => removeTag(v)} className="text-gray-500 hover:text-red-600">×</button>
-          </span>
+      <div className="space-y-2 mb-4">
+        {users.map((u) => (
+          <div key={u.id} className="grid grid-cols-1 md:grid-cols-4 gap-2 items-center border rounded-xl p-2">
+            <div className="min-w-0 md:col-span-2">
+              <div className="text-sm font-medium truncate">{u.name} <span className="text-gray-500 font-normal">@{u.username}</span></div>
+              <div className="text-xs text-gray-500 truncate">{u.email || "No email"}</div>
+            </div>
+            <select
+              className="rounded-xl border border-gray-300 px-3 py-2 bg-white text-sm outline-none focus:ring-2 focus:ring-indigo-500"
+              value={u.role}
+              disabled={u.id === currentUser.id}
+              onChange={(e) => save({ ...u, role: e.target.value as Role })}
+            >
+              {(Object.keys(ROLE_LABELS) as Role[]).map((r) => (
+                <option key={r} value={r}>{ROLE_LABELS[r]}</option>
+              ))}
+            </select>
+            <div className="flex items-center gap-3 justify-end text-sm">
+              <button
+                className="text-indigo-600 hover:text-indigo-800"
+                onClick={() => {
+                  const pw = prompt(`New password for ${u.username}`);
+                  if (pw) save(u, pw);
+                }}
+              >
+                Reset password
+              </button>
+              {u.id !== currentUser.id && <button className="text-gray-500 hover:text-red-600" onClick={() => remove(u)}>Remove</button>}
+            </div>
+          </div>
         ))}
-        {!values.length && <span className="text-xs text-gray-500">No items yet</span>}
       </div>
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-2 items-end">
+        <TextInput label="Username" value={draft.username} onChange={(e) => setDraft({ ...draft, username: e.target.value })} />
+        <TextInput label="Full Name" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+        <TextInput label="Email" value={draft.email} onChange={(e) => setDraft({ ...draft, email: e.target.value })} />
+        <Select label="Role" value={draft.role} onChange={(e) => setDraft({ ...draft, role: e.target.value as Role })}>
+          {(Object.keys(ROLE_LABELS) as Role[]).map((r) => (
+            <option key={r} value={r}>{ROLE_LABELS[r]}</option>
+          ))}
+        </Select>
+        <TextInput label="Password" type="password" autoComplete="new-password" value={draft.password} onChange={(e) => setDraft({ ...draft, password: e.target.value })} />
+      </div>
+      <button
+        className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm"
+        onClick={async () => {
+          const { password, ...fields } = draft;
+          if (await save({ ...fields, id: `U-${Date.now()}` }, password)) setDraft({ username: "", name: "", email: "", role: "agent", password: "" });
+        }}
+      >
+        Add User
+      </button>
+      {error && <div className="mt-3 text-sm whitespace-pre-line text-red-700 bg-red-50 border border-red-200 rounded-xl p-3 break-words">{error}</div>}
     </div>
   );
 }
 
 // ----- Tests -----
 // Ensures core features like ID format, defaults, migration, and SLA math work.
-function runTests() {
+async function runTests() {
   try {
-    const id = generateTicketId(7);
-    if (!/^NTK-\d{8}-\d{4}$/.test(id)) {
+    const numbering = normalizeConfig().numbering;
+    const id = formatTicketId(numbering, ticketIdStem(numbering, "Hardware", new Date()), 7);
+    if (!/^NTK-\d{8}-0007$/.test(id)) {
       throw new Error("bad id format");
     }
+    const incNumbering = normalizeNumbering({ prefix: "ntk!", datePart: "YYYY", padding: 6, categoryPrefixes: { Hardware: "inc", Gone: "X" } }, ["Hardware", "Software"]);
+    const incStem = ticketIdStem(incNumbering, "Hardware", new Date(2025, 5, 1));
+    if (incStem !== "INC-2025-" || ticketIdStem(incNumbering, "Software", new Date(2025, 5, 1)) !== "NTK-2025-" || "Gone" in incNumbering.categoryPrefixes) {
+      throw new Error("id numbering config");
+    }
+    if (nextTicketNumber(incStem, { [incStem]: 3 }, ["INC-2025-000009", "INC-2024-000050"]) !== 10 || nextTicketNumber(incStem, { [incStem]: 12 }, []) !== 13) {
+      throw new Error("id counter");
+    }
+    let issued = 0;
+    const dupes = [
+      migrateTicket({ id: "NTK-1", createdAt: "2025-01-02T00:00:00Z" }),
+      migrateTicket({ id: "NTK-1", createdAt: "2025-01-01T00:00:00Z" }),
+      migrateTicket({ createdAt: "2025-01-03T00:00:00Z" }),
+    ];
+    const fixedIds = await repairTicketIds(dupes, async () => `NEW-${++issued}`, "System");
+    if (fixedIds.repaired !== 2 || fixedIds.tickets.map((t) => t.id).join() !== "NEW-1,NTK-1,NEW-2" || fixedIds.tickets[0].history[0]?.from !== "NTK-1") {
+      throw new Error("id repair");
+    }
     if (!statusPill("Open").includes("indigo")) {
       throw new Error("status pill mapping");
     }
@@ -870,6 +7652,555 @@ function runTests() {
     if (!dl2.respondDue || !dl2.resolveDue) {
       throw new Error("compute fallback");
     }
+    // Business hours: Mon–Fri 09:00–17:00 UTC; 2025-01-03 is a Friday
+    const cal = normalizeCalendar({ ...defaultCalendar(), timezone: "UTC" });
+    const friday = "2025-01-03T16:00:00.000Z";
+    const weekend = computeDeadlines("P3", friday, { priorities: p, calendar: cal });
+    if (weekend.respondDue !== "2025-01-06T12:00:00.000Z") {
+      throw new Error("weekend rollover");
+    }
+    const holiday = computeDeadlines("P3", friday, { priorities: p, calendar: { ...cal, holidays: ["2025-01-06"] } });
+    if (holiday.respondDue !== "2025-01-07T12:00:00.000Z") {
+      throw new Error("holiday rollover");
+    }
+    const allDay = computeDeadlines("P1", friday, { priorities: p, calendar: cal });
+    if (allDay.respondDue !== "2025-01-03T17:00:00.000Z") {
+      throw new Error("24x7 priority");
+    }
+    const afterHours = computeDeadlines("P2", "2025-01-04T10:00:00.000Z", { priorities: p, calendar: cal });
+    if (afterHours.respondDue !== "2025-01-06T11:00:00.000Z") {
+      throw new Error("after-hours start");
+    }
+    const zoned = computeDeadlines("P3", "2025-01-03T21:00:00.000Z", { priorities: p, calendar: { ...cal, timezone: "America/New_York" } });
+    if (zoned.respondDue !== "2025-01-06T17:00:00.000Z") {
+      throw new Error("timezone rollover");
+    }
+    const api = createStorageAdapter({ kind: "api", baseUrl: "http://localhost:8787/" });
+    if (api.settings.kind !== "api" || api.settings.baseUrl !== "http://localhost:8787") {
+      throw new Error("storage adapter selection");
+    }
+    // SLA clock: one hour on hold pushes a 24x7 P1 deadline out by an hour; resolving freezes it
+    const t0 = migrateTicket({ id: "S-1", priority: "P1", createdAt: base, updatedAt: base });
+    const at = (mins: number) => new Date(new Date(base).getTime() + mins * 60000).toISOString();
+    const held = trackSla(t0, { ...t0, status: "On Hold" }, { priorities: p }, at(10));
+    const resumed = trackSla(held, { ...held, status: "In Progress" }, { priorities: p }, at(70));
+    if (held.firstResponseAt !== at(10) || resumed.pausedMins !== 60 || resumed.pausedAt) {
+      throw new Error("sla pause tracking");
+    }
+    const reply = { id: "N-1", text: "Any news?", author: "req", createdAt: at(5), visibility: "public" };
+    const guessed = migrateTicket({ id: "S-2", createdAt: base, updatedAt: at(5), notes: [reply] });
+    const current = migrateTicket({ ...t0, updatedAt: at(5), notes: [reply] });
+    if (guessed.firstResponseAt !== at(5) || current.firstResponseAt || migrateTicket(current).firstResponseAt) {
+      throw new Error("sla legacy guess");
+    }
+    const custom = migrateTicket({ ...t0, status: "New", updatedAt: at(5) });
+    const customLegacy = migrateTicket({ id: "S-3", status: "Working", createdAt: base, updatedAt: at(5) });
+    if (custom.firstResponseAt || customLegacy.firstResponseAt || customLegacy.resolvedAt || customLegacy.pausedAt) {
+      throw new Error("sla guess under a custom workflow");
+    }
+    const resumedSla = computeSla(resumed, { priorities: p }, new Date(at(80)).getTime());
+    if (resumedSla.resolveDue !== at(1500) || resumedSla.respond !== "met" || resumedSla.resolve !== "on-track") {
+      throw new Error("sla pause deadlines");
+    }
+    const resolved = trackSla(resumed, { ...resumed, status: "Resolved" }, { priorities: p }, at(2000));
+    if (computeSla(resolved, { priorities: p }, new Date(at(9999)).getTime()).resolve !== "breached" || resolved.resolvedAt !== at(2000)) {
+      throw new Error("sla resolve freeze");
+    }
+    if (computeSla(t0, { priorities: p }, new Date(at(50)).getTime()).respond !== "at-risk") {
+      throw new Error("sla at-risk");
+    }
+    const rendered = renderTemplate("[{{id}}] {{status}} {{ missing }}", templateVars({ ...t0, status: "Closed" }, normalizeConfig()));
+    if (rendered !== `[S-1] Closed {{ missing }}`) {
+      throw new Error("notification template");
+    }
+    const codes = normalizeConfig().resolutionCodes;
+    const wf0 = DEFAULT_WORKFLOW;
+    if (transitionErrors(wf0, "Open", "Closed", {}, codes).length !== 2 || transitionErrors(wf0, "Open", "Resolved", { resolutionCode: codes[0], resolutionSummary: "Rebooted" }, codes).length || transitionErrors(wf0, "Resolved", "Open", {}, codes).length) {
+      throw new Error("resolution validation");
+    }
+    const audited = diffHistory(
+      { ...t0, notes: [{ id: "N-1", text: "old", createdAt: base, visibility: "internal" }] },
+      { ...t0, priority: "P2", notes: [] },
+      "Tester",
+      base
+    );
+    if (audited.length !== 2 || audited[0].field !== "priority" || audited[0].from !== "P1" || audited[1].kind !== "note-deleted" || audited[1].actor !== "Tester") {
+      throw new Error("audit diff");
+    }
+    const agent: User = { id: "U-1", username: "amy", name: "Amy", email: "amy@example.com", role: "agent" };
+    const requester: User = { ...agent, id: "U-2", username: "rob", email: "rob@example.com", role: "requester" };
+    if (!can(agent, "workTickets") || can(agent, "editConfig") || can(requester, "workTickets") || !can({ ...agent, role: "lead" }, "deleteTickets") || can(null, "workTickets")) {
+      throw new Error("role permissions");
+    }
+    if (ownsTicket(requester, { ...t0, contactType: "email", contactValue: "ROB@example.com" }) || !ownsTicket(requester, { ...t0, requesterId: "U-2" }) || ownsTicket(requester, t0)) {
+      throw new Error("ticket ownership");
+    }
+    if (userErrors([agent], { ...requester, username: "Amy" }, "longenough").length !== 1 || userErrors([agent], requester, "short").length !== 1 || userErrors([agent], agent).length) {
+      throw new Error("user validation");
+    }
+    if (!isMailbox("ann.lee+desk@mail.example.com") || ["ann@example.com\r\nRCPT TO:<x@y.z>", "Ann <ann@example.com>", "a@b.com,c@d.com", "ann@example"].some(isMailbox)) {
+      throw new Error("mailbox check");
+    }
+    const rostered = normalizeConfig({ teams: ["Desk", "Network"], rosters: { Desk: ["amy", "amy", "rob"], Gone: ["amy"] } });
+    if (JSON.stringify(rostered.rosters) !== JSON.stringify({ Desk: ["amy", "rob"] }) || teamAgents(rostered.rosters, "Desk", [agent]).length !== 1) {
+      throw new Error("team rosters");
+    }
+    if (validAssignee(rostered.rosters, "Desk", "amy") !== "amy" || validAssignee(rostered.rosters, "Network", "amy") !== undefined) {
+      throw new Error("assignee validation");
+    }
+    const phoned = migrateTicket({ ...t0, contactType: "phone", contactValue: "(555) 123-4567", notes: [{ id: "N-1", text: "hush" }] });
+    if (!contactMatches(phoned, "555.123.4567") || contactMatches(phoned, "123-4567") || !contactMatches({ ...t0, contactValue: "a@b.co" }, " A@B.co ") || publicTicket(phoned, () => true).notes.length) {
+      throw new Error("ticket lookup");
+    }
+    const closedOut = { ...phoned, status: "Resolved" as TicketStatus, resolutionCode: "Fixed", resolvedAt: at(30), firstResponseAt: undefined };
+    const reopened = requesterReply(closedOut, "Rob", { text: "Still broken", reopen: true }, at(60));
+    if (reopened.status !== "Open" || reopened.resolutionCode || reopened.resolvedAt || reopened.firstResponseAt || reopened.notes[1]?.visibility !== "public" || !reopened.history.some((h) => h.field === "status")) {
+      throw new Error("requester reopen");
+    }
+    if (requesterReply(phoned, "Rob", { text: " ", reopen: true }, at(60)) !== phoned) {
+      throw new Error("requester empty reply");
+    }
+    const tricky = [["a,b", 'say "hi"', "two\nlines", ""], ["x", "", "", "z"]];
+    if (JSON.stringify(parseCsv(toCsv(tricky))) !== JSON.stringify(tricky) || parseCsv('\uFEFFa,b\r\n"1\r\n2",3\r\n').length !== 2) {
+      throw new Error("csv round trip");
+    }
+    const formulas = [["=1+1", "-3", "@x", "+a", "ok"]];
+    if (!toCsv(formulas).startsWith("'=1+1") || JSON.stringify(parseCsv(toCsv(formulas))) !== JSON.stringify(formulas)) {
+      throw new Error("csv formula guard");
+    }
+    const cfgDefault = normalizeConfig();
+    const exported = { ...reopened, id: "NTK-1", assignee: "amy", resolutionSummary: "Line one,\nline \"two\"", pausedMins: 5, pausedAt: at(70) };
+    const reread = parseCsv(ticketsToCsv([exported]));
+    const back = rowToTicket(reread[1], guessMapping(reread[0]), cfgDefault);
+    if (back.errors.length || back.ticket.resolutionSummary !== exported.resolutionSummary || JSON.stringify(back.ticket.notes) !== JSON.stringify(exported.notes) || back.ticket.assignee !== "amy" || JSON.stringify(back.ticket.history) !== JSON.stringify(exported.history) || back.ticket.pausedMins !== 5 || back.ticket.pausedAt !== exported.pausedAt) {
+      throw new Error("csv ticket round trip");
+    }
+    const foreign = guessMapping(["Ticket #", "Subject", "Requester Email", "State", "Urgency", "Created"]);
+    const row = rowToTicket(["", "VPN down", "555-123-4567", "Pending", "High", "not a date"], foreign, cfgDefault);
+    if (row.ticket.title !== "VPN down" || row.ticket.status !== "On Hold" || row.ticket.priority !== "P2" || row.ticket.contactType !== "phone" || row.errors.length !== 1) {
+      throw new Error("csv column mapping");
+    }
+    const planned = planImport([{ ...t0, id: "A" }], [{ ...t0, id: "A", title: "new" }, { ...t0, id: "B" }], "merge-skip");
+    if (planned.added !== 1 || planned.skipped !== 1 || planned.tickets.find((t) => t.id === "A")?.title === "new") {
+      throw new Error("import merge");
+    }
+    const overwritten = planImport([reopened], [{ ...back.ticket, id: reopened.id, history: [{ ...reopened.history[0], id: "H-new", kind: "created" as const }] }], "merge-overwrite").tickets[0];
+    if (overwritten.history.length !== reopened.history.length || overwritten.history[0].id !== reopened.history[0].id) {
+      throw new Error("import overwrite keeps history");
+    }
+    const q1 = parseQuery('priority:P1,high status:!Closed team:"Desktop Support" created:>-7d bogus:1 vpn');
+    if (q1.errors.length !== 1 || q1.terms.length !== 5 || q1.terms[2].values[0] !== "Desktop Support" || !q1.terms[1].negate) {
+      throw new Error("query parse");
+    }
+    const qNow = Date.parse("2025-03-10T12:00:00Z");
+    const qt = { ...t0, id: "NTK-9", title: "VPN drops", priority: "P2" as Priority, status: "Open" as TicketStatus, team: "Desktop Support", createdAt: "2025-03-08T12:00:00Z", assignee: "amy" };
+    const qctx = { sla: computeSla(qt, cfgDefault, qNow), me: "amy", nowMs: qNow, priorities: cfgDefault.priorities };
+    const hits = (q: string) => matchesQuery(qt, parseQuery(q).terms, qctx);
+    if (!hits('priority:P1,high status:!Closed team:"desktop support" created:>-7d vpn') || hits("created:<-7d") || !hits("assignee:me is:open") || hits("-assignee:amy") || !hits("breached:respond due:>today")) {
+      throw new Error("query match");
+    }
+    const bySort = [qt, { ...qt, id: "NTK-1", priority: "P1" as Priority }].sort(ticketSorter("priority", new Map([["NTK-9", qctx.sla], ["NTK-1", qctx.sla]])));
+    if (bySort[0].id !== "NTK-1" || normalizeViews([{ id: "V1", name: " Mine ", filters: { q: "is:open", sort: "nope" } }, { name: "no id" }])[0].filters.sort !== "newest") {
+      throw new Error("sorting and views");
+    }
+    const bulkCfg = { ...cfgDefault, rosters: { Networking: ["amy"] } };
+    const pool = [
+      { ...t0, id: "B-1", createdAt: "2025-01-02T00:00:00Z", team: "Networking", assignee: "amy", notes: [{ id: "N-1", text: "vpn", createdAt: base, visibility: "internal" as const }] },
+      { ...t0, id: "B-2", createdAt: "2025-01-01T00:00:00Z", team: "Networking", assignee: "amy" },
+      { ...t0, id: "B-3" },
+    ];
+    const moved = applyBulk(pool, ["B-1", "B-2"], { kind: "team", team: "Development" }, bulkCfg, "Amy", at(5));
+    if (moved.tickets.filter((t) => t.team === "Development" && !t.assignee && t.history.length === 2).length !== 2 || moved.tickets[2] !== pool[2]) {
+      throw new Error("bulk team");
+    }
+    const undone = undoBulk(moved.tickets, moved.batch, bulkCfg, "Amy", at(6));
+    if (undone.restored !== 2 || undone.tickets.some((t) => t.team !== pool.find((x) => x.id === t.id)!.team || t.assignee !== pool.find((x) => x.id === t.id)!.assignee)) {
+      throw new Error("bulk undo");
+    }
+    const merged = applyBulk(pool, ["B-1", "B-2"], { kind: "merge" }, bulkCfg, "Amy", at(5));
+    const keeper = merged.tickets.find((t) => t.id === "B-2")!;
+    const dupe = merged.tickets.find((t) => t.id === "B-1")!;
+    if (!keeper.notes.some((n) => n.text === "[from B-1] vpn" && n.visibility === "internal") || dupe.status !== "Closed" || dupe.resolutionCode !== "Duplicate") {
+      throw new Error("bulk merge");
+    }
+    const removed = applyBulk(pool, ["B-1", "B-3"], { kind: "delete" }, bulkCfg, "Amy", at(5));
+    const edited = removed.tickets.map((t) => ({ ...t, updatedAt: at(7) }));
+    const back2 = undoBulk([...edited, { ...pool[2], updatedAt: at(7) }], removed.batch, bulkCfg, "Amy", at(8));
+    if (removed.tickets.length !== 1 || back2.restored !== 1 || back2.skipped !== 1 || back2.tickets.length !== 3) {
+      throw new Error("bulk delete undo");
+    }
+    const inc = [
+      { ...t0, id: "M-1", major: true, status: "In Progress" as TicketStatus, contactValue: "lead@x.com" },
+      { ...t0, id: "M-2", parentId: "M-1", contactValue: "a@x.com" },
+      { ...t0, id: "M-3", parentId: "M-1", status: "Closed" as TicketStatus, resolutionCode: "Fixed", resolutionSummary: "own fix" },
+      { ...t0, id: "M-4", contactType: "email" as const, contactValue: "b@x.com", name: "Bea" },
+    ];
+    if (!linkErrors(inc, "M-1", "parent", "M-2").length || !linkErrors(inc, "M-1", "duplicate", "M-4").length || linkErrors(inc, "M-4", "child", "M-1").length) {
+      throw new Error("link validation");
+    }
+    const incFix: Partial<Ticket> = { status: "Resolved", resolutionCode: "Fixed", resolutionSummary: "VPN back" };
+    const resolvedInc = applyChangeSet(inc, new Map([["M-1", incFix], ...cascadeChanges(inc, inc[0], incFix)]), bulkCfg, "Amy", at(5));
+    if (resolvedInc[1].status !== "Resolved" || resolvedInc[1].resolutionSummary !== "VPN back" || resolvedInc[2].status !== "Closed" || resolvedInc[3].status !== "Open") {
+      throw new Error("major incident cascade");
+    }
+    const mergedInc = applyChangeSet(inc, linkChanges(inc, "M-4", "duplicate", "M-2", bulkCfg, "Amy", at(5)), bulkCfg, "Amy", at(5));
+    const survivor = mergedInc[1];
+    if (mergedInc[3].duplicateOf !== "M-2" || survivor.otherRequesters?.[0]?.contactValue !== "b@x.com" || !contactMatches(survivor, "B@x.com") || publicTicket(survivor, () => true).otherRequesters) {
+      throw new Error("merge requesters");
+    }
+    const followed = publicTicket(survivor, (r) => sameContact(r, "b@x.com"));
+    const filed = publicTicket(survivor, (r) => sameContact(r, "a@x.com"));
+    if (followed.contactValue || followed.name || filed.contactValue !== "a@x.com") {
+      throw new Error("merged requester view");
+    }
+    const related = applyChangeSet(inc, linkChanges(inc, "M-2", "related", "M-4", bulkCfg, "Amy", at(5)), bulkCfg, "Amy", at(5));
+    const unrelated = applyChangeSet(related, unlinkChanges(related, "M-4", "related", "M-2"), bulkCfg, "Amy", at(6));
+    if (related[3].related?.[0] !== "M-2" || related[1].related?.[0] !== "M-4" || unrelated[1].related || unrelated[3].related) {
+      throw new Error("related links");
+    }
+    const rt = [
+      { ...t0, id: "R-1", createdAt: new Date(2025, 2, 3, 9).toISOString(), firstResponseAt: new Date(2025, 2, 3, 10).toISOString(), status: "Resolved" as TicketStatus, resolvedAt: new Date(2025, 2, 4, 9).toISOString(), assignee: "amy" },
+      { ...t0, id: "R-2", createdAt: new Date(2025, 2, 5, 9).toISOString(), team: "Networking", priority: "P2" as Priority },
+      { ...t0, id: "R-3", createdAt: new Date(2025, 1, 1).toISOString(), status: "Closed" as TicketStatus, resolvedAt: new Date(2025, 2, 4).toISOString(), duplicateOf: "R-1" },
+    ];
+    const rsla = new Map(rt.map((t) => [t.id, { respondDue: "", resolveDue: "", respond: t.id === "R-1" ? "met" : "on-track", resolve: "met" } as SlaStatus]));
+    const rep = computeReport(rt, rsla, { from: "2025-03-01", to: "2025-03-07" });
+    if (rep.bucket !== "day" || rep.volume.length !== 7 || rep.volume[2].created !== 1 || rep.volume[3].resolved !== 1 || rep.resolve.count !== 1) {
+      throw new Error("report volume");
+    }
+    if (rep.respond.meanMins !== 60 || rep.resolve.meanMins !== 1440 || rep.backlog.team[0].label !== "Networking" || rep.sla[0].respondTotal !== 1 || rep.agents[0].assignee !== "amy") {
+      throw new Error("report figures");
+    }
+    if (reportBucket(parseDayKey("2025-01-01"), parseDayKey("2025-12-31")) !== "month" || !reportToCsv(rep, { from: "2025-03-01", to: "2025-03-07" }).includes("sla,P1,respond met,1")) {
+      throw new Error("report buckets and export");
+    }
+    const wf = normalizeWorkflow({
+      statuses: [
+        { name: "New", kind: "open", requires: [] },
+        { name: "Waiting on Vendor", kind: "paused", requires: ["note", "resolutionCode"] as StatusField[] },
+        { name: "Pending Approval", kind: "open", requires: ["assignee"] as StatusField[] },
+        { name: "Done", kind: "done", requires: ["resolutionCode"] as StatusField[], reopenable: true },
+        { name: "new", kind: "done", requires: [] },
+      ],
+      transitions: { New: ["Waiting on Vendor", "Done", "Bogus"] },
+    });
+    if (wf.statuses.length !== 4 || wf.statuses[1].requires.join() !== "note" || wf.transitions.New.join() !== "Waiting on Vendor,Done" || normalizeWorkflow({ statuses: [{ name: "X", kind: "open", requires: [] }] }).statuses.length !== 5) {
+      throw new Error("workflow normalize");
+    }
+    if (canTransition(wf, "New", "Pending Approval") || !canTransition(wf, "Done", "Pending Approval") || nextStatuses(wf, "New").join() !== "New,Waiting on Vendor,Done" || startStatus(wf) !== "New" || finalStatus(wf) !== "Done") {
+      throw new Error("workflow transitions");
+    }
+    if (transitionErrors(wf, "New", "Pending Approval", { assignee: "amy" }, codes).length !== 1 || transitionErrors(wf, "Done", "Waiting on Vendor", { note: " " }, codes).length !== 1 || transitionErrors(wf, "Waiting on Vendor", "Waiting on Vendor", {}, codes).length) {
+      throw new Error("workflow requirements");
+    }
+    const vendor = trackSla({ ...t0, status: "New" }, { ...t0, status: "Waiting on Vendor" }, { workflow: wf }, at(10));
+    if (!vendor.pausedAt || !vendor.firstResponseAt || isDoneStatus("Closed", wf) || !isDoneStatus("Done", wf) || !statusPill("Waiting on Vendor", wf).includes("orange")) {
+      throw new Error("workflow sla kinds");
+    }
+    if (reconcileStatus("In Progress", wf) !== "New" || reconcileStatus("solved", wf) !== "Done" || reconcileStatus("On Hold", wf) !== "Waiting on Vendor" || reconcileStatus("DONE", wf) !== "Done") {
+      throw new Error("workflow reconcile");
+    }
+    const offWorkflow = repairStatuses([{ ...t0, status: "Closed" }, { ...t0, id: "S-2", status: "New" }], wf, "System");
+    if (offWorkflow.repaired !== 1 || offWorkflow.tickets[0].status !== "Done" || offWorkflow.tickets[0].history.at(-1)?.from !== "Closed") {
+      throw new Error("workflow repair");
+    }
+    const wfCfg = { ...bulkCfg, workflow: wf };
+    const waiting = [
+      { ...t0, id: "W-1", status: "Done", team: "Networking", assignee: "amy" },
+      { ...t0, id: "W-2", status: "Done" },
+    ];
+    const approved = applyBulk(waiting, ["W-1", "W-2"], { kind: "status", status: "Pending Approval" }, wfCfg, "Amy", at(5));
+    if (approved.skipped.join() !== "W-2" || approved.tickets[0].status !== "Pending Approval" || approved.tickets[0].resolvedAt || approved.tickets[1].status !== "Done") {
+      throw new Error("workflow bulk");
+    }
+    const reopenedWf = requesterReply({ ...t0, status: "Done", resolutionCode: "Fixed" }, "Rob", { text: "", reopen: true }, at(6), wf);
+    if (reopenedWf.status !== "New" || reopenedWf.resolutionCode || !canRequesterReply({ ...t0, status: "Done" }, wf) || canRequesterReply({ ...t0, status: "Closed" }, DEFAULT_WORKFLOW)) {
+      throw new Error("workflow reopen");
+    }
+    const moveNote = transitionChanges(t0, "Waiting on Vendor", { note: " Parts on order ", resolutionCode: undefined }, "Amy", at(7));
+    if (moveNote.notes?.at(-1)?.text !== "Parts on order" || "resolutionCode" in moveNote || normalizeConfig({ workflow: wf }).notifications["Waiting on Vendor"]?.enabled !== false) {
+      throw new Error("workflow transition changes");
+    }
+    const rules = normalizeRules([
+      { id: "R-1", name: "VPN", on: "create", conditions: [{ field: "keywords", values: ["VPN", " "] }, { field: "domain", values: ["@example.com"] }], actions: [{ kind: "team", value: "Networking" }, { kind: "priority", value: "P2" }, { kind: "note", value: "Check the tunnel" }, { kind: "notify", value: "noc@example.com, nope" }], stop: true },
+      { id: "R-2", name: "Everything", on: "both", conditions: [], actions: [{ kind: "priority", value: "P1" }, { kind: "team", value: "Nowhere" }] },
+      { id: "R-3", name: "Nights", on: "create", conditions: [{ field: "time", values: ["22:00", "06:00"] }], actions: [{ kind: "priority", value: "P4" }] },
+      { id: "R-4", name: "", conditions: [] },
+    ]);
+    const ruleCfg = { ...bulkCfg, calendar: { ...bulkCfg.calendar, timezone: "UTC" }, rules };
+    const night = ruleCfg.rules[2].conditions[0];
+    if (rules.length !== 3 || rules[0].conditions[0].values.join() !== "VPN" || ruleRecipients(rules[0]).join() !== "noc@example.com" || rules[1].stop) {
+      throw new Error("rules normalize");
+    }
+    if (!conditionMatches(night, t0, ruleCfg, Date.UTC(2025, 0, 1, 23)) || !conditionMatches(night, t0, ruleCfg, Date.UTC(2025, 0, 1, 5, 59)) || conditionMatches(night, t0, ruleCfg, Date.UTC(2025, 0, 1, 6))) {
+      throw new Error("rules time window");
+    }
+    const vpn = { ...t0, title: "vpn drops", contactType: "email" as const, contactValue: "rob@mail.example.com", history: [] };
+    const routed = applyRules(vpn, "create", ruleCfg, new Date(Date.UTC(2025, 0, 1, 12)).toISOString());
+    if (routed.team !== "Networking" || routed.priority !== "P2" || routed.notes[0]?.author !== "Rule: VPN" || routed.firstResponseAt || routed.history.filter((h) => h.kind === "rule").map((h) => h.field).join() !== "R-1") {
+      throw new Error("rules create");
+    }
+    const other = applyRules({ ...vpn, contactValue: "rob@example.org" }, "create", ruleCfg, new Date(Date.UTC(2025, 0, 1, 12)).toISOString());
+    if (other.priority !== "P1" || other.team !== vpn.team || firedAlerts(undefined, routed, rules).map((r) => r.id).join() !== "R-1" || firedAlerts(undefined, other, rules).length) {
+      throw new Error("rules fall through");
+    }
+    const updateCfg = { ...ruleCfg, rules: normalizeRules([{ id: "U-1", name: "Escalate", on: "update", conditions: [{ field: "priority", values: ["P1"] }], actions: [{ kind: "team", value: "Networking" }] }]) };
+    const raised = applyChangeSet([{ ...vpn, priority: "P3" as Priority }], new Map([["S-1", { priority: "P1" as Priority }]]), updateCfg, "Amy", at(5))[0];
+    const untouched = applyChangeSet([{ ...raised, team: FALLBACK_TEAM }], new Map([["S-1", { title: "still vpn" }]]), updateCfg, "Amy", at(6))[0];
+    if (raised.team !== "Networking" || raised.history.at(-1)?.kind !== "rule" || untouched.team !== FALLBACK_TEAM) {
+      throw new Error("rules update edge");
+    }
+    const dry = previewRule(rules[0], [vpn, { ...vpn, id: "S-2", title: "printer" }], ruleCfg);
+    if (dry.length !== 1 || dry[0].effects.join("; ") !== `team ${vpn.team} → Networking; priority P1 → P2; adds a note; alerts noc@example.com` || vpn.history.length) {
+      throw new Error("rules preview");
+    }
+    const escCfg = {
+      ...bulkCfg,
+      priorities: { ...bulkCfg.priorities, P3: { label: "Normal", respondMins: 60, resolveMins: 240, allDay: true } },
+      rosters: { Networking: ["amy", "lee"] },
+      escalations: normalizeEscalations([
+        { id: "E-1", name: "Nudge", clock: "respond", percent: 75, notify: true },
+        { id: "E-2", name: "Breach + 1h", clock: "resolve", percent: 100, afterMins: 60, bumpPriority: true, assignLead: true, note: "Escalated", email: "lead@example.com" },
+        { id: "E-3", name: "" },
+      ]),
+    };
+    const late = { ...t0, id: "E-1", priority: "P3" as Priority, team: "Networking", history: [] };
+    const nudged = escalateTicket(late, escCfg, ["lee"], Date.parse(at(46)));
+    if (escCfg.escalations.length !== 2 || escalateTicket(late, escCfg, ["lee"], Date.parse(at(44))) !== late || nudged.history.map((h) => h.field).join() !== "E-1" || nudged.priority !== "P3") {
+      throw new Error("escalation threshold");
+    }
+    const breached = escalateTicket(nudged, escCfg, ["lee"], Date.parse(at(301)));
+    if (escalateTicket(nudged, escCfg, ["lee"], Date.parse(at(200))) !== nudged || breached.priority !== "P2" || breached.assignee !== "lee" || breached.notes[0]?.author !== ESCALATION_ACTOR || breached.firstResponseAt) {
+      throw new Error("escalation actions");
+    }
+    if (firedEscalations(nudged, breached, escCfg.escalations).map((e) => e.id).join() !== "E-2" || !escalationAlertMessage(escCfg.escalations[1], breached).text.includes("resolve breach + 1h 0m")) {
+      throw new Error("escalation alerts");
+    }
+    const onHold = { ...late, status: "On Hold", pausedAt: at(0) };
+    const answered = { ...late, firstResponseAt: at(5) };
+    if (escalateTicket(onHold, escCfg, [], Date.parse(at(46))) !== onHold || escalateTicket(answered, escCfg, [], Date.parse(at(46))) !== answered || escalateTicket({ ...late, status: "Closed" }, escCfg, [], Date.parse(at(999))).history.length) {
+      throw new Error("escalation pauses");
+    }
+    const cf = normalizeCustomFields(
+      [
+        { id: "F-1", label: "Asset tag", type: "text", required: true, categories: ["Hardware", "Gone"] },
+        { id: "F-2", label: "Status", type: "select", options: ["SAP", " SAP", "Workday", ""] },
+        { id: "F-3", label: "Cost", type: "number" },
+        { id: "F-4", label: "Needed by", type: "date" },
+        { id: "F-5", label: "Asset-Tag!", type: "checkbox" },
+        { id: "F-6", label: " " },
+      ],
+      cfgDefault.categories
+    );
+    if (cf.map((f) => f.key).join() !== "assettag,status2,cost,neededby,assettag2" || cf[0].categories.join() !== "Hardware" || cf[1].options.join() !== "SAP,Workday" || fieldsFor(cf, "Software").length !== 4) {
+      throw new Error("custom fields normalize");
+    }
+    const cfMoved = normalizeCustomFields([{ id: "F-7", label: "Asset tag" }, { ...cf[4], label: "Tag" }, cf[0]], cfgDefault.categories);
+    if (cfMoved.map((f) => f.key).join() !== "assettag3,assettag2,assettag") {
+      throw new Error("custom field keys kept");
+    }
+    const cfErrs = customFieldErrors(cf, { "F-1": "", "F-2": "Oracle", "F-3": "12x", "F-4": "tomorrow" });
+    if (cfErrs.length !== 4 || customFieldErrors(cf, { "F-2": "SAP", "F-3": "-1.5", "F-4": "2025-03-01" }, {}).length || customFieldErrors(cf, {}, { "F-1": "LT-1" }).join() !== "Asset tag is required.") {
+      throw new Error("custom fields validation");
+    }
+    const kept = withFieldValues({ "F-1": "LT-1", "F-9": "old" }, fieldsFor(cf, "Software"), { "F-3": " 40 ", "F-2": "" });
+    if (JSON.stringify(kept) !== JSON.stringify({ "F-1": "LT-1", "F-9": "old", "F-3": "40" }) || withFieldValues(undefined, cf, {}) !== undefined) {
+      throw new Error("custom fields values");
+    }
+    const ft = { ...qt, fields: { "F-1": "LT-1234", "F-2": "SAP", "F-3": "40", "F-4": "2025-03-01", "F-5": "yes" } };
+    const fctx = { ...qctx, customFields: cf };
+    const fhits = (q: string) => matchesQuery(ft, parseQuery(q, cf).terms, fctx);
+    if (!fhits("assettag:lt-12 status2:sap cost:>30 neededby:<2025-03-02 assettag2:yes lt-1234") || fhits("cost:<=39") || fhits("assettag2:no") || fhits("status2:SA") || parseQuery("cost:1").errors.length !== 1) {
+      throw new Error("custom fields query");
+    }
+    const cfCfg = { ...cfgDefault, customFields: cf };
+    const cfRows = parseCsv(ticketsToCsv([{ ...ft, category: "Hardware" }], cf));
+    const cfBack = rowToTicket(cfRows[1], guessMapping(cfRows[0], cf), cfCfg);
+    const cfBad = rowToTicket(["Printer", "lots"], guessMapping(["Title", "Cost"], cf), cfCfg);
+    if (cfRows[0].at(-1) !== "Asset-Tag!" || JSON.stringify(cfBack.ticket.fields) !== JSON.stringify(ft.fields) || cfBad.errors.join() !== "Cost must be a number") {
+      throw new Error("custom fields csv");
+    }
+    const cfEdit = applyTicketChanges(ft, { fields: { ...ft.fields, "F-3": "45" } }, cfCfg, "Amy", at(3));
+    if (cfEdit.history.at(-1)?.field !== "fields.F-3" || describeHistory(cfEdit.history.at(-1)!, cf) !== "changed Cost from “40” to “45”") {
+      throw new Error("custom fields history");
+    }
+    const attLimits = normalizeAttachmentLimits({ maxMB: 2, types: [" .PDF", "image/*", "text/plain", ".pdf"] });
+    if (attLimits.types.join() !== ".pdf,image/*,text/plain" || normalizeAttachmentLimits({ maxMB: -1 }).maxMB !== 10 || normalizeAttachmentLimits({ maxMB: 500 }).maxMB !== MAX_ATTACHMENT_MB) {
+      throw new Error("attachment limits");
+    }
+    const attErrs = (name: string, type: string, size: number) => attachmentErrors({ name, type, size }, attLimits).length;
+    if (
+      attErrs("Scan.PDF", "", 100) ||
+      attErrs("shot.png", "image/png", 100) ||
+      attErrs("a.txt", "text/plain", 100) ||
+      attErrs("a.exe", "application/x-msdownload", 100) !== 1 ||
+      attErrs("big.png", "image/png", 3 * 1024 * 1024) !== 1 ||
+      attachmentErrors({ name: "a.exe", type: "", size: 1 }, { maxMB: 1, types: [] }).length
+    ) {
+      throw new Error("attachment validation");
+    }
+    const withAtt = migrateTicket({
+      id: "NTK-9",
+      attachments: [{ id: "A-1", name: "log.txt", type: "text/plain", size: "12" }, { name: "no id" }],
+      notes: [{ id: "N-1", text: "x", attachments: [{ id: "A-2", name: "s.png", type: "image/png", size: 5 }] }],
+    });
+    if (ticketAttachments(withAtt).map((a) => a.id).join() !== "A-1,A-2" || withAtt.attachments![0].size !== 12 || migrateTicket({}).attachments) {
+      throw new Error("attachment migration");
+    }
+    const attB64 = await blobToBase64(new Blob([new Uint8Array([0, 255, 10, 65])]));
+    const attBack = new Uint8Array(await base64ToBlob(attB64, "application/octet-stream").arrayBuffer());
+    const attBackup = parseBackup(JSON.stringify({ format: "nexticket-backup", tickets: [withAtt], attachments: { "A-1": { type: "text/plain", data: "aGk=" } } }));
+    if (attB64 !== "AP8KQQ==" || attBack.join() !== "0,255,10,65" || attBackup?.attachments?.["A-1"].data !== "aGk=" || !attBackup.tickets[0].notes[0].attachments) {
+      throw new Error("attachment backup");
+    }
+    const sweepNow = Date.parse("2025-03-10T12:00:00Z");
+    const sweepFirst = sweepOrphans(["A-1", "A-2", "A-9"], [withAtt], {}, sweepNow);
+    const sweepLater = sweepOrphans(["A-1", "A-9", "A-8"], [withAtt], sweepFirst.marks, sweepNow + ORPHAN_HOURS * 3600000);
+    if (sweepFirst.expired.length || Object.keys(sweepFirst.marks).join() !== "A-9" || sweepLater.expired.join() !== "A-9" || Object.keys(sweepLater.marks).join() !== "A-8") {
+      throw new Error("attachment sweep");
+    }
+    const withFile = requesterReply({ ...t0, status: "Open" as TicketStatus }, "Rob", { text: " ", reopen: false, attachments: [withAtt.attachments![0]] }, "2025-03-10T12:00:00Z");
+    if (withFile.notes.at(-1)?.text !== "Attached log.txt" || withFile.notes.at(-1)?.attachments?.[0].id !== "A-1" || withFile.notes.at(-1)?.visibility !== "public") {
+      throw new Error("requester reply attachments");
+    }
+    const kb = normalizeArticles(
+      [
+        { id: "KB-1", title: "VPN keeps disconnecting", body: "Restart the client and reconnect.", keywords: ["VPN", "remote access", "vpn"], categories: ["Networking", "Gone"] },
+        { id: "KB-2", title: "Reset your password", body: "Use the self-service page if your account is locked.", keywords: ["password"] },
+        { id: "KB-3", title: "" },
+      ],
+      cfgDefault.categories
+    );
+    if (kb.length !== 2 || kb[0].keywords.join() !== "vpn,remote access" || kb[0].categories.join() !== "Networking") {
+      throw new Error("kb normalize");
+    }
+    const kbIds = (text: string, category: string) => suggestArticles(kb, text, category).map((a) => a.id).join();
+    if (
+      kbIds("My VPN drops", "Networking") !== "KB-1" ||
+      kbIds("My VPN drops", "Hardware") !== "" ||
+      kbIds("remote login broken", "Networking") !== "KB-1" ||
+      kbIds("my account", "Other") !== "" ||
+      kbIds("locked account and password", "Networking") !== "KB-2" ||
+      kbIds("the and for", "Networking") !== ""
+    ) {
+      throw new Error("kb suggestions");
+    }
+    if (JSON.stringify([...deflectionCounts([{ id: "K-1", articleId: "KB-1", at: at(1), query: "vpn" }, { id: "K-2", articleId: "KB-1", at: at(2), query: "vpn" }])]) !== '[["KB-1",2]]') {
+      throw new Error("kb deflections");
+    }
+    const canned = normalizeCannedResponses([{ id: "C-1", name: " VPN ", text: "Hi {{name}}, {{id}} is {{priorityLabel}}. – {{agent}} {{nope}}" }, { id: "C-2", name: "" }]);
+    if (canned.length !== 1 || canned[0].name !== "VPN" || cannedText(canned[0], { ...qt, name: "Jo", id: "NTK-7", priority: "P1" }, cfgDefault, "Amy") !== "Hi Jo, NTK-7 is Critical. – Amy {{nope}}") {
+      throw new Error("canned responses");
+    }
+    if (!similarNames("Jane Doe", "jane  doe.") || !similarNames("José Pérez", "Jose Perez") || !similarNames("Jonathan Smith", "Jonathon Smith") || !similarNames("Jane Doe", "J. Doe") || similarNames("Jane Doe", "John Smith") || similarNames("Ann", "Anna")) {
+      throw new Error("contact names");
+    }
+    const people = [
+      normalizeContact({ id: "CT-1", name: "Jane Doe", emails: ["Jane@Example.com"], phones: ["(555) 010-0000"], department: "Finance" }),
+      normalizeContact({ id: "CT-2", name: "J. Doe", emails: ["jd@example.com"], location: "HQ", vip: true }),
+      normalizeContact({ id: "CT-3", name: "Rob Roy", phones: ["555 010 9999"] }),
+    ];
+    if (
+      possibleDuplicates(people).map(([x, y]) => `${x.id}/${y.id}`).join() !== "CT-1/CT-2" ||
+      findContact(people, "email", " JANE@example.com")?.id !== "CT-1" ||
+      findContact(people, "phone", "5550109999")?.id !== "CT-3" ||
+      findContact(people, "phone", "555-0000") ||
+      contactErrors(people, { ...people[2], emails: ["jane@example.com", "bad"] }).join("|") !== "jane@example.com already belongs to Jane Doe.|bad isn't a valid email address." ||
+      contactConflicts(people, normalizeContact({ id: "CT-4", name: "Odd", phones: ["123"] })).length
+    ) {
+      throw new Error("contact lookup");
+    }
+    const mergedContact = mergeContact(people[0], people[1]);
+    if (mergedContact.id !== "CT-1" || mergedContact.emails.join() !== "jane@example.com,jd@example.com" || mergedContact.location !== "HQ" || mergedContact.department !== "Finance" || !mergedContact.vip) {
+      throw new Error("contact merge");
+    }
+    const vipCfg = { ...cfgDefault, vipPriority: "P2" as const };
+    const fromJd = { ...qt, id: "NTK-20", priority: "P4" as Priority, contactType: "email" as const, contactValue: "JD@example.com" };
+    const linked = linkContacts(
+      [fromJd, { ...fromJd, id: "NTK-21", name: "Sam", contactValue: "sam@example.com" }, { ...fromJd, id: "NTK-22", name: "", contactValue: "SAM@example.com", status: "Closed" as TicketStatus }],
+      people,
+      vipCfg,
+      at(5)
+    );
+    const [l20, l21, l22] = linked.tickets;
+    if (
+      l20.contactId !== "CT-2" || l20.priority !== "P2" || l20.history.at(-1)?.actor !== CONTACT_ACTOR ||
+      linked.created.length !== 1 || linked.created[0].name !== "Sam" || l21.contactId !== linked.created[0].id || l22.contactId !== l21.contactId ||
+      l21.priority !== "P4" || l22.priority !== "P4"
+    ) {
+      throw new Error("contact linking");
+    }
+    const setByAgent = applyTicketChanges(fromJd, { priority: "P3" }, vipCfg, "amy", at(1));
+    if (
+      linkContacts([setByAgent], people, vipCfg, at(5)).tickets[0].priority !== "P3" ||
+      linkContacts(linked.tickets, [...people, ...linked.created], vipCfg, at(6)).tickets !== linked.tickets ||
+      linkContacts([fromJd], people, { ...vipCfg, vipPriority: "none" }, at(5)).tickets[0].priority !== "P4" ||
+      relinkTickets(linked.tickets, "CT-2", "CT-1")[0].contactId !== "CT-1" ||
+      linkContacts([l20], people.filter((c) => c.id !== "CT-2").concat({ ...people[1], id: "CT-9" }), vipCfg, at(7)).tickets[0].contactId !== "CT-9" ||
+      linkContacts([l20], people.filter((c) => c.id !== "CT-2"), vipCfg, at(7), false).tickets[0].contactId !== "CT-2"
+    ) {
+      throw new Error("contact relinking");
+    }
+    if (stableJson({ b: 1, a: { d: [2], c: undefined } }) !== stableJson({ a: { d: [2] }, b: 1 }) || stableJson({ a: 1 }) === stableJson({ a: 2 })) {
+      throw new Error("sync json");
+    }
+    const fm = mergeFields({ a: 1, b: 1, c: 1, d: 1 }, { a: 2, b: 1, c: 3, d: 5 }, { a: 1, b: 4, c: 3, d: 6 });
+    if (stableJson(fm.merged) !== stableJson({ a: 2, b: 4, c: 3, d: 5 }) || fm.changed.join() !== "b,c,d" || fm.clashes.join() !== "d") {
+      throw new Error("sync field merge");
+    }
+    const flat = flattenFields({ title: "x", fields: { asset: "A1" } });
+    if (flat["fields.asset"] !== "A1" || "fields" in flat || stableJson(unflattenFields(flat)) !== stableJson({ title: "x", fields: { asset: "A1" } }) || unflattenFields({ title: "x" }).fields) {
+      throw new Error("sync flatten");
+    }
+    if (mergeById([{ id: "1" }, { id: "2" }], [{ id: "1" }, { id: "3" }], [{ id: "1" }, { id: "2" }, { id: "4" }]).map((x) => x.id).join() !== "1,4,3") {
+      throw new Error("sync list merge");
+    }
+    const sBase = { ...qt, version: 4, fields: { asset: "A1" } };
+    const sNote = { id: "N-9", text: "on it", createdAt: at(3), visibility: "internal" as const };
+    const sMine = { ...sBase, status: "In Progress", assignee: "rob", priority: "P1" as Priority, notes: [sNote], fields: { asset: "A1", room: "4" } };
+    const sTheirs = { ...sBase, version: 5, team: "Network", assignee: "amy2", fields: { asset: "A2" }, updatedAt: "2030-01-01T00:00:00Z" };
+    const sm = mergeTicket(sBase, sMine, sTheirs);
+    if (
+      sm.ticket.status !== "In Progress" || sm.ticket.team !== "Network" || sm.ticket.assignee !== "amy2" || sm.ticket.priority !== "P1" ||
+      stableJson(sm.ticket.fields) !== stableJson({ asset: "A2", room: "4" }) || sm.ticket.notes.length !== 1 || sm.ticket.version !== 5 ||
+      sm.ticket.updatedAt !== "2030-01-01T00:00:00Z" || sm.clashes.join() !== "assignee" || syncFieldLabel("assignee", []) !== "Assignee"
+    ) {
+      throw new Error("sync ticket merge");
+    }
+    const sList = [sMine, { ...qt, id: "NTK-50" }];
+    const rebased = applySyncEvent(sList, { kind: "ticket", ticket: sTheirs, base: sBase });
+    const replaced = applySyncEvent([sBase], { kind: "ticket", ticket: sTheirs, base: sBase });
+    const added = applySyncEvent(sList, { kind: "ticket", ticket: { ...qt, id: "NTK-51", version: 1 } });
+    if (
+      rebased.tickets[0].team !== "Network" || rebased.tickets[0].status !== "In Progress" || rebased.clashes.join() !== "assignee" ||
+      replaced.tickets[0] !== sTheirs || replaced.clashes.length || added.tickets.map((t) => t.id).join() !== "NTK-51,NTK-9,NTK-50" ||
+      applySyncEvent([sTheirs], { kind: "ticket", ticket: { ...sTheirs, title: "old echo" }, base: sBase }).tickets[0] !== sTheirs ||
+      applySyncEvent(sList, { kind: "saved", ticket: { ...sMine, version: 5 }, from: 4 }).tickets[0].version !== 5 ||
+      applySyncEvent(sList, { kind: "saved", ticket: { ...sMine, version: 9 }, from: 8 }).tickets[0].version !== 4 ||
+      applySyncEvent(sList, { kind: "deleted", id: "NTK-9" }).tickets.map((t) => t.id).join() !== "NTK-50"
+    ) {
+      throw new Error("sync events");
+    }
+    const tracker = syncTracker();
+    tracker.reset([sBase, { ...qt, id: "NTK-50", version: 2 }]);
+    const tc = tracker.changes([sMine, { ...qt, id: "NTK-52" }]);
+    if (tc.changed.map((t) => t.id).join() !== "NTK-9,NTK-52" || tc.deleted.join() !== "NTK-50" || tracker.changes([sMine, { ...qt, id: "NTK-52" }]).deleted.length) {
+      throw new Error("sync tracker changes");
+    }
+    const saved = tracker.saved(sMine, 5);
+    const echo = tracker.receive({ ...sMine, version: 5 });
+    const newer = tracker.receive({ ...sTheirs, version: 6 });
+    const stale = tracker.changes([{ ...sMine, title: "edited before the newer copy arrived" }]);
+    if (saved.ticket.version !== 5 || echo || newer?.kind !== "ticket" || newer.base?.version !== 5 || stale.changed.length !== 0) {
+      throw new Error("sync tracker versions");
+    }
+    const absorbed = tracker.absorb([{ ...sTheirs, version: 7 }, { ...qt, id: "NTK-60", version: 1 }]);
+    if (absorbed.map((e) => (e.kind === "deleted" ? `-${e.id}` : e.kind === "ticket" ? e.ticket.id : e.kind)).join() !== "NTK-9,NTK-60,-NTK-50" || tracker.known("NTK-50")) {
+      throw new Error("sync tracker absorb");
+    }
+    if (planImport([{ ...qt, id: "A", version: 3 }], [{ ...qt, id: "A", version: 9 }, { ...qt, id: "B", version: 2 }], "merge-overwrite").tickets.map((t) => t.version).join() !== "3,") {
+      throw new Error("sync import versions");
+    }
     console.log("NexTicket tests passed");
   } catch (e) {
     console.error("NexTicket tests failed", e);
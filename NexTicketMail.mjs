@@ -0,0 +1,594 @@
+// NexTicket Mail - email-to-ticket intake and outbound SMTP for the NexTicket server
+// Reads messages from an IMAP mailbox or a folder of .eml files, turns each one into a ticket
+// (or a note, when the subject carries an existing ticket ID) and replies to the sender with the ID.
+// Plain TCP is supported for both IMAP and SMTP so a local fake mail server can stand in for testing.
+
+import fs from "node:fs";
+import path from "node:path";
+import net from "node:net";
+import tls from "node:tls";
+import os from "node:os";
+
+// Anything shaped like a ticket ID in any configured format (PREFIX-[date-]number); only IDs that exist count
+const TICKET_ID_PATTERN = /\b[A-Z][A-Z0-9]{0,9}(?:-\d{4,8})?-\d{1,10}\b/gi;
+const DEFAULT_POLL_SECONDS = 60;
+
+// ----- Message Parsing -----
+// Just enough RFC 5322 / MIME to pull a subject, sender and readable body out of a message.
+function splitHeaderBody(raw) {
+  const m = /\r?\n\r?\n/.exec(raw);
+  if (!m) return { head: raw, body: "" };
+  return { head: raw.slice(0, m.index), body: raw.slice(m.index + m[0].length) };
+}
+
+function parseHeaders(head) {
+  const headers = {};
+  const unfolded = head.replace(/\r?\n[ \t]+/g, " ");
+  for (const line of unfolded.split(/\r?\n/)) {
+    const i = line.indexOf(":");
+    if (i <= 0) continue;
+    const key = line.slice(0, i).trim().toLowerCase();
+    if (!(key in headers)) headers[key] = line.slice(i + 1).trim();
+  }
+  return headers;
+}
+
+// "text/plain; charset=utf-8" -> { type: "text/plain", params: { charset: "utf-8" } }
+function parseHeaderParams(value = "") {
+  const [type, ...rest] = value.split(";");
+  const params = {};
+  for (const part of rest) {
+    const i = part.indexOf("=");
+    if (i <= 0) continue;
+    params[part.slice(0, i).trim().toLowerCase()] = part.slice(i + 1).trim().replace(/^"(.*)"$/, "$1");
+  }
+  return { type: type.trim().toLowerCase(), params };
+}
+
+function decodeCharset(bytes, charset = "utf-8") {
+  try {
+    return new TextDecoder(charset.toLowerCase()).decode(bytes);
+  } catch {
+    return new TextDecoder("utf-8").decode(bytes);
+  }
+}
+
+function decodeQuotedPrintable(text) {
+  const soft = text.replace(/=\r?\n/g, "");
+  const bytes = [];
+  for (let i = 0; i < soft.length; i++) {
+    if (soft[i] === "=" && /^[0-9A-F]{2}$/i.test(soft.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(soft.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(soft[i], "latin1"));
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function decodeTransfer(body, encoding = "") {
+  switch (encoding.toLowerCase()) {
+    case "base64":
+      return Buffer.from(body.replace(/\s+/g, ""), "base64");
+    case "quoted-printable":
+      return decodeQuotedPrintable(body);
+    default:
+      return Buffer.from(body, "latin1");
+  }
+}
+
+// RFC 2047 encoded words, e.g. =?UTF-8?B?SMOpbGxv?=
+export function decodeWords(value = "") {
+  return value
+    .replace(/(=\?[^?]+\?[BQ]\?[^?]*\?=)\s+(?==\?)/gi, "$1")
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (_, charset, enc, text) => {
+      const bytes = enc.toUpperCase() === "B" ? Buffer.from(text, "base64") : decodeQuotedPrintable(text.replace(/_/g, " "));
+      return decodeCharset(bytes, charset);
+    });
+}
+
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li|tr|h\d)>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Body parts between "--boundary" lines; the preamble and epilogue are dropped
+function splitMultipart(body, boundary) {
+  const parts = [];
+  let current = null;
+  for (const line of body.split(/\r?\n/)) {
+    const trimmed = line.trimEnd();
+    if (trimmed === `--${boundary}--`) break;
+    if (trimmed === `--${boundary}`) {
+      if (current) parts.push(current.join("\r\n"));
+      current = [];
+    } else if (current) {
+      current.push(line);
+    }
+  }
+  if (current) parts.push(current.join("\r\n"));
+  return parts;
+}
+
+// Depth-first search for the best readable part: text/plain first, then text/html
+function extractText(headers, body) {
+  const ct = parseHeaderParams(headers["content-type"] || "text/plain");
+  if (ct.type.startsWith("multipart/") && ct.params.boundary) {
+    let html = null;
+    for (const part of splitMultipart(body, ct.params.boundary)) {
+      const { head, body: partBody } = splitHeaderBody(part);
+      const found = extractText(parseHeaders(head), partBody);
+      if (found?.type === "text/plain") return found;
+      if (found && !html) html = found;
+    }
+    return html;
+  }
+  if (ct.type !== "text/plain" && ct.type !== "text/html") return null;
+  if (/attachment/i.test(headers["content-disposition"] || "")) return null;
+  const text = decodeCharset(decodeTransfer(body, headers["content-transfer-encoding"]), ct.params.charset);
+  return { type: ct.type, text: ct.type === "text/html" ? htmlToText(text) : text };
+}
+
+// '"Jane Doe" <jane@example.com>' -> { name: "Jane Doe", email: "jane@example.com" }
+export function parseAddress(value = "") {
+  const decoded = decodeWords(value);
+  const angle = /^(.*?)<([^>]+)>/.exec(decoded);
+  const email = (angle ? angle[2] : decoded).trim().toLowerCase();
+  const name = angle ? angle[1].trim().replace(/^"(.*)"$/, "$1").trim() : "";
+  return { name: name || email.split("@")[0] || "", email };
+}
+
+export function parseEml(raw) {
+  const text = Buffer.isBuffer(raw) ? raw.toString("latin1") : raw;
+  const { head, body } = splitHeaderBody(text);
+  const headers = parseHeaders(head);
+  const found = extractText(headers, body);
+  return {
+    headers,
+    messageId: headers["message-id"] || "",
+    subject: decodeWords(headers.subject || "").trim(),
+    from: parseAddress(headers["reply-to"] || headers.from || ""),
+    text: (found?.text || "").replace(/\r\n/g, "\n").trim(),
+  };
+}
+
+// Drop quoted history from replies so notes only carry what the sender just wrote
+export function stripQuotedReply(text) {
+  const lines = [];
+  for (const line of text.split("\n")) {
+    if (/^On .+wrote:\s*$/.test(line) || /^-{2,}\s*Original Message\s*-{2,}/i.test(line) || /^From: .+/.test(line)) break;
+    if (line.startsWith(">")) continue;
+    lines.push(line);
+  }
+  return lines.join("\n").trim();
+}
+
+function isAutomated(msg) {
+  const auto = (msg.headers["auto-submitted"] || "no").toLowerCase();
+  return auto !== "no" || /^(mailer-daemon|postmaster|no-?reply)@/i.test(msg.from.email) || /bulk|junk|list/i.test(msg.headers.precedence || "");
+}
+
+// ----- Intake -----
+// Turn one message into a new ticket, or a note on the ticket its subject mentions
+export function ingestMessage(store, msg) {
+  if (!msg.from.email) throw new Error("Message has no sender");
+  const mentioned = new Set(Array.from(msg.subject.matchAll(TICKET_ID_PATTERN), (m) => m[0].toUpperCase()));
+  const tickets = mentioned.size ? store.listTickets() : [];
+  const mentionedTicket = tickets.find((t) => mentioned.has(t.id));
+  // Replies to a ticket merged as a duplicate land on the ticket it was merged into
+  const existing = mentionedTicket?.duplicateOf ? tickets.find((t) => t.id === mentionedTicket.duplicateOf) || mentionedTicket : mentionedTicket;
+  if (existing) {
+    const text = stripQuotedReply(msg.text) || msg.text || "(empty reply)";
+    // The requester's own replies (or those of a requester merged in) show up in "Check My Ticket"; anyone else's stay internal
+    const requesters = [existing, ...(Array.isArray(existing.otherRequesters) ? existing.otherRequesters : [])];
+    const fromRequester = requesters.some((r) => r.contactType === "email" && String(r.contactValue || "").toLowerCase() === msg.from.email.toLowerCase());
+    const author = msg.from.name ? `${msg.from.name} <${msg.from.email}>` : msg.from.email;
+    store.addNote(existing.id, { text, author, visibility: fromRequester ? "public" : "internal" });
+    return { action: "note", ticket: store.getTicket(existing.id), fromRequester };
+  }
+  const cfg = store.getConfig() || {};
+  const now = new Date().toISOString();
+  const category = (Array.isArray(cfg.categories) && cfg.categories[0]) || "Other";
+  const ticket = {
+    id: store.nextTicketId(category),
+    title: msg.subject || "(no subject)",
+    description: msg.text || "(no body)",
+    name: msg.from.name,
+    contactType: "email",
+    contactValue: msg.from.email,
+    category,
+    team: "Unassigned",
+    // The workflow's first open status (see startStatus in the server)
+    status: (Array.isArray(cfg.workflow?.statuses) && cfg.workflow.statuses.find((s) => s.kind === "open")?.name) || "Open",
+    priority: "P3",
+    createdAt: now,
+    updatedAt: now,
+    notes: [],
+    pausedMins: 0,
+    deliveries: [],
+  };
+  // The create routing rules run on it in the store; their alerts are sent by handleMessage
+  return { action: "created", ...store.routeNewTicket(ticket, msg.from.email) };
+}
+
+// Only the ticket's requesters hear back about it; anyone else who names a ticket in the subject gets a reply
+// that says nothing of it (IDs are easy to guess)
+function acknowledgement(result, msg) {
+  const t = result.ticket;
+  if (result.action === "note" && !result.fromRequester) {
+    return {
+      subject: `Re: ${msg.subject || "your message"}`,
+      text: `Hello ${msg.from.name || ""},\n\nThanks, we received your message and passed it on to the service desk.\n\n- NexTicket`,
+    };
+  }
+  if (result.action === "note") {
+    return {
+      subject: `[${t.id}] Re: ${t.title}`,
+      text: `Hello ${msg.from.name || ""},\n\nYour reply was added to ticket ${t.id}.\n\nCurrent status: ${t.status}\n\n- NexTicket`,
+    };
+  }
+  return {
+    subject: `[${t.id}] ${t.title}`,
+    text: `Hello ${msg.from.name || ""},\n\nThanks! We received your request and opened ticket ${t.id}.\nReply to this email (keep the ticket ID in the subject) to add more information.\n\n- NexTicket`,
+  };
+}
+
+async function handleMessage(store, raw, options) {
+  const msg = parseEml(raw);
+  const result = ingestMessage(store, msg);
+  console.log(`Mail intake: ${result.action === "created" ? "created" : "updated"} ${result.ticket.id} from ${msg.from.email}`);
+  if (options.smtp && !isAutomated(msg)) {
+    const ack = acknowledgement(result, msg);
+    await sendMail(options.smtp, { to: msg.from.email, subject: ack.subject, text: ack.text, inReplyTo: msg.messageId, autoSubmitted: "auto-replied" }).catch((e) =>
+      console.error(`Mail intake: could not reply to ${msg.from.email}: ${e.message}`)
+    );
+  }
+  for (const alert of options.smtp ? result.alerts || [] : []) {
+    // Recorded so the API won't send the same firing again (see claimAlert in the store)
+    store.claimAlert(alert.ticketId, alert.entryId);
+    for (const to of alert.to) {
+      await sendMail(options.smtp, { to, subject: alert.subject, text: alert.text }).catch((e) => console.error(`Mail intake: could not send rule alert to ${to}: ${e.message}`));
+    }
+  }
+  return result;
+}
+
+// .eml drop folder: each file is processed once, then moved to processed/ (or failed/)
+export async function pollFolder(store, options) {
+  const dir = options.dir;
+  const results = [];
+  for (const name of fs.readdirSync(dir).filter((f) => f.toLowerCase().endsWith(".eml")).sort()) {
+    const file = path.join(dir, name);
+    // Leave files that are still being written for the next poll
+    if (Date.now() - fs.statSync(file).mtimeMs < 2000) continue;
+    let target = "processed";
+    try {
+      results.push(await handleMessage(store, fs.readFileSync(file), options));
+    } catch (e) {
+      target = "failed";
+      console.error(`Mail intake: ${name}: ${e.message}`);
+    }
+    fs.mkdirSync(path.join(dir, target), { recursive: true });
+    fs.renameSync(file, path.join(dir, target, name));
+  }
+  return results;
+}
+
+// IMAP mailbox: unseen messages are processed and then flagged \Seen; one that fails stays unseen
+export async function pollImap(store, options) {
+  const client = new ImapClient(options.imap);
+  const results = [];
+  await client.connect();
+  try {
+    await client.login();
+    await client.command(`SELECT ${imapQuote(options.imap.mailbox || "INBOX")}`);
+    const search = await client.command("UID SEARCH UNSEEN");
+    const uids = search.lines.filter((l) => l.startsWith("* SEARCH")).flatMap((l) => l.slice(8).trim().split(/\s+/)).filter(Boolean);
+    for (const uid of uids) {
+      const fetched = await client.command(`UID FETCH ${uid} (BODY.PEEK[])`);
+      if (!fetched.literals.length) continue;
+      try {
+        results.push(await handleMessage(store, fetched.literals[0], options));
+      } catch (e) {
+        // Left unseen, so the next poll tries it again
+        console.error(`Mail intake: IMAP message ${uid}: ${e.message}`);
+        continue;
+      }
+      await client.command(`UID STORE ${uid} +FLAGS (\\Seen)`);
+    }
+    await client.command("LOGOUT").catch(() => undefined);
+  } finally {
+    client.close();
+  }
+  return results;
+}
+
+export function startMailIntake(store, options) {
+  const poll = options.imap ? () => pollImap(store, options) : () => pollFolder(store, options);
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await poll();
+    } catch (e) {
+      console.error(`Mail intake: ${e.message}`);
+    } finally {
+      running = false;
+    }
+  };
+  tick();
+  const timer = setInterval(tick, (options.pollSeconds || DEFAULT_POLL_SECONDS) * 1000);
+  console.log(`Mail intake: watching ${options.imap ? `imap://${options.imap.host}:${options.imap.port}` : options.dir}`);
+  return { stop: () => clearInterval(timer), poll: tick };
+}
+
+// Intake and SMTP settings come from the environment so credentials stay out of the data file
+export function intakeOptionsFromEnv(env) {
+  const smtp = smtpOptionsFromEnv(env);
+  const pollSeconds = Number(env.NEXTICKET_INTAKE_POLL_SECONDS) || DEFAULT_POLL_SECONDS;
+  if (env.NEXTICKET_IMAP_HOST) {
+    const secure = env.NEXTICKET_IMAP_SECURE !== "false";
+    return {
+      imap: {
+        host: env.NEXTICKET_IMAP_HOST,
+        port: Number(env.NEXTICKET_IMAP_PORT) || (secure ? 993 : 143),
+        secure,
+        user: env.NEXTICKET_IMAP_USER || "",
+        pass: env.NEXTICKET_IMAP_PASS || "",
+        mailbox: env.NEXTICKET_IMAP_MAILBOX || "INBOX",
+      },
+      smtp,
+      pollSeconds,
+    };
+  }
+  if (env.NEXTICKET_INTAKE_DIR) {
+    fs.mkdirSync(env.NEXTICKET_INTAKE_DIR, { recursive: true });
+    return { dir: path.resolve(env.NEXTICKET_INTAKE_DIR), smtp, pollSeconds };
+  }
+  return null;
+}
+
+export function smtpOptionsFromEnv(env) {
+  if (!env.NEXTICKET_SMTP_HOST) return null;
+  const secure = env.NEXTICKET_SMTP_SECURE === "true";
+  return {
+    host: env.NEXTICKET_SMTP_HOST,
+    port: Number(env.NEXTICKET_SMTP_PORT) || (secure ? 465 : 25),
+    secure,
+    user: env.NEXTICKET_SMTP_USER || "",
+    pass: env.NEXTICKET_SMTP_PASS || "",
+    from: env.NEXTICKET_SMTP_FROM || `nexticket@${os.hostname()}`,
+  };
+}
+
+// ----- Line Protocol Connection -----
+// Shared by the IMAP and SMTP clients: buffers the socket and hands out lines (and IMAP literals).
+class MailConnection {
+  constructor({ host, port, secure }) {
+    this.options = { host, port, secure };
+    this.buffer = Buffer.alloc(0);
+    this.waiters = [];
+    this.error = null;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const { host, port, secure } = this.options;
+      const socket = secure ? tls.connect({ host, port, servername: host }, resolve) : net.connect({ host, port }, resolve);
+      socket.once("error", reject);
+      this.attach(socket);
+    });
+  }
+
+  // Swap the plain socket for TLS in place (SMTP STARTTLS)
+  upgrade() {
+    return new Promise((resolve, reject) => {
+      this.socket.removeAllListeners("data");
+      const secured = tls.connect({ socket: this.socket, servername: this.options.host }, resolve);
+      secured.once("error", reject);
+      this.attach(secured);
+    });
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setTimeout(30000, () => socket.destroy(new Error("Mail server timed out")));
+    socket.on("data", (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.flush();
+    });
+    socket.on("error", (e) => {
+      this.error = e;
+      this.flush();
+    });
+    socket.on("close", () => {
+      this.error = this.error || new Error("Mail server closed the connection");
+      this.flush();
+    });
+  }
+
+  flush() {
+    while (this.waiters.length) {
+      const waiter = this.waiters[0];
+      const value = waiter.take();
+      if (value === undefined) {
+        if (this.error) {
+          this.waiters.shift();
+          waiter.reject(this.error);
+          continue;
+        }
+        return;
+      }
+      this.waiters.shift();
+      waiter.resolve(value);
+    }
+  }
+
+  wait(take) {
+    return new Promise((resolve, reject) => {
+      this.waiters.push({ take, resolve, reject });
+      this.flush();
+    });
+  }
+
+  readLine() {
+    return this.wait(() => {
+      const i = this.buffer.indexOf("\r\n");
+      if (i < 0) return undefined;
+      const line = this.buffer.subarray(0, i).toString("utf8");
+      this.buffer = this.buffer.subarray(i + 2);
+      return line;
+    });
+  }
+
+  readBytes(n) {
+    return this.wait(() => {
+      if (this.buffer.length < n) return undefined;
+      const bytes = this.buffer.subarray(0, n);
+      this.buffer = this.buffer.subarray(n);
+      return bytes;
+    });
+  }
+
+  write(text) {
+    this.socket.write(text);
+  }
+
+  close() {
+    this.socket?.destroy();
+  }
+}
+
+// ----- IMAP Client -----
+// Minimal IMAP4rev1: LOGIN, SELECT, UID SEARCH/FETCH/STORE, LOGOUT
+function imapQuote(v) {
+  return `"${String(v).replace(/(["\\])/g, "\\$1")}"`;
+}
+
+export class ImapClient {
+  constructor(options) {
+    this.options = options;
+    this.conn = new MailConnection(options);
+    this.tag = 0;
+  }
+
+  async connect() {
+    await this.conn.connect();
+    const greeting = await this.conn.readLine();
+    if (!/^\* (OK|PREAUTH)/i.test(greeting)) throw new Error(`Unexpected IMAP greeting: ${greeting}`);
+  }
+
+  login() {
+    return this.command(`LOGIN ${imapQuote(this.options.user)} ${imapQuote(this.options.pass)}`);
+  }
+
+  // Resolves with untagged lines and any {n} literals once the tagged response arrives
+  async command(cmd) {
+    const tag = `A${++this.tag}`;
+    this.conn.write(`${tag} ${cmd}\r\n`);
+    const lines = [];
+    const literals = [];
+    for (;;) {
+      const line = await this.conn.readLine();
+      const literal = /\{(\d+)\}$/.exec(line);
+      if (literal) {
+        literals.push(await this.conn.readBytes(Number(literal[1])));
+        lines.push(line);
+        continue;
+      }
+      if (line.startsWith(`${tag} `)) {
+        if (!/^OK\b/i.test(line.slice(tag.length + 1))) throw new Error(`IMAP ${cmd.split(" ")[0]} failed: ${line}`);
+        return { lines, literals };
+      }
+      lines.push(line);
+    }
+  }
+
+  close() {
+    this.conn.close();
+  }
+}
+
+// ----- SMTP Client -----
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+async function smtpResponse(conn) {
+  const lines = [];
+  for (;;) {
+    const line = await conn.readLine();
+    lines.push(line);
+    if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) return { code: Number(line.slice(0, 3)), lines };
+  }
+}
+
+async function smtpCommand(conn, cmd, expect) {
+  if (cmd !== null) conn.write(`${cmd}\r\n`);
+  const res = await smtpResponse(conn);
+  if (!expect.includes(res.code)) throw new Error(`SMTP ${cmd ? cmd.split(/[ :]/)[0] : "greeting"} failed: ${res.lines.join(" ")}`);
+  return res;
+}
+
+// One plain address, no display name or list. It goes straight into RCPT TO and the To header, so whitespace
+// (CR/LF included), brackets and separators are refused.
+export function isMailbox(value) {
+  return typeof value === "string" && value.length <= 254 && /^[^\s@<>()[\],;:"\\]+@[^\s@<>()[\],;:"\\]+\.[^\s@<>()[\],;:"\\]+$/.test(value);
+}
+
+// autoSubmitted marks the mail as machine-sent (RFC 3834) so other systems don't auto-reply to it
+export function buildMessage({ from, to, subject, text, inReplyTo, autoSubmitted = "auto-generated" }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@nexticket>`,
+    `Auto-Submitted: ${autoSubmitted}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+  ];
+  if (inReplyTo) headers.push(`In-Reply-To: ${inReplyTo}`, `References: ${inReplyTo}`);
+  const body = Buffer.from(text, "utf8").toString("base64").replace(/.{1,76}/g, "$&\r\n");
+  return `${headers.join("\r\n")}\r\n\r\n${body}`;
+}
+
+export async function sendMail(smtp, { to, subject, text, inReplyTo, autoSubmitted }) {
+  if (!isMailbox(to)) throw new Error(`${JSON.stringify(String(to))} is not a single email address`);
+  if (inReplyTo && /[\r\n]/.test(inReplyTo)) throw new Error("In-Reply-To must be one line");
+  const conn = new MailConnection(smtp);
+  await conn.connect();
+  try {
+    await smtpCommand(conn, null, [220]);
+    let ehlo = await smtpCommand(conn, `EHLO ${os.hostname()}`, [250]);
+    if (!smtp.secure && ehlo.lines.some((l) => /STARTTLS/i.test(l))) {
+      await smtpCommand(conn, "STARTTLS", [220]);
+      await conn.upgrade();
+      ehlo = await smtpCommand(conn, `EHLO ${os.hostname()}`, [250]);
+    }
+    if (smtp.user) {
+      const token = Buffer.from(`\0${smtp.user}\0${smtp.pass}`, "utf8").toString("base64");
+      await smtpCommand(conn, `AUTH PLAIN ${token}`, [235]);
+    }
+    await smtpCommand(conn, `MAIL FROM:<${smtp.from}>`, [250]);
+    await smtpCommand(conn, `RCPT TO:<${to}>`, [250, 251]);
+    await smtpCommand(conn, "DATA", [354]);
+    const message = buildMessage({ from: smtp.from, to, subject, text, inReplyTo, autoSubmitted }).replace(/^\./gm, "..");
+    await smtpCommand(conn, `${message}\r\n.`, [250]);
+    await smtpCommand(conn, "QUIT", [221]).catch(() => undefined);
+  } finally {
+    conn.close();
+  }
+}
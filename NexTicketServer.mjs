@@ -0,0 +1,1443 @@
+// NexTicket Server - shared storage for the NexTicket UI
+// Persists tickets, notes and config to a local JSON file (attachments in a folder next to it) and exposes
+// them over a small REST API, so every browser pointed at it sees the same queue.
+// Run with: node NexTicketServer.mjs [port] [dataFile]
+// Email-to-ticket intake (NexTicketMail.mjs) starts too when NEXTICKET_INTAKE_DIR or NEXTICKET_IMAP_HOST is set.
+// Every route except health, login and register needs a Bearer token from POST /api/login.
+// GET /api/events?token= streams ticket and config changes as they happen (server-sent events).
+
+import http from "node:http";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { intakeOptionsFromEnv, isMailbox, sendMail, smtpOptionsFromEnv, startMailIntake } from "./NexTicketMail.mjs";
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_DATA_FILE = "nexticket-data.json";
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+// Hard cap for one attachment; admins set a lower limit in the config
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+const ATTACHMENT_ID = /^A-[A-Za-z0-9-]{1,64}$/;
+// How long a file no ticket refers to is kept before it's removed (leaves time to undo a delete)
+const ORPHAN_HOURS = 24;
+const SESSION_HOURS = 12;
+const ROLES = ["requester", "agent", "lead", "admin"];
+const PASSWORD_MIN = 8;
+
+// ----- Errors -----
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Handlers return a plain body for 200 or reply(status, body) for anything else.
+// A Buffer body is sent as-is (file downloads), with headers adding to or overriding the defaults.
+class Reply {
+  constructor(status, body, headers = {}) {
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+export function reply(status, body, headers) {
+  return new Reply(status, body, headers);
+}
+
+// Same shape as the UI's HistoryEntry so server-side changes show up in the ticket timeline
+export function historyEntry(actor, at, entry) {
+  return { id: `H-${new Date(at).getTime()}-0-${Math.random().toString(36).slice(2, 6)}`, at, actor, ...entry };
+}
+
+// ----- Users and Passwords -----
+// PBKDF2-SHA256, same parameters as the UI's local mode
+function hashPassword(password, salt) {
+  return crypto.pbkdf2Sync(String(password), Buffer.from(salt, "hex"), 100000, 32, "sha256").toString("hex");
+}
+
+function publicUser(u) {
+  return { id: u.id, username: u.username, name: u.name, email: u.email, role: u.role, prefs: u.prefs || {} };
+}
+
+// Requesters only ever see tickets submitted from their account (or merged into one that was). An account's
+// email is whatever was typed at sign-up, so it never grants access; email tickets go through "Check My Ticket".
+function ownsTicket(user, ticket) {
+  return ticketRequesters(ticket).some(isAccount(user));
+}
+
+// Picks out the requester entries filed from this account
+function isAccount(user) {
+  return (r) => !!r.requesterId && r.requesterId === user.id;
+}
+
+// ----- Ticket Numbering -----
+// Mirrors normalizeNumbering/ticketIdStem in the UI; the UI keeps config.numbering normalized
+const DATE_PARTS = ["YYYYMMDD", "YYYYMM", "YYYY", "none"];
+
+function ticketNumbering(config) {
+  const n = config?.numbering || {};
+  const padding = Math.round(Number(n.padding));
+  return {
+    prefix: typeof n.prefix === "string" && n.prefix ? n.prefix : "NTK",
+    datePart: DATE_PARTS.includes(n.datePart) ? n.datePart : "YYYYMMDD",
+    padding: padding >= 1 && padding <= 10 ? padding : 4,
+    categoryPrefixes: n.categoryPrefixes && typeof n.categoryPrefixes === "object" ? n.categoryPrefixes : {},
+  };
+}
+
+function ticketIdStem(numbering, category, at) {
+  const y = String(at.getFullYear());
+  const m = String(at.getMonth() + 1).padStart(2, "0");
+  const d = String(at.getDate()).padStart(2, "0");
+  const date = { YYYYMMDD: `${y}${m}${d}`, YYYYMM: `${y}${m}`, YYYY: y, none: "" }[numbering.datePart];
+  return [numbering.categoryPrefixes[category] || numbering.prefix, date].filter(Boolean).join("-") + "-";
+}
+
+// ----- Status Workflow -----
+// Mirrors DEFAULT_WORKFLOW in the UI, for desks that never saved a config; the UI keeps config.workflow normalized
+const DEFAULT_STATUSES = [
+  { name: "Open", kind: "open" },
+  { name: "In Progress", kind: "open" },
+  { name: "On Hold", kind: "paused" },
+  { name: "Resolved", kind: "done", reopenable: true },
+  { name: "Closed", kind: "done" },
+];
+
+function workflowStatuses(config) {
+  const statuses = config?.workflow?.statuses;
+  return Array.isArray(statuses) && statuses.length ? statuses : DEFAULT_STATUSES;
+}
+
+// Where new and reopened tickets start
+function startStatus(config) {
+  return workflowStatuses(config).find((s) => s.kind === "open")?.name || "Open";
+}
+
+function isReopenable(config, status) {
+  const def = workflowStatuses(config).find((s) => s.name === status);
+  return def?.kind === "done" && !!def.reopenable;
+}
+
+// ----- Routing Rules -----
+// Mirrors conditionMatches/ruleChanges/applyRules in the UI, for tickets created here (email intake, portal
+// submissions) and escalated here; the UI keeps config.rules normalized.
+function ruleMatches(rule, ticket, config, at) {
+  return rule.conditions.every((c) => {
+    const values = c.values.map((v) => v.toLowerCase());
+    switch (c.field) {
+      case "category":
+      case "team":
+      case "priority":
+        return values.includes(String(ticket[c.field] || "").toLowerCase());
+      case "keywords": {
+        const text = `${ticket.title}\n${ticket.description}`.toLowerCase();
+        return values.some((k) => text.includes(k));
+      }
+      case "domain": {
+        const d = ticket.contactType === "email" ? String(ticket.contactValue || "").split("@")[1]?.trim().toLowerCase() || "" : "";
+        return !!d && values.some((v) => d === v.replace(/^@/, "") || d.endsWith(`.${v.replace(/^@/, "")}`));
+      }
+      case "time": {
+        const [from, to] = c.values.map((v) => (/^(\d{1,2}):(\d{2})$/.test(v) ? Number(v.split(":")[0]) * 60 + Number(v.split(":")[1]) : NaN));
+        if (Number.isNaN(from) || Number.isNaN(to)) return false;
+        const hm = new Intl.DateTimeFormat("en-US", { timeZone: config?.calendar?.timezone || "UTC", hourCycle: "h23", hour: "2-digit", minute: "2-digit" }).format(at);
+        const now = Number(hm.slice(0, 2)) * 60 + Number(hm.slice(3, 5));
+        return from <= to ? now >= from && now < to : now >= from || now < to;
+      }
+      default:
+        return false;
+    }
+  });
+}
+
+function ruleRecipients(rule) {
+  return rule.actions.filter((a) => a.kind === "notify").flatMap((a) => a.value.split(/[\s,;]+/)).filter(isMailbox);
+}
+
+function describeRuleActions(rule) {
+  const parts = rule.actions.map((a) => (a.kind === "note" ? "added a note" : a.kind === "notify" ? `alerted ${a.value}` : `set ${a.kind} to ${a.value}`));
+  return parts.join(", ") || "no actions";
+}
+
+// Runs the rules for an event ("create" or "update"); before is the ticket ahead of an update, and a rule only
+// fires when the update made it start matching. Returns the ticket with the changes, notes and history entries
+// applied, and the rules whose alerts should go out
+function applyRules(ticket, event, config, now, before) {
+  const teams = Array.isArray(config?.teams) ? config.teams : [];
+  const fired = [];
+  let out = ticket;
+  for (const rule of Array.isArray(config?.rules) ? config.rules : []) {
+    if (!rule.enabled || (rule.on !== "both" && rule.on !== event) || !ruleMatches(rule, out, config, new Date(now))) continue;
+    if (before && ruleMatches(rule, before, config, new Date(now))) continue;
+    const actor = `Rule: ${rule.name}`;
+    const history = [...(out.history || [])];
+    const next = { ...out, updatedAt: now };
+    rule.actions.forEach((a, i) => {
+      const field = a.kind === "team" && teams.includes(a.value) ? "team" : a.kind === "priority" && /^P[1-4]$/.test(a.value) ? "priority" : "";
+      if (field && next[field] !== a.value) {
+        history.push(historyEntry(actor, now, { kind: "change", field, from: next[field], to: a.value }));
+        next[field] = a.value;
+      }
+      // An assignee who isn't on the new team's roster is dropped (see validAssignee in the UI)
+      if (field === "team" && next.assignee && !(config.rosters?.[a.value] || []).includes(next.assignee)) {
+        history.push(historyEntry(actor, now, { kind: "change", field: "assignee", from: next.assignee, to: "" }));
+        next.assignee = undefined;
+      }
+      if (a.kind === "note" && a.value) {
+        const note = { id: `N-${new Date(now).getTime()}-${rule.id}-${i}`, text: a.value, author: actor, createdAt: now, visibility: "internal" };
+        next.notes = [...(next.notes || []), note];
+        history.push(historyEntry(actor, now, { kind: "note-added", field: note.id, to: a.value }));
+      }
+    });
+    history.push(historyEntry(actor, now, { kind: "rule", field: rule.id, to: describeRuleActions(rule) }));
+    out = { ...next, history };
+    if (ruleRecipients(rule).length) fired.push(rule);
+    if (rule.stop) break;
+  }
+  return { ticket: out, fired };
+}
+
+// One alert per rule that fired: { ticketId, entryId, to: [addresses], subject, text }, entryId being the
+// rule's latest history entry on the ticket (what claimAlert records)
+function ruleAlerts(ticket, fired) {
+  return fired.map((rule) => ({
+    ticketId: ticket.id,
+    entryId: ticket.history.findLast((h) => h.kind === "rule" && h.field === rule.id).id,
+    to: ruleRecipients(rule),
+    ...ruleAlertMessage(rule, ticket),
+  }));
+}
+
+// Same message as ruleAlertMessage in the UI
+function ruleAlertMessage(rule, t) {
+  return {
+    subject: `[${t.id}] ${rule.name}: ${t.title}`,
+    text: `Rule "${rule.name}" fired on ticket ${t.id}.\n\nTitle: ${t.title}\nRequester: ${t.name} (${t.contactValue})\nCategory: ${t.category}\nTeam: ${t.team}\nPriority: ${t.priority}\n\n${t.description}\n\n- NexTicket`,
+  };
+}
+
+// ----- Business Calendar Math -----
+// Mirrors the UI's calendar math, so the server's SLA clock agrees with the one the desk shows
+const zoneFormatters = new Map();
+
+function zonedParts(ms, timeZone) {
+  let fmt = zoneFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", { timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit", weekday: "short" });
+    zoneFormatters.set(timeZone, fmt);
+  }
+  const parts = {};
+  for (const p of fmt.formatToParts(new Date(ms))) parts[p.type] = p.value;
+  const y = Number(parts.year);
+  const m = Number(parts.month);
+  const d = Number(parts.day);
+  return {
+    y,
+    m,
+    d,
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(parts.weekday),
+    minuteOfDay: Number(parts.hour) * 60 + Number(parts.minute) + Number(parts.second) / 60,
+    dateKey: `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`,
+  };
+}
+
+function zonedToUtc(y, m, d, minuteOfDay, timeZone) {
+  const wall = Date.UTC(y, m - 1, d, 0, 0) + minuteOfDay * 60000;
+  const offsetAt = (ms) => {
+    const p = zonedParts(ms, timeZone);
+    return Date.UTC(p.y, p.m - 1, p.d, 0, 0) + Math.round(p.minuteOfDay * 60000) - ms;
+  };
+  let utc = wall - offsetAt(wall);
+  const again = wall - offsetAt(utc);
+  if (again !== utc) utc = again;
+  return utc;
+}
+
+function nextLocalMidnight(local, timeZone) {
+  const next = new Date(Date.UTC(local.y, local.m - 1, local.d + 1));
+  return zonedToUtc(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), 0, timeZone);
+}
+
+function hhmm(v) {
+  const [h, m] = String(v).split(":");
+  return Number(h) * 60 + Number(m);
+}
+
+function addBusinessMinutes(startMs, minutes, cal) {
+  if (!cal.hours.some(Boolean)) return startMs + minutes * 60000;
+  let remaining = minutes;
+  let cursor = startMs;
+  for (let i = 0; i < 3660; i++) {
+    const local = zonedParts(cursor, cal.timezone);
+    const hours = cal.holidays.includes(local.dateKey) ? null : cal.hours[local.weekday];
+    if (hours) {
+      const from = Math.max(local.minuteOfDay, hhmm(hours.start));
+      const close = hhmm(hours.end);
+      if (from < close) {
+        if (remaining <= close - from) return zonedToUtc(local.y, local.m, local.d, from + remaining, cal.timezone);
+        remaining -= close - from;
+      }
+    }
+    cursor = nextLocalMidnight(local, cal.timezone);
+  }
+  return startMs + minutes * 60000;
+}
+
+function businessMinutesBetween(startMs, endMs, cal) {
+  if (endMs <= startMs) return 0;
+  if (!cal.hours.some(Boolean)) return (endMs - startMs) / 60000;
+  let total = 0;
+  let cursor = startMs;
+  for (let i = 0; i < 3660 && cursor < endMs; i++) {
+    const local = zonedParts(cursor, cal.timezone);
+    const hours = cal.holidays.includes(local.dateKey) ? null : cal.hours[local.weekday];
+    if (hours) {
+      const from = Math.max(cursor, zonedToUtc(local.y, local.m, local.d, hhmm(hours.start), cal.timezone));
+      const to = Math.min(endMs, zonedToUtc(local.y, local.m, local.d, hhmm(hours.end), cal.timezone));
+      if (to > from) total += (to - from) / 60000;
+    }
+    cursor = nextLocalMidnight(local, cal.timezone);
+  }
+  return total;
+}
+
+// ----- SLA Clock -----
+// Mirrors defaultPriorityConfig/slaInstant/slaClockMinutes in the UI; the UI keeps config.priorities and
+// config.calendar normalized
+const DEFAULT_PRIORITIES = {
+  P1: { respondMins: 60, resolveMins: 1440, allDay: true },
+  P2: { respondMins: 120, resolveMins: 2880, allDay: false },
+  P3: { respondMins: 240, resolveMins: 4320, allDay: false },
+  P4: { respondMins: 720, resolveMins: 10080, allDay: false },
+};
+
+function priorityTargets(config, priority) {
+  return config?.priorities?.[priority] || DEFAULT_PRIORITIES[priority] || DEFAULT_PRIORITIES.P3;
+}
+
+function slaInstant(config, priority, createdAt, mins) {
+  const base = new Date(createdAt).getTime();
+  return priorityTargets(config, priority).allDay || !config?.calendar ? base + mins * 60000 : addBusinessMinutes(base, mins, config.calendar);
+}
+
+function slaClockMinutes(config, priority, from, toMs) {
+  const fromMs = new Date(from).getTime();
+  if (priorityTargets(config, priority).allDay || !config?.calendar) return Math.max(0, (toMs - fromMs) / 60000);
+  return businessMinutesBetween(fromMs, toMs, config.calendar);
+}
+
+// ----- SLA Escalations -----
+// With the server in use, escalation steps fire here on a timer (see startEscalations), whether or not anyone
+// has the desk open. Mirrors escalationDue/escalationChanges/escalateTicket and the alert message in the UI;
+// the UI keeps config.escalations normalized.
+const ESCALATION_ACTOR = "SLA escalation";
+
+function escalationLabel(step) {
+  const at = step.percent === 100 ? `${step.clock} breach` : `${step.percent}% of ${step.clock} time`;
+  const m = Math.round(step.afterMins || 0);
+  const after = m >= 1440 ? `${Math.floor(m / 1440)}d ${Math.floor((m % 1440) / 60)}h` : m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m`;
+  return m ? `${at} + ${after}` : at;
+}
+
+function escalationRecipients(step) {
+  return String(step.email || "").split(/[\s,;]+/).filter(isMailbox);
+}
+
+function escalationAlertMessage(step, t) {
+  return {
+    subject: `[${t.id}] SLA escalation – ${step.name}: ${t.title}`,
+    text: `Ticket ${t.id} reached ${escalationLabel(step)}.\n\nTitle: ${t.title}\nRequester: ${t.name} (${t.contactValue})\nTeam: ${t.team}\nAssignee: ${t.assignee || "Unassigned"}\nPriority: ${t.priority}\nStatus: ${t.status}\n\n- NexTicket`,
+  };
+}
+
+// When the step is due; time on hold (including a hold still running) pushes it out like the deadlines
+function escalationDue(t, step, config, nowMs) {
+  const p = priorityTargets(config, t.priority);
+  const pending = t.pausedAt ? slaClockMinutes(config, t.priority, t.pausedAt, nowMs) : 0;
+  const target = step.clock === "respond" ? p.respondMins || 0 : p.resolveMins || 0;
+  return slaInstant(config, t.priority, t.createdAt, (target * step.percent) / 100 + step.afterMins + (t.pausedMins || 0) + pending);
+}
+
+// Fires every step that has come due on a ticket that isn't done; leads are the usernames with the lead role.
+// Returns the same ticket when nothing fired.
+function escalateTicket(ticket, config, leads, nowMs) {
+  if (workflowStatuses(config).find((s) => s.name === ticket.status)?.kind === "done") return ticket;
+  const now = new Date(nowMs).toISOString();
+  const order = ["P4", "P3", "P2", "P1"];
+  let out = ticket;
+  for (const step of Array.isArray(config?.escalations) ? config.escalations : []) {
+    if (!step.enabled || (out.history || []).some((h) => h.kind === "escalation" && h.field === step.id)) continue;
+    if ((step.clock === "respond" ? out.firstResponseAt : out.resolvedAt) || nowMs < escalationDue(out, step, config, nowMs)) continue;
+    const history = [...(out.history || [])];
+    const next = { ...out, updatedAt: now };
+    const parts = [];
+    if (step.bumpPriority && out.priority !== "P1") {
+      next.priority = order[order.indexOf(out.priority) + 1];
+      history.push(historyEntry(ESCALATION_ACTOR, now, { kind: "change", field: "priority", from: out.priority, to: next.priority }));
+      parts.push(`raised priority to ${next.priority}`);
+    }
+    const lead = step.assignLead ? (config.rosters?.[out.team] || []).find((u) => leads.includes(u)) : undefined;
+    if (lead) {
+      if (lead !== out.assignee) history.push(historyEntry(ESCALATION_ACTOR, now, { kind: "change", field: "assignee", from: out.assignee || "", to: lead }));
+      next.assignee = lead;
+      parts.push(`assigned ${lead}`);
+    }
+    if (step.note) {
+      const note = { id: `N-${nowMs}-${step.id}`, text: step.note, author: ESCALATION_ACTOR, createdAt: now, visibility: "internal" };
+      next.notes = [...(out.notes || []), note];
+      history.push(historyEntry(ESCALATION_ACTOR, now, { kind: "note-added", field: note.id, to: note.text }));
+      parts.push("added a note");
+    }
+    if (escalationRecipients(step).length) parts.push(`alerted ${escalationRecipients(step).join(", ")}`);
+    const to = `${step.name} (${escalationLabel(step)})${parts.length ? ` – ${parts.join(", ")}` : ""}`;
+    out = { ...next, history: [...history, historyEntry(ESCALATION_ACTOR, now, { kind: "escalation", field: step.id, to })] };
+  }
+  return out;
+}
+
+// ----- Requester Self-Service -----
+// Same rules as the UI: emails compare case-insensitively, phone numbers on their digits only
+// The ticket's own requester plus anyone merged in from a duplicate (mirrors ticketRequesters in the UI)
+function ticketRequesters(ticket) {
+  const own = { name: ticket.name, contactType: ticket.contactType, contactValue: ticket.contactValue, requesterId: ticket.requesterId };
+  return [own, ...(Array.isArray(ticket.otherRequesters) ? ticket.otherRequesters : [])];
+}
+
+function sameContact(r, contact) {
+  const given = String(contact || "").trim();
+  if (r.contactType === "phone") {
+    const digits = given.replace(/\D/g, "");
+    return digits.length >= 10 && digits === String(r.contactValue || "").replace(/\D/g, "");
+  }
+  return !!given && given.toLowerCase() === String(r.contactValue || "").trim().toLowerCase();
+}
+
+function contactMatches(ticket, contact) {
+  return ticketRequesters(ticket).some((r) => sameContact(r, contact));
+}
+
+// A saved ticket replaces the stored one whole, so it has to at least be a ticket, and the one in the path
+function checkedTicket(body, id) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) throw new HttpError(400, "Ticket must be an object");
+  if (body.id !== id) throw new HttpError(400, `Ticket id must be ${id}`);
+  for (const key of ["title", "status", "createdAt"]) {
+    if (typeof body[key] !== "string") throw new HttpError(400, `Ticket ${key} must be a string`);
+  }
+  if (Number.isNaN(Date.parse(body.createdAt))) throw new HttpError(400, "Ticket createdAt must be a date");
+  return body;
+}
+
+// An email contact is where status emails go, so it has to be one plain mailbox (see isMailbox); it's
+// stored trimmed
+function checkedContact(ticket) {
+  if (ticket?.contactType !== "email") return ticket;
+  const contactValue = String(ticket.contactValue ?? "").trim();
+  if (!isMailbox(contactValue)) throw new HttpError(400, "contactValue must be a single email address");
+  return { ...ticket, contactValue };
+}
+
+// A portal submission is rebuilt from what the submit form fills in (mirrors submitTicket in the UI), so a
+// requester can't bring their own history, notes, assignee or priority; the create rules then run here
+function portalTicket(body, config, now) {
+  return {
+    id: String(body.id || ""),
+    title: String(body.title || ""),
+    description: String(body.description || ""),
+    name: String(body.name || ""),
+    contactType: body.contactType === "phone" ? "phone" : "email",
+    contactValue: String(body.contactValue || ""),
+    category: String(body.category || ""),
+    team: "Unassigned",
+    status: startStatus(config),
+    priority: "P3",
+    createdAt: now,
+    updatedAt: now,
+    notes: [],
+    pausedMins: 0,
+    deliveries: [],
+    requesterId: body.requesterId,
+    fields: body.fields && typeof body.fields === "object" ? body.fields : undefined,
+    attachments: Array.isArray(body.attachments) ? body.attachments : undefined,
+  };
+}
+
+// Requesters never get internal notes, the audit trail, the email log or other requesters' contacts.
+// isViewer picks out the requester looking; anyone but the ticket's own requester doesn't get its name and
+// contact either (mirrors publicTicket in the UI).
+function publicTicket(ticket, isViewer) {
+  const own = isViewer(ticketRequesters(ticket)[0]) ? {} : { name: "", contactValue: "", requesterId: undefined };
+  return { ...ticket, ...own, notes: (ticket.notes || []).filter((n) => n.visibility === "public"), history: [], deliveries: [], otherRequesters: undefined, contactId: undefined };
+}
+
+// ----- Requester Directory -----
+// Same shape as normalizeContact in the UI
+function normalizeContact(c) {
+  const list = (v) => (Array.isArray(v) ? v.map((x) => String(x).trim()).filter(Boolean) : []);
+  return {
+    id: String(c?.id || ""),
+    name: String(c?.name || "").trim(),
+    emails: Array.from(new Set(list(c?.emails).map((e) => e.toLowerCase()))),
+    phones: Array.from(new Set(list(c?.phones))),
+    department: String(c?.department || "").trim(),
+    location: String(c?.location || "").trim(),
+    vip: !!c?.vip,
+  };
+}
+
+function contactOwning(contacts, contactType, value) {
+  return contacts.find((c) => (contactType === "phone" ? c.phones : c.emails).some((v) => sameContact({ contactType, contactValue: v }, value)));
+}
+
+// Mirrors linkContacts in the UI for a ticket created here: it's linked to the contact its address belongs to
+// (a new address gets a new contact), and an open ticket from a VIP is raised to the VIP priority (never
+// lowered) unless a rule already set its priority. Returns the ticket and the contact it created, if any.
+function linkNewTicket(ticket, contacts, config, now) {
+  if ((ticket.contactId && contacts.some((c) => c.id === ticket.contactId)) || !String(ticket.contactValue || "").trim()) return { ticket };
+  const found = contactOwning(contacts, ticket.contactType, ticket.contactValue);
+  const contact =
+    found ||
+    normalizeContact({
+      id: `CT-${Date.now()}-${crypto.randomBytes(2).toString("hex")}`,
+      name: ticket.name || ticket.contactValue,
+      [ticket.contactType === "phone" ? "phones" : "emails"]: [ticket.contactValue],
+    });
+  const vip = /^P[1-4]$/.test(config?.vipPriority) || config?.vipPriority === "none" ? config.vipPriority : "P2";
+  const ruleSet = (ticket.history || []).some((h) => h.kind === "change" && h.field === "priority");
+  const done = workflowStatuses(config).find((s) => s.name === ticket.status)?.kind === "done";
+  const linked = { ...ticket, contactId: contact.id };
+  if (contact.vip && vip !== "none" && String(ticket.priority) > vip && !ruleSet && !done) {
+    linked.priority = vip;
+    linked.history = [...(ticket.history || []), historyEntry("Requester directory", now, { kind: "change", field: "priority", from: ticket.priority, to: vip })];
+  }
+  return { ticket: linked, created: found ? undefined : contact };
+}
+
+// ----- Attachments -----
+// Same limits as the UI: a type is an extension (".pdf"), a MIME family ("image/*") or one exact MIME type
+const DEFAULT_ATTACHMENT_LIMITS = { maxMB: 10, types: ["image/*", "application/pdf", ".txt", ".log", ".csv", ".zip"] };
+
+function attachmentLimits(config) {
+  const maxMB = Number(config?.attachments?.maxMB);
+  const types = config?.attachments?.types;
+  return {
+    maxMB: maxMB > 0 ? Math.min(maxMB, MAX_UPLOAD_BYTES / 1024 / 1024) : DEFAULT_ATTACHMENT_LIMITS.maxMB,
+    types: Array.isArray(types) ? types.map((t) => String(t).toLowerCase()) : DEFAULT_ATTACHMENT_LIMITS.types,
+  };
+}
+
+function attachmentTypeAllowed(name, type, types) {
+  if (!types.length) return true;
+  const lower = name.toLowerCase();
+  return types.some((t) => (t.startsWith(".") ? lower.endsWith(t) : t.endsWith("/*") ? type.startsWith(t.slice(0, -1)) : type === t));
+}
+
+// IDs of the files on a ticket: those added at submission plus those on its notes
+function ticketAttachmentIds(ticket) {
+  return [...(ticket.attachments || []), ...(ticket.notes || []).flatMap((n) => n.attachments || [])].map((a) => a?.id);
+}
+
+// The files named on a note or reply, described from what's stored rather than what was sent. Each must
+// exist, and a requester can only attach files they uploaded.
+function noteAttachments(store, session, list) {
+  const files = (Array.isArray(list) ? list : []).map((a) => store.attachmentInfo(String(a?.id)));
+  if (session.role === "requester" && files.some((f) => f.uploadedBy !== session.id)) {
+    throw new HttpError(403, "Requesters can only attach files they uploaded");
+  }
+  return files.map(({ id, name, type, size }) => ({ id, name, type, size }));
+}
+
+// A note that is only files gets the text the UI gives it
+function attachedText(attachments) {
+  return attachments.length ? `Attached ${attachments.map((a) => a.name).join(", ")}` : "";
+}
+
+// ----- JSON File Store -----
+// The whole dataset is kept in memory and written back atomically after every change.
+export function createStore(file) {
+  let data = { tickets: [], config: null, users: [], counters: {}, deflections: [], contacts: [], alerts: [] };
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    data = {
+      tickets: Array.isArray(raw?.tickets) ? raw.tickets : [],
+      config: raw?.config ?? null,
+      users: Array.isArray(raw?.users) ? raw.users : [],
+      counters: raw?.counters && typeof raw.counters === "object" ? raw.counters : {},
+      deflections: Array.isArray(raw?.deflections) ? raw.deflections : [],
+      contacts: Array.isArray(raw?.contacts) ? raw.contacts : [],
+      alerts: Array.isArray(raw?.alerts) ? raw.alerts : [],
+    };
+  } catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Cannot read ${file}: ${e.message}`);
+  }
+
+  // Attachment bytes go in <dataFile>.attachments/<id>, with their metadata in <id>.json
+  const filesDir = `${file}.attachments`;
+  function attachmentPath(id) {
+    if (!ATTACHMENT_ID.test(id)) throw new HttpError(400, "Invalid attachment id");
+    return path.join(filesDir, id);
+  }
+
+  function attachmentInfo(id) {
+    try {
+      return JSON.parse(fs.readFileSync(`${attachmentPath(id)}.json`, "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") throw new HttpError(404, `Attachment ${id} not found`);
+      throw e;
+    }
+  }
+
+  function persist() {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  // Live sync: listeners get { type: "ticket", ticket, before }, { type: "deleted", id, ticket }, { type: "cleared", tickets },
+  // { type: "config" } or { type: "contacts" } (the requester directory changed). before, ticket and tickets are
+  // the copies as they were, so a stream can tell whose they were (see openEvents).
+  const listeners = new Set();
+  function emit(event) {
+    for (const listener of listeners) listener(event);
+  }
+
+  function find(id) {
+    const ticket = data.tickets.find((t) => t.id === id);
+    if (!ticket) throw new HttpError(404, `Ticket ${id} not found`);
+    return ticket;
+  }
+
+  // Every write bumps the ticket's version (see the PUT route)
+  function write(next) {
+    const before = data.tickets.find((t) => t.id === next.id);
+    data.tickets = data.tickets.map((t) => (t.id === next.id ? next : t));
+    persist();
+    emit({ type: "ticket", ticket: next, before });
+    return next;
+  }
+
+  function update(id, changes) {
+    const ticket = find(id);
+    return write({ ...ticket, ...changes, id, version: (ticket.version || 0) + 1 });
+  }
+
+  function nextTicketId(category = "", at = new Date()) {
+    const numbering = ticketNumbering(data.config);
+    const stem = ticketIdStem(numbering, category, at);
+    let n = data.counters[stem] || 0;
+    for (const t of data.tickets) {
+      if (typeof t.id !== "string" || !t.id.startsWith(stem)) continue;
+      const taken = Number(t.id.slice(stem.length));
+      if (Number.isInteger(taken) && taken > n) n = taken;
+    }
+    data.counters[stem] = n + 1;
+    persist();
+    return `${stem}${String(n + 1).padStart(numbering.padding, "0")}`;
+  }
+
+  // A hand-edited or merged data file can hold a ticket without an ID, or two under one. Repaired on start
+  // as repairTicketIds does in the UI: the oldest keeps a shared ID, the others get new ones, recorded in
+  // their history.
+  function repairTicketIds() {
+    const seen = new Set();
+    const renamed = new Map();
+    for (const t of [...data.tickets].sort((a, b) => String(a.createdAt || "").localeCompare(String(b.createdAt || "")))) {
+      if (typeof t.id === "string" && t.id && !seen.has(t.id)) {
+        seen.add(t.id);
+        continue;
+      }
+      const created = new Date(t.createdAt);
+      const id = nextTicketId(String(t.category || ""), Number.isNaN(created.getTime()) ? new Date() : created);
+      seen.add(id);
+      renamed.set(t, id);
+    }
+    if (!renamed.size) return;
+    const now = new Date().toISOString();
+    data.tickets = data.tickets.map((t) => {
+      const id = renamed.get(t);
+      if (!id) return t;
+      const entry = historyEntry("System", now, { kind: "change", field: "id", from: String(t.id || ""), to: id });
+      return { ...t, id, history: [...(t.history || []), entry], version: (t.version || 0) + 1 };
+    });
+    persist();
+  }
+  repairTicketIds();
+
+  // actor: who created it, recorded as the first history entry when the ticket brings none. The ticket is
+  // linked to the requester directory here, so that doesn't wait for an agent to have the desk open.
+  function create(ticket, actor) {
+    if (!ticket || typeof ticket.id !== "string" || !ticket.id) throw new HttpError(400, "Ticket id is required");
+    if (data.tickets.some((t) => t.id === ticket.id)) throw new HttpError(409, `Ticket ${ticket.id} already exists`);
+    const now = ticket.createdAt || new Date().toISOString();
+    const withHistory = actor && !ticket.history?.length ? { ...ticket, history: [historyEntry(actor, now, { kind: "created" })] } : ticket;
+    const linked = linkNewTicket(withHistory, data.contacts, data.config, now);
+    const created = { ...linked.ticket, version: 1 };
+    data.tickets.unshift(created);
+    if (linked.created) data.contacts.push(linked.created);
+    persist();
+    emit({ type: "ticket", ticket: created });
+    if (linked.created) emit({ type: "contacts" });
+    return created;
+  }
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    listTickets: () => data.tickets,
+    getTicket: (id) => find(id),
+    createTicket: create,
+    // Create a ticket that arrived outside the UI (email intake, portal submissions) and run the create rules on it;
+    // alerts are for the caller to deliver (see ruleAlerts)
+    routeNewTicket(ticket, actor) {
+      const now = ticket.createdAt || new Date().toISOString();
+      const { ticket: routed, fired } = applyRules({ ...ticket, history: [historyEntry(actor, now, { kind: "created" })] }, "create", data.config, now);
+      const created = create(routed);
+      return { ticket: created, alerts: ruleAlerts(created, fired) };
+    },
+    updateTicket: update,
+    // Fire the escalation steps that have come due, then the update rules on what they changed; returns the
+    // alerts to deliver, shaped like ruleAlerts'
+    escalate(nowMs = Date.now()) {
+      const config = data.config;
+      if (!(config?.escalations || []).some((s) => s.enabled)) return [];
+      const leads = data.users.filter((u) => u.role === "lead").map((u) => u.username);
+      const now = new Date(nowMs).toISOString();
+      const alerts = [];
+      for (const ticket of data.tickets) {
+        const escalated = escalateTicket(ticket, config, leads, nowMs);
+        if (escalated === ticket) continue;
+        const { ticket: routed, fired } = applyRules(escalated, "update", config, now, ticket);
+        const saved = write({ ...routed, version: (ticket.version || 0) + 1 });
+        for (const entry of saved.history.filter((h) => h.kind === "escalation" && !ticket.history?.some((x) => x.id === h.id))) {
+          const step = config.escalations.find((s) => s.id === entry.field);
+          if (escalationRecipients(step).length) alerts.push({ ticketId: saved.id, entryId: entry.id, to: escalationRecipients(step), ...escalationAlertMessage(step, saved) });
+        }
+        alerts.push(...ruleAlerts(saved, fired));
+      }
+      return alerts;
+    },
+    // A whole ticket from the UI replaces the stored one. version is the one the caller's copy is based on;
+    // when the ticket has moved on since, nothing is written and the current copy is returned as conflict.
+    // History is append-only: the stored entries stay as they are and only entries new to it are added.
+    replaceTicket(id, ticket, version) {
+      const current = find(id);
+      if (version !== undefined && version !== (current.version || 0)) return { conflict: current };
+      const stored = current.history || [];
+      const known = new Set(stored.map((h) => h.id));
+      const added = (Array.isArray(ticket.history) ? ticket.history : []).filter((h) => h && h.id && !known.has(h.id));
+      return { ticket: write({ ...ticket, id, history: [...stored, ...added], version: (current.version || 0) + 1 }) };
+    },
+    deleteTicket(id) {
+      const ticket = find(id);
+      data.tickets = data.tickets.filter((t) => t.id !== id);
+      data.alerts = data.alerts.filter((a) => a.ticketId !== id);
+      persist();
+      emit({ type: "deleted", id, ticket });
+    },
+    clearTickets() {
+      const tickets = data.tickets;
+      data.tickets = [];
+      data.alerts = [];
+      persist();
+      fs.rmSync(filesDir, { recursive: true, force: true });
+      emit({ type: "cleared", tickets });
+    },
+    // Alert emails already sent, one per rule or escalation history entry, so a firing is alerted once however
+    // many tabs ask. Claimed before sending and released if delivery fails.
+    claimAlert(ticketId, entryId) {
+      if (data.alerts.some((a) => a.ticketId === ticketId && a.entryId === entryId)) return false;
+      data.alerts.push({ ticketId, entryId, at: new Date().toISOString() });
+      persist();
+      return true;
+    },
+    releaseAlert(ticketId, entryId) {
+      data.alerts = data.alerts.filter((a) => !(a.ticketId === ticketId && a.entryId === entryId));
+      persist();
+    },
+    attachmentInfo,
+    getAttachment(id) {
+      const meta = attachmentInfo(id);
+      return { meta, data: fs.readFileSync(attachmentPath(id)) };
+    },
+    // The metadata file is written last, so a half-written upload is never served. Sending the same file
+    // again (restoring a backup onto a server that kept it) is accepted; different bytes under a taken ID aren't.
+    saveAttachment(id, meta, bytes) {
+      const target = attachmentPath(id);
+      if (fs.existsSync(`${target}.json`)) {
+        const existing = attachmentInfo(id);
+        if (existing.size === bytes.length && fs.readFileSync(target).equals(bytes)) return existing;
+        throw new HttpError(409, `Attachment ${id} already exists`);
+      }
+      fs.mkdirSync(filesDir, { recursive: true });
+      fs.writeFileSync(target, bytes);
+      const saved = { id, ...meta, size: bytes.length };
+      fs.writeFileSync(`${target}.json`, JSON.stringify(saved));
+      return saved;
+    },
+    // Files no ticket refers to (an upload whose ticket was never saved, or one on a deleted ticket or note)
+    // are marked the first time a sweep finds them and removed once they have stayed that way ORPHAN_HOURS.
+    // Returns the IDs removed.
+    sweepAttachments(nowMs = Date.now()) {
+      if (!fs.existsSync(filesDir)) return [];
+      const used = new Set(data.tickets.flatMap(ticketAttachmentIds));
+      const removed = [];
+      for (const id of fs.readdirSync(filesDir).filter((f) => f.endsWith(".json")).map((f) => f.slice(0, -5))) {
+        if (!ATTACHMENT_ID.test(id)) continue;
+        const target = attachmentPath(id);
+        const { orphanedAt, ...meta } = attachmentInfo(id);
+        if (used.has(id)) {
+          if (orphanedAt) fs.writeFileSync(`${target}.json`, JSON.stringify(meta));
+        } else if (!orphanedAt) {
+          fs.writeFileSync(`${target}.json`, JSON.stringify({ ...meta, orphanedAt: new Date(nowMs).toISOString() }));
+        } else if (nowMs - Date.parse(orphanedAt) >= ORPHAN_HOURS * 3600000) {
+          fs.rmSync(`${target}.json`, { force: true });
+          fs.rmSync(target, { force: true });
+          removed.push(id);
+        }
+      }
+      return removed;
+    },
+    addNote(id, { text, author, visibility = "internal", attachments = [] }) {
+      const ticket = find(id);
+      const now = new Date().toISOString();
+      const note = { id: `N-${Date.now()}`, text, author: author || undefined, createdAt: now, visibility, attachments: attachments.length ? attachments : undefined };
+      const entry = historyEntry(author || "API", now, { kind: "note-added", field: note.id, to: text });
+      update(id, { notes: [...(ticket.notes || []), note], history: [...(ticket.history || []), entry], updatedAt: now });
+      return note;
+    },
+    // Reserve the next ID in the configured format. Counters are persisted per prefix+date stem, so a number is
+    // never handed out twice even after its ticket is deleted.
+    nextTicketId,
+    getConfig: () => data.config,
+    // Saved views are kept across config saves; they change only through saveView/deleteView,
+    // so an admin saving a stale config can't drop views agents saved in the meantime
+    setConfig(cfg) {
+      const before = JSON.stringify(data.config);
+      data.config = cfg ? { ...cfg, views: data.config?.views || [] } : null;
+      persist();
+      if (JSON.stringify(data.config) !== before) emit({ type: "config" });
+      return data.config;
+    },
+    saveView(view, session) {
+      const views = data.config?.views || [];
+      const existing = views.find((v) => v.id === view.id);
+      if (existing && existing.owner !== session.username && session.role !== "admin") throw new HttpError(403, "Only the owner can change this view");
+      const next = { ...view, owner: existing?.owner || session.username, shared: !!view.shared };
+      data.config = { ...(data.config || {}), views: existing ? views.map((v) => (v.id === view.id ? next : v)) : [...views, next] };
+      persist();
+      emit({ type: "config" });
+      return next;
+    },
+    deleteView(id, session) {
+      const views = data.config?.views || [];
+      const existing = views.find((v) => v.id === id);
+      if (!existing) throw new HttpError(404, `View ${id} not found`);
+      if (existing.owner !== session.username && session.role !== "admin") throw new HttpError(403, "Only the owner can delete this view");
+      data.config = { ...data.config, views: views.filter((v) => v.id !== id) };
+      persist();
+      emit({ type: "config" });
+    },
+    // Knowledge-base deflections: a requester said a suggested article solved their problem
+    listDeflections: () => data.deflections,
+    addDeflection(deflection) {
+      data.deflections.push(deflection);
+      persist();
+      return deflection;
+    },
+    clearDeflections() {
+      data.deflections = [];
+      persist();
+    },
+    listContacts: () => data.contacts,
+    // Create or update; an address can only belong to one contact
+    saveContact(contact) {
+      const next = normalizeContact(contact);
+      if (!next.name) throw new HttpError(400, "Name is required");
+      if (!next.emails.length && !next.phones.length) throw new HttpError(400, "Add at least one email or phone number");
+      const others = data.contacts.filter((c) => c.id !== next.id);
+      for (const [type, values] of [["email", next.emails], ["phone", next.phones]]) {
+        for (const v of values) {
+          const owner = contactOwning(others, type, v);
+          if (owner) throw new HttpError(409, `${v} already belongs to ${owner.name}`);
+        }
+      }
+      data.contacts = data.contacts.some((c) => c.id === next.id) ? data.contacts.map((c) => (c.id === next.id ? next : c)) : [...data.contacts, next];
+      persist();
+      emit({ type: "contacts" });
+      return next;
+    },
+    deleteContact(id) {
+      if (!data.contacts.some((c) => c.id === id)) throw new HttpError(404, `Contact ${id} not found`);
+      data.contacts = data.contacts.filter((c) => c.id !== id);
+      persist();
+      emit({ type: "contacts" });
+    },
+    clearContacts() {
+      data.contacts = [];
+      persist();
+      emit({ type: "contacts" });
+    },
+    listUsers: () => data.users.map(publicUser),
+    getUser(id) {
+      const user = data.users.find((u) => u.id === id);
+      if (!user) throw new HttpError(404, `User ${id} not found`);
+      return publicUser(user);
+    },
+    // Create or update; a password is required for new users and optional (unchanged) otherwise
+    saveUser(user, password) {
+      const username = String(user?.username || "").trim().toLowerCase();
+      if (!username) throw new HttpError(400, "Username is required");
+      if (!ROLES.includes(user.role)) throw new HttpError(400, `Role must be one of ${ROLES.join(", ")}`);
+      const existing = data.users.find((u) => u.id === user.id);
+      if (data.users.some((u) => u.username === username && u.id !== user.id)) throw new HttpError(409, `Username ${username} is taken`);
+      if (!existing && !password) throw new HttpError(400, "Password is required");
+      if (password && String(password).length < PASSWORD_MIN) throw new HttpError(400, `Password must be at least ${PASSWORD_MIN} characters`);
+      const next = {
+        ...(existing || { id: user.id || `U-${Date.now()}` }),
+        username,
+        name: String(user.name || username).trim(),
+        email: String(user.email || "").trim().toLowerCase(),
+        role: user.role,
+      };
+      if (password) {
+        next.salt = crypto.randomBytes(16).toString("hex");
+        next.hash = hashPassword(password, next.salt);
+      }
+      data.users = existing ? data.users.map((u) => (u.id === next.id ? next : u)) : [...data.users, next];
+      persist();
+      return publicUser(next);
+    },
+    // Display preferences (e.g. grid or board view); merged, and only simple values are kept
+    savePrefs(id, prefs) {
+      const user = data.users.find((u) => u.id === id);
+      if (!user) throw new HttpError(404, `User ${id} not found`);
+      if (!prefs || typeof prefs !== "object" || Array.isArray(prefs)) throw new HttpError(400, "Preferences must be an object");
+      const simple = Object.entries(prefs).filter(([, v]) => ["string", "number", "boolean"].includes(typeof v) && String(v).length <= 100);
+      user.prefs = { ...(user.prefs || {}), ...Object.fromEntries(simple) };
+      persist();
+      return publicUser(user);
+    },
+    deleteUser(id) {
+      if (!data.users.some((u) => u.id === id)) throw new HttpError(404, `User ${id} not found`);
+      data.users = data.users.filter((u) => u.id !== id);
+      persist();
+    },
+    verifyLogin(username, password) {
+      const user = data.users.find((u) => u.username === String(username || "").trim().toLowerCase());
+      // A record without a password (hand-edited data file) can't sign in
+      if (!user || !user.salt || !/^[0-9a-f]{64}$/.test(user.hash || "")) return null;
+      const hash = hashPassword(password, user.salt);
+      return crypto.timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(user.hash, "hex")) ? publicUser(user) : null;
+    },
+  };
+}
+
+// ----- HTTP Helpers -----
+function send(res, status, body, headers = {}) {
+  const raw = Buffer.isBuffer(body);
+  res.writeHead(status, {
+    "Content-Type": raw ? "application/octet-stream" : "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    ...headers,
+  });
+  res.end(body === undefined || raw ? body : JSON.stringify(body));
+}
+
+// A path segment; a malformed %-escape is the caller's mistake, not a server error
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new HttpError(400, `Malformed URL segment: ${value}`);
+  }
+}
+
+// JSON, or a Buffer for an upload sent as application/octet-stream
+function readBody(req) {
+  const raw = /^application\/octet-stream\b/i.test(req.headers["content-type"] || "");
+  const limit = raw ? MAX_UPLOAD_BYTES : MAX_BODY_BYTES;
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new HttpError(413, "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (raw) return resolve(Buffer.concat(chunks));
+      const text = Buffer.concat(chunks).toString("utf8");
+      if (!text) return resolve(undefined);
+      try {
+        resolve(JSON.parse(text));
+      } catch {
+        reject(new HttpError(400, "Body must be valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// ----- Routes -----
+// Each route is [method, pattern, handler, access]; pattern groups become params.
+// access: "public", "user" (any signed-in user, the default), "staff" (agent and up), "lead" or "admin".
+const ACCESS_ROLES = {
+  user: ROLES,
+  staff: ["agent", "lead", "admin"],
+  lead: ["lead", "admin"],
+  admin: ["admin"],
+};
+
+// What of the config a session gets: private saved views only go to their owner, and requesters get just
+// what the portal uses (no rules, escalations or their alert addresses, rosters, canned responses or templates)
+const PORTAL_CONFIG_KEYS = ["categories", "teams", "priorities", "calendar", "numbering", "workflow", "customFields", "attachments", "articles"];
+
+function configFor(config, session) {
+  if (!config) return config;
+  if (session.role === "requester") return Object.fromEntries(PORTAL_CONFIG_KEYS.filter((k) => k in config).map((k) => [k, config[k]]));
+  return { ...config, views: (config.views || []).filter((v) => v.shared || v.owner === session.username) };
+}
+
+// The events a session's stream gets for one store event. Staff get them as they are. Requesters only hear
+// about their own tickets, and a ticket that stops being theirs (moved to another requester, deleted, or
+// cleared with the rest) reaches them as deleted. The directory is staff-only.
+function streamEvents(event, session) {
+  if (event.type === "ticket") {
+    if (session.role !== "requester") return [{ type: "ticket", ticket: event.ticket }];
+    if (ownsTicket(session, event.ticket)) return [{ type: "ticket", ticket: publicTicket(event.ticket, isAccount(session)) }];
+    return event.before && ownsTicket(session, event.before) ? [{ type: "deleted", id: event.ticket.id }] : [];
+  }
+  if (event.type === "deleted") return session.role !== "requester" || ownsTicket(session, event.ticket) ? [{ type: "deleted", id: event.id }] : [];
+  if (event.type === "cleared") {
+    if (session.role !== "requester") return [{ type: "cleared" }];
+    return event.tickets.filter((t) => ownsTicket(session, t)).map((t) => ({ type: "deleted", id: t.id }));
+  }
+  if (event.type === "contacts" && session.role === "requester") return [];
+  return [event];
+}
+
+function ownTicket(store, session, id) {
+  const ticket = store.getTicket(id);
+  if (session.role !== "requester") return ticket;
+  if (!ownsTicket(session, ticket)) throw new HttpError(404, `Ticket ${id} not found`);
+  return publicTicket(ticket, isAccount(session));
+}
+
+function authRoutes(store, sessions) {
+  function startSession(user) {
+    const token = crypto.randomBytes(32).toString("hex");
+    sessions.set(token, { userId: user.id, expires: Date.now() + SESSION_HOURS * 3600 * 1000 });
+    return { user, token };
+  }
+  return [
+    ["POST", /^\/api\/login$/, ({ body }) => {
+      const user = store.verifyLogin(body?.username, body?.password);
+      if (!user) throw new HttpError(401, "Wrong username or password");
+      return startSession(user);
+    }, "public"],
+    // Self-service sign-up creates requesters; the very first account becomes the admin
+    ["POST", /^\/api\/register$/, ({ body }) => {
+      const role = store.listUsers().length ? "requester" : "admin";
+      return reply(201, startSession(store.saveUser({ ...body, id: undefined, role }, body?.password)));
+    }, "public"],
+    ["GET", /^\/api\/session$/, ({ session }) => session],
+    ["PUT", /^\/api\/session\/prefs$/, ({ body, session }) => store.savePrefs(session.id, body)],
+    ["POST", /^\/api\/logout$/, ({ token }) => {
+      sessions.delete(token);
+      return reply(204);
+    }],
+    ["GET", /^\/api\/users$/, () => store.listUsers(), "staff"],
+    ["PUT", /^\/api\/users\/([^/]+)$/, ({ params, body }) => store.saveUser({ ...body?.user, id: params[0] }, body?.password), "admin"],
+    ["DELETE", /^\/api\/users\/([^/]+)$/, ({ params, session }) => {
+      if (params[0] === session.id) throw new HttpError(400, "You can't delete your own account");
+      store.deleteUser(params[0]);
+      return reply(204);
+    }, "admin"],
+  ];
+}
+
+// A requester submits under an ID the server handed them through /api/ticket-ids, never one they made up
+// (which could be another requester's, or one the counter hasn't reached yet). The last few per requester.
+const ISSUED_IDS_KEPT = 20;
+
+function ticketRoutes(store) {
+  const issued = new Map();
+  return [
+    ["GET", /^\/api\/health$/, () => ({ ok: true }), "public"],
+    ["GET", /^\/api\/tickets$/, ({ session }) =>
+      session.role === "requester" ? store.listTickets().filter((t) => ownsTicket(session, t)).map((t) => publicTicket(t, isAccount(session))) : store.listTickets()],
+    ["DELETE", /^\/api\/tickets$/, () => {
+      store.clearTickets();
+      return reply(204);
+    }, "admin"],
+    ["POST", /^\/api\/ticket-ids$/, ({ body, session }) => {
+      const at = body?.at ? new Date(body.at) : new Date();
+      if (Number.isNaN(at.getTime())) throw new HttpError(400, "at must be a date");
+      const id = store.nextTicketId(String(body?.category || ""), at);
+      if (session.role === "requester") issued.set(session.id, [...(issued.get(session.id) || []), id].slice(-ISSUED_IDS_KEPT));
+      return reply(201, { id });
+    }],
+    ["POST", /^\/api\/tickets$/, ({ body, session }) => {
+      if (session.role !== "requester") return reply(201, store.createTicket(checkedContact(body)));
+      if (!ownsTicket(session, body || {})) throw new HttpError(403, "Requesters can only submit their own tickets");
+      // Otherwise a requester could get at someone else's file by naming its ID on their own ticket
+      if (ticketAttachmentIds(body).some((id) => store.attachmentInfo(String(id)).uploadedBy !== session.id)) {
+        throw new HttpError(403, "Requesters can only attach files they uploaded");
+      }
+      const ticket = checkedContact(portalTicket(body, store.getConfig(), new Date().toISOString()));
+      if (!ticket.id) throw new HttpError(400, "Ticket id is required");
+      const ids = issued.get(session.id) || [];
+      if (!ids.includes(ticket.id)) throw new HttpError(403, "Ticket id must come from /api/ticket-ids");
+      issued.set(session.id, ids.filter((id) => id !== ticket.id));
+      return reply(201, publicTicket(store.routeNewTicket(ticket, session.name).ticket, isAccount(session)));
+    }],
+    ["GET", /^\/api\/tickets\/([^/]+)$/, ({ params, session }) => ownTicket(store, session, params[0])],
+    // Optimistic concurrency: a body carrying the version it was based on is refused with 409 and the current
+    // copy when someone saved first. Without a version the ticket is simply overwritten.
+    ["PUT", /^\/api\/tickets\/([^/]+)$/, ({ params, body }) => {
+      checkedTicket(body, params[0]);
+      const version = body.version === undefined ? undefined : Number(body.version) || 0;
+      // A contact stored before it was checked doesn't stop the rest of the ticket from being saved
+      const stored = store.getTicket(params[0]);
+      const sameContact = body.contactType === stored.contactType && body.contactValue === stored.contactValue;
+      const { ticket, conflict } = store.replaceTicket(params[0], sameContact ? body : checkedContact(body), version);
+      if (conflict) return reply(409, { error: `Ticket ${params[0]} was changed by someone else`, ticket: conflict });
+      return ticket;
+    }, "staff"],
+    ["DELETE", /^\/api\/tickets\/([^/]+)$/, ({ params }) => {
+      store.deleteTicket(params[0]);
+      return reply(204);
+    }, "lead"],
+    ["GET", /^\/api\/tickets\/([^/]+)\/notes$/, ({ params, session }) => ownTicket(store, session, params[0]).notes || []],
+    ["POST", /^\/api\/tickets\/([^/]+)\/notes$/, ({ params, body, session }) => {
+      ownTicket(store, session, params[0]);
+      const attachments = noteAttachments(store, session, body?.attachments);
+      const text = String(body?.text || "").trim() || attachedText(attachments);
+      if (!text) throw new HttpError(400, "Note text is required");
+      const visibility = session.role === "requester" || body?.visibility === "public" ? "public" : "internal";
+      return reply(201, store.addNote(params[0], { text, author: session.name, visibility, attachments }));
+    }],
+    ["DELETE", /^\/api\/tickets\/([^/]+)\/notes\/([^/]+)$/, ({ params, session }) => {
+      const ticket = store.getTicket(params[0]);
+      const notes = ticket.notes || [];
+      const note = notes.find((n) => n.id === params[1]);
+      if (!note) throw new HttpError(404, `Note ${params[1]} not found`);
+      const now = new Date().toISOString();
+      const entry = historyEntry(session.name, now, { kind: "note-deleted", field: note.id, from: note.text });
+      store.updateTicket(ticket.id, { notes: notes.filter((n) => n.id !== note.id), history: [...(ticket.history || []), entry], updatedAt: now });
+      return reply(204);
+    }, "staff"],
+    ["GET", /^\/api\/config$/, ({ session }) => configFor(store.getConfig(), session)],
+    ["PUT", /^\/api\/config$/, ({ body, session }) => configFor(store.setConfig(body), session), "admin"],
+    ["DELETE", /^\/api\/config$/, () => {
+      store.setConfig(null);
+      return reply(204);
+    }, "admin"],
+    ["PUT", /^\/api\/views\/([^/]+)$/, ({ params, body, session }) => {
+      const name = String(body?.name || "").trim();
+      if (!name) throw new HttpError(400, "View name is required");
+      if (!body?.filters || typeof body.filters !== "object") throw new HttpError(400, "View filters are required");
+      return store.saveView({ id: params[0], name, shared: body.shared, filters: body.filters }, session);
+    }, "staff"],
+    ["DELETE", /^\/api\/views\/([^/]+)$/, ({ params, session }) => {
+      store.deleteView(params[0], session);
+      return reply(204);
+    }, "staff"],
+  ];
+}
+
+// Files are PUT as raw bytes (application/octet-stream) under an ID the UI picks, with ?name=&type=.
+// Staff can fetch any file; requesters the ones they uploaded or that are on the public side of their tickets.
+function attachmentRoutes(store) {
+  return [
+    ["PUT", /^\/api\/attachments\/([^/]+)$/, ({ params, body, query, session }) => {
+      if (!Buffer.isBuffer(body)) throw new HttpError(415, "Send the file as application/octet-stream");
+      const name = String(query.get("name") || "").trim().slice(0, 255) || params[0];
+      // Served back as the Content-Type, so anything that isn't a plain MIME type is dropped
+      const type = /^[\w.+-]+\/[\w.+-]+$/.test(query.get("type") || "") ? query.get("type").toLowerCase() : "";
+      const limits = attachmentLimits(store.getConfig());
+      if (body.length > limits.maxMB * 1024 * 1024) throw new HttpError(413, `${name} is larger than ${limits.maxMB} MB`);
+      if (!attachmentTypeAllowed(name, type, limits.types)) throw new HttpError(415, `${name} isn't an allowed file type (${limits.types.join(", ")})`);
+      return reply(201, store.saveAttachment(params[0], { name, type, uploadedBy: session.id, createdAt: new Date().toISOString() }, body));
+    }],
+    ["GET", /^\/api\/attachments\/([^/]+)$/, ({ params, session }) => {
+      const visible =
+        session.role !== "requester" ||
+        store.attachmentInfo(params[0]).uploadedBy === session.id ||
+        store.listTickets().some((t) => ownsTicket(session, t) && ticketAttachmentIds(publicTicket(t, isAccount(session))).includes(params[0]));
+      if (!visible) throw new HttpError(404, `Attachment ${params[0]} not found`);
+      return attachmentReply(store, params[0]);
+    }],
+  ];
+}
+
+function attachmentReply(store, id) {
+  const { meta, data } = store.getAttachment(id);
+  return reply(200, data, {
+    "Content-Type": meta.type || "application/octet-stream",
+    // Never rendered in place on the API's origin
+    "Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(meta.name)}`,
+    "X-Content-Type-Options": "nosniff",
+  });
+}
+
+// The portal records a deflection when a suggested article solved the requester's problem; the record is
+// built here so the time and requester can't be made up
+function knowledgeBaseRoutes(store) {
+  return [
+    ["POST", /^\/api\/deflections$/, ({ body, session }) => {
+      const articleId = String(body?.articleId || "");
+      if (!(store.getConfig()?.articles || []).some((a) => a.id === articleId)) throw new HttpError(422, `Article ${articleId} not found`);
+      const deflection = { id: `K-${Date.now()}`, articleId, at: new Date().toISOString(), query: String(body?.query || "").slice(0, 200), requester: session.username };
+      return reply(201, store.addDeflection(deflection));
+    }],
+    ["GET", /^\/api\/deflections$/, () => store.listDeflections(), "staff"],
+    ["DELETE", /^\/api\/deflections$/, () => {
+      store.clearDeflections();
+      return reply(204);
+    }, "admin"],
+  ];
+}
+
+// The requester directory is staff-only; the UI links tickets to it and merges duplicates
+function contactRoutes(store) {
+  return [
+    ["GET", /^\/api\/contacts$/, () => store.listContacts(), "staff"],
+    ["PUT", /^\/api\/contacts\/([^/]+)$/, ({ params, body }) => store.saveContact({ ...body, id: params[0] }), "staff"],
+    ["DELETE", /^\/api\/contacts\/([^/]+)$/, ({ params }) => {
+      store.deleteContact(params[0]);
+      return reply(204);
+    }, "staff"],
+    ["DELETE", /^\/api\/contacts$/, () => {
+      store.clearContacts();
+      return reply(204);
+    }, "admin"],
+  ];
+}
+
+// "Check My Ticket": anyone signed in who knows a ticket's ID and contact can follow it, reply, or
+// reopen it while it's in a reopenable status (Resolved by default). Mirrors requesterReply in the UI.
+function lookupRoutes(store) {
+  function lookup(body) {
+    const id = String(body?.id || "").trim();
+    const ticket = store.listTickets().find((t) => t.id === id);
+    if (!ticket || !contactMatches(ticket, body?.contact)) throw new HttpError(404, "No ticket matches that ID and contact");
+    return ticket;
+  }
+  return [
+    ["POST", /^\/api\/lookup$/, ({ body }) => publicTicket(lookup(body), (r) => sameContact(r, body.contact))],
+    ["POST", /^\/api\/lookup\/reply$/, ({ body, session }) => {
+      const ticket = lookup(body);
+      const attachments = noteAttachments(store, session, body?.attachments);
+      const text = String(body?.text || "").trim() || attachedText(attachments);
+      const reopen = !!body?.reopen && isReopenable(store.getConfig(), ticket.status);
+      if (!text && !reopen) throw new HttpError(400, "Reply text is required");
+      const now = new Date().toISOString();
+      const notes = [...(ticket.notes || [])];
+      const history = [...(ticket.history || [])];
+      const changes = { updatedAt: now };
+      if (text) {
+        const note = { id: `N-${Date.now()}`, text, author: session.name, createdAt: now, visibility: "public", attachments: attachments.length ? attachments : undefined };
+        notes.push(note);
+        history.push(historyEntry(session.name, now, { kind: "note-added", field: note.id, to: text }));
+      }
+      if (reopen) {
+        const status = startStatus(store.getConfig());
+        Object.assign(changes, { status, resolutionCode: undefined, resolutionSummary: undefined, resolvedAt: undefined });
+        history.push(historyEntry(session.name, now, { kind: "change", field: "status", from: ticket.status, to: status }));
+        if (ticket.resolutionCode) history.push(historyEntry(session.name, now, { kind: "change", field: "resolutionCode", from: ticket.resolutionCode, to: "" }));
+        if (ticket.resolutionSummary) history.push(historyEntry(session.name, now, { kind: "change", field: "resolutionSummary", from: ticket.resolutionSummary, to: "" }));
+      }
+      return publicTicket(store.updateTicket(ticket.id, { ...changes, notes, history }), (r) => sameContact(r, body.contact));
+    }],
+    // A file on the public side of a looked-up ticket, for requesters who follow it without owning it
+    ["POST", /^\/api\/lookup\/attachments\/([^/]+)$/, ({ params, body }) => {
+      const ticket = lookup(body);
+      if (!ticketAttachmentIds(publicTicket(ticket, () => false)).includes(params[0])) throw new HttpError(404, `Attachment ${params[0]} not found`);
+      return attachmentReply(store, params[0]);
+    }],
+  ];
+}
+
+// The UI renders requester emails from its templates; the server only delivers them, and only to the
+// ticket's own requester so this can't be used as an open relay. Rule and escalation alerts are built here
+// and only go to the addresses on a rule or step that the ticket's history shows has fired on it, once per firing.
+function notificationRoutes(smtp) {
+  return [
+    ["POST", /^\/api\/tickets\/([^/]+)\/notify$/, async ({ params, body, store }) => {
+      if (!smtp) throw new HttpError(503, "SMTP is not configured on the server (set NEXTICKET_SMTP_HOST)");
+      const ticket = store.getTicket(params[0]);
+      // "to" picks one of the ticket's requesters (e.g. one merged in from a duplicate), never an arbitrary address
+      const to = body?.to ? String(body.to).trim() : ticket.contactValue;
+      const requester = ticketRequesters(ticket).find((r) => r.contactType === "email" && String(r.contactValue || "").toLowerCase() === String(to || "").toLowerCase());
+      if (!requester) throw new HttpError(422, body?.to ? `${to} is not a requester on this ticket` : "Requester has no email address");
+      if (!isMailbox(requester.contactValue)) throw new HttpError(422, `${JSON.stringify(requester.contactValue)} is not a single email address`);
+      const subject = String(body?.subject || "").trim();
+      const text = String(body?.text || "");
+      if (!subject) throw new HttpError(400, "Subject is required");
+      try {
+        await sendMail(smtp, { to: requester.contactValue, subject, text });
+      } catch (e) {
+        throw new HttpError(502, `SMTP delivery failed: ${e.message}`);
+      }
+      return { to: requester.contactValue, sentAt: new Date().toISOString() };
+    }, "staff"],
+    // Requesters submitting from the portal trigger create rules too, so any signed-in user may ask.
+    // body is { ruleId } or { escalationId }
+    ["POST", /^\/api\/tickets\/([^/]+)\/alert$/, async ({ params, body, store, session }) => {
+      if (!smtp) throw new HttpError(503, "SMTP is not configured on the server (set NEXTICKET_SMTP_HOST)");
+      const ticket = store.getTicket(params[0]);
+      if (session.role === "requester" && !ownsTicket(session, ticket)) throw new HttpError(404, `Ticket ${params[0]} not found`);
+      const kind = body?.escalationId ? "escalation" : "rule";
+      const label = kind === "rule" ? "rule" : "escalation step";
+      const config = store.getConfig() || {};
+      const source = ((kind === "rule" ? config.rules : config.escalations) || []).find((r) => r.id === (kind === "rule" ? body?.ruleId : body.escalationId));
+      const fired = source ? (ticket.history || []).filter((h) => h.kind === kind && h.field === source.id) : [];
+      if (!fired.length) throw new HttpError(422, `That ${label} hasn't fired on this ticket`);
+      const to = kind === "rule" ? ruleRecipients(source) : escalationRecipients(source);
+      if (!to.length) throw new HttpError(422, `That ${label} has no alert addresses`);
+      const entry = fired.find((h) => store.claimAlert(ticket.id, h.id));
+      if (!entry) throw new HttpError(409, `That ${label}'s alert was already sent`);
+      const message = kind === "rule" ? ruleAlertMessage(source, ticket) : escalationAlertMessage(source, ticket);
+      try {
+        for (const addr of to) await sendMail(smtp, { to: addr, ...message });
+      } catch (e) {
+        store.releaseAlert(ticket.id, entry.id);
+        throw new HttpError(502, `SMTP delivery failed: ${e.message}`);
+      }
+      return { to: to.join(", "), sentAt: new Date().toISOString() };
+    }],
+  ];
+}
+
+// ----- Escalation Timer -----
+// Checks once a minute, as the desk's clock does. Each alert is claimed before it goes out, so one an agent's
+// tab already sent isn't sent again.
+export function startEscalations(store, smtp, intervalMs = 60000) {
+  async function tick() {
+    for (const alert of store.escalate()) {
+      if (!smtp || !store.claimAlert(alert.ticketId, alert.entryId)) continue;
+      try {
+        for (const to of alert.to) await sendMail(smtp, { to, subject: alert.subject, text: alert.text });
+      } catch (e) {
+        store.releaseAlert(alert.ticketId, alert.entryId);
+        console.error(`Escalations: could not alert ${alert.to.join(", ")} about ${alert.ticketId}: ${e.message}`);
+      }
+    }
+  }
+  const timer = setInterval(() => tick().catch((e) => console.error(`Escalations: ${e.message}`)), intervalMs);
+  return () => clearInterval(timer);
+}
+
+// ----- Attachment Sweep -----
+// Runs at start and then hourly; files are only removed after ORPHAN_HOURS unreferenced, so the pace hardly matters
+export function startAttachmentSweep(store, intervalMs = 3600000) {
+  function tick() {
+    try {
+      store.sweepAttachments();
+    } catch (e) {
+      console.error(`Attachment sweep: ${e.message}`);
+    }
+  }
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  return () => clearInterval(timer);
+}
+
+// ----- Server -----
+export function createServer({ dataFile = DEFAULT_DATA_FILE, smtp = null, routes = [] } = {}) {
+  const store = createStore(path.resolve(dataFile));
+  const sessions = new Map();
+  const table = [...authRoutes(store, sessions), ...ticketRoutes(store), ...lookupRoutes(store), ...attachmentRoutes(store), ...knowledgeBaseRoutes(store), ...contactRoutes(store), ...notificationRoutes(smtp), ...routes];
+
+  // Token -> signed-in user (null when missing or expired)
+  function sessionFor(token) {
+    const entry = token && sessions.get(token);
+    if (!entry || entry.expires < Date.now()) {
+      if (entry) sessions.delete(token);
+      return null;
+    }
+    try {
+      return store.getUser(entry.userId);
+    } catch {
+      sessions.delete(token);
+      return null;
+    }
+  }
+
+  function authenticate(req) {
+    const token = /^Bearer (\S+)$/.exec(req.headers.authorization || "")?.[1] || "";
+    return { token, session: sessionFor(token) };
+  }
+
+  // Live sync over server-sent events. EventSource can't send headers, so the token comes as ?token=.
+  // Staff get every change; requesters only their own tickets, without the internal side.
+  function openEvents(req, res, token) {
+    if (!sessionFor(token)) return send(res, 401, { error: "Sign in first" });
+    res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive", "Access-Control-Allow-Origin": "*" });
+    res.write("retry: 3000\n\n");
+    const unsubscribe = store.subscribe((event) => {
+      // Checked on every event, so signing out or being deleted ends the stream
+      const session = sessionFor(token);
+      if (!session) return res.end();
+      for (const out of streamEvents(event, session)) res.write(`data: ${JSON.stringify(out)}\n\n`);
+    });
+    // A comment now and then keeps proxies from dropping an idle stream
+    const ping = setInterval(() => res.write(": ping\n\n"), 25000);
+    res.on("close", () => {
+      clearInterval(ping);
+      unsubscribe();
+    });
+  }
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") return send(res, 204);
+    const url = new URL(req.url || "/", "http://localhost");
+    if (req.method === "GET" && url.pathname === "/api/events") return openEvents(req, res, url.searchParams.get("token") || "");
+    try {
+      for (const [method, pattern, handler, access = "user"] of table) {
+        const m = url.pathname.match(pattern);
+        if (!m || method !== req.method) continue;
+        const { token, session } = authenticate(req);
+        if (access !== "public") {
+          if (!session) throw new HttpError(401, "Sign in first");
+          if (!ACCESS_ROLES[access].includes(session.role)) throw new HttpError(403, "You don't have permission to do that");
+        }
+        const params = m.slice(1).map(decodeParam);
+        const body = req.method === "POST" || req.method === "PUT" ? await readBody(req) : undefined;
+        const out = await handler({ params, body, query: url.searchParams, store, session, token });
+        if (out instanceof Reply) return send(res, out.status, out.body, out.headers);
+        return send(res, 200, out ?? null);
+      }
+      send(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+    } catch (e) {
+      const status = e instanceof HttpError ? e.status : 500;
+      if (status === 500) console.error(e);
+      send(res, status, { error: e.message });
+    }
+  });
+
+  return { server, store };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.NEXTICKET_PORT || process.argv[2] || DEFAULT_PORT);
+  const dataFile = process.env.NEXTICKET_DATA || process.argv[3] || DEFAULT_DATA_FILE;
+  const smtp = smtpOptionsFromEnv(process.env);
+  const { server, store } = createServer({ dataFile, smtp });
+  server.listen(port, () => console.log(`NexTicket server listening on http://localhost:${port} (data: ${path.resolve(dataFile)})`));
+  startEscalations(store, smtp);
+  startAttachmentSweep(store);
+  const intake = intakeOptionsFromEnv(process.env);
+  if (intake) startMailIntake(store, intake);
+}